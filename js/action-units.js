@@ -0,0 +1,217 @@
+/* ============================================
+   ACTION UNITS - FACS Estimates from Landmarks
+   Estimates the intensity (0-1) of common Facial
+   Action Coding System units per frame from the
+   landmark geometry, after FaceAlign has removed
+   head motion and distance:
+   - AU1/AU2   inner / outer brow raiser
+   - AU4       brow lowerer (brows down and together)
+   - AU6       cheek raiser (lower lids pushed up)
+   - AU7       lid tightener (upper lids lowered)
+   - AU12/15   lip corner puller / depressor
+   - AU17      chin raiser
+   - AU20      lip stretcher (wider, not lifted)
+   - AU23      lip tightener (thinner lips)
+   - AU25/26   lips part / jaw drop
+   - AU45      blink
+
+   Each is a change from the person's own neutral
+   face (frames face-api scores as neutral), so
+   resting brow height or mouth shape don't read
+   as expressions. Landmark geometry can't see
+   wrinkles or furrows, so these are estimates of
+   the motion component of each AU only.
+   ============================================ */
+
+class ActionUnits {
+    /**
+     * One estimator per person (it calibrates to their neutral face)
+     * @param {object} [options] - overrides for ActionUnits.DEFAULTS
+     */
+    constructor(options = {}) {
+        Object.assign(this, ActionUnits.DEFAULTS, options);
+        this.neutralSamples = [];       // geometry of the first neutral frames
+        this.earlySamples = [];         // geometry of the first frames (fallback baseline)
+        this.neutral = null;
+    }
+
+    /**
+     * AU intensities for one frame
+     * @param {Array|Float32Array} landmarks - [{x, y}] or flat [x0, y0, x1, y1, ...]
+     * @param {Array|object} [expressions] - packet [7] array or { neutral, ... }
+     * @returns {Array|null} intensities 0-1 in FrameStore.ACTION_UNITS order, or null without landmarks
+     */
+    estimate(landmarks, expressions) {
+        const geometry = ActionUnits.geometry(landmarks);
+        if (!geometry) return null;
+
+        const neutralScore = Array.isArray(expressions)
+            ? expressions[FrameStore.EXPRESSION_KEYS.indexOf('neutral')]
+            : (expressions && expressions.neutral) || 0;
+        this._calibrate(geometry, neutralScore);
+        return ActionUnits.intensities(geometry, this.neutral);
+    }
+
+    /**
+     * Expression-relevant distances of one face in FaceAlign reference units
+     * (outer eye distance = 100, y down)
+     * @returns {object|null}
+     */
+    static geometry(landmarks) {
+        const points = ActionUnits._points(landmarks);
+        const p = points && FaceAlign.align(points);
+        if (!p) return null;
+
+        const avgY = (...idx) => idx.reduce((s, i) => s + p[i].y, 0) / idx.length;
+        return {
+            browInner: ((p[39].y - p[21].y) + (p[42].y - p[22].y)) / 2,
+            browOuter: ((p[36].y - p[17].y) + (p[45].y - p[26].y)) / 2,
+            browGap: p[22].x - p[21].x,
+            upperLid: (avgY(36, 39) - avgY(37, 38) + avgY(42, 45) - avgY(43, 44)) / 2,
+            lowerLid: (avgY(40, 41) - avgY(36, 39) + avgY(46, 47) - avgY(42, 45)) / 2,
+            ear: BlinkDetector.ear(p),
+            cornerDrop: avgY(48, 54) - p[33].y,
+            mouthWidth: p[54].x - p[48].x,
+            lipThickness: (p[62].y - p[51].y) + (p[57].y - p[66].y),
+            lipGap: p[66].y - p[62].y,
+            jawDrop: p[8].y - p[33].y,
+            chinLip: p[8].y - p[57].y
+        };
+    }
+
+    /**
+     * Map geometry changes from neutral to AU intensities
+     * @param {object} g - geometry()
+     * @param {object} n - neutral geometry
+     * @returns {Array} FrameStore.ACTION_UNITS order, 2 decimals
+     */
+    static intensities(g, n) {
+        const S = ActionUnits.SCALES;
+        const up = (delta, scale) => Math.max(0, Math.min(1, delta / scale));
+        const d = key => g[key] - n[key];
+
+        const au45 = n.ear > 0 ? up(1 - g.ear / n.ear, S.blink) : 0;
+        const au12 = up(-d('cornerDrop'), S.cornerLift);
+        const values = {
+            AU1: up(d('browInner'), S.brow),
+            AU2: up(d('browOuter'), S.brow),
+            AU4: Math.min(1, up(-d('browInner'), S.brow) * 0.6 + up(-d('browGap'), S.browGap) * 0.4),
+            AU6: au45 < 0.5 ? up(-d('lowerLid'), S.lowerLid) : 0,     // lids move with a blink too
+            AU7: au45 < 0.5 ? up(-d('upperLid'), S.upperLid) : 0,
+            AU12: au12,
+            AU15: up(d('cornerDrop'), S.cornerDrop),
+            AU17: up(-d('chinLip'), S.chinLip),
+            AU20: up(d('mouthWidth'), S.mouthWidth) * (1 - au12),
+            AU23: up(-d('lipThickness'), S.lipThickness),
+            AU25: up(g.lipGap - Math.max(0, n.lipGap), S.lipGap),
+            AU26: up(d('jawDrop'), S.jawDrop),
+            AU45: au45
+        };
+        return FrameStore.ACTION_UNITS.map(code => Math.round(values[code] * 100) / 100);
+    }
+
+    /**
+     * Per-AU traces and summary of a run of stored frames, for the recording and the engines
+     * @param {Array} frames - materialized frames (frame.aus)
+     * @returns {object|null} { rate, start, traces: { AU1: [...] }, summary: { AU1: { mean, peak, active } } }
+     *                        traces hold bin means (null where no frame had AUs); active = share of frames >= ACTIVE
+     */
+    static summarize(frames) {
+        const rated = frames.filter(f => f.aus);
+        if (rated.length === 0) return null;
+
+        const rate = ActionUnits.TRACE_RATE;
+        const start = rated[0].timestamp;
+        const bins = Math.floor((rated[rated.length - 1].timestamp - start) / 1000 * rate) + 1;
+        const traces = {};
+        const summary = {};
+
+        FrameStore.ACTION_UNITS.forEach(code => {
+            const sums = new Float64Array(bins);
+            const counts = new Uint16Array(bins);
+            let total = 0;
+            let peak = 0;
+            let active = 0;
+            rated.forEach(f => {
+                const v = f.aus[code];
+                const b = Math.floor((f.timestamp - start) / 1000 * rate);
+                sums[b] += v;
+                counts[b]++;
+                total += v;
+                if (v > peak) peak = v;
+                if (v >= ActionUnits.ACTIVE) active++;
+            });
+            traces[code] = Array.from(sums, (s, b) => (counts[b] > 0 ? Math.round(s / counts[b] * 100) / 100 : null));
+            summary[code] = {
+                mean: Math.round(total / rated.length * 100) / 100,
+                peak: Math.round(peak * 100) / 100,
+                active: Math.round(active / rated.length * 100) / 100
+            };
+        });
+
+        return { rate, start, traces, summary };
+    }
+
+    // ── Private Methods ──
+
+    // Neutral face: median geometry of the first neutral-scored frames, or of the
+    // first frames overall until enough neutral ones have been seen
+    _calibrate(geometry, neutralScore) {
+        if (this.neutralSamples.length >= this.baselineFrames) return;
+
+        if (neutralScore >= this.neutralThreshold) {
+            this.neutralSamples.push(geometry);
+        } else if (this.earlySamples.length < this.baselineFrames) {
+            this.earlySamples.push(geometry);
+        }
+
+        const samples = this.neutralSamples.length >= this.minBaselineFrames
+            ? this.neutralSamples
+            : this.neutralSamples.concat(this.earlySamples);
+        this.neutral = ActionUnits._median(samples);
+    }
+
+    static _median(samples) {
+        const median = {};
+        Object.keys(samples[0]).forEach(key => {
+            const values = samples.map(s => s[key]).sort((a, b) => a - b);
+            median[key] = values[Math.floor(values.length / 2)];
+        });
+        return median;
+    }
+
+    static _points(landmarks) {
+        if (!landmarks || landmarks.length === 0) return null;
+        if (typeof landmarks[0] !== 'number') return landmarks;
+        const points = [];
+        for (let i = 0; i + 1 < landmarks.length; i += 2) points.push({ x: landmarks[i], y: landmarks[i + 1] });
+        return points;
+    }
+}
+
+ActionUnits.DEFAULTS = {
+    neutralThreshold: 0.6,      // face-api neutral probability of a calibration frame
+    baselineFrames: 60,         // neutral frames collected, then the baseline is frozen
+    minBaselineFrames: 10       // fewer neutral frames: early frames fill in
+};
+
+// Geometry change (reference units, eye distance 100) at full intensity
+ActionUnits.SCALES = {
+    brow: 6,
+    browGap: 5,
+    lowerLid: 1.5,
+    upperLid: 2,
+    cornerLift: 4,
+    cornerDrop: 3,
+    chinLip: 4,
+    mouthWidth: 8,
+    lipThickness: 3,
+    lipGap: 3,
+    jawDrop: 10,
+    blink: 0.6                  // EAR drop as a fraction of neutral at full closure
+};
+
+ActionUnits.ACTIVE = 0.3;       // intensity at which an AU counts as present
+ActionUnits.TRACE_RATE = 10;    // Hz, recorded traces
+
+self.ActionUnits = ActionUnits;
@@ -0,0 +1,198 @@
+/* ============================================
+   AFFECT ESTIMATOR - Valence / Arousal Trajectory
+   Places every face frame on the circumplex model
+   of affect (Russell): valence (unpleasant to
+   pleasant) and arousal (calm to activated), each
+   -1..1, from the expression probabilities and the
+   frame's action units (felt smile AU6+AU12, brow
+   lowering AU4, lip-corner depression AU15, brow
+   raise and jaw drop for activation).
+
+   While the person speaks, the voice stress of the
+   matching second (VoiceStressEngine timeline,
+   placed on the frame clock) is blended in:
+   stressed prosody raises arousal and pulls
+   valence down.
+
+   Frames are averaged into short steps and lightly
+   smoothed, giving a path through the State of
+   Mind quadrant instead of one end point.
+   ============================================ */
+
+class AffectEstimator {
+    /**
+     * @param {object} [options] - overrides for AffectEstimator.DEFAULTS
+     */
+    constructor(options = {}) {
+        Object.assign(this, AffectEstimator.DEFAULTS, options);
+    }
+
+    /**
+     * Valence/arousal path of a run of frames
+     * @param {Array} frames - materialized frames (FrameStore), oldest first
+     * @param {object|null} [vsaResult] - VoiceStressEngine.fullAnalysis() result; its vsaTimeline
+     *                                   entries ({ audioTime, voiceStress, isSpeaking }, each covering
+     *                                   the second before audioTime) are placed on the frame clock with
+     *                                   its frameClockOffsetMs, and left out when that is unknown
+     * @returns {object|null} { points: [{ t, valence, arousal }], current, mean, quadrant, voice, duration, start }
+     *                        (t: seconds from start, the first frame's timestamp; quadrant: where
+     *                        most of the path lies) or null under minFrames
+     */
+    trajectory(frames, vsaResult) {
+        if (!frames || frames.length < this.minFrames) return null;
+        const times = FrameStore.relativeTimes(frames);
+        const duration = FrameStore.durationSec(frames);
+
+        // Long monitoring runs get wider steps so the path stays readable
+        const step = Math.max(this.stepSec, duration / this.maxPoints);
+        const voice = AffectEstimator.voiceOnFrameClock(vsaResult);
+        let next = 0;   // frames are in time order: first voice second not yet over
+        let voiced = false;
+
+        const bins = [];
+        frames.forEach((frame, i) => {
+            const point = AffectEstimator.frame(frame.expressions, frame.aus);
+            while (next < voice.length && voice[next].end <= frame.timestamp) next++;
+            const second = voice[next];
+            const speaking = second && second.start <= frame.timestamp && second.isSpeaking;
+            if (speaking) voiced = true;
+            const blended = speaking ? AffectEstimator.withVoice(point, second.voiceStress, this.voiceWeight) : point;
+            const b = Math.floor(times[i] / step);
+            const w = frame.weight !== undefined ? frame.weight : 1;
+            if (!bins[b]) bins[b] = { valence: 0, arousal: 0, weight: 0 };
+            bins[b].valence += blended.valence * w;
+            bins[b].arousal += blended.arousal * w;
+            bins[b].weight += w;
+        });
+
+        const points = [];
+        let previous = null;
+        bins.forEach((bin, b) => {
+            if (!bin) return;
+            if (!(bin.weight > 0)) return;
+            let valence = bin.valence / bin.weight;
+            let arousal = bin.arousal / bin.weight;
+            if (previous) {
+                valence = previous.valence + (valence - previous.valence) * this.smoothing;
+                arousal = previous.arousal + (arousal - previous.arousal) * this.smoothing;
+            }
+            previous = { valence, arousal };
+            points.push({ t: Math.round((b + 1) * step), valence: AffectEstimator._round(valence), arousal: AffectEstimator._round(arousal) });
+        });
+
+        const mean = {
+            valence: AffectEstimator._round(points.reduce((s, p) => s + p.valence, 0) / points.length),
+            arousal: AffectEstimator._round(points.reduce((s, p) => s + p.arousal, 0) / points.length)
+        };
+        // Quadrant the path spent the most steps in (the mean of a path that
+        // crosses the center says little)
+        const counts = new Map();
+        points.forEach(p => {
+            const q = AffectEstimator.quadrant(p);
+            counts.set(q, (counts.get(q) || 0) + 1);
+        });
+        const quadrant = Array.from(counts.entries()).reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+
+        const current = points[points.length - 1];
+        return {
+            points,
+            current: { valence: current.valence, arousal: current.arousal },
+            mean,
+            quadrant,
+            voice: voiced,
+            duration: Math.round(duration),
+            start: frames[0].timestamp
+        };
+    }
+
+    /**
+     * The voice stress timeline on the face frame clock
+     * @param {object|null} vsaResult - VoiceStressEngine.fullAnalysis() result
+     * @returns {Array} [{ start, end, voiceStress, isSpeaking }] in frame ms, oldest first
+     *                  (empty when the audio clock was never tied to the frame clock)
+     */
+    static voiceOnFrameClock(vsaResult) {
+        if (!vsaResult || typeof vsaResult.frameClockOffsetMs !== 'number') return [];
+        return (vsaResult.vsaTimeline || [])
+            .filter(v => typeof v.audioTime === 'number')
+            .map(v => {
+                const end = v.audioTime * 1000 + vsaResult.frameClockOffsetMs;
+                return { start: end - 1000, end, voiceStress: v.voiceStress, isSpeaking: v.isSpeaking };
+            });
+    }
+
+    /**
+     * Face-only valence/arousal of one frame
+     * @param {object} expressions - { happy, sad, ... } probabilities
+     * @param {object|null} [aus] - { AU1: 0-1, ... } (ActionUnits via FrameStore)
+     * @returns {object} { valence, arousal } each -1..1
+     */
+    static frame(expressions, aus) {
+        const e = expressions;
+        let valence = e.happy * 0.9 + e.surprised * 0.1 -
+            e.sad * 0.7 - e.angry * 0.8 - e.disgusted * 0.8 - e.fearful * 0.6;
+        let arousal = e.surprised * 0.8 + e.fearful * 0.8 + e.angry * 0.7 +
+            e.happy * 0.3 + e.disgusted * 0.3 - e.sad * 0.4 - e.neutral * 0.5;
+
+        if (aus) {
+            valence += aus.AU12 * (0.1 + 0.15 * aus.AU6) - aus.AU15 * 0.2 - aus.AU4 * 0.15;
+            arousal += (aus.AU1 + aus.AU2) * 0.075 + aus.AU4 * 0.1 + aus.AU26 * 0.15 + aus.AU20 * 0.1;
+        }
+        return { valence: AffectEstimator._clamp(valence), arousal: AffectEstimator._clamp(arousal) };
+    }
+
+    /**
+     * Blend one second's voice stress (0-100) into a face estimate
+     * @returns {object} { valence, arousal }
+     */
+    static withVoice(point, voiceStress, weight) {
+        const s = voiceStress / 100;
+        return {
+            valence: AffectEstimator._clamp(point.valence - s * 0.5 * weight),
+            arousal: AffectEstimator._clamp(point.arousal * (1 - weight) + (2 * s - 0.6) * weight)
+        };
+    }
+
+    /**
+     * Position in the State of Mind quadrant (AlphaEye.classifyStateOfMind axes):
+     * activation reads as low stability, pleasantness as pleasure
+     * @returns {object} { stability, pleasure } 0-100
+     */
+    static toStateOfMind(point) {
+        return {
+            stability: Math.round(50 - point.arousal * 50),
+            pleasure: Math.round(50 + point.valence * 50)
+        };
+    }
+
+    /**
+     * Quadrant name of a point, matching AlphaEye.classifyStateOfMind
+     */
+    static quadrant(point) {
+        const { stability, pleasure } = AffectEstimator.toStateOfMind(point);
+        if (stability >= 50 && pleasure >= 50) return 'Calm & Content';
+        if (stability < 50 && pleasure >= 50) return 'Excited & Active';
+        if (stability >= 50) return 'Bored & Low';
+        return 'Distressed & Anxious';
+    }
+
+    // ── Private Methods ──
+
+    static _clamp(v) {
+        return Math.max(-1, Math.min(1, v));
+    }
+
+    static _round(v) {
+        return Math.round(v * 100) / 100;
+    }
+}
+
+AffectEstimator.DEFAULTS = {
+    stepSec: 1,             // path resolution
+    maxPoints: 120,         // steps widen beyond this many
+    smoothing: 0.5,         // weight of each new step (1 = no smoothing)
+    voiceWeight: 0.35,      // share of arousal from the voice while speaking
+    minFrames: 10
+};
+
+self.AffectEstimator = AffectEstimator;
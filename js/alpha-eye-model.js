@@ -0,0 +1,303 @@
+/**
+ * AlphaEyeModel - Versioned mapping from engine outputs to AlphaEye values
+ * A model is plain JSON: default values for the engine readings it uses, and
+ * named formulas evaluated in order, each able to use the readings and any
+ * earlier formula. The 10 parameters and the two indices are the formulas
+ * named in AlphaEyeModel.OUTPUTS; other names are intermediate values.
+ *
+ *   {
+ *     "version": "1.0.0",
+ *     "inputs":   { "threat.aggression": 30, ... },
+ *     "formulas": { "aggression": "clamp(threat.aggression)", ... }
+ *   }
+ *
+ * Formulas are arithmetic (+ - * / and parentheses) over numbers, names and
+ * the functions in AlphaEyeModel.FUNCTIONS; they are parsed here, never run
+ * as code, so a model file can be edited and shared safely. explain() splits
+ * any formula's value into the share each reading contributed, whatever the
+ * formulas look like.
+ */
+
+class AlphaEyeModel {
+  /**
+   * @param {Object|string} json - model definition (object or JSON text)
+   * @throws {Error} when the model is malformed or a formula doesn't parse
+   */
+  constructor(json) {
+    const def = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!def || typeof def.version !== 'string' || !def.version) {
+      throw new Error('AlphaEye model needs a version');
+    }
+    this.version = def.version;
+    this.description = def.description || '';
+    this.definition = def;
+    this.inputs = { ...(def.inputs || {}) };
+
+    Object.entries(this.inputs).forEach(([name, value]) => {
+      if (typeof value !== 'number') this._fail(`input "${name}" needs a numeric default`);
+    });
+    const formulas = def.formulas || {};
+    AlphaEyeModel.OUTPUTS.forEach(name => {
+      if (typeof formulas[name] !== 'string') this._fail(`no formula for "${name}"`);
+    });
+
+    // Compile in order; a formula sees the inputs and the formulas above it.
+    // dependencies: the inputs each formula reads, directly or through earlier formulas
+    const known = new Set(Object.keys(this.inputs));
+    this.dependencies = {};
+    Object.keys(this.inputs).forEach(name => { this.dependencies[name] = new Set([name]); });
+    this.formulas = Object.entries(formulas).map(([name, source]) => {
+      if (known.has(name)) this._fail(`"${name}" is defined twice`);
+      const uses = new Set();
+      let evaluate;
+      try {
+        evaluate = AlphaEyeModel.compile(String(source), known, uses);
+      } catch (err) {
+        this._fail(`formula "${name}": ${err.message}`);
+      }
+      this.dependencies[name] = new Set();
+      uses.forEach(used => this.dependencies[used].forEach(input => this.dependencies[name].add(input)));
+      known.add(name);
+      return { name, evaluate };
+    });
+  }
+
+  /**
+   * Evaluate every formula
+   * @param {Object} inputs - { 'threat.aggression': number|null, ... } (AlphaEye.inputs());
+   *                          missing or zero readings take the model's default
+   * @param {Object} [fixed] - { name: value } used as-is instead of that formula
+   * @returns {Object} { name: value } for every formula
+   */
+  evaluate(inputs, fixed = {}) {
+    return this._run(this._inputScope(inputs), fixed);
+  }
+
+  /**
+   * How much each reading moved one formula's value: Shapley values, i.e. each
+   * reading's effect averaged over every order of adding the readings to a
+   * start where all of them are zero. The shares add up to value - base.
+   * @param {Object} inputs - as for evaluate()
+   * @param {string} name - formula to explain
+   * @param {Function} [groupOf] - input name -> player key; inputs with the same key count as one reading
+   * @returns {Object} { value, base, shares: { key: points } } (base: the value with every reading zero)
+   */
+  explain(inputs, name, groupOf = input => input) {
+    const scope = this._inputScope(inputs);
+    const used = Array.from(this.dependencies[name] || []);
+    const players = Array.from(new Set(used.map(groupOf)));
+    const members = players.map(key => used.filter(input => groupOf(input) === key));
+    const n = players.length;
+
+    // Value with each subset of players present (bit k set: player k keeps its reading)
+    const values = new Float64Array(1 << n);
+    for (let mask = 0; mask < values.length; mask++) {
+      const s = { ...scope };
+      members.forEach((group, k) => {
+        if (!(mask & (1 << k))) group.forEach(input => { s[input] = 0; });
+      });
+      values[mask] = this._run(s)[name];
+    }
+
+    const factorial = k => (k <= 1 ? 1 : k * factorial(k - 1));
+    const bits = mask => { let c = 0; for (; mask; mask &= mask - 1) c++; return c; };
+    const shares = {};
+    players.forEach((key, k) => {
+      let points = 0;
+      for (let mask = 0; mask < values.length; mask++) {
+        if (mask & (1 << k)) continue;
+        const size = bits(mask);
+        points += factorial(size) * factorial(n - size - 1) / factorial(n) * (values[mask | (1 << k)] - values[mask]);
+      }
+      shares[key] = points;
+    });
+    return { value: values[values.length - 1], base: values[0], shares };
+  }
+
+  /**
+   * The model as JSON text, e.g. to save as a starting point for a new version
+   */
+  toJSON() {
+    return this.definition;
+  }
+
+  /**
+   * Parse one formula into a function of the scope
+   * @param {string} source - e.g. "clamp(truthfulness * 0.6 + expressionRange * 0.4)"
+   * @param {Set<string>} known - names the formula may use
+   * @param {Set<string>} [uses] - filled with the names it does use
+   * @returns {Function} scope => number
+   */
+  static compile(source, known, uses = new Set()) {
+    const tokens = source.match(/\d+(\.\d+)?|\.\d+|[A-Za-z_][\w.]*|\S/g) || [];
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const take = (expected) => {
+      const token = tokens[pos++];
+      if (expected && token !== expected) throw new Error(`expected "${expected}" but found "${token || 'end'}"`);
+      return token;
+    };
+
+    const expression = () => {
+      let node = term();
+      while (peek() === '+' || peek() === '-') {
+        const op = take();
+        const left = node;
+        const right = term();
+        node = op === '+' ? s => left(s) + right(s) : s => left(s) - right(s);
+      }
+      return node;
+    };
+
+    const term = () => {
+      let node = unary();
+      while (peek() === '*' || peek() === '/') {
+        const op = take();
+        const left = node;
+        const right = unary();
+        node = op === '*' ? s => left(s) * right(s) : s => left(s) / right(s);
+      }
+      return node;
+    };
+
+    const unary = () => {
+      if (peek() === '-') {
+        take();
+        const operand = unary();
+        return s => -operand(s);
+      }
+      return primary();
+    };
+
+    const primary = () => {
+      const token = take();
+      if (token === undefined) throw new Error('unexpected end');
+      if (token === '(') {
+        const inner = expression();
+        take(')');
+        return inner;
+      }
+      if (/^[\d.]/.test(token)) {
+        const value = parseFloat(token);
+        return () => value;
+      }
+      if (!/^[A-Za-z_]/.test(token)) throw new Error(`unexpected "${token}"`);
+
+      if (peek() === '(') {
+        const fn = AlphaEyeModel.FUNCTIONS[token];
+        if (!fn) throw new Error(`unknown function "${token}"`);
+        take('(');
+        const args = [];
+        if (peek() !== ')') {
+          args.push(expression());
+          while (peek() === ',') {
+            take();
+            args.push(expression());
+          }
+        }
+        take(')');
+        return s => fn(...args.map(arg => arg(s)));
+      }
+      if (!known.has(token)) throw new Error(`unknown name "${token}"`);
+      uses.add(token);
+      return s => s[token];
+    };
+
+    const node = expression();
+    if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos]}"`);
+    return node;
+  }
+
+  // ── Private Methods ──
+
+  // Readings with the defaults filled in (missing or zero readings)
+  _inputScope(inputs) {
+    const scope = {};
+    Object.entries(this.inputs).forEach(([name, fallback]) => {
+      scope[name] = inputs[name] || fallback;
+    });
+    return scope;
+  }
+
+  _run(scope, fixed = {}) {
+    this.formulas.forEach(({ name, evaluate }) => {
+      scope[name] = name in fixed ? fixed[name] : evaluate(scope);
+    });
+    return scope;
+  }
+
+  _fail(message) {
+    throw new Error(`AlphaEye model ${this.version}: ${message}`);
+  }
+}
+
+// Formulas every model must define
+AlphaEyeModel.OUTPUTS = [
+  'aggression', 'stress', 'tension', 'suspect', 'balance',
+  'charm', 'energy', 'selfRegulation', 'inhibition', 'neuroticism',
+  'vitalityIndex', 'concentrationIndex'
+];
+
+AlphaEyeModel.FUNCTIONS = {
+  clamp: v => Math.max(0, Math.min(100, Math.round(v))),     // to a whole 0-100 score
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  abs: Math.abs,
+  exp: Math.exp
+};
+
+// Built-in model. Readings: ThreatEngine metrics, NeuroAnalyzer biometrics,
+// DeceptionEngine truthfulness, RppgEngine pulse (reliable and hasHrv are 0/1),
+// the FatigueEngine level and stress fused from face, voice and pulse (FusionEngine).
+// 1.0.0 blended the pulse into the face's stress here at a fixed quality-scaled weight.
+// 1.1.0 read head movement (threat stability, psychomotor index, gaze stability and
+// aversion) from face box shifts; HeadPose rotation replaced them, so norms start over.
+AlphaEyeModel.BUILTIN = {
+  version: '1.2.0',
+  description: 'Mini 3 mapping, stress fused across modalities',
+  inputs: {
+    'threat.aggression': 30,
+    'threat.tension': 20,
+    'threat.badIntent': 25,
+    'threat.stability': 60,
+    'neuro.expressionRange': 50,
+    'neuro.psychomotorIndex': 50,
+    'neuro.gazeStability': 60,
+    'neuro.microTremorScore': 20,
+    'deception.truthfulnessIndex': 70,
+    'pulse.reliable': 0,
+    'pulse.quality': 0,
+    'pulse.hasHrv': 0,
+    'pulse.rmssd': 0,
+    'fatigue.level': 0,
+    'fusion.stress': 25
+  },
+  formulas: {
+    // How much to trust the camera pulse (its signal quality)
+    pulseWeight: 'pulse.reliable * pulse.quality / 100',
+
+    aggression: 'clamp(threat.aggression)',
+    stress: 'clamp(fusion.stress)',
+    tension: 'clamp(threat.tension)',
+    suspect: 'clamp(threat.badIntent)',
+    balance: 'clamp(threat.stability)',
+    expressionRange: 'clamp(neuro.expressionRange)',
+    truthfulness: 'clamp(deception.truthfulnessIndex)',
+    charm: 'clamp(truthfulness * 0.6 + expressionRange * 0.4)',
+    energy: 'clamp(neuro.psychomotorIndex)',
+    selfRegulation: 'clamp((balance + charm) / 2)',
+    gazeStability: 'clamp(neuro.gazeStability)',
+    inhibition: 'clamp(100 - gazeStability)',
+    neuroticism: 'clamp(neuro.microTremorScore)',
+
+    // Vitality: brain fatigue sigmoid (-100 to +100), pulled down by measured fatigue
+    // above "mildly tired" and shifted up to +/-10 by a reliable HRV (high RMSSD = recovered)
+    fatigueLoad: 'max(0, fatigue.level - 25) * 0.6',
+    hrvRecovery: '(max(0, min(1, (pulse.rmssd - 20) / 40)) - 0.5) * 20 * pulseWeight * pulse.hasHrv',
+    vitalityRaw: 'energy - (stress * 0.4 + neuroticism * 0.3) - fatigueLoad + hrvRecovery',
+    vitalityIndex: 'round((2 / (1 + exp(-vitalityRaw / 20)) - 1) * 100)',
+    // Gaze stability is 100 - inhibition
+    concentrationIndex: 'clamp((100 - inhibition) * 0.8 + (100 - stress) * 0.2)'
+  }
+};
@@ -1,6 +1,14 @@
 /**
  * AlphaEye Profiler - Maps Mini 2 engine outputs to 10 AlphaEye parameters
- * Each parameter is normalized to 0-100 scale
+ * The mapping is a versioned AlphaEyeModel; every profile records the model
+ * version and the engine readings it used, so a stored scan can be recomputed
+ * under a newer model. Each parameter is normalized to 0-100 scale, with a
+ * 95% interval from a bootstrap over windows of the scan, and can also be
+ * read relative to the person's own norm from past scans (BaselineStore).
+ * profile.contributions breaks each value down into the readings behind it,
+ * and those into the engines' own sub-features (Contributions traces).
+ * Stress is fused from face, voice and pulse by FusionEngine, and
+ * profile.fusion reports how much each modality counted.
  */
 
 class AlphaEye {
@@ -11,66 +19,243 @@ class AlphaEye {
    * @param {Object} deception - DeceptionEngine.fullAnalysis() result
    * @param {Object} neuro - NeuroAnalyzer.analyze() result
    * @param {Object} vsa - VoiceStressEngine.fullAnalysis() result
+   * @param {Object} [pulse] - RppgEngine.fullAnalysis() result
+   * @param {Object} [fatigue] - FatigueEngine.analyze() result
+   * @param {AlphaEyeModel} [model] - defaults to the current AlphaEye.model
+   * @param {Object} [stress] - FusionEngine.fuseStress() result; fused here (without
+   *                            the frame quality) when omitted
    * @returns {Object} AlphaEye profile
    */
-  static compute(threat, deception, neuro, vsa) {
-    const m = threat?.metrics || {};
-    const bio = neuro?.biometrics || {};
+  static compute(threat, deception, neuro, vsa, pulse, fatigue, model = AlphaEye.model, stress = null) {
     const dec = deception || {};
-
-    const aggression = AlphaEye.clamp(m.aggression || 30);
-    const stress = AlphaEye.clamp(m.stress || 25);
-    const tension = AlphaEye.clamp(m.tension || 20);
-    const suspect = AlphaEye.clamp(m.badIntent || 25);
-    const balance = AlphaEye.clamp(m.stability || 60);
-    const expressionRange = AlphaEye.clamp(bio.expressionRange || 50);
-    const truthfulness = AlphaEye.clamp(dec.truthfulnessIndex || 70);
-    const charm = AlphaEye.clamp(Math.round(truthfulness * 0.6 + expressionRange * 0.4));
-    const energy = AlphaEye.clamp(bio.psychomotorIndex || 50);
-    const selfRegulation = AlphaEye.clamp(Math.round((balance + charm) / 2));
-    const gazeStability = AlphaEye.clamp(bio.gazeStability || 60);
-    const inhibition = AlphaEye.clamp(Math.round(100 - gazeStability));
-    const neuroticism = AlphaEye.clamp(bio.microTremorScore || 20);
-
-    const params = {
-      aggression,
-      stress,
-      tension,
-      suspect,
-      balance,
-      charm,
-      energy,
-      selfRegulation,
-      inhibition,
-      neuroticism
-    };
+    const fused = stress || AlphaEye.fusion.fuseStress({ threat, vsa, pulse });
+    const sources = AlphaEye.sources(threat, deception, neuro, fused);
+    const mapped = AlphaEye.evaluate(AlphaEye.inputs(threat, deception, neuro, pulse, fatigue, fused), model, undefined, sources);
 
     // Additional data overlays
     const voiceStress = AlphaEye.clamp(vsa?.voiceStressScore || 0);
-    const deceptionProb = AlphaEye.clamp(dec.deceptionProbability || 0);
+    const deceptionProb = typeof dec.deceptionProbability === 'number' ? AlphaEye.clamp(dec.deceptionProbability) : null;
     const conditions = neuro?.conditions || [];
     const microExpressions = dec.microExpressions || [];
     const deceptionTimeline = dec.deceptionTimeline || [];
 
-    // Derived metrics
-    const emotionalVariation = AlphaEye.computeEmotionalVariation(params);
-    const vitalityIndex = AlphaEye.computeVitality(energy, stress, neuroticism);
-    const concentrationIndex = AlphaEye.computeConcentration(gazeStability, inhibition, stress);
-    const stateOfMind = AlphaEye.classifyStateOfMind(params);
-
-    return {
-      params,
+    const profile = {
+      params: mapped.params,
       voiceStress,
       deceptionProb,
       conditions,
       microExpressions,
       deceptionTimeline,
-      emotionalVariation,
-      vitalityIndex,
-      concentrationIndex,
-      stateOfMind,
+      emotionalVariation: mapped.emotionalVariation,
+      vitalityIndex: mapped.vitalityIndex,
+      concentrationIndex: mapped.concentrationIndex,
+      stateOfMind: mapped.stateOfMind,
+      model: mapped.model,
+      inputs: mapped.inputs,
+      contributions: mapped.contributions,
+      sources,
+      fusion: {
+        stress: { sd: fused.sd, shares: fused.shares, reliability: fused.reliability },
+        deception: dec.fusion || null
+      },
       timestamp: Date.now()
     };
+    profile.fusion.modalities = AlphaEye.modalityShares(profile);
+    if (pulse) profile.pulse = pulse;
+    if (fatigue) profile.fatigue = fatigue;
+    return profile;
+  }
+
+  /**
+   * Engine readings a model can use, flattened to numbers (null when not measured)
+   * @param {Object} [stress] - FusionEngine.fuseStress() result
+   * @returns {Object} { 'threat.aggression': number|null, ... }
+   */
+  static inputs(threat, deception, neuro, pulse, fatigue, stress) {
+    const m = threat?.metrics || {};
+    const bio = neuro?.biometrics || {};
+    const value = v => (typeof v === 'number' && isFinite(v) ? v : null);
+    return {
+      'threat.aggression': value(m.aggression),
+      'threat.stress': value(m.stress),
+      'threat.tension': value(m.tension),
+      'threat.badIntent': value(m.badIntent),
+      'threat.stability': value(m.stability),
+      'neuro.expressionRange': value(bio.expressionRange),
+      'neuro.psychomotorIndex': value(bio.psychomotorIndex),
+      'neuro.gazeStability': value(bio.gazeStability),
+      'neuro.microTremorScore': value(bio.microTremorScore),
+      'deception.truthfulnessIndex': value(deception?.truthfulnessIndex),
+      'pulse.reliable': pulse ? (pulse.reliable ? 1 : 0) : null,
+      'pulse.quality': value(pulse?.quality),
+      'pulse.heartRate': value(pulse?.heartRate),
+      'pulse.hasHrv': pulse ? (pulse.hrv ? 1 : 0) : null,
+      'pulse.rmssd': value(pulse?.hrv?.rmssd),
+      'fatigue.level': value(fatigue?.level),
+      'fusion.stress': value(stress?.value)
+    };
+  }
+
+  /**
+   * The engines' own score traces, for the breakdown of the readings taken from them
+   * @returns {Object} { threat: { stress: trace, ... }, deception: {...}, neuro: {...}, fusion: { stress: trace } }
+   */
+  static sources(threat, deception, neuro, stress) {
+    return {
+      threat: threat?.contributions || {},
+      deception: deception?.contributions || {},
+      neuro: neuro?.contributions || {},
+      fusion: { stress: stress?.contributions || [] }
+    };
+  }
+
+  /**
+   * How much each modality counted in the profile. Every metric's readings are
+   * weighed by their share of its points; fused readings split between the
+   * modalities by their fusion shares, the pulse reading is the pulse's, and
+   * the other readings come from the face. Averaged over the metrics.
+   * @param {Object} profile - with contributions and fusion
+   * @returns {Object} { face, voice, pulse } shares of 1 (short of 1 by what
+   *                   typical values stood in for readings nobody measured)
+   */
+  static modalityShares(profile) {
+    const fusedShares = {
+      'fusion.stress': profile.fusion.stress && profile.fusion.stress.shares,
+      'deception.truthfulnessIndex': profile.fusion.deception && profile.fusion.deception.shares
+    };
+    const totals = { face: 0, voice: 0, pulse: 0 };
+    let metrics = 0;
+    Object.values(profile.contributions || {}).forEach(trace => {
+      const readings = trace.filter(e => e.feature !== 'base' && e.feature !== 'limit');
+      const sum = readings.reduce((s, e) => s + Math.abs(e.points), 0);
+      if (sum === 0) return;
+      metrics++;
+      readings.forEach(e => {
+        const measured = !e.label.endsWith(AlphaEye.NOT_MEASURED);
+        const shares = fusedShares[e.feature] || { [e.feature === 'pulse' ? 'pulse' : 'face']: measured ? 1 : 0 };
+        Object.entries(shares).forEach(([modality, share]) => {
+          totals[modality] = (totals[modality] || 0) + Math.abs(e.points) / sum * share;
+        });
+      });
+    });
+    Object.keys(totals).forEach(modality => {
+      totals[modality] = metrics > 0 ? Math.round(totals[modality] / metrics * 100) / 100 : 0;
+    });
+    return totals;
+  }
+
+  /**
+   * Map engine readings to the parameters and indices under a model
+   * @param {Object} inputs - AlphaEye.inputs()
+   * @param {AlphaEyeModel} [model] - defaults to the current AlphaEye.model
+   * @param {Object} [params] - known parameters, kept instead of their formulas
+   *                            (scans saved before models recorded their inputs)
+   * @param {Object} [sources] - AlphaEye.sources(), to break readings down further
+   * @returns {Object} { params, emotionalVariation, vitalityIndex, concentrationIndex, stateOfMind, model, inputs, contributions }
+   *                   (no contributions when params are kept: the formulas didn't produce them)
+   */
+  static evaluate(inputs, model = AlphaEye.model, params, sources = {}) {
+    const values = model.evaluate(inputs, params);
+    const mapped = {};
+    AlphaEyeModel.OUTPUTS.slice(0, 10).forEach(key => { mapped[key] = values[key]; });
+    const result = {
+      params: mapped,
+      emotionalVariation: AlphaEye.computeEmotionalVariation(mapped),
+      vitalityIndex: values.vitalityIndex,
+      concentrationIndex: values.concentrationIndex,
+      stateOfMind: AlphaEye.classifyStateOfMind(mapped),
+      model: model.version,
+      inputs
+    };
+    if (!params) result.contributions = AlphaEye.contributions(inputs, model, sources);
+    return result;
+  }
+
+  /**
+   * Contribution trace of every parameter and index: the points each engine
+   * reading added (AlphaEyeModel.explain(), so it holds for any model), with
+   * the engine's own trace of that reading as the detail, scaled to those points.
+   * Pulse readings count together as one, as do fatigue readings.
+   * @returns {Object} { metric: [{ feature, label, points, detail? }] }
+   */
+  static contributions(inputs, model = AlphaEye.model, sources = {}) {
+    const groupOf = input => (AlphaEye.GROUPED_INPUTS.includes(input.split('.')[0]) ? input.split('.')[0] : input);
+    const contributions = {};
+    AlphaEyeModel.OUTPUTS.forEach(metric => {
+      const { value, base, shares } = model.explain(inputs, metric, groupOf);
+      const parts = [Contributions.part('base', 'Starting point', base)];
+      Object.entries(shares).forEach(([reading, points]) => {
+        const measured = reading in inputs ? inputs[reading] : Object.keys(inputs).some(i => groupOf(i) === reading && inputs[i]);
+        const label = (AlphaEye.INPUT_LABELS[reading] || reading) + (measured ? '' : AlphaEye.NOT_MEASURED);
+        const part = Contributions.part(reading, label, points);
+
+        const [engine, key] = reading.split('.');
+        const trace = sources[engine] && sources[engine][key];
+        if (measured && trace && trace.length > 0) part.detail = Contributions.scaled(trace, points / inputs[reading]);
+        parts.push(part);
+      });
+      contributions[metric] = Contributions.trace(parts, value);
+    });
+    return contributions;
+  }
+
+  /**
+   * One metric's breakdown in plain words, e.g. for the chat:
+   * "Your stress reads 72. Pushing it up: fear (average) +31, micro-movement jitter +18 ..."
+   * @param {Object} profile - with contributions
+   * @param {string} metric - parameter key, 'vitalityIndex' or 'concentrationIndex'
+   * @returns {string|null} null when the profile has no breakdown of it
+   */
+  static explain(profile, metric) {
+    const trace = profile.contributions && profile.contributions[metric];
+    if (!trace) return null;
+    const value = metric in profile.params ? profile.params[metric] : profile[metric];
+    const top = Contributions.top(trace, 3);
+    const describe = e => `${e.label.charAt(0).toLowerCase() + e.label.slice(1)} ${e.points > 0 ? '+' : ''}${Math.round(e.points)}`;
+    const list = items => (items.length > 1 ? items.slice(0, -1).join(', ') + ' and ' + items[items.length - 1] : items[0]);
+    const up = top.filter(e => e.points > 0).map(describe);
+    const down = top.filter(e => e.points < 0).map(describe);
+
+    let text = `Your ${AlphaEye.METRIC_NAMES[metric] || metric} reads ${value}.`;
+    if (up.length > 0) text += ` Pushing it up: ${list(up)}.`;
+    if (down.length > 0) text += ` Pulling it down: ${list(down)}.`;
+    if (top.length === 0) text += ' Nothing in particular moved it from where it starts.';
+    return text;
+  }
+
+  /**
+   * Recompute a stored profile under another model (the current one by default).
+   * Overlays (voice, pulse, conditions, ...) are kept; the intervals are rebuilt
+   * from the stored window readings, and the comparison with the personal
+   * baseline is dropped since its norms came from the old model.
+   * @param {Object} stored - profile with the inputs it was computed from
+   * @param {AlphaEyeModel} [model]
+   * @returns {Object} new profile
+   * @throws {Error} when the profile has no recorded inputs
+   */
+  static recompute(stored, model = AlphaEye.model) {
+    if (!stored.inputs) throw new Error('Profile has no recorded inputs to recompute from');
+    const profile = { ...stored, ...AlphaEye.evaluate(AlphaEye._withFusedStress(stored.inputs), model, undefined, stored.sources) };
+    if (profile.fusion) profile.fusion = { ...profile.fusion, modalities: AlphaEye.modalityShares(profile) };
+    delete profile.relative;
+    delete profile.intervals;
+    if (stored.windows) {
+      const windows = stored.windows.inputs.map(inputs => AlphaEye.evaluate(AlphaEye._withFusedStress(inputs), model));
+      const intervals = AlphaEye.intervals(profile, windows, stored.windows.confidence);
+      if (intervals) profile.intervals = intervals;
+    }
+    return profile;
+  }
+
+  /**
+   * Make a model current for every later compute()
+   * @param {Object|string|AlphaEyeModel} json - model definition (object or JSON text)
+   * @returns {AlphaEyeModel}
+   * @throws {Error} when the model is malformed
+   */
+  static loadModel(json) {
+    AlphaEye.model = json instanceof AlphaEyeModel ? json : new AlphaEyeModel(json);
+    return AlphaEye.model;
   }
 
   static clamp(v) {
@@ -93,26 +278,6 @@ class AlphaEye {
     };
   }
 
-  /**
-   * Vitality Index: brain fatigue sigmoid (-100 to +100)
-   * Positive = alert/vital, negative = fatigued
-   */
-  static computeVitality(energy, stress, neuroticism) {
-    const raw = energy - (stress * 0.4 + neuroticism * 0.3);
-    // Sigmoid mapping to -100..+100
-    const sigmoid = (2 / (1 + Math.exp(-raw / 20))) - 1;
-    return Math.round(sigmoid * 100);
-  }
-
-  /**
-   * Concentration Index: 0-100
-   */
-  static computeConcentration(gazeStability, inhibition, stress) {
-    return AlphaEye.clamp(Math.round(
-      gazeStability * 0.5 + (100 - inhibition) * 0.3 + (100 - stress) * 0.2
-    ));
-  }
-
   /**
    * State of Mind: 4-quadrant classification
    * X-axis: Stability (balance), Y-axis: Pleasure (inverse of stress+tension)
@@ -129,6 +294,121 @@ class AlphaEye {
     return { stability, pleasure, quadrant };
   }
 
+  /**
+   * 95% interval of every parameter and index. windowProfiles are compute()
+   * results for consecutive windows of the scan; window means are bootstrapped
+   * (resampling windows with replacement) and the spread of those means,
+   * centered on the full-scan value, is the interval. Engines that saw few
+   * frames (confidence under 100) widen it further.
+   * @param {Object} profile - full-scan compute() result
+   * @param {Array} windowProfiles - at least MIN_WINDOWS window profiles
+   * @param {number} [confidence] - 0-100, lowest ThreatEngine/DeceptionEngine confidence
+   * @returns {Object|null} { metric: { low, high, width } }
+   */
+  static intervals(profile, windowProfiles, confidence = 100) {
+    if (!windowProfiles || windowProfiles.length < AlphaEye.MIN_WINDOWS) return null;
+    const k = windowProfiles.length;
+    const widen = 100 / Math.max(25, confidence);
+
+    // Same resamples for every metric; seeded so a replayed scan gets the same intervals
+    let seed = 1;
+    const random = () => { seed = (seed * 1664525 + 1013904223) >>> 0; return seed / 4294967296; };
+    const samples = [];
+    for (let b = 0; b < AlphaEye.BOOTSTRAP_SAMPLES; b++) {
+      samples.push(Array.from({ length: k }, () => Math.floor(random() * k)));
+    }
+
+    const intervals = {};
+    Object.entries(AlphaEye._intervalMetrics(profile)).forEach(([metric, value]) => {
+      const values = windowProfiles.map(w => AlphaEye._intervalMetrics(w)[metric]);
+      const mean = values.reduce((a, b) => a + b, 0) / k;
+      const deltas = samples
+        .map(indices => indices.reduce((sum, i) => sum + values[i], 0) / k - mean)
+        .sort((a, b) => a - b);
+      const lowDelta = deltas[Math.floor(deltas.length * 0.025)];
+      const highDelta = deltas[Math.ceil(deltas.length * 0.975) - 1];
+
+      const [min, max] = metric === 'vitalityIndex' ? [-100, 100] : [0, 100];
+      const low = Math.max(min, Math.round(value + Math.min(0, lowDelta) * widen));
+      const high = Math.min(max, Math.round(value + Math.max(0, highDelta) * widen));
+      intervals[metric] = { low, high, width: high - low };
+    });
+    return intervals;
+  }
+
+  /**
+   * Whether a metric's interval is too wide (over WIDE_INTERVAL of its scale)
+   * to say anything firm about it; false when the profile has no intervals
+   */
+  static isUncertain(profile, metric) {
+    const interval = profile.intervals && profile.intervals[metric];
+    if (!interval) return false;
+    const scale = metric === 'vitalityIndex' ? 200 : 100;
+    return interval.width / scale > AlphaEye.WIDE_INTERVAL;
+  }
+
+  // Inputs recorded before stress was fused (model 1.0.0) get it fused from the
+  // face and pulse readings they kept; the voice wasn't recorded there
+  static _withFusedStress(inputs) {
+    if ('fusion.stress' in inputs) return inputs;
+    const threat = { metrics: { stress: inputs['threat.stress'] }, confidence: 100 };
+    const pulse = inputs['pulse.reliable'] === null || inputs['pulse.reliable'] === undefined ? null : {
+      reliable: inputs['pulse.reliable'] === 1,
+      quality: inputs['pulse.quality'],
+      heartRate: inputs['pulse.heartRate'],
+      hrv: inputs['pulse.hasHrv'] === 1 ? { rmssd: inputs['pulse.rmssd'] } : null
+    };
+    return { ...inputs, 'fusion.stress': AlphaEye.fusion.fuseStress({ threat, pulse }).value };
+  }
+
+  static _intervalMetrics(profile) {
+    return {
+      ...profile.params,
+      vitalityIndex: profile.vitalityIndex,
+      concentrationIndex: profile.concentrationIndex
+    };
+  }
+
+  /**
+   * Metrics the personal baseline learns: the 10 parameters, the two indices,
+   * and voice stress / pulse when they were measured
+   */
+  static baselineMetrics(profile) {
+    const metrics = {
+      ...profile.params,
+      vitalityIndex: profile.vitalityIndex,
+      concentrationIndex: profile.concentrationIndex
+    };
+    if (profile.voiceStress > 0) metrics.voiceStress = profile.voiceStress;
+    if (profile.pulse && profile.pulse.reliable) metrics.heartRate = profile.pulse.heartRate;
+    return metrics;
+  }
+
+  /**
+   * Each baseline metric as a z-score against the person's norm (BaselineStore.norms()).
+   * The spread is floored at MIN_SPREAD so a metric that has barely varied
+   * doesn't turn a small change into a huge deviation.
+   * @returns {Object} { metric: { value, mean, sd, z } }
+   */
+  static relativeTo(profile, norms) {
+    const relative = {};
+    Object.entries(AlphaEye.baselineMetrics(profile)).forEach(([metric, value]) => {
+      const norm = norms[metric];
+      if (!norm || norm.n < 2) return;
+      const z = (value - norm.mean) / Math.max(norm.sd, AlphaEye.MIN_SPREAD);
+      relative[metric] = { value, mean: norm.mean, sd: norm.sd, z: Math.round(z * 10) / 10 };
+    });
+    return relative;
+  }
+
+  /**
+   * "1.8σ above your usual" / "about your usual"
+   */
+  static describeDeviation(z) {
+    if (Math.abs(z) < 0.5) return 'about your usual';
+    return Math.abs(z).toFixed(1) + 'σ ' + (z > 0 ? 'above' : 'below') + ' your usual';
+  }
+
   /**
    * Get the dominant mental state for therapy direction
    */
@@ -147,3 +427,38 @@ class AlphaEye {
     return top.key;
   }
 }
+
+AlphaEye.model = new AlphaEyeModel(AlphaEyeModel.BUILTIN);
+AlphaEye.fusion = new FusionEngine();
+AlphaEye.MIN_SPREAD = 5;    // points on the 0-100 scale
+AlphaEye.MIN_WINDOWS = 3;           // scan windows needed for intervals
+AlphaEye.BOOTSTRAP_SAMPLES = 400;
+AlphaEye.WIDE_INTERVAL = 0.3;       // interval wider than this share of the scale = uncertain
+
+// Engine readings whose inputs are explained together (pulse.heartRate, pulse.rmssd, ... as "pulse")
+AlphaEye.GROUPED_INPUTS = ['pulse', 'fatigue'];
+
+AlphaEye.INPUT_LABELS = {
+  'threat.aggression': 'Signs of aggression',
+  'threat.stress': 'Signs of stress',
+  'threat.tension': 'Facial tension',
+  'threat.badIntent': 'Signs of bad intent',
+  'threat.stability': 'Composure',
+  'neuro.expressionRange': 'Expression range',
+  'neuro.psychomotorIndex': 'Movement speed',
+  'neuro.gazeStability': 'Gaze stability',
+  'neuro.microTremorScore': 'Micro-tremor',
+  'deception.truthfulnessIndex': 'Truthfulness',
+  pulse: 'Camera pulse',
+  fatigue: 'Measured fatigue',
+  'fusion.stress': 'Stress (face, voice and pulse)'
+};
+AlphaEye.NOT_MEASURED = ' (not measured, typical value used)';
+
+// How the metrics are named in sentences
+AlphaEye.METRIC_NAMES = {
+  aggression: 'aggression', stress: 'stress', tension: 'tension', suspect: 'suspect',
+  balance: 'balance', charm: 'charm', energy: 'energy', selfRegulation: 'self-regulation',
+  inhibition: 'inhibition', neuroticism: 'neuroticism',
+  vitalityIndex: 'vitality', concentrationIndex: 'concentration'
+};
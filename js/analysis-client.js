@@ -0,0 +1,214 @@
+/* ============================================
+   ANALYSIS CLIENT - Main-Thread Handle to the
+   Analysis Worker
+   Posts packed face frames to js/analysis-worker.js
+   and exposes the worker's replies as promises.
+   Messages are handled in order, so a request
+   always sees every frame posted before it.
+   Falls back to an in-thread AnalysisPipeline
+   (same protocol) where workers are unavailable.
+   If the worker dies mid-scan, the frames posted
+   since the last reset are replayed into the
+   fallback and pending requests are answered
+   there, so the scan carries on where it was.
+   ============================================ */
+
+class AnalysisClient {
+    /**
+     * @param {string} [workerUrl]
+     */
+    constructor(workerUrl = AnalysisClient.WORKER_URL) {
+        this.nextId = 1;
+        this.pending = new Map();       // id -> { message, resolve, reject }
+        this.worker = null;
+        this.fallback = null;
+        this.replayLog = [];            // FRAME messages and request ids, in posting order, since the last reset
+        this.modelMessage = null;       // last MODEL message
+
+        try {
+            this.worker = new Worker(workerUrl);
+            this.worker.onmessage = (event) => this._onReply(event.data);
+            this.worker.onerror = (event) => this._onWorkerError(event);
+        } catch (err) {
+            console.warn('Analysis worker unavailable, analyzing on the main thread:', err);
+            this.fallback = new AnalysisPipeline();
+        }
+    }
+
+    get inWorker() {
+        return this.worker !== null;
+    }
+
+    // ── Requests ──
+
+    /**
+     * Discard all frames and engine state
+     */
+    reset() {
+        return this._request({ type: AnalysisPipeline.MESSAGES.RESET });
+    }
+
+    /**
+     * Queue one face frame for analysis (no reply)
+     * @param {string} personId
+     * @param {object} detection - face-api detection or FrameStore.pack() packet
+     * @param {number} [timestamp] - frame capture time in ms
+     */
+    processFrame(personId, detection, timestamp) {
+        const frame = FrameStore.pack(detection, timestamp);
+        this._post({ type: AnalysisPipeline.MESSAGES.FRAME, personId, frame, timestamp: frame.t });
+    }
+
+    /**
+     * Real-time { threat, deception } assessment of the latest frame
+     */
+    quickAssess(personId) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.QUICK, personId });
+    }
+
+    /**
+     * ThreatEngine.fullAnalysis() over the frames so far
+     */
+    threatSnapshot(personId) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.THREAT, personId });
+    }
+
+    /**
+     * FatigueEngine result over the most recent window (monitoring mode)
+     */
+    fatigue(personId) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.FATIGUE, personId });
+    }
+
+    /**
+     * Valence/arousal path of the frames captured since a time (monitoring mode)
+     * @param {string} personId
+     * @param {number} since - frame capture time in ms (performance.now() clock)
+     */
+    affect(personId, since) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.AFFECT, personId, since });
+    }
+
+    /**
+     * Post-scan analyses and AlphaEye profile
+     * @param {string} personId
+     * @param {object|null} vsaResult - VoiceStressEngine.fullAnalysis() result
+     * @param {object|null} [breathEnvelope] - VoiceStressEngine.breathEnvelope() result
+     * @returns {Promise<object>} { threat, deception, neuro, vsa, pulse, respiration, fatigue, actionUnits, affect, profile }
+     */
+    complete(personId, vsaResult, breathEnvelope) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.COMPLETE, personId, vsaResult, breathEnvelope });
+    }
+
+    /**
+     * Use another AlphaEye mapping model for every later complete()
+     * @param {object|string} model - AlphaEyeModel definition (object or JSON text)
+     * @returns {Promise<string>} the model version
+     */
+    setModel(model) {
+        return this._request({ type: AnalysisPipeline.MESSAGES.MODEL, model });
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._rejectAll(new Error('Analysis worker terminated'));
+    }
+
+    // ── Transport ──
+
+    _post(message) {
+        if (this.worker) {
+            this._remember(message);
+            this.worker.postMessage(message);
+        } else if (this.fallback) {
+            this.fallback.handleMessage(message);
+        }
+    }
+
+    _request(message) {
+        if (!this.worker) {
+            if (!this.fallback) return Promise.reject(new Error('Analysis worker terminated'));
+            try {
+                return Promise.resolve(this.fallback.handleMessage(message));
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
+        const id = this.nextId++;
+        this._remember(message, id);
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { message, resolve, reject });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    _onReply(reply) {
+        const request = this.pending.get(reply.id);
+        if (!request) return;
+        this.pending.delete(reply.id);
+
+        if (reply.type === AnalysisPipeline.MESSAGES.ERROR) {
+            request.reject(new Error(reply.message));
+        } else {
+            request.resolve(reply.payload);
+        }
+    }
+
+    // Keep what a fallback pipeline needs to rebuild the worker's state,
+    // and where each request falls between the frames
+    _remember(message, id) {
+        const M = AnalysisPipeline.MESSAGES;
+        if (message.type === M.RESET) this.replayLog = [];
+        if (message.type === M.MODEL) this.modelMessage = message;
+
+        if (message.type === M.FRAME) this.replayLog.push(message);
+        else if (id !== undefined) this.replayLog.push({ id });
+
+        // Bounded like FrameStore: the oldest frames go first
+        if (this.replayLog.length > AnalysisClient.MAX_REPLAY_FRAMES) {
+            this.replayLog.splice(0, Math.ceil(AnalysisClient.MAX_REPLAY_FRAMES / 4));
+        }
+    }
+
+    // Engine exceptions come back as ERROR replies, so this means the worker
+    // itself failed (e.g. a script didn't load): continue on the main thread
+    // from the frames the worker had been sent
+    _onWorkerError(event) {
+        console.error('Analysis worker failed, analyzing on the main thread:', event.message || event);
+        this.worker.terminate();
+        this.worker = null;
+        this.fallback = new AnalysisPipeline();
+
+        const replay = (this.modelMessage ? [this.modelMessage] : []).concat(this.replayLog);
+        this.replayLog = [];
+        replay.forEach(entry => {
+            if (entry.type) {
+                // Like the worker: a frame that fails is dropped, the rest go on
+                try { this.fallback.handleMessage(entry); } catch (err) { console.warn('Frame replay failed:', err); }
+                return;
+            }
+            // A request the worker never answered is answered at the same point of the scan
+            const request = this.pending.get(entry.id);
+            if (!request) return;
+            this.pending.delete(entry.id);
+            this._request(request.message).then(request.resolve, request.reject);
+        });
+
+        // Anything older than the last reset: the frames it asked about are gone
+        this._rejectAll(new Error(event.message || 'Analysis worker error'));
+    }
+
+    _rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+}
+
+AnalysisClient.WORKER_URL = 'js/analysis-worker.js';
+AnalysisClient.MAX_REPLAY_FRAMES = 36000;  // FrameStore's default maxFrames
+
+window.AnalysisClient = AnalysisClient;
@@ -0,0 +1,242 @@
+/* ============================================
+   ANALYSIS PIPELINE - Face Engines + Profile
+   Owns one FrameStore and the face engines that
+   read from it (Threat, Deception, Neuro), the
+   camera pulse engine (Rppg), the breathing
+   engine (Respiration) and the fatigue engine,
+   and turns a finished scan into an AlphaEye
+   profile. Each stored frame carries ActionUnits
+   estimates (one estimator per person, so each
+   face is compared to its own neutral), which the
+   AffectEstimator turns into a valence/arousal
+   path for the scan and for monitoring. Stress is
+   fused from face, voice and pulse (FusionEngine,
+   face weighted by frame quality). The face
+   engines also run on windows of the scan, and
+   the spread of the window profiles gives every
+   AlphaEye parameter its interval.
+   The live scan and SessionReplay both go through
+   here, so a replayed recording is analyzed by
+   exactly the same steps as the original scan.
+
+   Runs inside js/analysis-worker.js for the app;
+   handleMessage() is the worker's message protocol
+   (also used in-thread by AnalysisClient's fallback).
+   ============================================ */
+
+class AnalysisPipeline {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Discard all frames and start from fresh engine instances
+     */
+    reset() {
+        this.frameStore = new FrameStore();
+        this.threatEngine = new ThreatEngine(this.frameStore);
+        this.deceptionEngine = new DeceptionEngine(this.frameStore);
+        this.neuroAnalyzer = new NeuroAnalyzer();
+        this.frameQuality = new FrameQuality();
+        this.rppgEngine = new RppgEngine();
+        this.respirationEngine = new RespirationEngine();
+        this.fatigueEngine = new FatigueEngine();
+        this.affectEstimator = new AffectEstimator();
+        this.fusionEngine = new FusionEngine();
+        this.actionUnits = new Map();   // personId -> ActionUnits
+        this.lastQuick = new Map();     // personId -> latest { threat, deception }
+    }
+
+    /**
+     * Feed one face frame to every face engine
+     * @param {string} personId
+     * Packets carrying a FrameQuality assessment (packet.quality) are tallied
+     * for the quality report, and unusable ones never reach the engines.
+     * Packets carrying packet.skin (RppgEngine.sampleSkin) also feed the pulse engine.
+     * @param {object} detection - face-api detection or FrameStore.pack() packet
+     * @param {number} [timestamp] - frame capture time in ms
+     * @returns {object|null} { threat, deception } real-time assessments
+     */
+    processFrame(personId, detection, timestamp) {
+        if (detection.quality) {
+            this.frameQuality.record(personId, detection.quality, timestamp);
+            if (!detection.quality.usable) return this.lastQuick.get(personId) || null;
+        }
+
+        // One packet for every engine, with the person's action units added
+        const packet = FrameStore.pack(detection, timestamp);
+        if (!packet.aus && packet.landmarks) {
+            if (!this.actionUnits.has(personId)) this.actionUnits.set(personId, new ActionUnits());
+            packet.aus = this.actionUnits.get(personId).estimate(packet.landmarks, packet.expressions);
+        }
+
+        this.rppgEngine.processFrame(personId, packet, timestamp);
+        const quick = {
+            threat: this.threatEngine.processFrame(personId, packet, timestamp),
+            deception: this.deceptionEngine.processFrame(personId, packet, timestamp)
+        };
+        this.lastQuick.set(personId, quick);
+        return quick;
+    }
+
+    /**
+     * Run the post-scan analyses and build the AlphaEye profile
+     * @param {string} personId
+     * @param {object|null} vsaResult - VoiceStressEngine.fullAnalysis() result
+     * @param {object|null} [breathEnvelope] - VoiceStressEngine.breathEnvelope() result
+     * @returns {object} { threat, deception, neuro, vsa, pulse, respiration, fatigue, actionUnits, affect, profile }
+     *                   (actionUnits: ActionUnits.summarize() of the scan; profile.quality when frames were assessed,
+     *                   profile.respiration and profile.affect when measurable, profile.intervals
+     *                   (AlphaEye.intervals()) and profile.windows when the scan is long enough to window)
+     */
+    complete(personId, vsaResult, breathEnvelope) {
+        const frames = this.frameStore.all(personId);
+        // Scan quality first: it weighs the face wherever face and voice are fused
+        const quality = this.frameQuality.report(personId);
+        // Whole-scan results: the same frames the window profiles split up, so the
+        // intervals bracket the numbers they were bootstrapped for
+        const threat = this.threatEngine.analyzeFrames(personId, frames);
+        const deception = this.deceptionEngine.analyzeFrames(personId, frames, vsaResult, quality);
+        const blinks = this.deceptionEngine.blinkDetector(personId);
+        const neuro = this.neuroAnalyzer.analyze(frames, 30, blinks);
+        const pulse = this.rppgEngine.fullAnalysis(personId);
+        const fatigue = this.fatigueEngine.analyze(frames, blinks);
+        const stress = this.fusionEngine.fuseStress({ threat, vsa: vsaResult, pulse, quality });
+        const profile = AlphaEye.compute(threat, deception, neuro, vsaResult, pulse, fatigue, AlphaEye.model, stress);
+
+        const windows = this._windowProfiles(personId, frames, vsaResult, pulse, fatigue, quality, blinks);
+        const confidence = Math.min(threat.confidence, deception.confidenceLevel);
+        const intervals = AlphaEye.intervals(profile, windows, confidence);
+        if (intervals) {
+            profile.intervals = intervals;
+            // Kept so AlphaEye.recompute() can rebuild the intervals under another model
+            profile.windows = { confidence, inputs: windows.map(w => w.inputs) };
+        }
+
+        if (quality) profile.quality = quality;
+
+        const respiration = this.respirationEngine.analyze(frames, breathEnvelope);
+        if (respiration) profile.respiration = respiration;
+
+        const affect = this.affectEstimator.trajectory(frames, vsaResult);
+        if (affect) profile.affect = affect;
+
+        const actionUnits = ActionUnits.summarize(frames);
+
+        return { threat, deception, neuro, vsa: vsaResult, pulse, respiration, fatigue, actionUnits, affect, profile };
+    }
+
+    /**
+     * Current fatigue over the last FatigueEngine window (monitoring mode)
+     * @param {string} personId
+     * @returns {object|null} FatigueEngine.analyze() result
+     */
+    fatigue(personId) {
+        const recent = this.frameStore.lastSeconds(personId, this.fatigueEngine.windowSec);
+        if (recent.length === 0) return null;
+        return this.fatigueEngine.analyze(recent, this.deceptionEngine.blinkDetector(personId));
+    }
+
+    /**
+     * Valence/arousal path of the frames captured since a time (monitoring mode)
+     * @param {string} personId
+     * @param {number} since - frame capture time in ms
+     * @returns {object|null} AffectEstimator.trajectory() result
+     */
+    affect(personId, since) {
+        return this.affectEstimator.trajectory(this.frameStore.since(personId, since));
+    }
+
+    /**
+     * Dispatch one protocol message (types in AnalysisPipeline.MESSAGES)
+     * @param {object} message - { type, personId?, frame?, timestamp?, vsaResult?, breathEnvelope?, since?, model? }
+     * @returns {*} Reply payload (null for messages without a result)
+     */
+    handleMessage(message) {
+        const M = AnalysisPipeline.MESSAGES;
+        switch (message.type) {
+            case M.RESET:
+                this.reset();
+                return null;
+            case M.FRAME:
+                this.processFrame(message.personId, message.frame, message.timestamp);
+                return null;
+            case M.QUICK:
+                return this.lastQuick.get(message.personId) || null;
+            case M.THREAT:
+                return this.threatEngine.fullAnalysis(message.personId);
+            case M.FATIGUE:
+                return this.fatigue(message.personId);
+            case M.AFFECT:
+                return this.affect(message.personId, message.since);
+            case M.COMPLETE:
+                return this.complete(message.personId, message.vsaResult, message.breathEnvelope);
+            case M.MODEL:
+                return AlphaEye.loadModel(message.model).version;
+            default:
+                throw new Error('Unknown analysis message: ' + message.type);
+        }
+    }
+
+    // ── Private Methods ──
+
+    // AlphaEye profiles of up to MAX_WINDOWS equal, consecutive spans of the scan.
+    // Pulse and fatigue need longer than a window, so they stay scan-wide; blinks
+    // are the scan's detector's events inside each window.
+    _windowProfiles(personId, frames, vsaResult, pulse, fatigue, quality, blinks) {
+        const duration = FrameStore.durationSec(frames);
+        const count = Math.min(AnalysisPipeline.MAX_WINDOWS, Math.floor(duration / AnalysisPipeline.WINDOW_SEC));
+        if (count < AlphaEye.MIN_WINDOWS) return [];
+
+        const times = FrameStore.relativeTimes(frames);
+        const span = duration / count;
+        const windows = Array.from({ length: count }, () => []);
+        frames.forEach((frame, i) => windows[Math.min(count - 1, Math.floor(times[i] / span))].push(frame));
+
+        return windows.map(windowFrames => {
+            const threat = this.threatEngine.analyzeFrames(personId, windowFrames);
+            const windowBlinks = blinks && windowFrames.length > 0 && blinks.slice(
+                windowFrames[0].timestamp, windowFrames[windowFrames.length - 1].timestamp, windowFrames.length);
+            return AlphaEye.compute(
+                threat,
+                this.deceptionEngine.analyzeFrames(personId, windowFrames, vsaResult, quality),
+                this.neuroAnalyzer.analyze(windowFrames, 30, windowBlinks),
+                vsaResult, pulse, fatigue, AlphaEye.model,
+                this.fusionEngine.fuseStress({ threat, vsa: vsaResult, pulse, quality })
+            );
+        });
+    }
+}
+
+AnalysisPipeline.WINDOW_SEC = 4;        // shortest window for the interval estimate
+AnalysisPipeline.MAX_WINDOWS = 8;
+
+/**
+ * Message protocol between AnalysisClient (main thread) and the analysis worker.
+ * Requests carry an optional numeric id; only requests with an id get a reply
+ * { id, type: RESULT, payload } or { id, type: ERROR, message }.
+ *   RESET    {}                                  -> null
+ *   FRAME    { personId, frame, timestamp }      -> null (FrameStore.pack() packet)
+ *   QUICK    { personId }                        -> { threat, deception } | null
+ *   THREAT   { personId }                        -> ThreatEngine.fullAnalysis()
+ *   FATIGUE  { personId }                        -> FatigueEngine.analyze() of the last window | null
+ *   AFFECT   { personId, since }                 -> AffectEstimator.trajectory() of frames since `since` | null
+ *   COMPLETE { personId, vsaResult, breathEnvelope }
+ *                                               -> { threat, deception, neuro, vsa, pulse, respiration, fatigue,
+ *                                                    actionUnits, affect, profile }
+ *   MODEL    { model }                           -> version (AlphaEye.loadModel(); JSON model definition)
+ */
+AnalysisPipeline.MESSAGES = {
+    RESET: 'reset',
+    FRAME: 'frame',
+    QUICK: 'quick',
+    THREAT: 'threat',
+    FATIGUE: 'fatigue',
+    AFFECT: 'affect',
+    COMPLETE: 'complete',
+    MODEL: 'model',
+    RESULT: 'result',
+    ERROR: 'error'
+};
+
+self.AnalysisPipeline = AnalysisPipeline;
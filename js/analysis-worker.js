@@ -0,0 +1,48 @@
+/* ============================================
+   ANALYSIS WORKER - Face Engines off the UI Thread
+   Hosts one AnalysisPipeline (FrameStore, Threat,
+   Deception, Neuro, AlphaEye) and answers the
+   message protocol in AnalysisPipeline.MESSAGES.
+   The main thread only posts packed frames and
+   awaits results through AnalysisClient.
+   ============================================ */
+
+importScripts(
+    'dsp.js',
+    'contributions.js',
+    'head-pose.js',
+    'frame-store.js',
+    'face-align.js',
+    'blink-detector.js',
+    'action-units.js',
+    'landmark-filter.js',
+    'frame-quality.js',
+    'threat-engine.js',
+    'fusion-engine.js',
+    'deception-engine.js',
+    'neuro-analyzer.js',
+    'rppg-engine.js',
+    'respiration-engine.js',
+    'fatigue-engine.js',
+    'affect-estimator.js',
+    'alpha-eye-model.js',
+    'alpha-eye.js',
+    'analysis-pipeline.js'
+);
+
+const pipeline = new AnalysisPipeline();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    const M = AnalysisPipeline.MESSAGES;
+    let reply;
+
+    try {
+        reply = { id: message.id, type: M.RESULT, payload: pipeline.handleMessage(message) };
+    } catch (err) {
+        reply = { id: message.id, type: M.ERROR, message: err.message };
+    }
+
+    // Fire-and-forget messages (no id) get no reply
+    if (message.id !== undefined) self.postMessage(reply);
+};
@@ -21,6 +21,8 @@ const DEFAULTS = {
   ttsEnabled: true,
   ttsSpeed: 1.0,
   language: 'en',
+  recordScans: false,
+  fatigueAlerts: true,
 };
 
 let settings = loadSettings();
@@ -86,8 +88,9 @@ function toggleTheme() {
 // ============================================
 // ENGINE INSTANCES
 // ============================================
-let threatEngine, deceptionEngine, neuroAnalyzer, voiceStressEngine;
+let analysis, faceTracker, voiceStressEngine;
 let ollamaClient, therapyEngine, avatarEngine;
+let baselineStore;
 let cameraStream = null;
 let audioStream = null;
 let isScanning = false;
@@ -95,10 +98,20 @@ let scanTimer = null;
 let scanStartTime = null;
 let frameCount = 0;
 let lastProfile = null;
+let personProfiles = new Map();   // personId -> profile of the last scan
+let selectedPersonId = null;
 let modelsLoaded = false;
 let chatMessages = [];
 let monitorInterval = null;
+let monitorSessionStart = null;   // first monitoring start this page session
+let lastFatigueCheck = 0;
+let lastFatigueWarning = 0;
+let monitorAffectSince = null;    // frame time the last scan ended; monitoring affect path starts here
+let lastAffectCheck = 0;
 let lipSyncInterval = null;
+let sessionRecorder = null;
+let lastRecording = null;
+let sessionTimeline = null;       // SessionTimeline since the last scan started; chat and avatar speech keep adding to it
 
 // ============================================
 // INITIALIZATION
@@ -107,16 +120,17 @@ async function init() {
   initTheme();
   initNav();
   initChat();
+  initVideoAnalysis();
   initGenderToggle();
 
   document.getElementById('themeToggle').addEventListener('click', toggleTheme);
 
-  // Engines
-  threatEngine = new ThreatEngine();
-  deceptionEngine = new DeceptionEngine();
-  neuroAnalyzer = new NeuroAnalyzer();
+  // Engines (face engines run in the analysis worker)
+  analysis = new AnalysisClient();
+  faceTracker = new FaceTracker();
   voiceStressEngine = new VoiceStressEngine();
   therapyEngine = new TherapyEngine();
+  baselineStore = new BaselineStore();
   ollamaClient = new OllamaClient(settings.ollamaUrl, settings.ollamaModel);
 
   // Avatar
@@ -264,7 +278,9 @@ function avatarSpeak(text) {
     else if (settings.language === 'zh') utterance.lang = 'zh-CN';
     else utterance.lang = 'en-US';
 
+    let endSpoken = null;
     utterance.onstart = () => {
+      endSpoken = logTimelineEvent('avatar.speech', { label: text });
       avatarEngine.setState('speaking');
       lipSyncInterval = setInterval(() => {
         avatarEngine.setMouthOpen(Math.random() * 0.5 + 0.15);
@@ -272,6 +288,7 @@ function avatarSpeak(text) {
     };
 
     utterance.onend = () => {
+      if (endSpoken) endSpoken();
       clearInterval(lipSyncInterval);
       lipSyncInterval = null;
       avatarEngine.setMouthOpen(0);
@@ -279,6 +296,7 @@ function avatarSpeak(text) {
     };
 
     utterance.onerror = () => {
+      if (endSpoken) endSpoken();
       clearInterval(lipSyncInterval);
       lipSyncInterval = null;
       avatarEngine.setMouthOpen(0);
@@ -311,8 +329,11 @@ async function triggerScan() {
   await startMicrophone();
 
   // Reset engines
-  threatEngine = new ThreatEngine();
-  deceptionEngine = new DeceptionEngine();
+  analysis.reset();
+  faceTracker.reset();
+  voiceStressEngine.clearAll();
+  startSessionRecording('camera', !!audioStream);
+  startSessionTimeline();
 
   isScanning = true;
   frameCount = 0;
@@ -349,6 +370,7 @@ async function triggerScan() {
 
 function stopScan() {
   isScanning = false;
+  if (sessionRecorder) { sessionRecorder.finish(); sessionRecorder = null; }
   if (scanTimer) { clearInterval(scanTimer); scanTimer = null; }
   document.getElementById('scanIndicator').classList.remove('active');
   avatarEngine.setState('idle');
@@ -365,22 +387,9 @@ async function completeScan() {
   document.getElementById('ollamaStatus').classList.remove('scanning');
 
   try {
-    const vsaResult = voiceStressEngine.fullAnalysis();
-    const threatResult = threatEngine.fullAnalysis('user');
-    const deceptionResult = deceptionEngine.fullAnalysis('user', vsaResult);
-    const frameHistory = threatEngine.frameHistory ? threatEngine.frameHistory.get('user') : [];
-    const neuroResult = neuroAnalyzer.analyze(frameHistory || [], 30);
-
-    lastProfile = AlphaEye.compute(threatResult, deceptionResult, neuroResult, vsaResult);
-
-    // Save to history
-    scanHistory.unshift({
-      timestamp: Date.now(),
-      params: lastProfile.params,
-      stateOfMind: lastProfile.stateOfMind,
-      dominantState: AlphaEye.getDominantState(lastProfile.params)
-    });
-    saveHistory();
+    await finalizeProfile();
+    applyBaseline(lastProfile);
+    monitorAffectSince = performance.now();
 
     // Avatar announces results
     avatarEngine.setState('idle');
@@ -401,7 +410,8 @@ async function completeScan() {
     // Render results
     showResults();
 
-    // Start background monitoring
+    // Background monitoring takes the camera over; the scan's mic stream ends here
+    stopMicrophone();
     startMonitoring();
 
     // Auto-activate mic so user can immediately talk
@@ -409,14 +419,84 @@ async function completeScan() {
 
   } catch (err) {
     console.error('Analysis error:', err);
+    if (sessionRecorder) { sessionRecorder.finish(); sessionRecorder = null; }
     avatarEngine.setState('idle');
     appendChatBubble('assistant', "I had trouble reading you this time. Let's just chat instead!");
     document.getElementById('btnRescan').classList.add('visible');
     setTimeout(() => autoStartMic(), 2000);
+    stopCamera();
+    stopMicrophone();
   }
+}
 
-  stopCamera();
-  stopMicrophone();
+/**
+ * Turn the finished scan (live or video) into a profile per tracked person.
+ * lastProfile is the primary person's (most face frames); only they get the
+ * voice analysis, since the microphone can't tell speakers apart.
+ */
+async function finalizeProfile() {
+  const vsaResult = voiceStressEngine.fullAnalysis();
+  const breathEnvelope = voiceStressEngine.breathEnvelope();
+  const primaryId = faceTracker.primaryId() || 'user';
+  const personIds = faceTracker.personIds();
+  if (!personIds.includes(primaryId)) personIds.unshift(primaryId);
+
+  personProfiles = new Map();
+  let primaryResult = null;
+  for (const personId of personIds) {
+    const isPrimary = personId === primaryId;
+    const result = await analysis.complete(personId, isPrimary ? vsaResult : null, isPrimary ? breathEnvelope : null);
+    personProfiles.set(personId, result.profile);
+    if (isPrimary) primaryResult = result;
+    if (sessionRecorder) sessionRecorder.recordActionUnits(personId, result.actionUnits);
+  }
+  selectedPersonId = primaryId;
+  lastProfile = personProfiles.get(primaryId);
+  if (lastProfile.quality && lastProfile.quality.recommendRescan) {
+    showToast(lastProfile.quality.message, 'error');
+  }
+
+  if (sessionRecorder) {
+    sessionRecorder.finish(lastProfile, primaryId);
+    lastRecording = sessionRecorder;
+    sessionRecorder = null;
+  }
+
+  if (sessionTimeline) {
+    sessionTimeline.addFace(primaryResult.deception.deceptionTimeline);
+    sessionTimeline.addMicroExpressions(primaryResult.deception.microExpressions);
+    sessionTimeline.addAffect(primaryResult.affect);
+    if (sessionTimeline.anchored('audio')) sessionTimeline.addVoice(vsaResult.vsaTimeline);
+    lastProfile.timeline = sessionTimeline;
+  }
+
+  // Save to history
+  scanHistory.unshift({
+    timestamp: Date.now(),
+    params: lastProfile.params,
+    stateOfMind: lastProfile.stateOfMind,
+    dominantState: AlphaEye.getDominantState(lastProfile.params),
+    model: lastProfile.model,
+    inputs: lastProfile.inputs,
+    sources: lastProfile.sources,
+    fusion: lastProfile.fusion,
+    windows: lastProfile.windows
+  });
+  saveHistory();
+  return lastProfile;
+}
+
+/**
+ * Read a live scan against the user's own norm (once BaselineStore has enough
+ * past scans), then learn from it. Video files and scans flagged for a rescan
+ * are not learned: they may be someone else, or unreliable.
+ */
+function applyBaseline(profile) {
+  baselineStore.useModel(profile.model);
+  profile.baseline = { scans: baselineStore.scans, needed: BaselineStore.MIN_SCANS };
+  if (baselineStore.ready) profile.relative = AlphaEye.relativeTo(profile, baselineStore.norms());
+  if (profile.quality && profile.quality.recommendRescan) return;
+  baselineStore.add(AlphaEye.baselineMetrics(profile));
 }
 
 function autoStartMic() {
@@ -433,6 +513,9 @@ async function detectLoop() {
   if (!isScanning) return;
   const video = document.getElementById('cameraVideo');
 
+  // Capture time is taken before inference so frame timing reflects the video, not model latency
+  const frameTime = performance.now();
+
   try {
     const detections = await faceapi
       .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.4 }))
@@ -441,8 +524,7 @@ async function detectLoop() {
 
     if (detections.length > 0) {
       frameCount++;
-      threatEngine.processFrame('user', detections[0]);
-      deceptionEngine.processFrame('user', detections[0]);
+      trackFaces(detections, frameTime, video);
 
       if (audioStream) {
         try { voiceStressEngine.processAudioFrame(); } catch (e) {}
@@ -453,37 +535,126 @@ async function detectLoop() {
   if (isScanning) requestAnimationFrame(detectLoop);
 }
 
+/**
+ * Route each detected face to its tracked person's engine history,
+ * tagged with its FrameQuality assessment (the pipeline gates on it)
+ * and its mean skin color for the pulse engine
+ * @returns {Array} [{ personId, packet }]
+ */
+function trackFaces(detections, frameTime, video) {
+  const tracked = faceTracker.update(detections, frameTime);
+  tracked.forEach(({ personId, packet }) => {
+    packet.quality = assessFrameQuality(packet, video);
+    packet.skin = sampleSkin(packet, video);
+    if (sessionRecorder) sessionRecorder.recordFace(personId, packet, frameTime);
+    analysis.processFrame(personId, packet, frameTime);
+  });
+  return tracked;
+}
+
+let qualityCanvas = null;
+
+function assessFrameQuality(packet, video) {
+  const context = { frameWidth: video.videoWidth, frameHeight: video.videoHeight };
+  try {
+    if (!qualityCanvas) qualityCanvas = document.createElement('canvas');
+    Object.assign(context, FrameQuality.measureImage(video, packet.box, qualityCanvas));
+  } catch (e) {}
+  return FrameQuality.assess(packet, context);
+}
+
+let skinCanvas = null;
+
+function sampleSkin(packet, video) {
+  try {
+    if (!skinCanvas) skinCanvas = document.createElement('canvas');
+    return RppgEngine.sampleSkin(video, packet.landmarks, skinCanvas);
+  } catch (e) {
+    return null;
+  }
+}
+
 // ============================================
 // BACKGROUND MONITORING (5fps during chat)
 // ============================================
+const FATIGUE_CHECK_MS = 30000;
+const FATIGUE_WARN_LEVEL = 50;
+const FATIGUE_WARN_COOLDOWN_MS = 10 * 60 * 1000;
+const AFFECT_CHECK_MS = 15000;
+
 function startMonitoring() {
-  if (monitorInterval) return;
+  if (monitorInterval || isScanning) return;
+  if (!monitorSessionStart) monitorSessionStart = Date.now();
 
   startCamera().then(ok => {
     if (!ok) return;
     monitorInterval = setInterval(async () => {
       const video = document.getElementById('cameraVideo');
-      if (!video || video.readyState < 2) return;
+      if (!video || video.readyState < 2 || isScanning) return;
+      const frameTime = performance.now();
 
       try {
         const dets = await faceapi
           .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.4 }))
           .withFaceLandmarks()
           .withFaceExpressions();
+        // Monitoring stopped or a scan (camera or video file) began during detection
+        if (!monitorInterval || isScanning) return;
 
         if (dets.length > 0) {
-          threatEngine.processFrame('user', dets[0]);
-          deceptionEngine.processFrame('user', dets[0]);
-          const quick = threatEngine.fullAnalysis('user');
+          trackFaces(dets, frameTime, video);
+          const quick = await analysis.threatSnapshot(faceTracker.primaryId());
           if (quick && quick.metrics) {
             updateTherapyBadge(AlphaEye.getDominantState(quick.metrics));
           }
+          checkFatigue();
+          updateMonitorAffect();
         }
       } catch (e) {}
     }, 200);
   });
 }
 
+/**
+ * Fatigue monitoring mode: every FATIGUE_CHECK_MS, score the last minute of
+ * monitoring frames and warn (at most once per cooldown) when the user is
+ * getting too tired to keep going
+ */
+async function checkFatigue() {
+  const now = Date.now();
+  if (!settings.fatigueAlerts || now - lastFatigueCheck < FATIGUE_CHECK_MS) return;
+  lastFatigueCheck = now;
+
+  const fatigue = await analysis.fatigue(faceTracker.primaryId());
+  if (!fatigue || fatigue.level < FATIGUE_WARN_LEVEL) return;
+  if (now - lastFatigueWarning < FATIGUE_WARN_COOLDOWN_MS) return;
+  lastFatigueWarning = now;
+
+  const minutes = Math.round((now - monitorSessionStart) / 60000);
+  const signs = [];
+  if (fatigue.perclos >= 10) signs.push('your eyes are closing more often');
+  if (fatigue.yawns > 0) signs.push("you're yawning");
+  if (fatigue.nods > 0) signs.push('your head is nodding');
+  const why = signs.length > 0 ? ' — ' + signs.join(', ') : '';
+
+  showToast('Fatigue: ' + fatigue.label, 'error');
+  appendChatBubble('assistant', "You look " + fatigue.label.toLowerCase() + why + ". We've been at it for " + minutes + " minutes; it might be a good moment to take a break or call it a night.");
+}
+
+/**
+ * Extend the State of Mind path into the monitoring period: every
+ * AFFECT_CHECK_MS, the valence/arousal path of the frames since the scan
+ * is attached to the primary profile and drawn on the next Results view
+ */
+async function updateMonitorAffect() {
+  const now = Date.now();
+  if (!lastProfile || monitorAffectSince === null || now - lastAffectCheck < AFFECT_CHECK_MS) return;
+  lastAffectCheck = now;
+
+  const affect = await analysis.affect(faceTracker.primaryId(), monitorAffectSince);
+  if (affect) lastProfile.monitorAffect = affect;
+}
+
 function stopMonitoring() {
   if (monitorInterval) { clearInterval(monitorInterval); monitorInterval = null; }
   stopCamera();
@@ -505,7 +676,130 @@ function updateTherapyBadge(state) {
 // ============================================
 function showResults() {
   if (!lastProfile) return;
-  Charts.renderAllResults(lastProfile, document.getElementById('resultsContent'));
+  renderPersonSelect();
+  const profile = personProfiles.get(selectedPersonId) || lastProfile;
+  Charts.renderAllResults(profile, document.getElementById('resultsContent'));
+}
+
+// One button per tracked person when the last scan saw more than one face;
+// choosing one only changes the Results view, the companion keeps the primary profile
+function renderPersonSelect() {
+  const container = document.getElementById('personSelect');
+  if (!container) return;
+  if (personProfiles.size < 2) {
+    container.classList.remove('visible');
+    return;
+  }
+
+  const buttons = Array.from(personProfiles.keys()).map((personId, i) =>
+    `<button class="duration-btn ${personId === selectedPersonId ? 'active' : ''}" data-person="${personId}">${i === 0 ? 'Primary' : 'Person ' + (i + 1)}</button>`
+  ).join('');
+  container.innerHTML = `<span>${personProfiles.size} people tracked</span><div class="duration-selector">${buttons}</div>`;
+  container.classList.add('visible');
+
+  container.querySelectorAll('[data-person]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      selectedPersonId = btn.dataset.person;
+      showResults();
+    });
+  });
+}
+
+// ============================================
+// SESSION RECORDING + REPLAY
+// ============================================
+function startSessionRecording(source, hasAudio) {
+  sessionRecorder = null;
+  if (!settings.recordScans) return;
+
+  sessionRecorder = new SessionRecorder();
+  sessionRecorder.start({
+    source,
+    scanDuration: source === 'camera' ? settings.scanDuration : null,
+    audio: hasAudio ? { sampleRate: voiceStressEngine.sampleRate, fftSize: voiceStressEngine.fftSize } : null
+  });
+  if (hasAudio) sessionRecorder.attach(voiceStressEngine);
+}
+
+/**
+ * A fresh SessionTimeline for a live scan. Face frames and the UI both run on
+ * performance.now(), so only the audio clock needs tying to it.
+ */
+function startSessionTimeline() {
+  sessionTimeline = new SessionTimeline();
+  const ctx = voiceStressEngine.audioContext;
+  if (audioStream && ctx) anchorAudioClock(ctx.currentTime, performance.now());
+}
+
+/**
+ * Tie the audio clock to the face frame clock, for the voice engine (its
+ * timeline is blended into the affect path) and the session timeline alike
+ * @param {number} audioTime - audio-clock seconds
+ * @param {number} frameTime - the same moment on the frame clock, ms
+ */
+function anchorAudioClock(audioTime, frameTime) {
+  voiceStressEngine.anchorFrameClock(audioTime, frameTime);
+  sessionTimeline.anchor('audio', audioTime * 1000, frameTime);
+}
+
+/**
+ * Log a chat message or avatar utterance on the session timeline (UI clock)
+ * @returns {Function|null} ends the event as a span, e.g. when speech stops
+ */
+function logTimelineEvent(track, data) {
+  if (!sessionTimeline) return null;
+  const timeline = sessionTimeline;
+  const entry = timeline.event(track, performance.now(), data, 'ui');
+  return () => timeline.close(entry, performance.now(), 'ui');
+}
+
+function downloadRecording(recorder) {
+  const blob = new Blob([recorder.toNDJSON()], { type: 'application/x-ndjson' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'microsense-session-' + recorder.header.createdAt.replace(/[:.]/g, '-') + '.ndjson';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function replayRecording(file) {
+  if (isScanning) {
+    showToast('Finish the current scan first', 'error');
+    return;
+  }
+
+  // A client of its own: the replay runs in a fresh analysis worker, apart from the live one
+  const client = new AnalysisClient();
+  try {
+    const recording = SessionRecorder.parse(await file.text());
+    showToast('Replaying recording...', 'info');
+    const replay = await SessionReplay.run(recording, client);
+    lastProfile = replay.profile;
+    personProfiles = new Map([[replay.personId, replay.profile]]);
+    selectedPersonId = replay.personId;
+
+    if (replay.differences === null) {
+      showToast('Replayed recording', 'success');
+    } else {
+      // Shown on the Results tab
+      lastProfile.replay = { differences: replay.differences };
+      if (replay.differences.length === 0) {
+        showToast('Replay matches recorded profile', 'success');
+      } else {
+        showToast('Replay differs in ' + replay.differences.length + ' values (see Results)', 'error');
+      }
+    }
+
+    document.querySelector('[data-tab="panelResults"]')?.click();
+  } catch (err) {
+    console.error('Replay error:', err);
+    showToast('Could not replay recording: ' + err.message, 'error');
+  } finally {
+    client.terminate();
+  }
 }
 
 // ============================================
@@ -586,11 +880,32 @@ function generateFallbackResponse(userText) {
     return greetings[Math.floor(Math.random() * greetings.length)];
   }
 
+  // "Why is my stress 72?" - the breakdown behind one number
+  if (lower.match(/\bwhy\b/)) {
+    const asked = lower.replace(/self[\s-]?reg\w*/, 'self-regulation');
+    const metric = Object.keys(AlphaEye.METRIC_NAMES).find(k => asked.includes(AlphaEye.METRIC_NAMES[k]));
+    if (metric) {
+      if (!lastProfile) return "I haven't read you yet, so there's nothing to explain. Say 'read me' when you're ready!";
+      const explanation = AlphaEye.explain(lastProfile, metric);
+      if (!explanation) return "This saved scan only kept its numbers, not what went into them, so I can't break that one down. A new scan will have the full breakdown.";
+      return `${explanation} These are signs the camera picked up, not a verdict on you. Does that fit how you feel?`;
+    }
+  }
+
   // Feeling/emotion questions
   if (lower.match(/(how am i|my results|my scan|my reading|what did you see|tell me more)/)) {
     if (lastProfile) {
       const p = lastProfile.params;
       const quadrant = lastProfile.stateOfMind.quadrant;
+      const keys = ['stress', 'energy', 'balance'];
+      // Noisy or too-short scans get a range and softer wording instead of a flat number
+      const uncertain = !lastProfile.intervals || keys.some(k => AlphaEye.isUncertain(lastProfile, k));
+      const reading = k => (AlphaEye.isUncertain(lastProfile, k)
+        ? `somewhere between ${lastProfile.intervals[k].low} and ${lastProfile.intervals[k].high}`
+        : `${uncertain ? 'around ' : ''}${p[k]}`);
+      if (uncertain) {
+        return `Your reading suggests a ${quadrant.toLowerCase()} state, though it was noisy, so take it loosely. Your stress looks ${reading('stress')}, energy ${reading('energy')}, and balance ${reading('balance')}. How does that match how you actually feel?`;
+      }
       return `Based on your reading, you're in a ${quadrant.toLowerCase()} state. Your stress is at ${p.stress}, energy at ${p.energy}, and balance at ${p.balance}. ${dir.techniques[0]} might help you feel even better.`;
     }
     return "I haven't had a chance to read you fully yet. Let me scan you — just say 'read me' when you're ready!";
@@ -675,6 +990,7 @@ function appendChatBubble(role, text) {
   bubble.textContent = text;
   container.appendChild(bubble);
   container.scrollTop = container.scrollHeight;
+  logTimelineEvent('chat', { role, label: text });
   return bubble;
 }
 
@@ -806,6 +1122,295 @@ function initGenderToggle() {
   });
 }
 
+// ============================================
+// VIDEO FILE ANALYSIS
+// ============================================
+let videoAnalysis = null;
+
+function initVideoAnalysis() {
+  const panel = document.getElementById('panelResults');
+  const btn = document.getElementById('btnAnalyzeVideo');
+  const input = document.getElementById('videoFileInput');
+  if (!panel || !btn || !input) return;
+
+  btn.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    input.value = '';
+    if (file) analyzeVideoFile(file);
+  });
+
+  // Drag-and-drop anywhere on the Results tab
+  panel.addEventListener('dragover', e => {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    panel.classList.add('drop-active');
+  });
+  panel.addEventListener('dragleave', e => {
+    if (!panel.contains(e.relatedTarget)) panel.classList.remove('drop-active');
+  });
+  panel.addEventListener('drop', e => {
+    e.preventDefault();
+    panel.classList.remove('drop-active');
+    const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('video/'));
+    if (file) analyzeVideoFile(file);
+    else showToast('Drop a video file to analyze', 'error');
+  });
+}
+
+function setVideoStatus(text) {
+  const el = document.getElementById('videoAnalyzeText');
+  if (el) el.textContent = text;
+}
+
+const VIDEO_FRAME_STEP_SEC = 1 / 30;   // faces are read at this rate, whatever the file's own frame rate
+const VIDEO_AUDIO_POLL_MS = 33;
+
+async function analyzeVideoFile(file) {
+  if (isScanning) {
+    showToast('A scan is already running', 'error');
+    return;
+  }
+  if (!modelsLoaded) {
+    showToast('Face detection not ready', 'error');
+    return;
+  }
+
+  // Busy before the first await, so a camera scan can't start and be reset under the file.
+  // Monitoring and the mic are restored when the file is done: its soundtrack takes over the voice engine.
+  const session = {
+    video: null, sound: null, url: null, name: file.name, hasAudio: false,
+    wasMonitoring: !!monitorInterval, hadMicrophone: !!audioStream,
+    facesDone: false, soundDone: false, audioTimer: null
+  };
+  videoAnalysis = session;
+  isScanning = true;
+  document.getElementById('btnAnalyzeVideo').disabled = true;
+  stopMonitoring();
+
+  // Two elements per file: faces are read from a paused element seeked frame by
+  // frame, so landmarks and timestamps always belong to the same frame however
+  // slow detection is, while the soundtrack plays in real time through the voice
+  // engine. Fresh elements per file: an element can only feed one MediaElementSource.
+  const url = URL.createObjectURL(file);
+  session.url = url;
+  const loads = await Promise.allSettled([loadVideoElement(url), loadVideoElement(url)]);
+  const failed = loads.find(r => r.status === 'rejected');
+  if (failed) {
+    loads.forEach(r => { if (r.status === 'fulfilled') r.value.remove(); });
+    URL.revokeObjectURL(url);
+    videoAnalysis = null;
+    isScanning = false;
+    document.getElementById('btnAnalyzeVideo').disabled = false;
+    showToast(failed.reason.message, 'error');
+    if (session.wasMonitoring) startMonitoring();
+    return;
+  }
+  const video = loads[0].value;
+  let sound = loads[1].value;
+  session.video = video;
+
+  // Reset engines; voice analysis listens to the file's own soundtrack
+  analysis.reset();
+  faceTracker.reset();
+  let hasAudio = false;
+  try {
+    await voiceStressEngine.initFromMediaElement(sound);
+    if (voiceStressEngine.audioContext.state === 'suspended') await voiceStressEngine.audioContext.resume();
+    hasAudio = true;
+  } catch (err) {
+    console.warn('Video audio unavailable:', err);
+  }
+  if (!hasAudio) { sound.remove(); sound = null; }
+  Object.assign(session, { sound, hasAudio, soundDone: !hasAudio });
+  voiceStressEngine.clearAll();
+  startSessionRecording('video', hasAudio);
+  sessionTimeline = new SessionTimeline();
+  frameCount = 0;
+
+  avatarEngine.setState('scanning');
+  avatarEngine.setScanProgress(0);
+  setVideoStatus('Analyzing ' + file.name + '...');
+
+  // Face frames are stamped with media time: tie the audio and UI clocks to it as the soundtrack starts
+  if (hasAudio) {
+    sound.onended = () => finishVideoSound(session);
+    sound.onerror = () => finishVideoSound(session);
+    try {
+      await sound.play();
+      const mediaMs = sound.currentTime * 1000;
+      anchorAudioClock(voiceStressEngine.audioContext.currentTime, mediaMs);
+      sessionTimeline.anchor('ui', performance.now(), mediaMs);
+      session.audioTimer = setInterval(() => {
+        try { voiceStressEngine.processAudioFrame(); } catch (e) {}
+      }, VIDEO_AUDIO_POLL_MS);
+    } catch (err) {
+      console.error('Video soundtrack playback error:', err);
+      finishVideoSound(session);
+    }
+  } else {
+    sessionTimeline.anchor('ui', performance.now(), 0);
+  }
+
+  readVideoFrames(session);
+}
+
+/**
+ * A hidden video element for a file, once its first frame and its duration are known
+ * @returns {Promise<HTMLVideoElement>}
+ */
+async function loadVideoElement(url) {
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.src = url;
+  document.getElementById('hiddenCamera').appendChild(video);
+
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error('Unsupported video format'));
+    });
+    video.onloadeddata = null;
+    video.onerror = null;
+
+    // Recorded WebM often carries no duration until the end has been seen
+    if (video.duration === Infinity) {
+      await seekVideo(video, 1e7);
+      await seekVideo(video, 0);
+    }
+    if (!(video.duration > 0) || !isFinite(video.duration)) throw new Error('Could not read the video length');
+  } catch (err) {
+    video.remove();
+    throw err;
+  }
+  return video;
+}
+
+/**
+ * Seek and wait until the frame at that time is decoded
+ */
+function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    if (!video.seeking && video.readyState >= 2 && video.currentTime === time) {
+      resolve();
+      return;
+    }
+    const done = ok => {
+      video.removeEventListener('seeked', onSeeked);
+      video.removeEventListener('error', onError);
+      if (ok) resolve(); else reject(new Error('Video seek failed'));
+    };
+    const onSeeked = () => done(true);
+    const onError = () => done(false);
+    video.addEventListener('seeked', onSeeked);
+    video.addEventListener('error', onError);
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Step through the file at VIDEO_FRAME_STEP_SEC, detecting faces on each
+ * frame only once it is decoded. Frame times are media times.
+ */
+async function readVideoFrames(session) {
+  const video = session.video;
+  const frames = Math.floor(video.duration / VIDEO_FRAME_STEP_SEC) + 1;
+
+  for (let i = 0; i < frames; i++) {
+    const time = Math.min(i * VIDEO_FRAME_STEP_SEC, video.duration);
+    try {
+      await seekVideo(video, time);
+    } catch (err) {
+      console.error('Video frame error:', err);
+      break;
+    }
+    if (session !== videoAnalysis) return;
+
+    try {
+      const detections = await faceapi
+        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.4 }))
+        .withFaceLandmarks()
+        .withFaceExpressions();
+      if (session !== videoAnalysis) return;
+
+      if (detections.length > 0) {
+        frameCount++;
+        trackFaces(detections, time * 1000, video);
+      }
+    } catch (e) {}
+
+    updateVideoProgress(session, (i + 1) / frames);
+  }
+
+  session.facesDone = true;
+  if (session.soundDone) completeVideoAnalysis(session);
+  else setVideoStatus('Analyzing ' + session.name + '... finishing the soundtrack');
+}
+
+function finishVideoSound(session) {
+  if (session.audioTimer) { clearInterval(session.audioTimer); session.audioTimer = null; }
+  session.soundDone = true;
+  if (session.facesDone) completeVideoAnalysis(session);
+}
+
+// Progress is the slower of the face pass and the soundtrack
+function updateVideoProgress(session, faceProgress) {
+  const sound = session.sound;
+  const soundProgress = !session.soundDone && sound && sound.duration > 0 ? sound.currentTime / sound.duration : 1;
+  const progress = Math.min(1, faceProgress, soundProgress);
+  avatarEngine.setScanProgress(progress);
+  setVideoStatus('Analyzing ' + session.name + '... ' + Math.round(progress * 100) + '%');
+}
+
+async function completeVideoAnalysis(session) {
+  if (session !== videoAnalysis) return;
+  videoAnalysis = null;
+  isScanning = false;
+  if (session.audioTimer) { clearInterval(session.audioTimer); session.audioTimer = null; }
+
+  avatarEngine.setState('idle');
+  avatarEngine.setScanProgress(0);
+  document.getElementById('btnAnalyzeVideo').disabled = false;
+
+  if (frameCount === 0) {
+    if (sessionRecorder) { sessionRecorder.finish(); sessionRecorder = null; }
+    setVideoStatus('No face found in ' + session.name);
+    showToast('No face detected in the video', 'error');
+  } else {
+    try {
+      await finalizeProfile();
+      const quadrant = lastProfile.stateOfMind.quadrant;
+      appendChatBubble('assistant', "I've analyzed the video \"" + session.name + "\". State of mind: " + quadrant + ". Check the Results tab for the full profile.");
+      setVideoStatus('Analyzed ' + session.name + ' (' + frameCount + ' face frames)');
+      showResults();
+    } catch (err) {
+      console.error('Video analysis error:', err);
+      if (sessionRecorder) { sessionRecorder.finish(); sessionRecorder = null; }
+      setVideoStatus('Drop a recorded video here to analyze it');
+      showToast('Video analysis failed', 'error');
+    }
+  }
+
+  voiceStressEngine.destroy();
+  [session.video, session.sound].forEach(el => {
+    if (!el) return;
+    el.pause();
+    el.remove();
+  });
+  URL.revokeObjectURL(session.url);
+
+  // Hand the voice engine back to the microphone and resume monitoring if they were running
+  if (session.hadMicrophone && audioStream) {
+    try {
+      await voiceStressEngine.initAudioContext(audioStream);
+    } catch (err) {
+      console.warn('Microphone restore failed:', err);
+    }
+  }
+  if (session.wasMonitoring) startMonitoring();
+}
+
 // ============================================
 // NAVIGATION
 // ============================================
@@ -871,6 +1476,10 @@ function renderSettings() {
           <button class="duration-btn ${settings.scanDuration===120?'active':''}" data-dur="120">120s</button>
         </div>
       </div>
+      <div class="setting-item">
+        <div class="setting-left"><div class="setting-icon" style="background:var(--accent-purple)">&#128564;</div><span class="setting-label">Fatigue Alerts</span></div>
+        <button class="setting-toggle ${settings.fatigueAlerts?'on':''}" data-setting="fatigue"></button>
+      </div>
     </div>
 
     <div class="settings-group">
@@ -907,6 +1516,23 @@ function renderSettings() {
       </div>
     </div>
 
+    <div class="settings-group">
+      <div class="settings-group-title">Developer</div>
+      <div class="setting-item">
+        <div class="setting-left"><div class="setting-icon" style="background:var(--accent-red)">&#9210;</div><span class="setting-label">Record Scans</span></div>
+        <button class="setting-toggle ${settings.recordScans?'on':''}" data-setting="record"></button>
+      </div>
+      <div class="setting-item">
+        <div class="setting-left"><div class="setting-icon" style="background:var(--accent-teal)">&#128190;</div><span class="setting-label">Last Recording</span></div>
+        <button class="btn-test" id="btnDownloadRecording" ${lastRecording?'':'disabled'}>${lastRecording ? 'Download (' + lastRecording.frameCount + ' frames)' : 'None'}</button>
+      </div>
+      <div class="setting-item">
+        <div class="setting-left"><div class="setting-icon" style="background:var(--accent-blue)">&#9654;</div><span class="setting-label">Replay Recording</span></div>
+        <button class="btn-test" id="btnReplayRecording">Open...</button>
+        <input type="file" id="replayFileInput" accept=".ndjson,.json,application/json" style="display:none">
+      </div>
+    </div>
+
     <div class="settings-group">
       <div class="settings-group-title">Scan History (${scanHistory.length})</div>
       <div id="historyList"></div>
@@ -954,10 +1580,37 @@ function wireSettingsEvents(content) {
         settings.ttsEnabled = this.classList.contains('on');
         saveSettings();
         showToast(settings.ttsEnabled ? 'TTS enabled' : 'TTS disabled', 'info');
+      } else if (key === 'record') {
+        settings.recordScans = this.classList.contains('on');
+        saveSettings();
+        showToast(settings.recordScans ? 'Next scans will be recorded' : 'Scan recording off', 'info');
+      } else if (key === 'fatigue') {
+        settings.fatigueAlerts = this.classList.contains('on');
+        saveSettings();
+        showToast(settings.fatigueAlerts ? 'Fatigue alerts on' : 'Fatigue alerts off', 'info');
       }
     });
   });
 
+  // Recording download / replay
+  const downloadBtn = document.getElementById('btnDownloadRecording');
+  if (downloadBtn) {
+    downloadBtn.addEventListener('click', () => {
+      if (lastRecording) downloadRecording(lastRecording);
+    });
+  }
+
+  const replayBtn = document.getElementById('btnReplayRecording');
+  const replayInput = document.getElementById('replayFileInput');
+  if (replayBtn && replayInput) {
+    replayBtn.addEventListener('click', () => replayInput.click());
+    replayInput.addEventListener('change', () => {
+      const file = replayInput.files[0];
+      replayInput.value = '';
+      if (file) replayRecording(file);
+    });
+  }
+
   // Avatar gender
   content.querySelectorAll('[data-avatar]').forEach(btn => {
     btn.addEventListener('click', function() {
@@ -1042,9 +1695,10 @@ function wireSettingsEvents(content) {
   const resetBtn = document.getElementById('resetAll');
   if (resetBtn) {
     resetBtn.addEventListener('click', () => {
-      if (confirm('Reset all settings and scan history?')) {
+      if (confirm('Reset all settings, scan history and your personal baseline?')) {
         localStorage.removeItem(STORAGE_KEY);
         localStorage.removeItem(HISTORY_KEY);
+        baselineStore.clear();
         settings = { ...DEFAULTS };
         scanHistory = [];
         setTheme(settings.theme);
@@ -1061,18 +1715,22 @@ function wireSettingsEvents(content) {
       const idx = parseInt(item.dataset.idx);
       const scan = scanHistory[idx];
       if (scan) {
-        lastProfile = {
-          params: scan.params,
-          stateOfMind: scan.stateOfMind,
-          vitalityIndex: AlphaEye.computeVitality(scan.params.energy, scan.params.stress, scan.params.neuroticism),
-          concentrationIndex: AlphaEye.computeConcentration(100 - scan.params.inhibition, scan.params.inhibition, scan.params.stress),
-          emotionalVariation: AlphaEye.computeEmotionalVariation(scan.params),
+        personProfiles = new Map();
+        const overlays = {
           voiceStress: 0,
-          deceptionProb: 0,
+          deceptionProb: null,
           conditions: [],
           deceptionTimeline: [],
           timestamp: scan.timestamp
         };
+        // Scans with recorded inputs are shown under the current model so history stays comparable;
+        // older ones keep their parameters and only the indices are derived
+        if (scan.inputs) {
+          lastProfile = AlphaEye.recompute({ ...overlays, inputs: scan.inputs, sources: scan.sources, fusion: scan.fusion, windows: scan.windows });
+        } else {
+          lastProfile = { ...overlays, ...AlphaEye.evaluate({}, AlphaEye.model, scan.params) };
+          delete lastProfile.inputs;
+        }
         showResults();
         document.querySelector('[data-tab="panelResults"]')?.click();
       }
@@ -0,0 +1,112 @@
+/**
+ * BaselineStore - Personal norms learned from past scans
+ * Keeps a running mean and variance (Welford) of every AlphaEye baseline
+ * metric across the user's scans in localStorage, so a scan can be read
+ * against the person's own usual values instead of fixed population ranges.
+ */
+
+class BaselineStore {
+  /**
+   * @param {Storage} [storage] - defaults to localStorage
+   * @param {string} [key] - storage key
+   */
+  constructor(storage, key) {
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.key = key || BaselineStore.STORAGE_KEY;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      const saved = this.storage && this.storage.getItem(this.key);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.version === BaselineStore.VERSION) return data;
+      }
+    } catch {}
+    return { version: BaselineStore.VERSION, scans: 0, metrics: {} };
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.data));
+    } catch {}
+  }
+
+  /**
+   * Follow the AlphaEye model a scan was computed with. Norms learned under a
+   * different model version aren't comparable, so a new version starts the
+   * baseline over (norms saved before models were versioned are kept).
+   * @param {string} version - profile.model
+   */
+  useModel(version) {
+    if (!version || this.data.model === version) return;
+    if (this.data.model) this.data = { version: BaselineStore.VERSION, scans: 0, metrics: {} };
+    this.data.model = version;
+    this.save();
+  }
+
+  /**
+   * Scans learned so far
+   */
+  get scans() {
+    return this.data.scans;
+  }
+
+  /**
+   * Whether there are enough scans to judge a new one against
+   */
+  get ready() {
+    return this.data.scans >= BaselineStore.MIN_SCANS;
+  }
+
+  /**
+   * Norm of every learned metric
+   * @returns {Object} { metric: { n, mean, sd } }
+   */
+  norms() {
+    const norms = {};
+    Object.entries(this.data.metrics).forEach(([metric, s]) => {
+      norms[metric] = {
+        n: s.n,
+        mean: Math.round(s.mean * 10) / 10,
+        sd: s.n > 1 ? Math.round(Math.sqrt(s.m2 / (s.n - 1)) * 10) / 10 : 0
+      };
+    });
+    return norms;
+  }
+
+  /**
+   * Learn one scan. Past the MAX_WEIGHT-th scan each new one counts as if
+   * only MAX_WEIGHT had been seen, so the norm follows slow changes.
+   * @param {Object} values - { metric: number } (AlphaEye.baselineMetrics())
+   */
+  add(values) {
+    Object.entries(values).forEach(([metric, value]) => {
+      if (typeof value !== 'number' || !isFinite(value)) return;
+      const s = this.data.metrics[metric] || (this.data.metrics[metric] = { n: 0, mean: 0, m2: 0 });
+      if (s.n >= BaselineStore.MAX_WEIGHT) {
+        // Same mean and variance, fewer samples behind them
+        s.m2 *= (BaselineStore.MAX_WEIGHT - 2) / (s.n - 1);
+        s.n = BaselineStore.MAX_WEIGHT - 1;
+      }
+      s.n++;
+      const delta = value - s.mean;
+      s.mean += delta / s.n;
+      s.m2 += delta * (value - s.mean);
+    });
+    this.data.scans++;
+    this.save();
+  }
+
+  clear() {
+    this.data = { version: BaselineStore.VERSION, scans: 0, metrics: {} };
+    if (this.storage) this.storage.removeItem(this.key);
+  }
+}
+
+BaselineStore.STORAGE_KEY = 'ms3-baseline';
+BaselineStore.VERSION = 1;
+BaselineStore.MIN_SCANS = 5;        // relative view from this many past scans
+BaselineStore.MAX_WEIGHT = 30;      // scans in the running norm before older ones fade
@@ -0,0 +1,289 @@
+/* ============================================
+   BLINK DETECTOR - Calibrated Eye-Closure Events
+   Eye aspect ratio (EAR, Soukupová & Čech) per
+   frame, judged against the person's own open-eye
+   EAR (a rolling upper percentile) instead of one
+   fixed threshold, since narrow and wide eyes
+   differ by more than a blink's depth.
+
+   Each dip below the onset level becomes an event
+   with onset, closure, reopening-start and reopen
+   times:
+   - blink:   lids fully closed, under 500 ms
+   - long:    lids fully closed for longer (drowsiness)
+   - partial: lids dipped but never fully closed
+   PERCLOS is the share of observed time with the
+   eyes closed.
+
+   One detector per person. DeceptionEngine feeds it
+   live; NeuroAnalyzer reads the same events, so a
+   scan has one blink count.
+   ============================================ */
+
+class BlinkDetector {
+    /**
+     * @param {object} [options] - overrides for BlinkDetector.DEFAULTS
+     */
+    constructor(options = {}) {
+        Object.assign(this, BlinkDetector.DEFAULTS, options);
+        this.events = [];
+        this.recent = [];               // [{ t, ear }] within the baseline window
+        this.openEar = null;            // calibrated open-eye EAR (null until enough frames)
+        this.current = null;            // event in progress
+        this.firstTime = null;
+        this.lastTime = null;
+        this.lastClosed = false;
+        this.frames = 0;
+        this.observedMs = 0;
+        this.closedMs = 0;
+        this.closures = [];             // [startMs, endMs] spans with the eyes closed
+    }
+
+    /**
+     * Run a detector over stored frames (batch use)
+     * @param {Array} frames - materialized frames ({ landmarks, timestamp })
+     * @param {ArrayLike<number>} [times] - frame times in seconds (default: FrameStore.relativeTimes)
+     * @returns {BlinkDetector}
+     */
+    static fromFrames(frames, times, options) {
+        const detector = new BlinkDetector(options);
+        const t = times || FrameStore.relativeTimes(frames);
+        frames.forEach((frame, i) => detector.push(frame.landmarks, t[i] * 1000));
+        return detector;
+    }
+
+    /**
+     * Feed one frame
+     * @param {Array} landmarks - [{x, y}] (68 points)
+     * @param {number} timestamp - ms
+     * @returns {object|null} the event that ended on this frame, if any
+     */
+    push(landmarks, timestamp) {
+        const ear = BlinkDetector.ear(landmarks);
+        if (ear === null) return null;
+
+        const previousTime = this.lastTime;
+        const dt = previousTime === null ? 0 : timestamp - previousTime;
+        if (this.firstTime === null) this.firstTime = timestamp;
+        this.lastTime = timestamp;
+        this.frames++;
+
+        // A long gap (face lost) breaks any event in progress
+        if (dt > this.maxGapMs) {
+            this.current = null;
+        } else if (dt > 0) {
+            this.observedMs += dt;
+            if (this.lastClosed) this._addClosure(previousTime, timestamp);
+        }
+
+        this._updateBaseline(ear, timestamp);
+        if (this.openEar === null) {
+            this.lastClosed = false;
+            return null;
+        }
+
+        const closed = ear < this.openEar * this.closedRatio;
+        this.lastClosed = closed;
+
+        if (!this.current) {
+            if (ear < this.openEar * this.onsetRatio) {
+                this.current = {
+                    onsetTime: timestamp, openEar: this.openEar,
+                    closedTime: null, openingTime: null,
+                    minEar: ear, minTime: timestamp
+                };
+                this._trackClosure(closed, ear, timestamp);
+            }
+            return null;
+        }
+
+        if (ear < this.current.openEar * this.reopenRatio) {
+            this._trackClosure(closed, ear, timestamp);
+            return null;
+        }
+
+        const event = this._finish(timestamp);
+        this.current = null;
+        if (event) this.events.push(event);
+        return event;
+    }
+
+    /**
+     * Complete blinks (full closures: type 'blink' or 'long'), oldest first
+     */
+    blinks() {
+        return this.events.filter(e => e.type !== 'partial');
+    }
+
+    /**
+     * Scan-level blink statistics
+     * @returns {object} { totalBlinks, blinksPerMinute, partialBlinks, longClosures, avgDurationMs,
+     *                     regularity, intervals, perclos, openEar, durationSec }
+     */
+    summary() {
+        const blinks = this.blinks();
+        const durationSec = this.frames > 1 && this.lastTime > this.firstTime
+            ? (this.lastTime - this.firstTime) / 1000 * this.frames / (this.frames - 1) : 0;
+        const rate = durationSec > 0 ? (blinks.length / durationSec) * 60 : 0;
+
+        // Eyes-open gaps between blinks (seconds)
+        const intervals = [];
+        for (let i = 1; i < blinks.length; i++) {
+            intervals.push((blinks[i].onsetTime - blinks[i - 1].reopenTime) / 1000);
+        }
+
+        // Regularity: lower variance in intervals = more regular
+        let regularity = 100;
+        if (intervals.length > 2) {
+            const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+            const variance = intervals.reduce((s, v) => s + Math.pow(v - avgInterval, 2), 0) / intervals.length;
+            regularity = Math.max(0, Math.min(100, 100 - Math.sqrt(variance) * 30));
+        }
+
+        return {
+            totalBlinks: blinks.length,
+            blinksPerMinute: Math.round(rate * 10) / 10,
+            partialBlinks: this.events.length - blinks.length,
+            longClosures: blinks.filter(b => b.type === 'long').length,
+            avgDurationMs: blinks.length > 0 ? Math.round(blinks.reduce((s, b) => s + b.durationMs, 0) / blinks.length) : 0,
+            regularity: Math.round(regularity),
+            intervals,
+            perclos: this.observedMs > 0 ? Math.round(this.closedMs / this.observedMs * 1000) / 10 : 0,
+            openEar: this.openEar === null ? null : Math.round(this.openEar * 1000) / 1000,
+            durationSec
+        };
+    }
+
+    /**
+     * PERCLOS over a time range: percent of [fromMs, toMs] with the eyes closed
+     */
+    perclos(fromMs, toMs) {
+        if (!(toMs > fromMs)) return 0;
+        let closed = 0;
+        this.closures.forEach(([start, end]) => {
+            closed += Math.max(0, Math.min(end, toMs) - Math.max(start, fromMs));
+        });
+        return Math.round(closed / (toMs - fromMs) * 1000) / 10;
+    }
+
+    /**
+     * The events and eye closures of a time range as a detector of their own, so a
+     * window of a scan is read with the scan's calibration instead of recalibrating
+     * @param {number} fromMs - first frame's time
+     * @param {number} toMs - last frame's time
+     * @param {number} frames - frames in the range (for summary()'s duration)
+     * @returns {BlinkDetector}
+     */
+    slice(fromMs, toMs, frames) {
+        const part = new BlinkDetector();
+        Object.keys(BlinkDetector.DEFAULTS).forEach(key => { part[key] = this[key]; });
+        part.openEar = this.openEar;
+        part.firstTime = fromMs;
+        part.lastTime = toMs;
+        part.frames = frames;
+        part.observedMs = Math.max(0, toMs - fromMs);
+        part.events = this.events.filter(e => e.onsetTime >= fromMs && e.onsetTime <= toMs);
+        this.closures.forEach(([start, end]) => {
+            const from = Math.max(start, fromMs);
+            const to = Math.min(end, toMs);
+            if (to > from) part._addClosure(from, to);
+        });
+        return part;
+    }
+
+    /**
+     * Eye aspect ratio of both eyes, averaged: (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
+     * @returns {number|null} null without a full set of eye landmarks
+     */
+    static ear(landmarks) {
+        if (!landmarks || landmarks.length < 48) return null;
+        const left = BlinkDetector._singleEar(landmarks, BlinkDetector.LEFT_EYE);
+        const right = BlinkDetector._singleEar(landmarks, BlinkDetector.RIGHT_EYE);
+        if (left === null || right === null) return null;
+        return (left + right) / 2;
+    }
+
+    // ── Private Methods ──
+
+    // Open-eye EAR: upper percentile of the last few seconds (blinks are brief and rare)
+    _updateBaseline(ear, timestamp) {
+        this.recent.push({ t: timestamp, ear });
+        while (this.recent.length > 0 && this.recent[0].t < timestamp - this.baselineWindowMs) this.recent.shift();
+        if (this.recent.length < this.minBaselineFrames) return;
+
+        const sorted = this.recent.map(r => r.ear).sort((a, b) => a - b);
+        this.openEar = sorted[Math.floor((sorted.length - 1) * this.baselinePercentile)];
+    }
+
+    _addClosure(start, end) {
+        this.closedMs += end - start;
+        const last = this.closures[this.closures.length - 1];
+        if (last && last[1] === start) {
+            last[1] = end;
+        } else {
+            this.closures.push([start, end]);
+        }
+    }
+
+    _trackClosure(closed, ear, timestamp) {
+        const event = this.current;
+        if (ear < event.minEar) {
+            event.minEar = ear;
+            event.minTime = timestamp;
+        }
+        if (closed) {
+            if (event.closedTime === null) event.closedTime = timestamp;
+            event.openingTime = timestamp;
+        }
+    }
+
+    // Classify the event that reopened at `timestamp` (null for a dip too shallow to count)
+    _finish(timestamp) {
+        const event = this.current;
+        const depth = 1 - event.minEar / event.openEar;
+        const full = event.closedTime !== null;
+        if (!full && depth < 1 - this.partialRatio) return null;
+
+        const closedMs = full ? event.openingTime - event.closedTime : 0;
+        return {
+            type: !full ? 'partial' : closedMs >= this.longClosureMs ? 'long' : 'blink',
+            onsetTime: event.onsetTime,
+            closedTime: event.closedTime,
+            openingTime: event.openingTime,
+            reopenTime: timestamp,
+            durationMs: Math.round(timestamp - event.onsetTime),
+            closingMs: Math.round((full ? event.closedTime : event.minTime) - event.onsetTime),
+            reopeningMs: Math.round(timestamp - (full ? event.openingTime : event.minTime)),
+            closedMs: Math.round(closedMs),
+            depth: Math.round(depth * 100) / 100
+        };
+    }
+
+    static _singleEar(landmarks, indices) {
+        const p = indices.map(i => landmarks[i]);
+        if (p.some(pt => !pt)) return null;
+        const v1 = Math.hypot(p[1].x - p[5].x, p[1].y - p[5].y);
+        const v2 = Math.hypot(p[2].x - p[4].x, p[2].y - p[4].y);
+        const h = Math.hypot(p[0].x - p[3].x, p[0].y - p[3].y);
+        return h > 0 ? (v1 + v2) / (2 * h) : null;
+    }
+}
+
+// Eye landmark indices (face-api.js 68-point model)
+BlinkDetector.LEFT_EYE = [36, 37, 38, 39, 40, 41];
+BlinkDetector.RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+
+// Levels are fractions of the calibrated open-eye EAR
+BlinkDetector.DEFAULTS = {
+    onsetRatio: 0.8,            // lids start closing
+    partialRatio: 0.7,          // a dip this deep counts as a partial blink
+    closedRatio: 0.55,          // lids closed (also the PERCLOS criterion)
+    reopenRatio: 0.85,          // event ends once back above this
+    longClosureMs: 500,         // closed this long = long closure, not a blink
+    maxGapMs: 500,              // a longer frame gap aborts the event in progress
+    baselineWindowMs: 10000,
+    baselinePercentile: 0.75,
+    minBaselineFrames: 10       // no detection until calibrated
+};
+
+self.BlinkDetector = BlinkDetector;
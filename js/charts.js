@@ -1,6 +1,7 @@
 /**
  * Charts - SVG chart generators for AlphaEye results
- * Radar, Quadrant, Histogram, Gauges, Timeline, Condition Alerts
+ * Radar, Quadrant (with affect path), Histogram, Gauges, Timeline, Condition Alerts, Scan Quality, Pulse, Breathing, Fatigue,
+ * Personal Baseline, Score Breakdown, Session Timeline
  */
 
 const Charts = {
@@ -18,10 +19,13 @@ const Charts = {
     { key: 'neuroticism', label: 'Neuroticism', short: 'NEU', color: '#ea80fc' },
   ],
 
+  MAX_REPLAY_DIFFS: 20,   // rows in the replay check; the rest are counted
+
   /**
-   * 10-axis radar chart with healthy zone overlay
+   * 10-axis radar chart with healthy zone overlay, and a band around the
+   * profile where the parameters have intervals (AlphaEye.intervals())
    */
-  renderRadar(params) {
+  renderRadar(params, intervals) {
     const cx = 160, cy = 160, maxR = 130;
     const n = this.PARAM_LABELS.length;
     const angleStep = (2 * Math.PI) / n;
@@ -71,15 +75,29 @@ const Charts = {
       dataPts.push(`${p.x},${p.y}`);
     }
 
+    // Interval band: ring between the high and low polygons
+    let band = '';
+    if (intervals) {
+      const ring = bound => this.PARAM_LABELS.map((meta, i) => {
+        const interval = intervals[meta.key];
+        const val = interval ? interval[bound] : params[meta.key] || 0;
+        const p = polarToXY(i * angleStep, maxR * (val / 100));
+        return `${p.x},${p.y}`;
+      });
+      band = `<path d="M ${ring('high').join(' L ')} Z M ${ring('low').join(' L ')} Z" fill="rgba(124,77,255,0.18)" fill-rule="evenodd" stroke="none"/>`;
+    }
+
     // Labels
     let labels = '';
     for (let i = 0; i < n; i++) {
       const meta = this.PARAM_LABELS[i];
       const val = params[meta.key] || 0;
+      const interval = intervals && intervals[meta.key];
+      const spread = interval && interval.width > 0 ? ` ±${Math.ceil(interval.width / 2)}` : '';
       const p = polarToXY(i * angleStep, maxR + 24);
       const anchor = parseFloat(p.x) < cx - 10 ? 'end' : parseFloat(p.x) > cx + 10 ? 'start' : 'middle';
       labels += `<text x="${p.x}" y="${p.y}" text-anchor="${anchor}" font-size="10" font-weight="600" fill="${meta.color}">${meta.short}</text>`;
-      labels += `<text x="${p.x}" y="${parseFloat(p.y) + 12}" text-anchor="${anchor}" font-size="9" fill="var(--text-muted)">${val}</text>`;
+      labels += `<text x="${p.x}" y="${parseFloat(p.y) + 12}" text-anchor="${anchor}" font-size="9" fill="var(--text-muted)">${val}${spread}</text>`;
     }
 
     return `<div class="radar-wrap">
@@ -87,6 +105,7 @@ const Charts = {
         ${gridLines}
         ${axes}
         <polygon points="${healthyPts.join(' ')}" fill="rgba(0,230,118,0.08)" stroke="rgba(0,230,118,0.3)" stroke-width="1" stroke-dasharray="4,2"/>
+        ${band}
         <polygon points="${dataPts.join(' ')}" fill="rgba(124,77,255,0.15)" stroke="#7c4dff" stroke-width="2"/>
         ${labels}
       </svg>
@@ -94,46 +113,76 @@ const Charts = {
   },
 
   /**
-   * State of Mind quadrant (Stability vs Pleasure)
+   * State of Mind quadrant (Stability vs Pleasure), with the valence/arousal
+   * path of the scan and, once monitoring has run, of the monitoring period
    */
-  renderQuadrant(stateOfMind) {
+  renderQuadrant(stateOfMind, affect, monitorAffect) {
     const s = stateOfMind.stability;
     const p = stateOfMind.pleasure;
     // Map 0-100 to SVG coordinates (20-280 range)
     const dotX = (20 + s * 2.6).toFixed(0);
     const dotY = (280 - p * 2.6).toFixed(0);
+    const scanPath = this.renderAffectPath(affect, '#7c4dff', '');
+    const monitorPath = this.renderAffectPath(monitorAffect, '#00e5ff', 'stroke-dasharray="4,3"');
+
+    let caption = '';
+    if (affect) {
+      caption = `Path: ${affect.duration}s of scan${affect.voice ? ' (face + voice)' : ''}, mostly ${affect.quadrant.toLowerCase()}`;
+      if (monitorAffect) caption += ` &middot; <span style="color:#00e5ff">monitoring</span> ${Math.round(monitorAffect.duration / 60)} min, now ${AffectEstimator.quadrant(monitorAffect.current).toLowerCase()}`;
+    }
 
     return `<div class="quadrant-wrap">
       <svg viewBox="0 0 300 300" xmlns="http://www.w3.org/2000/svg">
-        <!-- Quadrant backgrounds -->
-        <rect x="0" y="0" width="150" height="150" fill="rgba(255,82,82,0.08)" rx="4"/>
+        <!-- Quadrant backgrounds (as in AlphaEye.classifyStateOfMind) -->
+        <rect x="0" y="0" width="150" height="150" fill="rgba(68,138,255,0.08)" rx="4"/>
         <rect x="150" y="0" width="150" height="150" fill="rgba(0,230,118,0.08)" rx="4"/>
-        <rect x="0" y="150" width="150" height="150" fill="rgba(255,171,64,0.08)" rx="4"/>
-        <rect x="150" y="150" width="150" height="150" fill="rgba(68,138,255,0.08)" rx="4"/>
+        <rect x="0" y="150" width="150" height="150" fill="rgba(255,82,82,0.08)" rx="4"/>
+        <rect x="150" y="150" width="150" height="150" fill="rgba(255,171,64,0.08)" rx="4"/>
 
         <!-- Axes -->
         <line x1="150" y1="0" x2="150" y2="300" stroke="var(--border-color)" stroke-width="1"/>
         <line x1="0" y1="150" x2="300" y2="150" stroke="var(--border-color)" stroke-width="1"/>
 
         <!-- Labels -->
-        <text x="75" y="30" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-red)" opacity="0.7">Distressed</text>
+        <text x="75" y="30" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-blue)" opacity="0.7">Excited</text>
         <text x="225" y="30" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-green)" opacity="0.7">Calm</text>
-        <text x="75" y="285" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-orange)" opacity="0.7">Bored</text>
-        <text x="225" y="285" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-blue)" opacity="0.7">Excited</text>
+        <text x="75" y="285" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-red)" opacity="0.7">Distressed</text>
+        <text x="225" y="285" text-anchor="middle" font-size="10" font-weight="600" fill="var(--accent-orange)" opacity="0.7">Bored</text>
 
         <!-- Axis labels -->
         <text x="150" y="296" text-anchor="middle" font-size="9" fill="var(--text-muted)">Stability &rarr;</text>
         <text x="6" y="150" text-anchor="middle" font-size="9" fill="var(--text-muted)" transform="rotate(-90,6,150)">Pleasure &rarr;</text>
 
+        ${scanPath}
+        ${monitorPath}
+
         <!-- User dot -->
         <circle cx="${dotX}" cy="${dotY}" r="8" fill="#7c4dff" opacity="0.3"/>
         <circle cx="${dotX}" cy="${dotY}" r="5" fill="#7c4dff"/>
         <circle cx="${dotX}" cy="${dotY}" r="2" fill="#fff"/>
       </svg>
       <div style="text-align:center;margin-top:8px;font-size:13px;font-weight:600;color:var(--accent-purple)">${stateOfMind.quadrant}</div>
+      ${caption ? `<div style="text-align:center;margin-top:4px;font-size:11px;color:var(--text-muted)">${caption}</div>` : ''}
     </div>`;
   },
 
+  /**
+   * Valence/arousal trajectory (AffectEstimator) as a path in quadrant coordinates:
+   * hollow circle at the start, filled at the end
+   */
+  renderAffectPath(affect, color, dash) {
+    if (!affect || affect.points.length < 2) return '';
+    const xy = affect.points.map(pt => {
+      const q = AffectEstimator.toStateOfMind(pt);
+      return [(20 + q.stability * 2.6).toFixed(1), (280 - q.pleasure * 2.6).toFixed(1)];
+    });
+    const first = xy[0];
+    const last = xy[xy.length - 1];
+    return `<polyline points="${xy.map(c => c.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" opacity="0.6" ${dash}/>
+        <circle cx="${first[0]}" cy="${first[1]}" r="3" fill="none" stroke="${color}" stroke-width="1.5"/>
+        <circle cx="${last[0]}" cy="${last[1]}" r="3.5" fill="${color}"/>`;
+  },
+
   /**
    * Parameter histogram (sorted bar chart)
    */
@@ -159,9 +208,10 @@ const Charts = {
   },
 
   /**
-   * Semicircular gauge (0-100)
+   * Semicircular gauge (0-100), with a translucent arc over the interval
+   * when one is given ({ low, high } on the same 0-100 scale)
    */
-  renderGauge(value, label, icon) {
+  renderGauge(value, label, icon, interval) {
     const v = Math.max(0, Math.min(100, value));
     // Arc from 180 to 0 degrees
     const angle = Math.PI * (1 - v / 100);
@@ -177,12 +227,24 @@ const Charts = {
     else if (v < 60) color = '#ffab40';
     else color = '#00e676';
 
+    let band = '';
+    let spread = '';
+    if (interval && interval.high > interval.low) {
+      const point = pct => {
+        const a = Math.PI * (1 - Math.max(0, Math.min(100, pct)) / 100);
+        return `${(cx + r * Math.cos(a)).toFixed(1)} ${(cy - r * Math.sin(a)).toFixed(1)}`;
+      };
+      band = `<path d="M ${point(interval.low)} A ${r} ${r} 0 0 1 ${point(interval.high)}" fill="none" stroke="${color}" stroke-opacity="0.25" stroke-width="12"/>`;
+      spread = ` <span style="font-size:0.6em;opacity:0.7">±${Math.ceil((interval.high - interval.low) / 2)}</span>`;
+    }
+
     return `<div class="gauge-card">
       <svg viewBox="0 0 100 60" xmlns="http://www.w3.org/2000/svg">
         <path d="M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${cx + r} ${cy}" fill="none" stroke="var(--bg-input)" stroke-width="6" stroke-linecap="round"/>
+        ${band}
         <path d="M ${cx - r} ${cy} A ${r} ${r} 0 ${largeArc} 1 ${x.toFixed(1)} ${y.toFixed(1)}" fill="none" stroke="${color}" stroke-width="6" stroke-linecap="round"/>
       </svg>
-      <div class="gauge-value" style="color:${color}">${icon || ''} ${value}</div>
+      <div class="gauge-value" style="color:${color}">${icon || ''} ${value}${spread}</div>
       <div class="gauge-label">${label}</div>
     </div>`;
   },
@@ -224,6 +286,33 @@ const Charts = {
     </div>`;
   },
 
+  /**
+   * Head pose over the scan (yaw / pitch per second, +/-45 degrees)
+   */
+  renderPoseTimeline(deceptionTimeline) {
+    const posed = (deceptionTimeline || []).filter(d => d.pose);
+    if (posed.length < 2) return '';
+
+    const w = 300, h = 50, range = 45;
+    const stepX = w / (posed.length - 1);
+    const toPoints = (key) => posed.map((d, i) => {
+      const v = Math.max(-range, Math.min(range, d.pose[key]));
+      return `${(i * stepX).toFixed(1)},${(h / 2 - (v / range) * (h / 2 - 3)).toFixed(1)}`;
+    }).join(' ');
+
+    return `<div class="timeline-chart" style="margin-top:12px">
+      <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg">
+        <line x1="0" y1="${h / 2}" x2="${w}" y2="${h / 2}" stroke="var(--border-color)" stroke-width="1"/>
+        <polyline points="${toPoints('yaw')}" fill="none" stroke="#00e5ff" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        <polyline points="${toPoints('pitch')}" fill="none" stroke="#ffd740" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+      </svg>
+      <div style="display:flex;gap:16px;justify-content:center;margin-top:6px;font-size:11px">
+        <span style="color:#00e5ff">&#9644; Head yaw</span>
+        <span style="color:#ffd740">&#9644; Head pitch</span>
+      </div>
+    </div>`;
+  },
+
   /**
    * Condition alerts from NeuroAnalyzer
    */
@@ -257,6 +346,324 @@ const Charts = {
     return html;
   },
 
+  /**
+   * Scan quality report: usable frames and seconds, main rejection reasons, rescan advice
+   */
+  renderQuality(quality) {
+    const color = quality.recommendRescan ? '#ff5252' : quality.usablePercent < 85 ? '#ffab40' : '#00e676';
+    let html = `<div class="gauge-row">${this.renderGauge(quality.usablePercent, 'Usable Frames', '&#127902;')}</div>`;
+    html += `<div style="text-align:center;margin:8px 0;font-size:13px;font-weight:600;color:${color}">${quality.message}</div>`;
+    if (typeof quality.usableSeconds === 'number') {
+      html += `<div style="text-align:center;margin-bottom:8px;font-size:12px;color:var(--text-muted)">${quality.usableSeconds}s of usable footage</div>`;
+    }
+
+    if (quality.reasons.length > 0) {
+      html += '<div class="condition-list">';
+      quality.reasons.forEach(r => {
+        html += `<div class="condition-item">
+          <div class="condition-dot" style="background:${color}"></div>
+          <div class="condition-info">
+            <div class="condition-name">${r.label}</div>
+            <div class="condition-detail">${r.count} of ${quality.frames} frames rejected</div>
+          </div>
+          <div class="condition-likelihood" style="color:${color}">${r.percent}%</div>
+        </div>`;
+      });
+      html += '</div>';
+    }
+    return html;
+  },
+
+  /**
+   * Replay check: recorded profile values the replay did not reproduce
+   */
+  renderReplay(replay) {
+    const diffs = replay.differences;
+    const color = diffs.length === 0 ? '#00e676' : '#ffab40';
+    const message = diffs.length === 0
+      ? 'Replay matches the recorded profile'
+      : diffs.length + ' value' + (diffs.length === 1 ? ' differs' : 's differ') + ' from the recorded profile';
+    let html = `<div style="text-align:center;margin:8px 0;font-size:13px;font-weight:600;color:${color}">${message}</div>`;
+    if (diffs.length === 0) return html;
+
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const format = value => {
+      const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : JSON.stringify(value);
+      if (text === undefined) return '&mdash;';
+      return escape(text.length > 40 ? text.slice(0, 39) + '…' : text);
+    };
+    html += '<div class="condition-list">';
+    diffs.slice(0, this.MAX_REPLAY_DIFFS).forEach(d => {
+      html += `<div class="condition-item">
+        <div class="condition-dot" style="background:${color}"></div>
+        <div class="condition-info">
+          <div class="condition-name">${escape(d.path)}</div>
+          <div class="condition-detail">recorded ${format(d.expected)} &rarr; replayed ${format(d.actual)}</div>
+        </div>
+      </div>`;
+    });
+    html += '</div>';
+    if (diffs.length > this.MAX_REPLAY_DIFFS) {
+      html += `<div style="text-align:center;margin-top:8px;font-size:12px;color:var(--text-muted)">and ${diffs.length - this.MAX_REPLAY_DIFFS} more</div>`;
+    }
+    return html;
+  },
+
+  /**
+   * Camera pulse (rPPG): heart rate, HRV and signal quality over the filtered waveform
+   */
+  renderPulse(pulse) {
+    const color = pulse.reliable ? '#ff4081' : 'var(--text-muted)';
+    let html = `<div class="gauge-row">
+      <div class="gauge-card">
+        <div class="gauge-value" style="color:${color};font-size:28px">&#10084; ${pulse.heartRate}</div>
+        <div class="gauge-label">Heart Rate (bpm)</div>
+      </div>
+      <div class="gauge-card">
+        <div class="gauge-value" style="color:${color};font-size:28px">${pulse.hrv ? pulse.hrv.rmssd : '&ndash;'}</div>
+        <div class="gauge-label">HRV (RMSSD ms)</div>
+      </div>
+      ${this.renderGauge(pulse.quality, 'Signal Quality', '&#128246;')}
+    </div>`;
+
+    const wave = pulse.waveform || [];
+    if (wave.length > 1) {
+      const w = 300, h = 50;
+      const stepX = w / (wave.length - 1);
+      const points = wave.map((v, i) => `${(i * stepX).toFixed(1)},${(h / 2 - v * (h / 2 - 3)).toFixed(1)}`).join(' ');
+      html += `<div class="timeline-chart" style="margin-top:12px">
+        <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        </svg>
+      </div>`;
+    }
+
+    if (!pulse.reliable) {
+      html += '<div style="text-align:center;margin-top:8px;font-size:12px;color:var(--text-muted)">Weak pulse signal: hold still in even lighting for a better reading. Not used in the profile.</div>';
+    }
+    return html;
+  },
+
+  /**
+   * Breathing rate, breath-to-breath regularity and confidence from RespirationEngine
+   */
+  renderRespiration(respiration) {
+    const color = respiration.reliable ? '#40c4ff' : 'var(--text-muted)';
+    const sources = respiration.sources.map(s => (s === 'audio' ? 'voice' : 'head motion')).join(' + ');
+    let html = `<div class="gauge-row">
+      <div class="gauge-card">
+        <div class="gauge-value" style="color:${color};font-size:28px">${respiration.breathsPerMinute}</div>
+        <div class="gauge-label">Breaths / min</div>
+      </div>
+      ${respiration.regularity !== null ? this.renderGauge(respiration.regularity, 'Regularity', '&#128260;') : ''}
+      ${this.renderGauge(respiration.confidence, 'Confidence', '&#128246;')}
+    </div>`;
+    html += `<div style="text-align:center;margin-top:8px;font-size:12px;color:var(--text-muted)">From ${sources} over ${Math.round(respiration.duration)}s${respiration.reliable ? '' : '. Low confidence: sit upright and still for a clearer reading.'}</div>`;
+    return html;
+  },
+
+  /**
+   * Fatigue level, its markers, and how it changed over the session
+   */
+  renderFatigue(fatigue) {
+    const color = fatigue.level >= 50 ? '#ff5252' : fatigue.level >= 25 ? '#ffab40' : '#00e676';
+    let html = `<div class="gauge-row">
+      ${this.renderGauge(fatigue.level, 'Fatigue', '&#128564;')}
+      <div class="gauge-card">
+        <div class="gauge-value" style="color:${color};font-size:28px">${fatigue.perclos}%</div>
+        <div class="gauge-label">PERCLOS</div>
+      </div>
+    </div>`;
+    html += `<div style="text-align:center;margin:8px 0;font-size:13px;font-weight:600;color:${color}">${fatigue.label}</div>`;
+    html += `<div style="text-align:center;font-size:12px;color:var(--text-secondary)">
+      Blink ${fatigue.avgBlinkDurationMs || '&ndash;'} ms &middot; Yawns ${fatigue.yawns} &middot; Head nods ${fatigue.nods}
+    </div>`;
+
+    const timeline = fatigue.timeline || [];
+    if (timeline.length > 1) {
+      const w = 300, h = 50;
+      const stepX = w / (timeline.length - 1);
+      const points = timeline.map((p, i) => `${(i * stepX).toFixed(1)},${(h - 3 - p.level / 100 * (h - 6)).toFixed(1)}`).join(' ');
+      html += `<div class="timeline-chart" style="margin-top:12px">
+        <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg">
+          <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        </svg>
+      </div>`;
+    }
+    return html;
+  },
+
+  /**
+   * Parameters against the user's own norm: one bar per metric from -3σ to +3σ,
+   * or how many scans are still needed to learn it
+   */
+  renderRelative(profile) {
+    if (!profile.relative) {
+      const left = profile.baseline.needed - profile.baseline.scans;
+      return `<div style="text-align:center;font-size:12px;color:var(--text-secondary)">
+        Learning your usual ranges: ${left} more scan${left === 1 ? '' : 's'} and results will be shown against your own norm.
+      </div>`;
+    }
+
+    const labels = [
+      ...this.PARAM_LABELS,
+      { key: 'vitalityIndex', label: 'Vitality', color: '#69f0ae' },
+      { key: 'concentrationIndex', label: 'Concentration', color: '#40c4ff' },
+      { key: 'voiceStress', label: 'Voice Stress', color: '#ff80ab' },
+      { key: 'heartRate', label: 'Heart Rate', color: '#ff5252' }
+    ];
+    const rows = labels.filter(meta => profile.relative[meta.key]).map(meta => {
+      const r = profile.relative[meta.key];
+      const z = Math.max(-3, Math.min(3, r.z));
+      const width = Math.abs(z) / 3 * 50;
+      const left = z < 0 ? 50 - width : 50;
+      const color = Math.abs(r.z) >= 2 ? 'var(--accent-red)' : Math.abs(r.z) >= 1 ? 'var(--accent-orange)' : meta.color;
+      return `<div style="display:flex;align-items:center;gap:8px;margin:4px 0;font-size:11px">
+        <span style="width:80px;color:var(--text-secondary)">${meta.label}</span>
+        <div style="flex:1;position:relative;height:8px;background:var(--bg-secondary);border-radius:4px">
+          <div style="position:absolute;left:50%;top:-2px;bottom:-2px;width:1px;background:var(--border-color)"></div>
+          <div style="position:absolute;left:${left.toFixed(1)}%;width:${width.toFixed(1)}%;height:100%;background:${color};border-radius:4px"></div>
+        </div>
+        <span style="width:130px;text-align:right;color:${Math.abs(r.z) >= 1 ? color : 'var(--text-muted)'}">${AlphaEye.describeDeviation(r.z)}</span>
+      </div>`;
+    }).join('');
+    return rows + `<div style="text-align:center;margin-top:8px;font-size:11px;color:var(--text-muted)">Against your last ${profile.baseline.scans} scans</div>`;
+  },
+
+  /**
+   * Why each parameter has its value: one expandable row per metric with a
+   * bar per contribution (AlphaEye.contributions()), right for points added
+   * and left for points taken away, and the engine sub-features under each;
+   * above them, how much face, voice and pulse counted (profile.fusion)
+   */
+  renderContributions(profile) {
+    const labels = [
+      ...this.PARAM_LABELS,
+      { key: 'vitalityIndex', label: 'Vitality', color: '#69f0ae' },
+      { key: 'concentrationIndex', label: 'Concentration', color: '#40c4ff' }
+    ];
+    const bar = (entry, scale, color, indent) => {
+      const width = Math.min(50, Math.abs(entry.points) / scale * 50);
+      const left = entry.points < 0 ? 50 - width : 50;
+      return `<div style="display:flex;align-items:center;gap:8px;margin:3px 0 3px ${indent}px;font-size:${indent ? 10 : 11}px">
+        <span style="width:${150 - indent}px;color:var(--text-secondary)">${entry.label}</span>
+        <div style="flex:1;position:relative;height:${indent ? 5 : 8}px;background:var(--bg-secondary);border-radius:4px">
+          <div style="position:absolute;left:50%;top:-2px;bottom:-2px;width:1px;background:var(--border-color)"></div>
+          <div style="position:absolute;left:${left.toFixed(1)}%;width:${width.toFixed(1)}%;height:100%;background:${color};border-radius:4px;opacity:${indent ? 0.6 : 1}"></div>
+        </div>
+        <span style="width:40px;text-align:right;color:var(--text-muted)">${entry.points > 0 ? '+' : ''}${entry.points}</span>
+      </div>`;
+    };
+
+    const modalities = profile.fusion && profile.fusion.modalities;
+    const signals = modalities ? `<div style="font-size:11px;color:var(--text-muted);margin-bottom:6px">Signals behind this profile: ${
+      Object.entries(modalities).filter(([, share]) => share > 0)
+        .map(([modality, share]) => `${FusionEngine.LABELS[modality] || modality} ${Math.round(share * 100)}%`).join(' &middot; ')
+    }</div>` : '';
+
+    return signals + labels.filter(meta => profile.contributions[meta.key]).map(meta => {
+      const trace = profile.contributions[meta.key];
+      const value = meta.key in profile.params ? profile.params[meta.key] : profile[meta.key];
+      const scale = Math.max(1, ...trace.map(e => Math.abs(e.points)));
+      const rows = trace.map(entry =>
+        bar(entry, scale, meta.color, 0) + (entry.detail || []).map(d => bar(d, scale, meta.color, 16)).join('')
+      ).join('');
+      return `<details style="margin:4px 0">
+        <summary style="cursor:pointer;font-size:12px"><span style="color:${meta.color}">${meta.label}</span> ${value}</summary>
+        ${rows}
+      </details>`;
+    }).join('');
+  },
+
+  /**
+   * Session timeline: a row per SessionTimeline track on one time axis, series
+   * as lines on their own scale and events as ticks or spans, under a shared
+   * cursor that bindSessionTimeline() moves
+   */
+  renderSessionTimeline(timeline) {
+    const range = timeline.range();
+    if (!range || range.end - range.start < 1000) {
+      return '<div style="text-align:center;color:var(--text-muted);font-size:12px;padding:20px">Insufficient timeline data</div>';
+    }
+
+    const w = 1000, h = 26;
+    const x = t => ((t - range.start) / (range.end - range.start) * w).toFixed(1);
+    const stroke = 'vector-effect="non-scaling-stroke"';
+
+    const rows = SessionTimeline.TRACKS.map(track => {
+      let marks;
+      if (track.kind === 'series') {
+        const samples = timeline.series[track.key] || [];
+        if (samples.length === 0) return '';
+        const y = v => (h - 3 - (Math.max(track.min, Math.min(track.max, v)) - track.min) / (track.max - track.min) * (h - 6)).toFixed(1);
+        // Break the line where the series has no samples (e.g. voice stress between utterances)
+        const runs = [];
+        samples.forEach((sample, i) => {
+          if (i === 0 || sample.t - samples[i - 1].t > SessionTimeline.MAX_GAP_MS * 2) runs.push([]);
+          runs[runs.length - 1].push(`${x(sample.t)},${y(sample.value)}`);
+        });
+        // A lone sample is drawn as a dot (a zero-length line with round caps)
+        marks = runs.map(run => `<polyline points="${run.length === 1 ? run[0] + ' ' + run[0] : run.join(' ')}" fill="none"
+          stroke="${track.color}" stroke-width="${run.length === 1 ? 3 : 1.5}" stroke-linecap="round" stroke-linejoin="round" ${stroke}/>`).join('');
+      } else {
+        const events = timeline.events[track.key] || [];
+        if (events.length === 0) return '';
+        marks = events.map(e => (e.end > e.t
+          ? `<rect x="${x(e.t)}" y="5" width="${Math.max(1, x(e.end) - x(e.t)).toFixed(1)}" height="${h - 10}" fill="${track.color}" opacity="0.6" rx="2"/>`
+          : `<line x1="${x(e.t)}" y1="3" x2="${x(e.t)}" y2="${h - 3}" stroke="${track.color}" stroke-width="2" ${stroke}/>`
+        )).join('');
+      }
+      return `<div class="timeline-track">
+        <span class="timeline-track-label" style="color:${track.color}">${track.label}</span>
+        <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg">${marks}</svg>
+      </div>`;
+    }).join('');
+
+    return `<div class="session-timeline">
+        ${rows}
+        <div class="timeline-cursor"></div>
+      </div>
+      <div style="display:flex;justify-content:space-between;margin:4px 0 0 104px;font-size:10px;color:var(--text-muted)">
+        <span>0s</span><span>${Math.round((range.end - range.start) / 1000)}s</span>
+      </div>
+      <div class="timeline-readout">Move along the timeline to see every signal at that moment</div>`;
+  },
+
+  /**
+   * Move the session timeline cursor with the pointer and read out every
+   * track at its time (plain text: chat messages are the user's own words)
+   */
+  bindSessionTimeline(container, timeline) {
+    const el = container.querySelector('.session-timeline');
+    const range = timeline.range();
+    if (!el || !range) return;
+    const cursor = el.querySelector('.timeline-cursor');
+    const readout = container.querySelector('.timeline-readout');
+    const tracks = new Map(SessionTimeline.TRACKS.map(track => [track.key, track]));
+
+    const move = (e) => {
+      const area = el.querySelector('svg').getBoundingClientRect();
+      const clientX = Math.max(area.left, Math.min(area.right, e.clientX));
+      const t = range.start + (clientX - area.left) / area.width * (range.end - range.start);
+      cursor.style.left = (clientX - el.getBoundingClientRect().left) + 'px';
+      cursor.style.display = 'block';
+
+      const values = timeline.valuesAt(t);
+      const parts = SessionTimeline.TRACKS
+        .filter(track => track.key in values)
+        .map(track => `${track.label} ${values[track.key].toFixed(track.digits)}${track.unit}`);
+      timeline.eventsAt(t).forEach(event => {
+        const label = tracks.has(event.track) ? tracks.get(event.track).label : event.track;
+        const who = event.role ? ` (${event.role === 'user' ? 'you' : 'MicroSense'})` : '';
+        const text = event.label && event.label.length > 80 ? event.label.slice(0, 77) + '...' : event.label;
+        parts.push(`${label}${who}: ${text}`);
+      });
+      readout.textContent = [((t - range.start) / 1000).toFixed(1) + 's', ...parts].join(' \u00b7 ');
+    };
+    el.addEventListener('pointermove', move);
+    el.addEventListener('pointerdown', move);
+  },
+
   /**
    * Render the full results page
    */
@@ -264,27 +671,88 @@ const Charts = {
     const p = profile.params;
     let html = '<div class="results-grid">';
 
+    // 0. Scan Quality
+    if (profile.quality) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#127909;</span> Scan Quality</div>
+        ${this.renderQuality(profile.quality)}
+      </div>`;
+    }
+
+    // 0a. Replayed recording against the profile it recorded
+    if (profile.replay) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#128260;</span> Replay Check</div>
+        ${this.renderReplay(profile.replay)}
+      </div>`;
+    }
+
+    // 0b. Against the personal baseline (live scans)
+    if (profile.baseline) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#128100;</span> Compared with Your Usual</div>
+        ${this.renderRelative(profile)}
+      </div>`;
+    }
+
     // 1. Radar Chart
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#128302;</span> AlphaEye Profile</div>
-      ${this.renderRadar(p)}
+      ${this.renderRadar(p, profile.intervals)}
     </div>`;
 
+    // 1b. What each parameter is made of
+    if (profile.contributions) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#128269;</span> Why These Numbers?</div>
+        ${this.renderContributions(profile)}
+      </div>`;
+    }
+
     // 2. State of Mind Quadrant
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#129504;</span> State of Mind</div>
-      ${this.renderQuadrant(profile.stateOfMind)}
+      ${this.renderQuadrant(profile.stateOfMind, profile.affect, profile.monitorAffect)}
     </div>`;
 
-    // 3. Gauges Row (Vitality + Concentration)
+    // 3. Gauges Row (Vitality + Concentration), vitality mapped from -100..100 like its value
+    const intervals = profile.intervals || {};
+    const vitalityInterval = intervals.vitalityIndex && {
+      low: Math.round((intervals.vitalityIndex.low + 100) / 2),
+      high: Math.round((intervals.vitalityIndex.high + 100) / 2)
+    };
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#9889;</span> Vital Indicators</div>
       <div class="gauge-row">
-        ${this.renderGauge(Math.round((profile.vitalityIndex + 100) / 2), 'Vitality', '&#128171;')}
-        ${this.renderGauge(profile.concentrationIndex, 'Concentration', '&#127919;')}
+        ${this.renderGauge(Math.round((profile.vitalityIndex + 100) / 2), 'Vitality', '&#128171;', vitalityInterval)}
+        ${this.renderGauge(profile.concentrationIndex, 'Concentration', '&#127919;', intervals.concentrationIndex)}
       </div>
     </div>`;
 
+    // 3b. Camera Pulse
+    if (profile.pulse) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#128147;</span> Pulse</div>
+        ${this.renderPulse(profile.pulse)}
+      </div>`;
+    }
+
+    // 3c. Breathing
+    if (profile.respiration) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#127788;</span> Breathing</div>
+        ${this.renderRespiration(profile.respiration)}
+      </div>`;
+    }
+
+    // 3d. Fatigue
+    if (profile.fatigue) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#128564;</span> Fatigue</div>
+        ${this.renderFatigue(profile.fatigue)}
+      </div>`;
+    }
+
     // 4. Mind Distribution Histogram
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#128202;</span> Mind Distribution</div>
@@ -298,8 +766,17 @@ const Charts = {
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#128200;</span> Internal-External Correlation</div>
       ${this.renderTimeline(profile.deceptionTimeline)}
+      ${this.renderPoseTimeline(profile.deceptionTimeline)}
     </div>`;
 
+    // 5b. Every stream of the session on one clock
+    if (profile.timeline) {
+      html += `<div class="result-card">
+        <div class="result-card-title"><span class="card-icon">&#127902;</span> Session Timeline</div>
+        ${this.renderSessionTimeline(profile.timeline)}
+      </div>`;
+    }
+
     // 6. Condition Alerts
     html += `<div class="result-card">
       <div class="result-card-title"><span class="card-icon">&#128276;</span> Condition Screening</div>
@@ -312,7 +789,7 @@ const Charts = {
         <div class="result-card-title"><span class="card-icon">&#127908;</span> Voice Analysis</div>
         <div class="gauge-row">
           ${this.renderGauge(profile.voiceStress, 'Voice Stress', '&#128483;')}
-          ${this.renderGauge(100 - profile.deceptionProb, 'Truthfulness', '&#9989;')}
+          ${typeof profile.deceptionProb === 'number' ? this.renderGauge(100 - profile.deceptionProb, 'Truthfulness', '&#9989;') : ''}
         </div>
       </div>`;
     }
@@ -331,5 +808,6 @@ const Charts = {
         document.querySelector('[data-tab="panelChat"]')?.click();
       });
     }
+    if (profile.timeline) this.bindSessionTimeline(container, profile.timeline);
   }
 };
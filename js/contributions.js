@@ -0,0 +1,91 @@
+/* ============================================
+   CONTRIBUTIONS - Score Breakdown Traces
+   Engines build each composite score from named
+   sub-features; alongside the score they return
+   its trace: a list of { feature, label, points }
+   saying how many points each sub-feature added
+   (negative: took away). The points add up to the
+   score; clamping to the score's range shows up
+   as a separate 'limit' entry, so a capped score
+   still reads correctly.
+   ============================================ */
+
+class Contributions {
+    /**
+     * One contribution
+     * @param {string} feature - stable key (e.g. 'fearful')
+     * @param {string} label - readable name
+     * @param {number} points
+     * @returns {object} { feature, label, points }
+     */
+    static part(feature, label, points) {
+        return { feature, label, points };
+    }
+
+    /**
+     * Parts with every point value multiplied (a weight or sensitivity applied to their sum),
+     * nested traces (part.detail) included
+     */
+    static scaled(parts, factor) {
+        return parts.map(p => {
+            const scaled = Object.assign({}, p, { points: p.points * factor });
+            if (p.detail) scaled.detail = Contributions.scaled(p.detail, factor);
+            return scaled;
+        });
+    }
+
+    /**
+     * Finished trace of a score: parts rounded to 0.1 point, negligible ones
+     * dropped, largest first, and a 'limit' entry for whatever clamping or
+     * capping took off the raw sum
+     * @param {Array} parts - Contributions.part() entries
+     * @param {number} value - the score the engine reports (before its final rounding)
+     * @returns {Array} [{ feature, label, points }]
+     */
+    static trace(parts, value) {
+        const sum = parts.reduce((s, p) => s + p.points, 0);
+        const trace = parts
+            .filter(p => Math.abs(p.points) >= Contributions.MIN_POINTS)
+            .map(p => Contributions._rounded(p))
+            .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+        if (Math.abs(value - sum) >= Contributions.MIN_POINTS) {
+            trace.push(Contributions.part('limit', value < sum ? 'Capped at the top of the scale' : 'Held at the bottom of the scale',
+                Contributions._round(value - sum)));
+        }
+        return trace;
+    }
+
+    /**
+     * The entries with the largest effect, nested traces (entry.detail) flattened
+     * to their leaves, for a short explanation. Fixed starting points ('base')
+     * and caps ('limit') are left out: they aren't something the person did.
+     * @param {Array} trace
+     * @param {number} [count]
+     * @returns {Array} [{ feature, label, points }]
+     */
+    static top(trace, count = 3) {
+        const leaves = [];
+        const walk = (entries) => entries.forEach(e => {
+            if (e.detail && e.detail.length > 0) walk(e.detail);
+            else if (e.feature !== 'limit' && e.feature !== 'base') leaves.push(e);
+        });
+        walk(trace || []);
+        return leaves.sort((a, b) => Math.abs(b.points) - Math.abs(a.points)).slice(0, count);
+    }
+
+    // ── Private Methods ──
+
+    static _rounded(part) {
+        const rounded = Object.assign({}, part, { points: Contributions._round(part.points) });
+        if (part.detail) rounded.detail = part.detail.map(d => Contributions._rounded(d));
+        return rounded;
+    }
+
+    static _round(points) {
+        return Math.round(points * 10) / 10;
+    }
+}
+
+Contributions.MIN_POINTS = 0.05;
+
+self.Contributions = Contributions;
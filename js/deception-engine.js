@@ -9,21 +9,31 @@
    - Cognitive Load Theory (Vrij et al.)
    - AlphaEye VER Theory (Dr. Aken Yu)
    - EAR blink detection (Soukupová & Čech)
+   - FACS action units (ActionUnits): a smile only
+     counts as duping delight when the lip corners
+     really pull up (AU12), and smiles without the
+     cheek raise (AU6) or with a lowered brow (AU4)
+     count as incongruent
+   Voice stress is fused in by FusionEngine, weighted
+   by how reliable the face and the voice were.
 
    DISCLAIMER: Screening indicators only - not diagnostic.
    ============================================ */
 
 class DeceptionEngine {
-    constructor() {
-        this.frameHistory = new Map();          // personId -> frame data array
-        this.blinkState = new Map();            // personId -> blink tracking state
+    /**
+     * @param {FrameStore} [frameStore] - Shared frame store (a private one is created if omitted)
+     */
+    constructor(frameStore) {
+        this.frameStore = frameStore || new FrameStore();
+        this.fusion = new FusionEngine();
+        this.blinkDetectors = new Map();        // personId -> BlinkDetector
         this.microExpressionLog = new Map();    // personId -> timestamped micro-expression events
-        this.baselineFrames = 90;               // first 3 seconds = truthful baseline
-        this.maxHistoryFrames = 1800;           // 60 seconds at 30fps
+        this.baselineSeconds = 3;               // first 3 seconds = truthful baseline
+        this.historySeconds = 60;               // analysis window (frame timestamps)
+        this.microExpressionMaxMs = 200;        // micro-expression range: ~1/25 to 1/5 second
+        this.gazeAversionDeg = 15;              // head turned this far from the scan's median direction
 
-        // Eye landmark indices (face-api.js 68-point model)
-        this.LEFT_EYE = [36, 37, 38, 39, 40, 41];
-        this.RIGHT_EYE = [42, 43, 44, 45, 46, 47];
         // Nose bridge for asymmetry midline
         this.NOSE_BRIDGE = [27, 28, 29, 30];
         // Left face landmarks, right face landmarks (mirrored pairs)
@@ -33,29 +43,24 @@ class DeceptionEngine {
 
     /**
      * Process a single frame for deception analysis
+     * @param {string} personId
+     * @param {object} detection - face-api detection
+     * @param {number} [timestamp] - frame capture time in ms
      */
-    processFrame(personId, detection) {
-        if (!this.frameHistory.has(personId)) {
-            this.frameHistory.set(personId, []);
-            this.blinkState.set(personId, { inBlink: false, blinkStart: 0, blinks: [], lastBlinkEnd: 0, suppressionStart: 0, absoluteFrame: 0 });
+    processFrame(personId, detection, timestamp) {
+        if (!this.blinkDetectors.has(personId)) {
+            this.blinkDetectors.set(personId, new BlinkDetector());
             this.microExpressionLog.set(personId, []);
         }
 
-        const history = this.frameHistory.get(personId);
-        const frameData = this._extractFrameData(detection);
-        history.push(frameData);
-
-        if (history.length > this.maxHistoryFrames) {
-            history.shift();
-        }
+        const frameIndex = this.frameStore.append(personId, detection, timestamp);
+        const frameData = this.frameStore.frame(personId, frameIndex);
 
-        // Real-time blink tracking (use absolute frame counter for consistent indexing)
-        const blinkData = this.blinkState.get(personId);
-        blinkData.absoluteFrame++;
-        this._trackBlinks(personId, frameData, blinkData.absoluteFrame);
+        // Real-time blink tracking
+        this.blinkDetectors.get(personId).push(frameData.landmarks, frameData.timestamp);
 
         // Real-time micro-expression detection
-        this._detectMicroExpressions(personId, history);
+        this._detectMicroExpressions(personId);
 
         return this._quickDeceptionAssess(personId);
     }
@@ -64,8 +69,8 @@ class DeceptionEngine {
      * Quick real-time deception assessment (last 30 frames)
      */
     _quickDeceptionAssess(personId, vsaQuick = null) {
-        const history = this.frameHistory.get(personId);
-        if (!history || history.length < 5) {
+        const frameCount = this.frameStore.count(personId);
+        if (frameCount < 5) {
             return {
                 deceptionProbability: 0, concealmentScore: 0, cognitiveLoad: 0,
                 truthfulness: 100, microExpressionDetected: false, blinkAnomaly: false,
@@ -73,8 +78,10 @@ class DeceptionEngine {
             };
         }
 
-        const recent = history.slice(-30);
-        const isBaseline = history.length <= this.baselineFrames;
+        const recent = this._withAsymmetry(this.frameStore.last(personId, 30));
+        const now = recent[recent.length - 1].timestamp;
+        const elapsedMs = now - this.frameStore.timestampAt(personId, this.frameStore.firstIndex(personId));
+        const isBaseline = elapsedMs <= this.baselineSeconds * 1000;
 
         // --- Expression instability ---
         let instability = 0;
@@ -86,13 +93,12 @@ class DeceptionEngine {
         }
         const instabilityRate = instability / recent.length;
 
-        // --- Gaze aversion (head position drift) ---
+        // --- Gaze aversion (head turns, HeadPose yaw; the 12 px box swing in degrees) ---
+        const driftDeg = 12 / HeadPose.PX_PER_DEGREE;
         let gazeDrifts = 0;
         for (let i = 5; i < recent.length; i++) {
-            const window = recent.slice(i - 5, i);
-            const xs = window.map(f => f.box.x);
-            const range = Math.max(...xs) - Math.min(...xs);
-            if (range > 12) gazeDrifts++;
+            const yaws = recent.slice(i - 5, i).filter(f => f.pose).map(f => f.pose.yaw);
+            if (yaws.length > 1 && Math.max(...yaws) - Math.min(...yaws) > driftDeg) gazeDrifts++;
         }
         const gazeAversionRate = recent.length > 5 ? gazeDrifts / (recent.length - 5) : 0;
 
@@ -101,16 +107,14 @@ class DeceptionEngine {
         const avgAsymmetry = asymmetries.length > 0 ? asymmetries.reduce((a, b) => a + b, 0) / asymmetries.length : 0;
 
         // --- Blink anomaly detection ---
-        const blinkData = this.blinkState.get(personId);
-        const absFrame = blinkData.absoluteFrame;
-        const recentBlinks = blinkData.blinks.filter(b => b.endFrame > absFrame - 90);
-        const blinkWindow = Math.min(90, absFrame);
-        const blinkRate = blinkWindow > 0 ? recentBlinks.length * (30 / blinkWindow) * 60 : 0;
-        const blinkAnomaly = absFrame > 30 && (blinkRate > 30 || blinkRate < 5);
+        const blinkWindowMs = Math.min(3000, elapsedMs);
+        const recentBlinks = this.blinkDetectors.get(personId).blinks().filter(b => b.reopenTime > now - 3000);
+        const blinkRate = blinkWindowMs > 0 ? recentBlinks.length / (blinkWindowMs / 60000) : 0;
+        const blinkAnomaly = elapsedMs > 1000 && (blinkRate > 30 || blinkRate < 5);
 
         // --- Micro-expression check ---
         const microLog = this.microExpressionLog.get(personId);
-        const recentMicro = microLog.filter(m => m.frameIndex > history.length - 30);
+        const recentMicro = microLog.filter(m => m.frameIndex > frameCount - 30);
         const microExpressionDetected = recentMicro.length > 0;
 
         // --- Neutral dominance with hidden signals (concealment) ---
@@ -181,20 +185,42 @@ class DeceptionEngine {
 
     /**
      * Full post-scan deception analysis
+     * @param {string} personId
+     * @param {object|null} [vsaReport]
+     * @param {object|null} [quality] - FrameQuality report of the scan (weighs the face in the fusion)
+     */
+    fullAnalysis(personId, vsaReport = null, quality = null) {
+        return this.analyzeFrames(personId, this.frameStore.lastSeconds(personId, this.historySeconds), vsaReport, quality);
+    }
+
+    /**
+     * Deception analysis of a given run of frames (AnalysisPipeline also runs it
+     * on windows of the scan). Blink statistics are scan-wide; micro-expressions
+     * count only inside the frames' time span.
+     * @param {string} personId
+     * @param {Array} frames - materialized frames, oldest first
+     * @param {object|null} [vsaReport]
+     * @param {object|null} [quality] - FrameQuality report, as for FusionEngine.faceReliability()
+     * @returns {object} deceptionProbability and truthfulnessIndex are null when neither
+     *                   face nor voice was reliable enough to fuse
      */
-    fullAnalysis(personId, vsaReport = null) {
-        const history = this.frameHistory.get(personId);
-        if (!history || history.length < 15) return this._defaultResult(personId);
+    analyzeFrames(personId, frames, vsaReport = null, quality = null) {
+        const history = this._withAsymmetry(frames);
+        if (history.length < 15) return this._defaultResult(personId);
 
-        const fps = 30;
-        const durationSec = history.length / fps;
-        const baseline = history.slice(0, Math.min(this.baselineFrames, Math.floor(history.length * 0.2)));
-        const analysisFrames = history.slice(Math.min(this.baselineFrames, Math.floor(history.length * 0.2)));
+        const durationSec = FrameStore.durationSec(history);
+        const baselineEndMs = history[0].timestamp + Math.min(this.baselineSeconds, durationSec * 0.2) * 1000;
+        const baselineCount = history.findIndex(f => f.timestamp >= baselineEndMs);
+        const baseline = history.slice(0, Math.max(0, baselineCount));
+        const analysisFrames = history.slice(Math.max(0, baselineCount));
 
         // --- Core analyses ---
-        const blinkAnalysis = this._analyzeBlinkPatterns(personId, history, fps);
+        const blinkAnalysis = this._analyzeBlinkPatterns(personId);
         const asymmetryAnalysis = this._analyzeAsymmetry(history);
-        const microExpressions = this.microExpressionLog.get(personId) || [];
+        const spanStart = history[0].timestamp;
+        const spanEnd = history[history.length - 1].timestamp;
+        const microExpressions = (this.microExpressionLog.get(personId) || [])
+            .filter(m => m.timestamp >= spanStart && m.timestamp <= spanEnd);
         const expressionAnalysis = this._analyzeExpressionPatterns(history);
         const gazeAnalysis = this._analyzeGazePatterns(history);
         const incongruenceAnalysis = this._analyzeIncongruence(history);
@@ -229,21 +255,39 @@ class DeceptionEngine {
             incongruenceAnalysis.incongruenceRate * 40
         ));
 
-        // Blend VSA into final scores (20% voice, 80% facial)
-        if (vsaReport && vsaReport.baselineEstablished) {
-            deceptionProbability = Math.min(100, Math.round(
-                deceptionProbability * 0.80 + vsaReport.voiceStressScore * 0.20
-            ));
+        const cognitiveLoadFace = cognitiveLoadAvg;
+        const confidenceLevel = Math.min(100, Math.round((history.length / 120) * 100));
+
+        // Fuse voice stress into the final scores, each side weighted by its reliability
+        const fusion = this.fusion.fuse('deception', [
+            { modality: 'face', value: deceptionProbability, reliability: this.fusion.faceReliability(confidenceLevel, quality) },
+            { modality: 'voice', value: vsaReport ? vsaReport.voiceStressScore : null, reliability: this.fusion.voiceReliability(vsaReport) }
+        ]);
+        // Neither face nor voice reliable enough to read: not measured, rather than truthful
+        if (fusion.value === null) {
+            return Object.assign(this._defaultResult(personId), {
+                confidenceLevel,
+                fusion: { sd: fusion.sd, shares: fusion.shares, reliability: fusion.reliability },
+                overallAssessment: 'Too few usable frames for analysis',
+                framesAnalyzed: history.length,
+                scanDuration: durationSec
+            });
+        }
+        deceptionProbability = Math.min(100, Math.round(fusion.value));
+        if (fusion.shares.voice > 0) {
             cognitiveLoadAvg = Math.min(100, Math.round(
                 cognitiveLoadAvg + vsaReport.voiceStressScore * 0.15
             ));
         }
 
         const truthfulnessIndex = Math.max(0, 100 - deceptionProbability);
-        const confidenceLevel = Math.min(100, Math.round((history.length / 120) * 100));
+        const contributions = this._traceDeception(
+            { falsification, concealment, equivocation }, cognitiveLoadFace, microExpressions.length / durationSec,
+            asymmetryAnalysis, blinkAnalysis, incongruenceAnalysis, vsaReport, fusion
+        );
 
         // --- Deception timeline ---
-        const deceptionTimeline = this._buildDeceptionTimeline(personId, history, fps);
+        const deceptionTimeline = this._buildDeceptionTimeline(personId, history);
 
         // --- Indicators ---
         const indicators = this._generateIndicators(
@@ -263,6 +307,8 @@ class DeceptionEngine {
             deceptionProbability,
             confidenceLevel,
             truthfulnessIndex,
+            contributions,
+            fusion: { sd: fusion.sd, shares: fusion.shares, reliability: fusion.reliability },
             concealmentScore: concealment.score,
             cognitiveLoadAvg,
             cognitiveLoadPeak,
@@ -278,51 +324,24 @@ class DeceptionEngine {
             voiceStressAnalysis: vsaReport || null,
             framesAnalyzed: history.length,
             scanDuration: durationSec,
-            baselineEstablished: baseline.length >= 30
+            baselineEstablished: baseline.length >= 5 && FrameStore.durationSec(baseline) >= 1
         };
     }
 
-    // ── Frame Data Extraction ──
+    // ── Frame Access ──
 
-    _extractFrameData(detection) {
-        const expr = detection.expressions || {};
-        const box = detection.detection ? detection.detection.box : detection.box || {};
-        const landmarks = detection.landmarks;
-
-        let landmarkPositions = null;
-        let asymmetry = null;
-
-        if (landmarks) {
-            const positions = landmarks.positions || landmarks._positions || [];
-            landmarkPositions = positions.map(p => ({ x: p.x || p._x, y: p.y || p._y }));
-            if (landmarkPositions.length >= 48) {
-                asymmetry = this._computeFrameAsymmetry(landmarkPositions);
-            }
-        }
-
-        return {
-            timestamp: Date.now(),
-            expressions: {
-                angry: expr.angry || 0,
-                disgusted: expr.disgusted || 0,
-                fearful: expr.fearful || 0,
-                happy: expr.happy || 0,
-                neutral: expr.neutral || 0,
-                sad: expr.sad || 0,
-                surprised: expr.surprised || 0
-            },
-            box: {
-                x: box.x || box._x || 0,
-                y: box.y || box._y || 0,
-                width: box.width || box._width || 0,
-                height: box.height || box._height || 0
-            },
-            landmarks: landmarkPositions,
-            asymmetry
-        };
+    _withAsymmetry(frames) {
+        frames.forEach(frame => {
+            frame.asymmetry = frame.landmarks && frame.landmarks.length >= 48
+                ? this._computeFrameAsymmetry(FaceAlign.align(frame.landmarks) || frame.landmarks)
+                : null;
+        });
+        return frames;
     }
 
     // ── Facial Asymmetry ──
+    // Measured on FaceAlign-aligned landmarks: roll and distance to the camera
+    // would otherwise read as asymmetry.
 
     _computeFrameAsymmetry(landmarks) {
         if (landmarks.length < 68) return 0;
@@ -354,18 +373,17 @@ class DeceptionEngine {
     }
 
     _analyzeAsymmetry(history) {
-        const values = history.filter(f => f.asymmetry !== null).map(f => f.asymmetry);
+        const measured = history.filter(f => f.asymmetry !== null);
+        const values = measured.map(f => f.asymmetry);
         if (values.length < 5) return { avgAsymmetry: 0, peakAsymmetry: 0, timeline: [] };
 
         const avg = values.reduce((a, b) => a + b, 0) / values.length;
         const peak = Math.max(...values);
 
-        // Sample timeline every ~30 frames (1 sec)
-        const timeline = [];
-        for (let i = 0; i < values.length; i += 30) {
-            const chunk = values.slice(i, i + 30);
-            timeline.push(Math.round(chunk.reduce((a, b) => a + b, 0) / chunk.length));
-        }
+        // Timeline in 1-second buckets of frame time
+        const timeline = this._bucketBySecond(measured).map(chunk =>
+            Math.round(chunk.reduce((s, f) => s + f.asymmetry, 0) / chunk.length)
+        );
 
         return {
             avgAsymmetry: Math.round(avg),
@@ -376,65 +394,23 @@ class DeceptionEngine {
 
     // ── Blink Detection & Analysis ──
 
-    _trackBlinks(personId, frameData, frameIndex) {
-        if (!frameData.landmarks || frameData.landmarks.length < 48) return;
-
-        const state = this.blinkState.get(personId);
-        const ear = this._computeEAR(frameData.landmarks);
-        const threshold = 0.21;
-
-        if (ear < threshold && !state.inBlink) {
-            state.inBlink = true;
-            state.blinkStart = frameIndex;
-        } else if (ear >= threshold && state.inBlink) {
-            state.inBlink = false;
-            const duration = frameIndex - state.blinkStart;
-            state.blinks.push({
-                startFrame: state.blinkStart,
-                endFrame: frameIndex,
-                duration,
-                durationMs: (duration / 30) * 1000
-            });
-            state.lastBlinkEnd = frameIndex;
-        }
-    }
-
-    _computeEAR(landmarks) {
-        const leftEAR = this._singleEAR(landmarks, this.LEFT_EYE);
-        const rightEAR = this._singleEAR(landmarks, this.RIGHT_EYE);
-        return (leftEAR + rightEAR) / 2;
-    }
-
-    _singleEAR(landmarks, eyeIndices) {
-        const p = eyeIndices.map(i => landmarks[i]);
-        if (!p[0] || !p[1] || !p[2] || !p[3] || !p[4] || !p[5]) return 0.3;
-        const v1 = Math.sqrt(Math.pow(p[1].x - p[5].x, 2) + Math.pow(p[1].y - p[5].y, 2));
-        const v2 = Math.sqrt(Math.pow(p[2].x - p[4].x, 2) + Math.pow(p[2].y - p[4].y, 2));
-        const h = Math.sqrt(Math.pow(p[0].x - p[3].x, 2) + Math.pow(p[0].y - p[3].y, 2));
-        return h > 0 ? (v1 + v2) / (2 * h) : 0.3;
+    /**
+     * The person's BlinkDetector (its events are the scan's one blink record)
+     * @returns {BlinkDetector|null}
+     */
+    blinkDetector(personId) {
+        return this.blinkDetectors.get(personId) || null;
     }
 
-    _analyzeBlinkPatterns(personId, history, fps) {
-        const state = this.blinkState.get(personId);
-        if (!state) return { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100 };
-
-        const blinks = state.blinks;
-        const durationSec = history.length / fps;
-        const rate = durationSec > 0 ? (blinks.length / durationSec) * 60 : 0;
-
-        // Blink intervals
-        const intervals = [];
-        for (let i = 1; i < blinks.length; i++) {
-            intervals.push((blinks[i].startFrame - blinks[i - 1].endFrame) / fps);
-        }
+    _analyzeBlinkPatterns(personId) {
+        const detector = this.blinkDetectors.get(personId);
+        if (!detector) return { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100 };
 
-        // Regularity
-        let regularity = 100;
-        if (intervals.length > 2) {
-            const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-            const variance = intervals.reduce((s, v) => s + Math.pow(v - avgInterval, 2), 0) / intervals.length;
-            regularity = Math.max(0, Math.min(100, 100 - Math.sqrt(variance) * 30));
-        }
+        const blinks = detector.blinks();
+        const summary = detector.summary();
+        const rate = summary.blinksPerMinute;
+        const regularity = summary.regularity;
+        const intervals = summary.intervals;
 
         // Suppression events: gaps > 5 seconds with no blinks
         let suppressionEvents = 0;
@@ -445,7 +421,7 @@ class DeceptionEngine {
         // Burst events: 3+ blinks within 2 seconds
         let burstEvents = 0;
         for (let i = 2; i < blinks.length; i++) {
-            const span = (blinks[i].endFrame - blinks[i - 2].startFrame) / fps;
+            const span = (blinks[i].reopenTime - blinks[i - 2].onsetTime) / 1000;
             if (span < 2) burstEvents++;
         }
 
@@ -468,41 +444,45 @@ class DeceptionEngine {
         ));
 
         return {
-            rate: Math.round(rate * 10) / 10,
-            totalBlinks: blinks.length,
-            regularity: Math.round(regularity),
+            rate,
+            totalBlinks: summary.totalBlinks,
+            regularity,
             suppressionEvents,
             burstEvents,
             suppressBurstPattern,
             anomalyScore,
-            avgDurationMs: blinks.length > 0 ? Math.round(blinks.reduce((s, b) => s + b.durationMs, 0) / blinks.length) : 0
+            avgDurationMs: summary.avgDurationMs,
+            partialBlinks: summary.partialBlinks,
+            longClosures: summary.longClosures,
+            perclos: summary.perclos
         };
     }
 
     // ── Micro-Expression Detection ──
 
-    _detectMicroExpressions(personId, history) {
-        if (history.length < 4) return;
-
-        const log = this.microExpressionLog.get(personId);
-        const idx = history.length - 1;
-        const current = history[idx];
-        const expressionKeys = ['angry', 'disgusted', 'fearful', 'happy', 'surprised'];
+    _detectMicroExpressions(personId) {
+        const idx = this.frameStore.count(personId) - 1;
 
         // Look for expression spikes: sharp onset (>0.15 jump from baseline) lasting 1-6 frames
         // Check if any non-neutral expression spiked and then dropped
         if (idx < 3) return;
 
+        const log = this.microExpressionLog.get(personId);
+        const recent = this.frameStore.slice(personId, idx - 3, idx + 1);
+        if (recent.length < 4) return;
+        const current = recent[3];
+        const prev3 = recent.slice(0, 3);
+        const expressionKeys = ['angry', 'disgusted', 'fearful', 'happy', 'surprised'];
+
         for (const key of expressionKeys) {
             const val = current.expressions[key];
-            const prev3 = history.slice(Math.max(0, idx - 3), idx);
             const prevAvg = prev3.reduce((s, f) => s + f.expressions[key], 0) / prev3.length;
 
             // Spike detection: current value much higher than recent average
             if (val > prevAvg + 0.15 && val > 0.12) {
                 // Check if this spike is brief (look back to see if a previous spike just ended)
                 // We log the spike start; we'll check duration when it ends
-                const existingSpike = log.find(m => m.key === key && m.endFrame === null && idx - m.frameIndex < 8);
+                const existingSpike = log.find(m => m.key === key && m.endFrame === null && current.timestamp - m.timestamp < this.microExpressionMaxMs * 1.35);
 
                 if (!existingSpike) {
                     log.push({
@@ -510,9 +490,10 @@ class DeceptionEngine {
                         endFrame: null,
                         key,
                         intensity: val,
-                        type: this._classifyMicroExpression(key, current.expressions),
+                        type: this._classifyMicroExpression(key, current.expressions, current.aus),
                         timestamp: current.timestamp,
-                        durationFrames: 0
+                        durationFrames: 0,
+                        durationMs: 0
                     });
                 }
             }
@@ -524,27 +505,30 @@ class DeceptionEngine {
             if (entry.endFrame !== null) continue;
             const val = current.expressions[entry.key];
             const elapsed = idx - entry.frameIndex;
+            const elapsedMs = current.timestamp - entry.timestamp;
 
             if (elapsed > 0 && val < entry.intensity * 0.5) {
                 // Spike ended
                 entry.endFrame = idx;
                 entry.durationFrames = elapsed;
+                entry.durationMs = Math.round(elapsedMs);
 
-                // Only keep if it lasted 1-6 frames (micro-expression range: ~33-200ms at 30fps)
-                if (elapsed > 6) {
+                // Only keep if it lasted within the micro-expression range (<= ~200ms)
+                if (elapsedMs > this.microExpressionMaxMs) {
                     // Too long — not a micro-expression, remove
                     log.splice(li, 1);
                 }
-            } else if (elapsed > 8) {
+            } else if (elapsedMs > this.microExpressionMaxMs * 1.35) {
                 // Stuck open — close and remove
                 log.splice(li, 1);
             }
         }
     }
 
-    _classifyMicroExpression(key, expressions) {
+    // aus: the frame's ActionUnits estimate (null for frames without landmarks)
+    _classifyMicroExpression(key, expressions, aus) {
         if (key === 'fearful' || (key === 'surprised' && expressions.fearful > 0.05)) return 'fear-cluster';
-        if (key === 'happy' && expressions.neutral > 0.4) return 'duping-delight';
+        if (key === 'happy' && expressions.neutral > 0.4 && (!aus || aus.AU12 >= ActionUnits.ACTIVE)) return 'duping-delight';
         if (key === 'disgusted') return 'disgust-leak';
         if (key === 'angry') return 'anger-leak';
         if (key === 'surprised') return 'surprise-flash';
@@ -580,38 +564,38 @@ class DeceptionEngine {
 
     // ── Gaze Pattern Analysis ──
 
+    // Aversion = head turned away from the scan's median direction (HeadPose);
+    // reversals = yaw direction changes (looking back and forth). Step and drift
+    // scales are the box-pixel ones converted with HeadPose.PX_PER_DEGREE.
     _analyzeGazePatterns(history) {
-        if (history.length < 10) return { aversionRate: 0, stability: 100, driftScore: 0 };
+        const posed = history.filter(f => f.pose);
+        if (posed.length < 10) return { aversionRate: 0, stability: 100, driftScore: 0 };
 
-        let drifts = 0;
-        for (let i = 5; i < history.length; i++) {
-            const window = history.slice(i - 5, i);
-            const xs = window.map(f => f.box.x);
-            if (Math.max(...xs) - Math.min(...xs) > 12) drifts++;
-        }
+        const center = HeadPose.medianPose(posed);
+        const averted = posed.filter(f => HeadPose.angularDistance(f.pose, center) > this.gazeAversionDeg).length;
 
-        const headPositions = history.map(f => ({ x: f.box.x + f.box.width / 2 }));
+        const step = 1.5 / HeadPose.PX_PER_DEGREE;
         let reversals = 0;
-        for (let i = 2; i < headPositions.length; i++) {
-            const dx1 = headPositions[i - 1].x - headPositions[i - 2].x;
-            const dx2 = headPositions[i].x - headPositions[i - 1].x;
-            if ((dx1 > 1.5 && dx2 < -1.5) || (dx1 < -1.5 && dx2 > 1.5)) reversals++;
+        for (let i = 2; i < posed.length; i++) {
+            const d1 = posed[i - 1].pose.yaw - posed[i - 2].pose.yaw;
+            const d2 = posed[i].pose.yaw - posed[i - 1].pose.yaw;
+            if ((d1 > step && d2 < -step) || (d1 < -step && d2 > step)) reversals++;
         }
 
-        const aversionRate = drifts / Math.max(1, history.length - 5);
-        const stability = Math.max(0, 100 - aversionRate * 100 - (reversals / history.length) * 50);
+        const aversionRate = averted / posed.length;
+        const stability = Math.max(0, 100 - aversionRate * 100 - (reversals / posed.length) * 50);
 
-        // Drift: compare first quarter vs last quarter head position
-        const q1 = history.slice(0, Math.floor(history.length / 4));
-        const q4 = history.slice(-Math.floor(history.length / 4));
-        const avgFirst = q1.reduce((s, f) => s + f.box.x, 0) / q1.length;
-        const avgLast = q4.reduce((s, f) => s + f.box.x, 0) / q4.length;
-        const driftScore = Math.min(100, Math.round(Math.abs(avgLast - avgFirst)));
+        // Drift: compare first quarter vs last quarter head direction
+        const quarter = Math.max(1, Math.floor(posed.length / 4));
+        const meanYaw = frames => frames.reduce((s, f) => s + f.pose.yaw, 0) / frames.length;
+        const driftDegrees = Math.abs(meanYaw(posed.slice(-quarter)) - meanYaw(posed.slice(0, quarter)));
+        const driftScore = Math.min(100, Math.round(driftDegrees * HeadPose.PX_PER_DEGREE));
 
         return {
             aversionRate: Math.round(aversionRate * 100) / 100,
             stability: Math.round(stability),
             driftScore,
+            driftDegrees: Math.round(driftDegrees * 10) / 10,
             reversals,
             score: Math.min(100, Math.round(aversionRate * 80 + driftScore * 0.3))
         };
@@ -620,27 +604,41 @@ class DeceptionEngine {
     // ── Incongruence Analysis ──
 
     _analyzeIncongruence(history) {
+        const active = ActionUnits.ACTIVE;
         let incongruences = 0;
         let microLeaks = 0;
+        let maskedSmiles = 0;
 
         history.forEach(frame => {
             const e = frame.expressions;
+            const au = frame.aus;
             // Happy + angry/fearful simultaneously
             if (e.happy > 0.3 && (e.angry > 0.15 || e.fearful > 0.15 || e.disgusted > 0.15)) {
                 incongruences++;
+            } else if (au && e.happy > 0.3 && au.AU4 >= active) {
+                // Smiling with a lowered brow
+                incongruences++;
+            }
+            // Masking smile: lip corners pulled without the cheek raise of a felt smile
+            if (au && e.happy > 0.3 && au.AU12 >= active && au.AU6 < 0.1) {
+                maskedSmiles++;
             }
-            // Neutral with hidden negative signals
-            if (e.neutral > 0.65 && (e.angry > 0.08 || e.disgusted > 0.08)) {
+            // Neutral with hidden negative signals (scores, or brow lowering / lip pressing)
+            if (e.neutral > 0.65 && (e.angry > 0.08 || e.disgusted > 0.08 ||
+                (au && (au.AU4 >= active || au.AU23 >= active)))) {
                 microLeaks++;
             }
         });
 
+        const n = Math.max(1, history.length);
         return {
-            incongruenceRate: incongruences / Math.max(1, history.length),
-            microLeakRate: microLeaks / Math.max(1, history.length),
+            incongruenceRate: incongruences / n,
+            microLeakRate: microLeaks / n,
+            maskedSmileRate: maskedSmiles / n,
             score: Math.min(100, Math.round(
-                (incongruences / Math.max(1, history.length)) * 150 +
-                (microLeaks / Math.max(1, history.length)) * 80
+                (incongruences / n) * 150 +
+                (microLeaks / n) * 80 +
+                (maskedSmiles / n) * 60
             ))
         };
     }
@@ -653,7 +651,7 @@ class DeceptionEngine {
         const keys = ['angry', 'disgusted', 'fearful', 'happy', 'neutral', 'sad', 'surprised'];
         const avgExpr = {};
         keys.forEach(k => {
-            avgExpr[k] = baselineFrames.reduce((s, f) => s + f.expressions[k], 0) / baselineFrames.length;
+            avgExpr[k] = FrameStore.weightedMean(baselineFrames, f => f.expressions[k]);
         });
 
         const asymmetries = baselineFrames.filter(f => f.asymmetry !== null).map(f => f.asymmetry);
@@ -688,36 +686,36 @@ class DeceptionEngine {
 
         if (exprAnalysis.instabilityRate > 0.2) {
             score += 25;
-            indicators.push({ marker: 'High expression instability', severity: 'high' });
+            indicators.push({ marker: 'High expression instability', severity: 'high', points: 25 });
         } else if (exprAnalysis.instabilityRate > 0.1) {
             score += 12;
-            indicators.push({ marker: 'Moderate expression instability', severity: 'moderate' });
+            indicators.push({ marker: 'Moderate expression instability', severity: 'moderate', points: 12 });
         }
 
         if (asymmetry.avgAsymmetry > 30) {
             score += 20;
-            indicators.push({ marker: 'Significant facial asymmetry', severity: 'high' });
+            indicators.push({ marker: 'Significant facial asymmetry', severity: 'high', points: 20 });
         } else if (asymmetry.avgAsymmetry > 18) {
             score += 10;
-            indicators.push({ marker: 'Elevated facial asymmetry', severity: 'moderate' });
+            indicators.push({ marker: 'Elevated facial asymmetry', severity: 'moderate', points: 10 });
         }
 
         if (microExprs.length > 5) {
             score += 25;
-            indicators.push({ marker: `${microExprs.length} micro-expressions detected`, severity: 'high' });
+            indicators.push({ marker: `${microExprs.length} micro-expressions detected`, severity: 'high', points: 25 });
         } else if (microExprs.length > 2) {
             score += 12;
-            indicators.push({ marker: `${microExprs.length} micro-expressions detected`, severity: 'moderate' });
+            indicators.push({ marker: `${microExprs.length} micro-expressions detected`, severity: 'moderate', points: 12 });
         }
 
         if (blinkAnalysis.suppressBurstPattern > 1) {
             score += 15;
-            indicators.push({ marker: 'Blink suppress-then-burst pattern', severity: 'high' });
+            indicators.push({ marker: 'Blink suppress-then-burst pattern', severity: 'high', points: 15 });
         }
 
         if (deviations.overallDeviation > 0.15) {
             score += 15;
-            indicators.push({ marker: 'Significant baseline deviation', severity: 'moderate' });
+            indicators.push({ marker: 'Significant baseline deviation', severity: 'moderate', points: 15 });
         }
 
         return { score: Math.min(100, score), indicators };
@@ -730,37 +728,37 @@ class DeceptionEngine {
 
         if (exprAnalysis.neutralDominance > 0.75) {
             score += 25;
-            indicators.push({ marker: 'High neutral dominance (masking)', severity: 'high' });
+            indicators.push({ marker: 'High neutral dominance (masking)', severity: 'high', points: 25 });
         } else if (exprAnalysis.neutralDominance > 0.6) {
             score += 12;
-            indicators.push({ marker: 'Elevated neutral expression', severity: 'moderate' });
+            indicators.push({ marker: 'Elevated neutral expression', severity: 'moderate', points: 12 });
         }
 
         if (blinkAnalysis.suppressionEvents > 2) {
             score += 20;
-            indicators.push({ marker: 'Blink suppression events detected', severity: 'high' });
+            indicators.push({ marker: 'Blink suppression events detected', severity: 'high', points: 20 });
         } else if (blinkAnalysis.suppressionEvents > 0) {
             score += 10;
-            indicators.push({ marker: 'Blink suppression noted', severity: 'moderate' });
+            indicators.push({ marker: 'Blink suppression noted', severity: 'moderate', points: 10 });
         }
 
         if (incongruence.microLeakRate > 0.15) {
             score += 25;
-            indicators.push({ marker: 'Frequent micro-expression leakage', severity: 'high' });
+            indicators.push({ marker: 'Frequent micro-expression leakage', severity: 'high', points: 25 });
         } else if (incongruence.microLeakRate > 0.05) {
             score += 12;
-            indicators.push({ marker: 'Occasional micro-expression leaks', severity: 'moderate' });
+            indicators.push({ marker: 'Occasional micro-expression leaks', severity: 'moderate', points: 12 });
         }
 
         const fearMicros = microExprs.filter(m => m.type === 'fear-cluster').length;
         if (fearMicros > 2) {
             score += 15;
-            indicators.push({ marker: 'Fear cluster micro-expressions (fear of detection)', severity: 'high' });
+            indicators.push({ marker: 'Fear cluster micro-expressions (fear of detection)', severity: 'high', points: 15 });
         }
 
         if (exprAnalysis.volatility < 12 && exprAnalysis.neutralDominance > 0.6) {
             score += 10;
-            indicators.push({ marker: 'Controlled flat presentation', severity: 'moderate' });
+            indicators.push({ marker: 'Controlled flat presentation', severity: 'moderate', points: 10 });
         }
 
         return { score: Math.min(100, score), indicators };
@@ -773,44 +771,80 @@ class DeceptionEngine {
 
         if (gazeAnalysis.aversionRate > 0.3) {
             score += 25;
-            indicators.push({ marker: 'Frequent gaze aversion', severity: 'high' });
+            indicators.push({ marker: 'Frequent gaze aversion', severity: 'high', points: 25 });
         } else if (gazeAnalysis.aversionRate > 0.15) {
             score += 12;
-            indicators.push({ marker: 'Moderate gaze aversion', severity: 'moderate' });
+            indicators.push({ marker: 'Moderate gaze aversion', severity: 'moderate', points: 12 });
         }
 
         if (gazeAnalysis.driftScore > 30) {
             score += 15;
-            indicators.push({ marker: 'Significant head position drift', severity: 'moderate' });
+            indicators.push({ marker: 'Significant head position drift', severity: 'moderate', points: 15 });
         }
 
         if (exprAnalysis.instabilityRate > 0.1 && exprAnalysis.instabilityRate < 0.25) {
             score += 15;
-            indicators.push({ marker: 'Intermittent expression shifts', severity: 'moderate' });
+            indicators.push({ marker: 'Intermittent expression shifts', severity: 'moderate', points: 15 });
         }
 
         if (asymmetry.avgAsymmetry > 15 && asymmetry.avgAsymmetry < 30) {
             score += 12;
-            indicators.push({ marker: 'Moderate facial asymmetry', severity: 'moderate' });
+            indicators.push({ marker: 'Moderate facial asymmetry', severity: 'moderate', points: 12 });
         }
 
         if (gazeAnalysis.reversals > 10) {
             score += 10;
-            indicators.push({ marker: 'Frequent gaze direction changes', severity: 'low' });
+            indicators.push({ marker: 'Frequent gaze direction changes', severity: 'low', points: 10 });
         }
 
         return { score: Math.min(100, score), indicators };
     }
 
+    // ── Contribution Traces ──
+
+    // Points behind deceptionProbability (the strongest type's markers, at half weight, and
+    // the direct terms; all at the face's fusion share, next to the voice's) and truthfulnessIndex (100 minus those)
+    _traceDeception(types, cognitiveLoad, microRate, asymmetry, blinkAnalysis, incongruence, vsaReport, fusion) {
+        const P = Contributions.part;
+        const [typeName, strongest] = Object.entries(types).reduce((a, b) => (b[1].score > a[1].score ? b : a));
+        let parts = strongest.indicators.map(ind => P(typeName, ind.marker, ind.points * 0.5));
+        parts.push(
+            P('cognitiveLoad', 'Cognitive load', cognitiveLoad * 0.2),
+            P('microExpressions', 'Micro-expression rate', microRate * 8),
+            P('asymmetry', 'Facial asymmetry', asymmetry.avgAsymmetry * 0.3),
+            P('blinks', 'Blink anomalies', blinkAnalysis.anomalyScore * 0.15),
+            P('incongruence', 'Expression incongruence', incongruence.incongruenceRate * 40)
+        );
+        if (fusion.shares.voice > 0) {
+            const facial = parts.reduce((s, p) => s + p.points, 0);
+            parts = Contributions.scaled(parts, (Math.min(100, facial) / Math.max(facial, 1e-9)) * fusion.shares.face);
+            const voice = P('voiceStress', 'Voice stress', vsaReport.voiceStressScore * fusion.shares.voice);
+            const voiceTrace = vsaReport.contributions && vsaReport.contributions.voiceStressScore;
+            if (voiceTrace) voice.detail = Contributions.scaled(voiceTrace, fusion.shares.voice);
+            parts.push(voice);
+        }
+        const sum = parts.reduce((s, p) => s + p.points, 0);
+        const deception = Contributions.trace(parts, Math.min(100, sum));
+
+        const truthful = deception.reduce((s, p) => s + p.points, 0);
+        const truthfulness = Contributions.trace(
+            [P('base', 'Starting point', 100), ...Contributions.scaled(deception, -1)],
+            100 - truthful
+        );
+        return { deceptionProbability: deception, truthfulnessIndex: truthfulness };
+    }
+
     // ── Deception Timeline ──
 
-    _buildDeceptionTimeline(personId, history, fps) {
+    _buildDeceptionTimeline(personId, history) {
         const timeline = [];
-        const windowSize = 30; // 1 second chunks
+        const t0 = history.length > 0 ? history[0].timestamp : 0;
 
-        for (let i = 0; i < history.length; i += windowSize) {
-            const chunk = history.slice(i, i + windowSize);
-            if (chunk.length < 5) continue;
+        // 1-second chunks of frame time
+        this._bucketBySecond(history).forEach(chunk => {
+            if (chunk.length < 5) return;
+            const second = Math.floor((chunk[0].timestamp - t0) / 1000);
+            const chunkStartMs = t0 + second * 1000;
 
             // Compute mini deception score for this window
             let instability = 0;
@@ -826,7 +860,7 @@ class DeceptionEngine {
             const chunkAsym = avgAsym.length > 0 ? avgAsym.reduce((a, b) => a + b, 0) / avgAsym.length : 0;
 
             const microLog = this.microExpressionLog.get(personId);
-            const chunkMicros = microLog ? microLog.filter(m => m.frameIndex >= i && m.frameIndex < i + windowSize).length : 0;
+            const chunkMicros = microLog ? microLog.filter(m => m.timestamp >= chunkStartMs && m.timestamp < chunkStartMs + 1000).length : 0;
 
             const score = Math.min(100, Math.round(
                 (instability / chunk.length) * 100 +
@@ -834,16 +868,44 @@ class DeceptionEngine {
                 chunkMicros * 15
             ));
 
+            // Mean head pose over the second
+            const posed = chunk.filter(f => f.pose);
+            const meanAngle = key => Math.round(posed.reduce((s, f) => s + f.pose[key], 0) / posed.length * 10) / 10;
+            const pose = posed.length > 0 ? { yaw: meanAngle('yaw'), pitch: meanAngle('pitch'), roll: meanAngle('roll') } : null;
+
             timeline.push({
-                timeSeconds: Math.round(i / fps),
+                timeSeconds: second,
+                timestamp: chunkStartMs,
                 score,
-                microExpressions: chunkMicros
+                microExpressions: chunkMicros,
+                pose
             });
-        }
+        });
 
         return timeline;
     }
 
+    /**
+     * Group frames into consecutive 1-second buckets of frame time
+     */
+    _bucketBySecond(frames) {
+        const buckets = [];
+        if (frames.length === 0) return buckets;
+        const t0 = frames[0].timestamp;
+        let current = null;
+        let currentSecond = -1;
+        frames.forEach(frame => {
+            const second = Math.floor((frame.timestamp - t0) / 1000);
+            if (second !== currentSecond) {
+                current = [];
+                buckets.push(current);
+                currentSecond = second;
+            }
+            current.push(frame);
+        });
+        return buckets;
+    }
+
     // ── Indicator Generation ──
 
     _generateIndicators(deceptionProb, falsification, concealment, equivocation,
@@ -874,6 +936,7 @@ class DeceptionEngine {
         if (asymmetry.avgAsymmetry > 25) indicators.push({ label: 'FACIAL ASYMMETRY', color: 'orange', confidence: 'moderate' });
         if (gaze.aversionRate > 0.25) indicators.push({ label: 'GAZE AVERSION', color: 'yellow', confidence: 'moderate' });
         if (incongruence.incongruenceRate > 0.1) indicators.push({ label: 'EXPRESSION INCONGRUENCE', color: 'red', confidence: 'high' });
+        if (incongruence.maskedSmileRate > 0.1) indicators.push({ label: 'MASKING SMILE', color: 'orange', confidence: 'moderate' });
         if (cogLoad >= 70) indicators.push({ label: 'HIGH COGNITIVE LOAD', color: 'orange', confidence: 'moderate' });
 
         // Duping delight
@@ -896,7 +959,7 @@ class DeceptionEngine {
     _defaultResult(personId) {
         return {
             personId,
-            deceptionProbability: 0, confidenceLevel: 0, truthfulnessIndex: 100,
+            deceptionProbability: null, confidenceLevel: 0, truthfulnessIndex: null, contributions: {}, fusion: null,
             concealmentScore: 0, cognitiveLoadAvg: 0, cognitiveLoadPeak: 0,
             deceptionTypes: {
                 falsification: { score: 0, indicators: [] },
@@ -904,11 +967,11 @@ class DeceptionEngine {
                 equivocation: { score: 0, indicators: [] }
             },
             facialAsymmetry: { avgAsymmetry: 0, peakAsymmetry: 0, timeline: [] },
-            blinkAnalysis: { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100, totalBlinks: 0, avgDurationMs: 0 },
+            blinkAnalysis: { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100, totalBlinks: 0, avgDurationMs: 0, partialBlinks: 0, longClosures: 0, perclos: 0 },
             microExpressions: [],
             deceptionTimeline: [],
             gazeAversion: { aversionRate: 0, stability: 100, driftScore: 0, score: 0 },
-            expressionIncongruence: { incongruenceRate: 0, microLeakRate: 0, score: 0 },
+            expressionIncongruence: { incongruenceRate: 0, microLeakRate: 0, maskedSmileRate: 0, score: 0 },
             indicators: [{ label: 'INSUFFICIENT DATA', color: 'yellow', confidence: 'low' }],
             overallAssessment: 'Insufficient data for analysis',
             framesAnalyzed: 0, scanDuration: 0, baselineEstablished: false
@@ -916,16 +979,16 @@ class DeceptionEngine {
     }
 
     clearPerson(personId) {
-        this.frameHistory.delete(personId);
-        this.blinkState.delete(personId);
+        this.frameStore.clearPerson(personId);
+        this.blinkDetectors.delete(personId);
         this.microExpressionLog.delete(personId);
     }
 
     clearAll() {
-        this.frameHistory.clear();
-        this.blinkState.clear();
+        this.frameStore.clearAll();
+        this.blinkDetectors.clear();
         this.microExpressionLog.clear();
     }
 }
 
-window.DeceptionEngine = DeceptionEngine;
+self.DeceptionEngine = DeceptionEngine;
@@ -0,0 +1,280 @@
+/* ============================================
+   DSP - Shared Signal Processing Helpers
+   FFT, windows, detrending, band-pass filtering,
+   uniform resampling and Welch power spectra for
+   the face, pulse and voice engines. Pure
+   functions on typed arrays; loaded on the page,
+   in the analysis worker and in the voice
+   AudioWorklet.
+   ============================================ */
+
+class DSP {
+    static nextPowerOf2(n) {
+        let p = 1;
+        while (p < n) p <<= 1;
+        return p;
+    }
+
+    /**
+     * In-place Cooley-Tukey radix-2 FFT
+     * @param {Float32Array|Float64Array} real - length must be a power of 2
+     * @param {Float32Array|Float64Array} imag - same length (zeros for a real signal)
+     */
+    static fft(real, imag) {
+        const N = real.length;
+        const bits = Math.round(Math.log2(N));
+
+        // Bit-reversal permutation
+        for (let i = 0; i < N; i++) {
+            let j = 0;
+            let x = i;
+            for (let k = 0; k < bits; k++) {
+                j = (j << 1) | (x & 1);
+                x >>= 1;
+            }
+            if (j > i) {
+                let t = real[i]; real[i] = real[j]; real[j] = t;
+                t = imag[i]; imag[i] = imag[j]; imag[j] = t;
+            }
+        }
+
+        // Butterflies
+        for (let size = 2; size <= N; size *= 2) {
+            const halfSize = size / 2;
+            const angle = -2 * Math.PI / size;
+            for (let j = 0; j < halfSize; j++) {
+                const cos = Math.cos(angle * j);
+                const sin = Math.sin(angle * j);
+                for (let i = j; i < N; i += size) {
+                    const k = i + halfSize;
+                    const tReal = real[k] * cos - imag[k] * sin;
+                    const tImag = real[k] * sin + imag[k] * cos;
+                    real[k] = real[i] - tReal;
+                    imag[k] = imag[i] - tImag;
+                    real[i] += tReal;
+                    imag[i] += tImag;
+                }
+            }
+        }
+    }
+
+    /**
+     * In-place inverse FFT (scaled by 1/N)
+     */
+    static ifft(real, imag) {
+        const N = real.length;
+        for (let i = 0; i < N; i++) imag[i] = -imag[i];
+        DSP.fft(real, imag);
+        for (let i = 0; i < N; i++) {
+            real[i] /= N;
+            imag[i] = -imag[i] / N;
+        }
+    }
+
+    /**
+     * Magnitude spectrum of a real signal (first half, bins 0..N/2-1)
+     * @param {ArrayLike<number>} buffer - length must be a power of 2
+     * @returns {Float32Array}
+     */
+    static fftMagnitude(buffer) {
+        const N = buffer.length;
+        const real = Float64Array.from(buffer);
+        const imag = new Float64Array(N);
+        DSP.fft(real, imag);
+
+        const mag = new Float32Array(N / 2);
+        for (let i = 0; i < N / 2; i++) {
+            mag[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+        }
+        return mag;
+    }
+
+    /**
+     * Periodic Hann window (the right one for spectral averaging)
+     */
+    static hannWindow(n) {
+        const w = new Float64Array(n);
+        for (let i = 0; i < n; i++) w[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / n));
+        return w;
+    }
+
+    /**
+     * Remove the least-squares line (offset and slow drift)
+     * @param {ArrayLike<number>} signal
+     * @returns {Float64Array}
+     */
+    static detrend(signal) {
+        const n = signal.length;
+        const out = new Float64Array(n);
+        if (n === 0) return out;
+
+        const meanX = (n - 1) / 2;
+        let meanY = 0;
+        for (let i = 0; i < n; i++) meanY += signal[i] / n;
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (i - meanX) * (signal[i] - meanY);
+            sxx += (i - meanX) * (i - meanX);
+        }
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        for (let i = 0; i < n; i++) out[i] = signal[i] - meanY - slope * (i - meanX);
+        return out;
+    }
+
+    /**
+     * Zero-phase band-pass: detrend, FFT, keep [low, high] Hz with raised-cosine
+     * edges (less ringing than a brick wall), inverse FFT. Zero-padded to twice
+     * the length so the circular wrap doesn't fold the ends together.
+     * @param {ArrayLike<number>} signal - uniformly sampled
+     * @param {number} rate - samples per second
+     * @returns {Float64Array} filtered signal, same length
+     */
+    static bandpass(signal, rate, low, high) {
+        const n = signal.length;
+        const nfft = DSP.nextPowerOf2(n * 2);
+        const real = new Float64Array(nfft);
+        const imag = new Float64Array(nfft);
+        real.set(DSP.detrend(signal));
+        DSP.fft(real, imag);
+
+        const edge = Math.max(rate / nfft, low * 0.2);
+        for (let k = 0; k <= nfft / 2; k++) {
+            const f = k * rate / nfft;
+            let gain = 0;
+            if (f >= low && f <= high) {
+                gain = 1;
+            } else if (f > low - edge && f < low) {
+                gain = 0.5 * (1 - Math.cos(Math.PI * (f - (low - edge)) / edge));
+            } else if (f > high && f < high + edge) {
+                gain = 0.5 * (1 + Math.cos(Math.PI * (f - high) / edge));
+            }
+            real[k] *= gain;
+            imag[k] *= gain;
+            if (k > 0 && k < nfft / 2) {
+                real[nfft - k] *= gain;
+                imag[nfft - k] *= gain;
+            }
+        }
+
+        DSP.ifft(real, imag);
+        return real.slice(0, n);
+    }
+
+    /**
+     * Linearly resample an irregularly timed signal onto a uniform grid.
+     * The grid rate is the median observed rate, so no detail is invented.
+     * @param {ArrayLike<number>} samples
+     * @param {ArrayLike<number>} times - sample times in seconds, ascending
+     * @returns {{signal: number[], rate: number}}
+     */
+    static resampleUniform(samples, times) {
+        const n = samples.length;
+        const steps = [];
+        for (let i = 1; i < n; i++) {
+            const dt = times[i] - times[i - 1];
+            if (dt > 0) steps.push(dt);
+        }
+        if (steps.length === 0) return { signal: Array.from(samples), rate: 30 };
+
+        steps.sort((a, b) => a - b);
+        const step = steps[Math.floor(steps.length / 2)];
+        const rate = 1 / step;
+        const signal = [];
+        let j = 0;
+        for (let t = times[0]; t <= times[n - 1]; t += step) {
+            while (j < n - 2 && times[j + 1] < t) j++;
+            const span = times[j + 1] - times[j];
+            const frac = span > 0 ? Math.min(1, Math.max(0, (t - times[j]) / span)) : 0;
+            signal.push(samples[j] + (samples[j + 1] - samples[j]) * frac);
+        }
+        return { signal, rate };
+    }
+
+    /**
+     * Welch power spectral density: Hann-windowed segments with 50% overlap,
+     * each detrended, periodograms averaged. One-sided, units^2 / Hz.
+     * @param {ArrayLike<number>} signal - uniformly sampled
+     * @param {number} rate - samples per second
+     * @param {number} [segmentLength] - samples per segment (default: ~2 s, at most the signal)
+     * @returns {object|null} { frequencies, psd, resolution, segments } or null when too short
+     */
+    static welch(signal, rate, segmentLength) {
+        const n = signal.length;
+        const length = Math.min(n, Math.round(segmentLength || rate * DSP.WELCH_SEGMENT_SEC));
+        if (length < 8) return null;
+
+        const nfft = DSP.nextPowerOf2(length);
+        const hop = Math.max(1, Math.floor(length / 2));
+        const window = DSP.hannWindow(length);
+        const windowPower = window.reduce((s, w) => s + w * w, 0);
+        const bins = nfft / 2 + 1;
+        const psd = new Float64Array(bins);
+        const real = new Float64Array(nfft);
+        const imag = new Float64Array(nfft);
+        let segments = 0;
+
+        for (let start = 0; start + length <= n; start += hop) {
+            const segment = DSP.detrend(Array.prototype.slice.call(signal, start, start + length));
+            real.fill(0);
+            imag.fill(0);
+            for (let i = 0; i < length; i++) real[i] = segment[i] * window[i];
+            DSP.fft(real, imag);
+            for (let k = 0; k < bins; k++) {
+                psd[k] += real[k] * real[k] + imag[k] * imag[k];
+            }
+            segments++;
+        }
+
+        // Average, scale to density, fold negative frequencies into the one-sided spectrum
+        const scale = 1 / (segments * rate * windowPower);
+        const frequencies = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            psd[k] *= (k === 0 || k === bins - 1) ? scale : 2 * scale;
+            frequencies[k] = k * rate / nfft;
+        }
+
+        return { frequencies, psd, resolution: rate / nfft, segments };
+    }
+
+    /**
+     * Power in [low, high] Hz of a welch() spectrum (PSD summed times bin width)
+     */
+    static bandPower(spectrum, low, high) {
+        let power = 0;
+        for (let k = 0; k < spectrum.psd.length; k++) {
+            const f = spectrum.frequencies[k];
+            if (f >= low && f <= high) power += spectrum.psd[k];
+        }
+        return power * spectrum.resolution;
+    }
+
+    /**
+     * Strongest bin in [low, high] Hz, refined by parabolic interpolation
+     * @returns {object|null} { frequency, density } or null when the band holds no bins
+     */
+    static peak(spectrum, low, high) {
+        const { psd, frequencies, resolution } = spectrum;
+        let best = -1;
+        for (let k = 0; k < psd.length; k++) {
+            if (frequencies[k] < low || frequencies[k] > high) continue;
+            if (best < 0 || psd[k] > psd[best]) best = k;
+        }
+        if (best < 0) return null;
+
+        let offset = 0;
+        if (best > 0 && best < psd.length - 1) {
+            const a = psd[best - 1];
+            const b = psd[best];
+            const c = psd[best + 1];
+            const denom = a - 2 * b + c;
+            if (denom < 0) offset = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+        }
+        return { frequency: frequencies[best] + offset * resolution, density: psd[best] };
+    }
+}
+
+DSP.WELCH_SEGMENT_SEC = 2;      // ~0.5 Hz resolution; enough to tell 4-6 Hz from 5-9 Hz
+
+// The AudioWorklet scope has no self
+globalThis.DSP = DSP;
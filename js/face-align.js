@@ -0,0 +1,116 @@
+/* ============================================
+   FACE ALIGN - Rigid Head-Motion Compensation
+   Maps each frame's 68 landmarks onto a fixed
+   reference face with a 2D similarity transform
+   (Procrustes: translation, rotation, uniform
+   scale) fitted on points that don't move with
+   expression (eye corners, nose bridge, nose base).
+
+   After alignment, head sway, lean, in-plane tilt
+   and distance to the camera are gone, and what is
+   left is the shape change of the face itself, in
+   reference units (outer eye distance = 100).
+   ============================================ */
+
+class FaceAlign {
+    /**
+     * Similarity transform taking one frame's landmarks onto the reference face
+     * @param {Array} landmarks - [{x, y}] (68 points)
+     * @returns {object|null} { a, b, tx, ty, scale }: x' = a*x - b*y + tx, y' = b*x + a*y + ty;
+     *                        scale is reference units per pixel
+     */
+    static transform(landmarks) {
+        if (!landmarks || landmarks.length < FrameStore.LANDMARK_COUNT) return null;
+
+        const ref = FaceAlign.REFERENCE;
+        const indices = FaceAlign.STABLE_POINTS;
+        const n = indices.length;
+
+        let mx = 0;
+        let my = 0;
+        indices.forEach(i => { mx += landmarks[i].x; my += landmarks[i].y; });
+        mx /= n;
+        my /= n;
+
+        // Closed-form least squares for the rotation+scale part on centered points
+        let dot = 0;
+        let cross = 0;
+        let norm = 0;
+        indices.forEach((i, k) => {
+            const px = landmarks[i].x - mx;
+            const py = landmarks[i].y - my;
+            const qx = ref.points[k][0];
+            const qy = ref.points[k][1];
+            dot += px * qx + py * qy;
+            cross += px * qy - py * qx;
+            norm += px * px + py * py;
+        });
+        if (norm < 1e-9) return null;
+
+        const a = dot / norm;
+        const b = cross / norm;
+        return {
+            a,
+            b,
+            tx: ref.centroid[0] - (a * mx - b * my),
+            ty: ref.centroid[1] - (b * mx + a * my),
+            scale: Math.hypot(a, b)
+        };
+    }
+
+    /**
+     * Landmarks in reference coordinates, or null when they can't be aligned
+     * @param {Array} landmarks - [{x, y}]
+     * @returns {Array|null} [{x, y}]
+     */
+    static align(landmarks) {
+        const t = FaceAlign.transform(landmarks);
+        if (!t) return null;
+        return landmarks.map(p => ({
+            x: t.a * p.x - t.b * p.y + t.tx,
+            y: t.b * p.x + t.a * p.y + t.ty
+        }));
+    }
+
+    /**
+     * Copies of materialized frames with aligned landmarks. Each copy carries
+     * alignScale (reference units per pixel) so pixel-based noise models can be
+     * converted; frames that can't be aligned get landmarks: null.
+     * @param {Array} frames - FrameStore frames
+     * @returns {Array}
+     */
+    static alignFrames(frames) {
+        return frames.map(frame => {
+            const t = FaceAlign.transform(frame.landmarks);
+            const landmarks = t
+                ? frame.landmarks.map(p => ({ x: t.a * p.x - t.b * p.y + t.tx, y: t.b * p.x + t.a * p.y + t.ty }))
+                : null;
+            return Object.assign({}, frame, { landmarks, alignScale: t ? t.scale : 0 });
+        });
+    }
+
+    // Frontal view of the HeadPose model (image y down), scaled to the reference eye distance
+    static _buildReference(indices) {
+        const model = HeadPose.MODEL_POINTS;
+        const eyeDist = model[45][0] - model[36][0];
+        const unit = FaceAlign.EYE_DISTANCE / eyeDist;
+        const points = indices.map(i => [model[i][0] * unit, -model[i][1] * unit]);
+
+        const centroid = [0, 0];
+        points.forEach(p => { centroid[0] += p[0] / points.length; centroid[1] += p[1] / points.length; });
+        return {
+            centroid,
+            points: points.map(p => [p[0] - centroid[0], p[1] - centroid[1]])
+        };
+    }
+}
+
+// Rigid points: nasion, nose tip, subnasale, outer and inner eye corners.
+// Jaw, chin, brows and mouth are left out because they are what gets measured.
+FaceAlign.STABLE_POINTS = [27, 30, 33, 36, 39, 42, 45];
+
+FaceAlign.EYE_DISTANCE = 100;   // reference units between the outer eye corners
+
+FaceAlign.REFERENCE = FaceAlign._buildReference(FaceAlign.STABLE_POINTS);
+
+self.FaceAlign = FaceAlign;
@@ -0,0 +1,284 @@
+/* ============================================
+   FACE TRACKER - Stable Person IDs Across Frames
+   Assigns every detected face to a track so each
+   person's frames go to their own engine history.
+   Matching uses box overlap (IoU) for faces seen
+   in the last moments and an identity signature
+   to re-identify faces that left the frame and
+   came back: the face-api descriptor when present,
+   otherwise scale-free landmark geometry. A single
+   frame's geometry is too noisy to tell people
+   apart, so a new face is only re-identified by
+   geometry once it has been tracked for a few
+   frames, at a similar head pose, and against the
+   spread the lost track itself showed.
+   ============================================ */
+
+class FaceTracker {
+    constructor(options = {}) {
+        this.iouThreshold = options.iouThreshold || 0.3;
+        this.descriptorMaxDistance = options.descriptorMaxDistance || 0.5;  // descriptors: Euclidean (face-api's own limit is 0.6)
+        this.reidFrames = options.reidFrames || 10;             // geometry: frames a new track averages before re-ID
+        this.reidMaxDistance = options.reidMaxDistance || 0.8;  // geometry: RMS z-score against the lost track's spread
+        this.reidMaxPoseDeg = options.reidMaxPoseDeg || 12;     // geometry: yaw/pitch difference to the lost track
+        this.activeMs = options.activeMs || 1000;              // IoU matching only within this gap
+        this.forgetMs = options.forgetMs || 30000;             // lost tracks kept for re-entry
+        this.minFrames = options.minFrames || 15;              // frames before a track counts as a person
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = new Map();        // personId -> track
+        this.nextId = 1;
+    }
+
+    /**
+     * Assign one frame's detections to tracks
+     * @param {Array} detections - face-api detections or FrameStore.pack() packets
+     * @param {number} timestamp - frame capture time in ms
+     * @returns {Array} [{ personId, packet }] in detection order
+     */
+    update(detections, timestamp) {
+        const faces = (detections || []).map(d => {
+            const packet = FrameStore.pack(d, timestamp);
+            return { packet, signature: FaceTracker.signature(d, packet) };
+        });
+        this._forget(timestamp);
+
+        // Score every (track, face) pair; overlap with a recent track beats re-identification
+        const candidates = [];
+        this.tracks.forEach(track => {
+            const gap = timestamp - track.lastSeen;
+            if (gap > this.forgetMs) return;
+            const active = gap <= this.activeMs;
+            faces.forEach((face, f) => {
+                const similarity = this._descriptorSimilarity(track, face);
+                const iou = active ? FaceTracker.iou(track.box, face.packet.box) : 0;
+                if (iou >= this.iouThreshold) {
+                    candidates.push({ track, f, score: 2 + iou + similarity });
+                } else if (similarity > 0) {
+                    candidates.push({ track, f, score: similarity });
+                }
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score);
+
+        const assigned = new Array(faces.length).fill(null);
+        const usedTracks = new Set();
+        candidates.forEach(c => {
+            if (assigned[c.f] || usedTracks.has(c.track.id)) return;
+            assigned[c.f] = c.track;
+            usedTracks.add(c.track.id);
+        });
+
+        return faces.map((face, f) => {
+            let track = assigned[f] || this._createTrack();
+            this._updateTrack(track, face, timestamp);
+            if (track.frames === this.reidFrames) track = this._reidentify(track);
+            return { personId: track.id, packet: face.packet };
+        });
+    }
+
+    /**
+     * IDs of tracks with enough frames to be analyzed, most frames first
+     */
+    personIds() {
+        return Array.from(this.tracks.values())
+            .filter(track => track.frames >= this.minFrames)
+            .sort((a, b) => b.frames - a.frames)
+            .map(track => track.id);
+    }
+
+    /**
+     * Person seen in the most frames (the one the scan is about), or null
+     * while no track has minFrames
+     */
+    primaryId() {
+        const ids = this.personIds();
+        return ids.length > 0 ? ids[0] : null;
+    }
+
+    get activeCount() {
+        let count = 0;
+        this.tracks.forEach(track => { if (track.missed === 0) count++; });
+        return count;
+    }
+
+    // ── Track bookkeeping ──
+
+    _createTrack() {
+        const track = {
+            id: FaceTracker.ID_PREFIX + this.nextId++,
+            box: null,
+            signature: null,    // running mean
+            spread: null,       // running variance of each geometry element
+            pose: null,         // running [yaw, pitch] the geometry was seen at
+            frames: 0,
+            firstSeen: 0,
+            lastSeen: 0,
+            missed: 0
+        };
+        this.tracks.set(track.id, track);
+        return track;
+    }
+
+    _updateTrack(track, face, timestamp) {
+        if (track.frames === 0) track.firstSeen = timestamp;
+        track.box = face.packet.box;
+        track.frames++;
+        track.lastSeen = timestamp;
+        track.missed = 0;
+
+        // Running averages keep the signature stable through expressions and blinks;
+        // a plain mean over a new track's first frames
+        const rate = Math.max(FaceTracker.SIGNATURE_RATE, 1 / track.frames);
+        if (face.signature) {
+            if (!track.signature || track.signature.length !== face.signature.length) {
+                track.signature = Float32Array.from(face.signature);
+                track.spread = new Float32Array(face.signature.length);
+            } else {
+                for (let i = 0; i < track.signature.length; i++) {
+                    const d = face.signature[i] - track.signature[i];
+                    track.signature[i] += d * rate;
+                    track.spread[i] = (1 - rate) * (track.spread[i] + rate * d * d);
+                }
+            }
+        }
+
+        const pose = face.packet.pose;
+        if (pose) {
+            if (!track.pose) track.pose = [pose[0], pose[1]];
+            track.pose[0] += (pose[0] - track.pose[0]) * rate;
+            track.pose[1] += (pose[1] - track.pose[1]) * rate;
+        }
+    }
+
+    /**
+     * How well a face's descriptor matches a track's, 0..1 (0 = not them, or no
+     * descriptors). Matches score 0.5..1, closer is higher.
+     */
+    _descriptorSimilarity(track, face) {
+        const a = track.signature;
+        const b = face.signature;
+        if (!a || !b || a.length !== FaceTracker.DESCRIPTOR_LENGTH || b.length !== a.length) return 0;
+        const distance = FaceTracker.distance(a, b);
+        return distance <= this.descriptorMaxDistance ? 1 - distance / this.descriptorMaxDistance / 2 : 0;
+    }
+
+    // A new track that has averaged reidFrames of geometry may be a lost person back
+    // in view: compare it with tracks that were gone the whole time it was seen, at a
+    // similar head pose. On a match the lost track carries on from this frame; the few
+    // frames before stay on the new track, which is dropped and never becomes a person.
+    _reidentify(track) {
+        const signature = track.signature;
+        if (!signature || signature.length === FaceTracker.DESCRIPTOR_LENGTH || !track.pose) return track;
+
+        let best = null;
+        let bestDistance = this.reidMaxDistance;
+        this.tracks.forEach(lost => {
+            if (lost === track || lost.frames < this.minFrames || !lost.pose) return;
+            if (lost.lastSeen >= track.firstSeen || track.firstSeen - lost.lastSeen > this.forgetMs) return;
+            if (!lost.signature || lost.signature.length !== signature.length) return;
+            if (Math.abs(lost.pose[0] - track.pose[0]) > this.reidMaxPoseDeg || Math.abs(lost.pose[1] - track.pose[1]) > this.reidMaxPoseDeg) return;
+            const distance = FaceTracker.spreadDistance(lost.signature, lost.spread, signature);
+            if (distance <= bestDistance) {
+                best = lost;
+                bestDistance = distance;
+            }
+        });
+        if (!best) return track;
+
+        best.box = track.box;
+        best.lastSeen = track.lastSeen;
+        best.missed = 0;
+        this.tracks.delete(track.id);
+        return best;
+    }
+
+    // Lost tracks stay re-identifiable until forgetMs; after that a returning face
+    // gets a new ID, and tracks too short to be a person are dropped entirely
+    _forget(timestamp) {
+        this.tracks.forEach((track, id) => {
+            if (track.lastSeen < timestamp) track.missed++;
+            if (timestamp - track.lastSeen > this.forgetMs && track.frames < this.minFrames) {
+                this.tracks.delete(id);
+            }
+        });
+    }
+
+    // ── Geometry ──
+
+    /**
+     * Intersection over union of two [x, y, w, h] boxes
+     */
+    static iou(a, b) {
+        if (!a || !b) return 0;
+        const x1 = Math.max(a[0], b[0]);
+        const y1 = Math.max(a[1], b[1]);
+        const x2 = Math.min(a[0] + a[2], b[0] + b[2]);
+        const y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = a[2] * a[3] + b[2] * b[3] - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    /**
+     * Identity signature of a face: the face-api descriptor when the
+     * recognition net ran, otherwise distances between rigid landmarks
+     * (eye corners, nose, jaw, mouth corners) over the outer eye distance.
+     * @returns {Float32Array|null}
+     */
+    static signature(detection, packet) {
+        if (detection && detection.descriptor) return Float32Array.from(detection.descriptor);
+
+        const lm = packet.landmarks;
+        if (!lm || lm.length < FrameStore.LANDMARK_COUNT * 2) return null;
+
+        const points = FaceTracker.SIGNATURE_POINTS;
+        const dist = (i, j) => Math.hypot(lm[i * 2] - lm[j * 2], lm[i * 2 + 1] - lm[j * 2 + 1]);
+        const scale = dist(36, 45);
+        if (scale < 1) return null;
+
+        const signature = [];
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                signature.push(dist(points[i], points[j]) / scale);
+            }
+        }
+        return Float32Array.from(signature);
+    }
+
+    /**
+     * Euclidean distance of two signatures
+     */
+    static distance(a, b) {
+        let sumSq = 0;
+        for (let i = 0; i < a.length; i++) sumSq += (a[i] - b[i]) * (a[i] - b[i]);
+        return Math.sqrt(sumSq);
+    }
+
+    /**
+     * RMS z-score of a geometry signature against a track's mean and variance.
+     * SIGNATURE_NOISE is the least spread assumed, so a steady track isn't
+     * held to zero tolerance.
+     */
+    static spreadDistance(mean, variance, signature) {
+        const floor = FaceTracker.SIGNATURE_NOISE * FaceTracker.SIGNATURE_NOISE;
+        let sum = 0;
+        for (let i = 0; i < mean.length; i++) {
+            const d = signature[i] - mean[i];
+            sum += d * d / (variance[i] + floor);
+        }
+        return Math.sqrt(sum / mean.length);
+    }
+}
+
+FaceTracker.ID_PREFIX = 'person-';
+FaceTracker.DESCRIPTOR_LENGTH = 128;    // face-api face descriptor
+FaceTracker.SIGNATURE_RATE = 0.1;       // weight of each new frame in a track's running signature
+FaceTracker.SIGNATURE_NOISE = 0.01;     // least geometry spread assumed, in outer eye distances
+
+// Rigid 68-point landmarks: jaw ends + chin, nose bridge/tip/base, eye corners, mouth corners
+FaceTracker.SIGNATURE_POINTS = [0, 8, 16, 27, 30, 33, 36, 39, 42, 45, 48, 54];
+
+self.FaceTracker = FaceTracker;
@@ -0,0 +1,197 @@
+/* ============================================
+   FATIGUE ENGINE - Drowsiness from the Landmarks
+   Scores fatigue from the markers drowsiness
+   research uses, over sliding windows of the
+   landmark stream:
+   - PERCLOS: share of time with the eyes closed
+     (BlinkDetector closure spans)
+   - blink duration: blinks lengthen when tired
+   - yawns: inner-mouth aspect ratio held wide open
+   - slow head nods: the head drooping forward
+     slowly, then recovering
+
+   The result is a fatigue level (0-100) per window,
+   so a long session shows how tiredness builds up;
+   the last window is the current state.
+   ============================================ */
+
+class FatigueEngine {
+    /**
+     * @param {object} [options] - overrides for FatigueEngine.DEFAULTS
+     */
+    constructor(options = {}) {
+        Object.assign(this, FatigueEngine.DEFAULTS, options);
+    }
+
+    /**
+     * Fatigue analysis of a run of frames
+     * @param {Array} frames - materialized frames (FrameStore), oldest first
+     * @param {BlinkDetector} [blinkDetector] - the person's live detector (DeceptionEngine.blinkDetector());
+     *                                          the frames are run through a new one when omitted
+     * @returns {object|null} { level, label, peakLevel, perclos, avgBlinkDurationMs, yawns, nods,
+     *                          timeline: [{ t, level }], duration } or null under minSeconds
+     *                          (avgBlinkDurationMs is null when the frames are too far apart to time blinks)
+     */
+    analyze(frames, blinkDetector) {
+        if (!frames || frames.length < 2) return null;
+        const times = FrameStore.relativeTimes(frames);
+        const duration = FrameStore.durationSec(frames);
+        if (duration < this.minSeconds) return null;
+
+        // Blink events in seconds from the first frame (the live detector runs on capture time)
+        const detector = blinkDetector || BlinkDetector.fromFrames(frames, times);
+        const originMs = blinkDetector ? frames[0].timestamp : 0;
+        const blinks = detector.blinks().map(b => ({ t: (b.onsetTime - originMs) / 1000, durationMs: b.durationMs }));
+        // A blink lasts ~100-400 ms; sampled coarser than blinkTimingMaxMs (monitoring) most are
+        // missed and the rest read as the sampling interval, so their durations aren't scored
+        const timedBlinks = FatigueEngine._medianIntervalMs(times) <= this.blinkTimingMaxMs;
+        const yawns = this._detectYawns(frames, times);
+        const nods = this._detectNods(frames, times);
+
+        // Windows ending every stepSec; one window over everything for a short scan
+        const windowSec = Math.min(this.windowSec, duration);
+        const ends = [];
+        for (let end = windowSec; end < duration; end += this.stepSec) ends.push(end);
+        ends.push(duration);
+
+        const timeline = ends.map(end => {
+            const start = end - windowSec;
+            const window = this._scoreWindow(
+                detector.perclos(originMs + start * 1000, originMs + end * 1000),
+                timedBlinks ? blinks.filter(b => b.t >= start && b.t < end) : null,
+                yawns.filter(y => y.t >= start && y.t < end).length,
+                nods.filter(n => n.t >= start && n.t < end).length,
+                windowSec
+            );
+            return Object.assign({ t: Math.round(end) }, window);
+        });
+
+        const current = timeline[timeline.length - 1];
+        return {
+            level: current.level,
+            label: FatigueEngine.label(current.level),
+            peakLevel: Math.max(...timeline.map(w => w.level)),
+            perclos: current.perclos,
+            avgBlinkDurationMs: current.avgBlinkDurationMs,
+            yawns: yawns.length,
+            nods: nods.length,
+            timeline: timeline.map(w => ({ t: w.t, level: w.level })),
+            duration: Math.round(duration)
+        };
+    }
+
+    /**
+     * Fatigue level band
+     */
+    static label(level) {
+        if (level >= 75) return 'Very drowsy';
+        if (level >= 50) return 'Fatigued';
+        if (level >= 25) return 'Mildly tired';
+        return 'Alert';
+    }
+
+    /**
+     * Inner-mouth aspect ratio: mean lip gap (61-67, 62-66, 63-65) over mouth width (60-64)
+     * @returns {number|null}
+     */
+    static mouthAspectRatio(landmarks) {
+        if (!landmarks || landmarks.length < FrameStore.LANDMARK_COUNT) return null;
+        const d = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+        const width = d(60, 64);
+        if (!(width > 0)) return null;
+        return (d(61, 67) + d(62, 66) + d(63, 65)) / (3 * width);
+    }
+
+    // ── Private Methods ──
+
+    // blinks: null when they can't be timed (left out of the level)
+    _scoreWindow(perclos, blinks, yawnCount, nodCount, windowSec) {
+        const ramp = (v, lo, hi) => Math.max(0, Math.min(1, (v - lo) / (hi - lo)));
+        const perMinute = 60 / windowSec;
+        let avgBlinkDurationMs = null;
+        if (blinks) {
+            avgBlinkDurationMs = blinks.length > 0
+                ? Math.round(blinks.reduce((s, b) => s + b.durationMs, 0) / blinks.length) : 0;
+        }
+
+        const level = Math.round(
+            ramp(perclos, this.perclosAlert, this.perclosDrowsy) * 45 +
+            (avgBlinkDurationMs > 0 ? ramp(avgBlinkDurationMs, this.blinkMsAlert, this.blinkMsDrowsy) * 20 : 0) +
+            Math.min(1, yawnCount * perMinute) * 20 +
+            Math.min(1, nodCount * perMinute) * 15
+        );
+        return { level, perclos, avgBlinkDurationMs };
+    }
+
+    static _medianIntervalMs(times) {
+        const intervals = [];
+        for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+        if (intervals.length === 0) return Infinity;
+        intervals.sort((a, b) => a - b);
+        return intervals[Math.floor(intervals.length / 2)] * 1000;
+    }
+
+    // Mouth held wide open for yawnMinSec (speech opens it only briefly)
+    _detectYawns(frames, times) {
+        const yawns = [];
+        let start = null;
+        frames.forEach((frame, i) => {
+            const mar = FatigueEngine.mouthAspectRatio(frame.landmarks);
+            const open = mar !== null && mar >= this.yawnMar;
+            if (open && start === null) start = times[i];
+            if (!open && start !== null) {
+                if (times[i] - start >= this.yawnMinSec) yawns.push({ t: start, duration: times[i] - start });
+                start = null;
+            }
+        });
+        return yawns;
+    }
+
+    // Head pitched down past nodDeg from the scan's median, reached slowly, then recovered
+    _detectNods(frames, times) {
+        const reference = HeadPose.medianPose(frames);
+        if (!reference) return [];
+
+        const nods = [];
+        let droopStart = null;      // time the pitch left the neutral band
+        let peak = null;
+        frames.forEach((frame, i) => {
+            if (!frame.pose) return;
+            const drop = frame.pose.pitch - reference.pitch;     // pitch > 0: head down
+
+            if (drop > this.nodDeg / 3) {
+                if (droopStart === null) droopStart = times[i];
+                if (!peak || drop > peak.drop) peak = { drop, t: times[i] };
+                return;
+            }
+            if (droopStart !== null && peak && peak.drop >= this.nodDeg) {
+                const descent = peak.t - droopStart;
+                const total = times[i] - droopStart;
+                if (descent >= this.nodMinDescentSec && total <= this.nodMaxSec) {
+                    nods.push({ t: droopStart, depth: Math.round(peak.drop) });
+                }
+            }
+            droopStart = null;
+            peak = null;
+        });
+        return nods;
+    }
+}
+
+FatigueEngine.DEFAULTS = {
+    windowSec: 60,
+    stepSec: 10,
+    minSeconds: 10,
+    perclosAlert: 4,            // % eyes closed: rested
+    perclosDrowsy: 20,          // % eyes closed: drowsy
+    blinkMsAlert: 250,          // mean blink duration, ms
+    blinkMsDrowsy: 500,
+    blinkTimingMaxMs: 50,       // median frame interval above which blink durations aren't scored
+    yawnMar: 0.6,               // inner-mouth aspect ratio of a yawn
+    yawnMinSec: 1.5,
+    nodDeg: 12,                 // pitch drop of a nod
+    nodMinDescentSec: 0.5,      // slower than a deliberate "yes"
+    nodMaxSec: 5                // recovered within this (otherwise just looking down)
+};
+
+self.FatigueEngine = FatigueEngine;
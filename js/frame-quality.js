@@ -0,0 +1,274 @@
+/* ============================================
+   FRAME QUALITY - Per-Frame Gating & Scan Report
+   Scores each face frame on detection confidence,
+   face size, pose, sharpness, brightness, landmark
+   plausibility and how much of the face is in view.
+   Frames that fail any check are kept out of the
+   engines; the others are weighed by their score
+   (FrameStore keeps it as the frame's weight). The
+   tally becomes the profile's quality report
+   (usable %, usable seconds, main rejection reasons,
+   rescan recommendation).
+
+   Image measures (sharpness, brightness) need pixels
+   and are taken on the main thread by measureImage();
+   assess() and the report are pure and also run in
+   the analysis worker.
+   ============================================ */
+
+class FrameQuality {
+    constructor(options = {}) {
+        this.minUsablePercent = options.minUsablePercent || 60;
+        this.minUsableSeconds = options.minUsableSeconds || 3;
+        this.tallies = new Map();       // personId -> tally
+    }
+
+    // ── Per-frame assessment ──
+
+    /**
+     * Score one packed frame
+     * @param {object} packet - FrameStore.pack() packet
+     * @param {object} [context] - { frameWidth, frameHeight, brightness, sharpness }
+     * @returns {object} { score, usable, reasons, metrics } (metrics 0..1, null when unmeasured)
+     */
+    static assess(packet, context = {}) {
+        const [x, y, w, h] = packet.box;
+        const metrics = {
+            detection: FrameQuality._ramp(packet.score, 0.4, 0.6),
+            size: FrameQuality._ramp(Math.min(w, h), 60, 120),
+            pose: FrameQuality._poseScore(packet.pose),
+            sharpness: context.sharpness !== undefined ? FrameQuality._ramp(context.sharpness, 20, 80) : null,
+            brightness: context.brightness !== undefined ? FrameQuality._brightnessScore(context.brightness) : null,
+            landmarks: FrameQuality._landmarkScore(packet.landmarks, packet.box),
+            inView: null
+        };
+
+        if (context.frameWidth && context.frameHeight && w > 0 && h > 0) {
+            const visibleW = Math.min(x + w, context.frameWidth) - Math.max(x, 0);
+            const visibleH = Math.min(y + h, context.frameHeight) - Math.max(y, 0);
+            const visible = Math.max(0, visibleW) * Math.max(0, visibleH) / (w * h);
+            metrics.inView = FrameQuality._ramp(visible, 0.8, 0.95);
+        }
+
+        const reasons = [];
+        Object.keys(FrameQuality.CHECKS).forEach(key => {
+            const value = metrics[key];
+            if (value === null || value >= FrameQuality.REJECT_BELOW) return;
+            let reason = FrameQuality.CHECKS[key];
+            if (key === 'brightness') reason = context.brightness < 128 ? 'too-dark' : 'too-bright';
+            reasons.push(reason);
+        });
+
+        const measured = Object.values(metrics).filter(v => v !== null);
+        const score = measured.reduce((s, v) => s + v, 0) / measured.length;
+
+        return {
+            score: Math.round(score * 100) / 100,
+            usable: reasons.length === 0,
+            reasons,
+            metrics
+        };
+    }
+
+    /**
+     * Mean luminance and sharpness (variance of the Laplacian) of the face region,
+     * sampled at 64x64. Main thread only.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source
+     * @param {number[]} box - [x, y, w, h] in source pixels
+     * @param {HTMLCanvasElement} canvas - reusable scratch canvas
+     * @returns {object} { brightness: 0..255, sharpness }
+     */
+    static measureImage(source, box, canvas) {
+        const size = FrameQuality.SAMPLE_SIZE;
+        if (canvas.width !== size) { canvas.width = size; canvas.height = size; }
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, box[0], box[1], box[2], box[3], 0, 0, size, size);
+        const data = ctx.getImageData(0, 0, size, size).data;
+
+        const gray = new Float32Array(size * size);
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            sum += gray[i];
+        }
+
+        let lapSum = 0;
+        let lapSumSq = 0;
+        let n = 0;
+        for (let yy = 1; yy < size - 1; yy++) {
+            for (let xx = 1; xx < size - 1; xx++) {
+                const i = yy * size + xx;
+                const lap = gray[i - 1] + gray[i + 1] + gray[i - size] + gray[i + size] - 4 * gray[i];
+                lapSum += lap;
+                lapSumSq += lap * lap;
+                n++;
+            }
+        }
+        const lapMean = lapSum / n;
+
+        return {
+            brightness: sum / gray.length,
+            sharpness: lapSumSq / n - lapMean * lapMean
+        };
+    }
+
+    // ── Scan tally ──
+
+    /**
+     * Count one assessed frame for a person. With timestamps, the time between two
+     * consecutive usable frames counts as usable footage, unless it is longer than
+     * MAX_FRAME_GAP_MS (no face found, or the person left the frame).
+     * @param {string} personId
+     * @param {object} assessment - assess() result
+     * @param {number} [timestamp] - frame time in ms
+     */
+    record(personId, assessment, timestamp) {
+        let tally = this.tallies.get(personId);
+        if (!tally) {
+            tally = { frames: 0, usable: 0, scoreSum: 0, reasons: {}, usableMs: 0, timed: false, lastTime: null, lastUsable: false };
+            this.tallies.set(personId, tally);
+        }
+        tally.frames++;
+        tally.scoreSum += assessment.score;
+        if (assessment.usable) tally.usable++;
+        assessment.reasons.forEach(r => { tally.reasons[r] = (tally.reasons[r] || 0) + 1; });
+
+        if (typeof timestamp !== 'number') return;
+        tally.timed = true;
+        const gap = tally.lastTime !== null ? timestamp - tally.lastTime : Infinity;
+        if (assessment.usable && tally.lastUsable && gap > 0 && gap <= FrameQuality.MAX_FRAME_GAP_MS) {
+            tally.usableMs += gap;
+        }
+        tally.lastTime = timestamp;
+        tally.lastUsable = assessment.usable;
+    }
+
+    /**
+     * Quality report for a finished scan
+     * @param {string} personId
+     * @returns {object|null} { frames, usableFrames, usablePercent, usableSeconds, meanScore, reasons,
+     *                        recommendRescan, message } (usableSeconds: time covered by usable frames,
+     *                        gaps and rejected runs excluded; null when frames were recorded without timestamps)
+     */
+    report(personId) {
+        const tally = this.tallies.get(personId);
+        if (!tally || tally.frames === 0) return null;
+        const usableSeconds = tally.timed ? Math.round(tally.usableMs / 100) / 10 : null;
+
+        const usablePercent = Math.round(tally.usable / tally.frames * 100);
+        const reasons = Object.keys(tally.reasons)
+            .map(reason => ({
+                reason,
+                label: FrameQuality.REASON_LABELS[reason] || reason,
+                count: tally.reasons[reason],
+                percent: Math.round(tally.reasons[reason] / tally.frames * 100)
+            }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3);
+
+        const tooShort = usableSeconds !== null && usableSeconds < this.minUsableSeconds;
+        const recommendRescan = usablePercent < this.minUsablePercent || tally.usable === 0 || tooShort;
+
+        let message = 'Good scan quality';
+        if (tooShort && usablePercent >= this.minUsablePercent) {
+            message = 'Rescan recommended: only ' + usableSeconds + 's of usable footage';
+        } else if (recommendRescan) {
+            message = reasons.length > 0
+                ? 'Rescan recommended: ' + reasons[0].label.toLowerCase() + ' in ' + reasons[0].percent + '% of frames'
+                : 'Rescan recommended: too little usable footage';
+        } else if (usablePercent < 85 && reasons.length > 0) {
+            message = 'Usable, but ' + reasons[0].label.toLowerCase() + ' in ' + reasons[0].percent + '% of frames';
+        }
+
+        return {
+            frames: tally.frames,
+            usableFrames: tally.usable,
+            usablePercent,
+            usableSeconds,
+            meanScore: Math.round(tally.scoreSum / tally.frames * 100) / 100,
+            reasons,
+            recommendRescan,
+            message
+        };
+    }
+
+    clearAll() {
+        this.tallies.clear();
+    }
+
+    // ── Scores ──
+
+    static _ramp(value, low, high) {
+        if (value === undefined || value === null || isNaN(value)) return 0;
+        return Math.max(0, Math.min(1, (value - low) / (high - low)));
+    }
+
+    static _brightnessScore(mean) {
+        if (mean < 128) return FrameQuality._ramp(mean, 30, 70);
+        return 1 - FrameQuality._ramp(mean, 200, 240);
+    }
+
+    // HeadPose angles; pitch limits are wider since camera height biases it
+    static _poseScore(pose) {
+        if (!pose) return null;
+        const [yaw, pitch, roll] = pose;
+        return Math.min(
+            1 - FrameQuality._ramp(Math.abs(yaw), 30, 50),
+            1 - FrameQuality._ramp(Math.abs(pitch), 35, 55),
+            1 - FrameQuality._ramp(Math.abs(roll), 20, 35)
+        );
+    }
+
+    // Landmarks inside the (padded) box, in anatomical order, with a sane eye distance
+    static _landmarkScore(lm, box) {
+        if (!lm || lm.length < FrameStore.LANDMARK_COUNT * 2) return null;
+        const [x, y, w, h] = box;
+        const padX = w * 0.25;
+        const padY = h * 0.25;
+
+        let inside = 0;
+        const count = lm.length / 2;
+        for (let i = 0; i < count; i++) {
+            const px = lm[i * 2], py = lm[i * 2 + 1];
+            if (px >= x - padX && px <= x + w + padX && py >= y - padY && py <= y + h + padY) inside++;
+        }
+
+        const eyeY = (lm[36 * 2 + 1] + lm[45 * 2 + 1]) / 2;
+        const noseY = lm[30 * 2 + 1];
+        const mouthY = (lm[48 * 2 + 1] + lm[54 * 2 + 1]) / 2;
+        const ordered = eyeY < noseY && noseY < mouthY;
+
+        const eyeRatio = w > 0 ? Math.hypot(lm[45 * 2] - lm[36 * 2], lm[45 * 2 + 1] - lm[36 * 2 + 1]) / w : 0;
+        const proportional = eyeRatio > 0.2 && eyeRatio < 0.75;
+
+        return ordered && proportional ? inside / count : 0;
+    }
+}
+
+// Metric -> rejection reason when its score falls below REJECT_BELOW
+FrameQuality.CHECKS = {
+    detection: 'low-confidence',
+    size: 'too-small',
+    pose: 'extreme-pose',
+    sharpness: 'blurry',
+    brightness: 'too-dark',
+    landmarks: 'implausible-landmarks',
+    inView: 'out-of-view'
+};
+
+FrameQuality.REASON_LABELS = {
+    'low-confidence': 'Uncertain face detection',
+    'too-small': 'Face too small / too far away',
+    'extreme-pose': 'Head turned away',
+    'blurry': 'Motion blur or out of focus',
+    'too-dark': 'Too dark',
+    'too-bright': 'Overexposed',
+    'implausible-landmarks': 'Unreliable facial landmarks',
+    'out-of-view': 'Face partly out of frame'
+};
+
+FrameQuality.REJECT_BELOW = 0.3;
+FrameQuality.MAX_FRAME_GAP_MS = 250;     // longer steps between usable frames are not counted as footage
+FrameQuality.SAMPLE_SIZE = 64;
+
+self.FrameQuality = FrameQuality;
@@ -0,0 +1,412 @@
+/* ============================================
+   FRAME STORE - Shared Full-Scan Frame Buffer
+   Keeps every face frame of a scan in compact
+   typed arrays (landmarks, expressions, box,
+   head pose, action units, quality weight,
+   timestamps).
+   ThreatEngine, DeceptionEngine and NeuroAnalyzer
+   all read from one store and each asks for its
+   own window (last N seconds, baseline slice,
+   full scan) instead of holding a private copy
+   of the history.
+   ============================================ */
+
+class FrameStore {
+    constructor(options = {}) {
+        this.tracks = new Map();                            // personId -> typed-array track
+        this.initialCapacity = options.initialCapacity || 1024;
+        this.maxFrames = options.maxFrames || 36000;        // 20 minutes at 30fps
+    }
+
+    /**
+     * Append a face-api detection (or an already packed frame) for a person.
+     * Appending the same input object twice in a row is a no-op, so several
+     * engines sharing one store can each call it from their processFrame().
+     * @param {string} personId
+     * @param {object} input - face-api detection or FrameStore.pack() packet
+     * @param {number} [timestamp] - frame capture time in ms (defaults to performance.now())
+     * @returns {number} Absolute index of the stored frame
+     */
+    append(personId, input, timestamp) {
+        const track = this._getOrCreateTrack(personId);
+        if (track.lastInput === input && track.length > 0) {
+            return track.offset + track.length - 1;
+        }
+
+        const packet = FrameStore.pack(input, timestamp);
+        if (track.length >= track.capacity) this._grow(track);
+
+        const i = track.length;
+        track.timestamps[i] = packet.t;
+        track.scores[i] = packet.score;
+        track.weights[i] = packet.quality ? packet.quality.score : 1;
+        track.boxes.set(packet.box, i * 4);
+        track.expressions.set(packet.expressions, i * FrameStore.EXPRESSION_KEYS.length);
+
+        // Packets recorded before head pose existed get it estimated here
+        const pose = packet.pose || (packet.landmarks ? HeadPose.angles(packet.landmarks) : null);
+        if (pose) {
+            track.poses.set(pose, i * 3);
+        } else {
+            track.poses.fill(NaN, i * 3, i * 3 + 3);
+        }
+
+        const auStride = FrameStore.ACTION_UNITS.length;
+        if (packet.aus) {
+            track.actionUnits.set(packet.aus, i * auStride);
+        } else {
+            track.actionUnits.fill(NaN, i * auStride, (i + 1) * auStride);
+        }
+
+        if (packet.landmarks) {
+            const count = Math.min(FrameStore.LANDMARK_COUNT, packet.landmarks.length / 2);
+            track.landmarks.set(packet.landmarks.subarray(0, count * 2), i * FrameStore.LANDMARK_COUNT * 2);
+            track.landmarkCounts[i] = count;
+        } else {
+            track.landmarkCounts[i] = 0;
+        }
+
+        track.length++;
+        track.lastInput = input;
+        return track.offset + i;
+    }
+
+    /**
+     * Total number of frames ever appended for a person (absolute end index)
+     */
+    count(personId) {
+        const track = this.tracks.get(personId);
+        return track ? track.offset + track.length : 0;
+    }
+
+    /**
+     * Absolute index of the oldest frame still held
+     */
+    firstIndex(personId) {
+        const track = this.tracks.get(personId);
+        return track ? track.offset : 0;
+    }
+
+    has(personId) {
+        return this.tracks.has(personId);
+    }
+
+    personIds() {
+        return Array.from(this.tracks.keys());
+    }
+
+    timestampAt(personId, index) {
+        const track = this.tracks.get(personId);
+        if (!track) return 0;
+        const i = index - track.offset;
+        return i >= 0 && i < track.length ? track.timestamps[i] : 0;
+    }
+
+    /**
+     * Materialize a single frame by absolute index
+     * @returns {object|null} { index, timestamp, score, weight, expressions, box, pose, landmarks, aus }
+     *                       (weight: the frame's FrameQuality score, 1 when it was not assessed)
+     */
+    frame(personId, index) {
+        const track = this.tracks.get(personId);
+        if (!track) return null;
+        const i = index - track.offset;
+        if (i < 0 || i >= track.length) return null;
+        return this._materialize(track, i);
+    }
+
+    /**
+     * Materialize frames in the absolute range [start, end)
+     */
+    slice(personId, start, end) {
+        const track = this.tracks.get(personId);
+        if (!track) return [];
+        const from = Math.max(0, start - track.offset);
+        const to = Math.min(track.length, (end === undefined ? Infinity : end) - track.offset);
+        const frames = [];
+        for (let i = from; i < to; i++) frames.push(this._materialize(track, i));
+        return frames;
+    }
+
+    /**
+     * Most recent n frames
+     */
+    last(personId, n) {
+        const end = this.count(personId);
+        return this.slice(personId, Math.max(0, end - n), end);
+    }
+
+    /**
+     * Frames captured at or after a time, oldest first
+     * @param {string} personId
+     * @param {number} time - ms, on the frames' clock
+     */
+    since(personId, time) {
+        const first = this.firstIndex(personId);
+        const end = this.count(personId);
+        let start = end;
+        while (start > first && this.timestampAt(personId, start - 1) >= time) start--;
+        return this.slice(personId, start, end);
+    }
+
+    /**
+     * Frames of the last `seconds` up to the newest frame, by timestamp (however
+     * irregular the frame rate)
+     */
+    lastSeconds(personId, seconds) {
+        const end = this.count(personId);
+        if (end === this.firstIndex(personId)) return [];
+        return this.since(personId, this.timestampAt(personId, end - 1) - seconds * 1000);
+    }
+
+    /**
+     * Full retained scan for a person
+     */
+    all(personId) {
+        return this.slice(personId, 0);
+    }
+
+    clearPerson(personId) {
+        this.tracks.delete(personId);
+    }
+
+    clearAll() {
+        this.tracks.clear();
+    }
+
+    /**
+     * Convert a face-api detection into a compact frame packet.
+     * Packets pass through unchanged.
+     * @returns {object} { t, score, box: [x,y,w,h], expressions: [7], landmarks: Float32Array|null,
+     *                    pose: [yaw, pitch, roll]|null }
+     *                   (AnalysisPipeline adds aus: [ACTION_UNITS] intensities before storing; the app
+     *                   adds quality: the FrameQuality assessment, whose score becomes the frame's weight)
+     */
+    static pack(input, timestamp) {
+        if (FrameStore.isPacket(input)) return input;
+
+        const detection = input || {};
+        const expr = detection.expressions || {};
+        const inner = detection.detection || detection;
+        const box = inner.box || inner._box || {};
+        const landmarks = detection.landmarks;
+
+        let points = null;
+        if (landmarks) {
+            const positions = landmarks.positions || landmarks._positions || [];
+            const count = Math.min(FrameStore.LANDMARK_COUNT, positions.length);
+            points = new Float32Array(count * 2);
+            for (let i = 0; i < count; i++) {
+                points[i * 2] = positions[i].x || positions[i]._x || 0;
+                points[i * 2 + 1] = positions[i].y || positions[i]._y || 0;
+            }
+        }
+
+        return {
+            t: timestamp !== undefined ? timestamp : FrameStore.now(),
+            score: inner.score || inner._score || 0,
+            box: [
+                box.x || box._x || 0,
+                box.y || box._y || 0,
+                box.width || box._width || 0,
+                box.height || box._height || 0
+            ],
+            expressions: FrameStore.EXPRESSION_KEYS.map(key => expr[key] || 0),
+            landmarks: points,
+            pose: points ? HeadPose.angles(points) : null
+        };
+    }
+
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    static isPacket(input) {
+        return !!input && Array.isArray(input.box) && Array.isArray(input.expressions);
+    }
+
+    /**
+     * Wall-clock duration covered by a run of frames, from their timestamps.
+     * The last frame is counted as lasting one average frame interval.
+     * Falls back to frames.length / fallbackFps when timestamps are unusable.
+     * @returns {number} Duration in seconds
+     */
+    static durationSec(frames, fallbackFps = 30) {
+        if (!frames || frames.length === 0) return 0;
+        const n = frames.length;
+        const span = n > 1 ? (frames[n - 1].timestamp - frames[0].timestamp) / 1000 : 0;
+        if (!(span > 0)) return n / fallbackFps;
+        return span * n / (n - 1);
+    }
+
+    /**
+     * Quality-weighted mean of value(frame) over frames
+     * @param {Array} frames - materialized frames
+     * @param {function} value - frame -> number
+     */
+    static weightedMean(frames, value) {
+        let sum = 0;
+        let weights = 0;
+        frames.forEach(f => {
+            const w = f.weight !== undefined ? f.weight : 1;
+            sum += value(f) * w;
+            weights += w;
+        });
+        return weights > 0 ? sum / weights : 0;
+    }
+
+    /**
+     * Measured frame rate of a run of frames (frames per second)
+     */
+    static frameRate(frames, fallbackFps = 30) {
+        const duration = FrameStore.durationSec(frames, fallbackFps);
+        return duration > 0 ? frames.length / duration : fallbackFps;
+    }
+
+    /**
+     * Frame times in seconds relative to the first frame. Frames without
+     * usable timestamps are spaced at 1 / fallbackFps.
+     */
+    static relativeTimes(frames, fallbackFps = 30) {
+        const times = new Float64Array(frames.length);
+        if (frames.length === 0) return times;
+        const t0 = frames[0].timestamp;
+        const span = frames[frames.length - 1].timestamp - t0;
+        for (let i = 0; i < frames.length; i++) {
+            times[i] = span > 0 ? (frames[i].timestamp - t0) / 1000 : i / fallbackFps;
+        }
+        return times;
+    }
+
+    // ── Private Methods ──
+
+    _getOrCreateTrack(personId) {
+        let track = this.tracks.get(personId);
+        if (!track) {
+            track = this._allocate(Math.min(this.initialCapacity, this.maxFrames));
+            this.tracks.set(personId, track);
+        }
+        return track;
+    }
+
+    _allocate(capacity) {
+        return {
+            capacity,
+            length: 0,
+            offset: 0,                      // frames dropped from the front
+            lastInput: null,
+            timestamps: new Float64Array(capacity),
+            scores: new Float32Array(capacity),
+            weights: new Float32Array(capacity),           // FrameQuality score, 1 = unassessed
+            boxes: new Float32Array(capacity * 4),
+            expressions: new Float32Array(capacity * FrameStore.EXPRESSION_KEYS.length),
+            poses: new Float32Array(capacity * 3),         // yaw, pitch, roll (NaN = unknown)
+            landmarks: new Float32Array(capacity * FrameStore.LANDMARK_COUNT * 2),
+            landmarkCounts: new Uint8Array(capacity),
+            actionUnits: new Float32Array(capacity * FrameStore.ACTION_UNITS.length)    // NaN = unknown
+        };
+    }
+
+    _grow(track) {
+        if (track.capacity >= this.maxFrames) {
+            this._dropOldest(track, Math.ceil(track.capacity / 4));
+            return;
+        }
+
+        const next = this._allocate(Math.min(this.maxFrames, track.capacity * 2));
+        next.timestamps.set(track.timestamps);
+        next.scores.set(track.scores);
+        next.weights.set(track.weights);
+        next.boxes.set(track.boxes);
+        next.expressions.set(track.expressions);
+        next.poses.set(track.poses);
+        next.landmarks.set(track.landmarks);
+        next.landmarkCounts.set(track.landmarkCounts);
+        next.actionUnits.set(track.actionUnits);
+
+        Object.assign(track, {
+            capacity: next.capacity,
+            timestamps: next.timestamps,
+            scores: next.scores,
+            weights: next.weights,
+            boxes: next.boxes,
+            expressions: next.expressions,
+            poses: next.poses,
+            landmarks: next.landmarks,
+            landmarkCounts: next.landmarkCounts,
+            actionUnits: next.actionUnits
+        });
+    }
+
+    _dropOldest(track, n) {
+        const exprStride = FrameStore.EXPRESSION_KEYS.length;
+        const lmStride = FrameStore.LANDMARK_COUNT * 2;
+        const auStride = FrameStore.ACTION_UNITS.length;
+
+        track.timestamps.copyWithin(0, n, track.length);
+        track.scores.copyWithin(0, n, track.length);
+        track.weights.copyWithin(0, n, track.length);
+        track.boxes.copyWithin(0, n * 4, track.length * 4);
+        track.expressions.copyWithin(0, n * exprStride, track.length * exprStride);
+        track.poses.copyWithin(0, n * 3, track.length * 3);
+        track.landmarks.copyWithin(0, n * lmStride, track.length * lmStride);
+        track.landmarkCounts.copyWithin(0, n, track.length);
+        track.actionUnits.copyWithin(0, n * auStride, track.length * auStride);
+
+        track.length -= n;
+        track.offset += n;
+    }
+
+    _materialize(track, i) {
+        const keys = FrameStore.EXPRESSION_KEYS;
+        const expressions = {};
+        for (let k = 0; k < keys.length; k++) {
+            expressions[keys[k]] = track.expressions[i * keys.length + k];
+        }
+
+        let landmarks = null;
+        const count = track.landmarkCounts[i];
+        if (count > 0) {
+            const base = i * FrameStore.LANDMARK_COUNT * 2;
+            landmarks = new Array(count);
+            for (let p = 0; p < count; p++) {
+                landmarks[p] = { x: track.landmarks[base + p * 2], y: track.landmarks[base + p * 2 + 1] };
+            }
+        }
+
+        const yaw = track.poses[i * 3];
+        const pose = isNaN(yaw) ? null : { yaw, pitch: track.poses[i * 3 + 1], roll: track.poses[i * 3 + 2] };
+
+        const auStride = FrameStore.ACTION_UNITS.length;
+        let aus = null;
+        if (!isNaN(track.actionUnits[i * auStride])) {
+            aus = {};
+            FrameStore.ACTION_UNITS.forEach((code, k) => { aus[code] = Math.round(track.actionUnits[i * auStride + k] * 100) / 100; });
+        }
+
+        return {
+            index: track.offset + i,
+            timestamp: track.timestamps[i],
+            score: track.scores[i],
+            weight: track.weights[i],
+            expressions,
+            box: {
+                x: track.boxes[i * 4],
+                y: track.boxes[i * 4 + 1],
+                width: track.boxes[i * 4 + 2],
+                height: track.boxes[i * 4 + 3]
+            },
+            pose,
+            landmarks,
+            aus
+        };
+    }
+}
+
+FrameStore.EXPRESSION_KEYS = ['angry', 'disgusted', 'fearful', 'happy', 'neutral', 'sad', 'surprised'];
+FrameStore.LANDMARK_COUNT = 68;
+
+// FACS action units estimated by ActionUnits (intensity 0-1 each)
+FrameStore.ACTION_UNITS = ['AU1', 'AU2', 'AU4', 'AU6', 'AU7', 'AU12', 'AU15', 'AU17', 'AU20', 'AU23', 'AU25', 'AU26', 'AU45'];
+
+self.FrameStore = FrameStore;
@@ -0,0 +1,173 @@
+/* ============================================
+   FUSION ENGINE - Multi-Modal Estimate Fusion
+   Combines estimates of the same quantity (stress,
+   deception) from face, voice and camera pulse.
+   Each modality's estimate has a known noise at
+   full reliability; its reliability (face: frames
+   seen and their quality, voice: speech ratio,
+   baseline and SNR, pulse: signal quality) scales
+   that noise up, and the estimates are averaged
+   with inverse-variance weights. A modality that
+   is missing or too unreliable simply drops out,
+   and the fused result says how much each one
+   counted.
+
+   DISCLAIMER: Screening indicators only - not diagnostic.
+   ============================================ */
+
+class FusionEngine {
+    /**
+     * @param {object} [options] - overrides for FusionEngine.DEFAULTS (noise is merged per quantity)
+     */
+    constructor(options = {}) {
+        Object.assign(this, FusionEngine.DEFAULTS, options);
+        this.noise = {};
+        Object.entries(FusionEngine.DEFAULTS.noise).forEach(([quantity, sds]) => {
+            this.noise[quantity] = Object.assign({}, sds, (options.noise || {})[quantity]);
+        });
+    }
+
+    /**
+     * Inverse-variance fusion of one quantity. Each estimate's variance is
+     * its modality's noise squared divided by its reliability.
+     * @param {string} quantity - key of this.noise (e.g. 'stress')
+     * @param {Array} estimates - [{ modality, value, reliability, trace? }]; value null = not measured,
+     *                            trace = the estimate's own Contributions trace
+     * @returns {object} { value, sd, shares: { modality: 0-1 }, reliability: { modality: 0-1 }, contributions }
+     *                   (value and sd null when no estimate is usable)
+     */
+    fuse(quantity, estimates) {
+        const noise = this.noise[quantity] || {};
+        const reliability = {};
+        const usable = [];
+        estimates.forEach(e => {
+            const r = typeof e.value === 'number' && isFinite(e.value) ? Math.max(0, Math.min(1, e.reliability)) : 0;
+            reliability[e.modality] = Math.round(r * 100) / 100;
+            if (r >= this.minReliability && noise[e.modality]) {
+                usable.push({ ...e, weight: r / (noise[e.modality] * noise[e.modality]) });
+            }
+        });
+
+        const shares = {};
+        estimates.forEach(e => { shares[e.modality] = 0; });
+        if (usable.length === 0) return { value: null, sd: null, shares, reliability, contributions: [] };
+
+        const totalWeight = usable.reduce((s, e) => s + e.weight, 0);
+        const P = Contributions.part;
+        const parts = usable.map(e => {
+            const share = e.weight / totalWeight;
+            shares[e.modality] = Math.round(share * 1000) / 1000;
+            const part = P(e.modality, FusionEngine.LABELS[e.modality] || e.modality, e.value * share);
+            if (e.trace && e.trace.length > 0) part.detail = Contributions.scaled(e.trace, share);
+            return part;
+        });
+        const value = parts.reduce((s, p) => s + p.points, 0);
+
+        return {
+            value,
+            sd: Math.round(Math.sqrt(1 / totalWeight) * 10) / 10,
+            shares,
+            reliability,
+            contributions: Contributions.trace(parts, value)
+        };
+    }
+
+    /**
+     * Stress from the face (ThreatEngine), the voice and the camera pulse
+     * @param {object} sources - { threat, vsa, pulse, quality } (any may be missing;
+     *                           quality: FrameQuality report of the scan)
+     * @returns {object} fuse() result
+     */
+    fuseStress({ threat, vsa, pulse, quality }) {
+        return this.fuse('stress', [
+            {
+                modality: 'face',
+                value: threat && threat.metrics ? threat.metrics.stress : null,
+                reliability: this.faceReliability(threat && threat.confidence, quality),
+                trace: threat && threat.contributions && threat.contributions.stress
+            },
+            {
+                modality: 'voice',
+                value: vsa ? vsa.voiceStressScore : null,
+                reliability: this.voiceReliability(vsa),
+                trace: vsa && vsa.contributions && vsa.contributions.voiceStressScore
+            },
+            {
+                modality: 'pulse',
+                value: pulse ? this.pulseStress(pulse) : null,
+                reliability: this.pulseReliability(pulse)
+            }
+        ]);
+    }
+
+    /**
+     * Face reliability: how much of a full analysis window the engine saw
+     * (full when the engine didn't say), times the scan's mean frame quality
+     * when it was assessed
+     * @param {number} [confidence] - engine confidence, 0-100
+     * @param {object|null} [quality] - FrameQuality report
+     */
+    faceReliability(confidence, quality) {
+        const frames = typeof confidence === 'number' ? Math.max(0, Math.min(1, confidence / 100)) : 1;
+        const score = quality && typeof quality.meanScore === 'number' ? quality.meanScore : 1;
+        return frames * score;
+    }
+
+    /**
+     * Voice reliability: zero until the speaker's baseline is established (stress is a
+     * deviation from it), then the share of speech up to fullSpeechRatio, times how far
+     * the SNR is above snrFloorDb (full at snrFullDb; 1 when the SNR wasn't measured)
+     * @param {object|null} vsa - VoiceStressEngine.fullAnalysis() result
+     */
+    voiceReliability(vsa) {
+        if (!vsa || !vsa.baselineEstablished) return 0;
+        const metrics = vsa.speechMetrics || {};
+        const speech = Math.min(1, (metrics.speechRatio || 0) / this.fullSpeechRatio);
+        const snr = typeof metrics.snrDb === 'number'
+            ? Math.max(0, Math.min(1, (metrics.snrDb - this.snrFloorDb) / (this.snrFullDb - this.snrFloorDb)))
+            : 1;
+        return speech * snr;
+    }
+
+    /**
+     * Pulse reliability: the rPPG signal quality, zero when the pulse isn't reliable
+     * @param {object|null} pulse - RppgEngine.fullAnalysis() result
+     */
+    pulseReliability(pulse) {
+        return pulse && pulse.reliable ? Math.max(0, Math.min(1, (pulse.quality || 0) / 100)) : 0;
+    }
+
+    /**
+     * Stress read from the pulse, 0-100: heart rate from 65 to 110 bpm, averaged
+     * with HRV (RMSSD from 60 down to 15 ms) when it was measured (RppgEngine only
+     * reports HRV when the beat timing is cleaner than the variability it reads)
+     * @param {object} pulse - RppgEngine.fullAnalysis() result
+     */
+    pulseStress(pulse) {
+        const scale = v => Math.max(0, Math.min(100, Math.round(v)));
+        const heartRate = scale((pulse.heartRate - 65) / 45 * 100);
+        if (!pulse.hrv) return heartRate;
+        return (heartRate + scale((60 - pulse.hrv.rmssd) / 45 * 100)) / 2;
+    }
+}
+
+FusionEngine.DEFAULTS = {
+    // SD of each modality's estimate at full reliability (points on the 0-100 scale).
+    // Voice at twice the face's noise counts 20% next to a fully reliable face; pulse counts 30%.
+    noise: {
+        stress: { face: 15, voice: 30, pulse: 23 },
+        deception: { face: 15, voice: 30 }
+    },
+    minReliability: 0.05,   // below this a modality is left out
+    fullSpeechRatio: 30,    // % of the scan with speech for a fully reliable voice
+    snrFloorDb: 5,
+    snrFullDb: 20
+};
+
+FusionEngine.LABELS = {
+    face: 'Face',
+    voice: 'Voice',
+    pulse: 'Camera pulse'
+};
+
+self.FusionEngine = FusionEngine;
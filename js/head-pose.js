@@ -0,0 +1,201 @@
+/* ============================================
+   HEAD POSE - Yaw / Pitch / Roll from 68 Landmarks
+   Fits a canonical 3D face model to the 2D
+   landmarks with a scaled-orthographic camera
+   (closed-form least squares, no camera intrinsics
+   needed) and reads the head rotation off the
+   fitted rotation matrix.
+
+   Conventions (degrees, 0 = facing the camera):
+   - yaw   > 0: face turned toward image right
+   - pitch > 0: head tilted down
+   - roll  > 0: head tilted counterclockwise in the image
+   ============================================ */
+
+class HeadPose {
+    /**
+     * Estimate head pose from one frame's landmarks
+     * @param {Float32Array|Array} landmarks - flat [x0, y0, x1, y1, ...] or [{x, y}, ...]
+     * @returns {object|null} { yaw, pitch, roll, scale, error } (error: RMS fit residual / eye distance)
+     */
+    static estimate(landmarks) {
+        const point = HeadPose._pointReader(landmarks);
+        if (!point) return null;
+
+        const model = HeadPose.MODEL;
+        const n = model.indices.length;
+
+        // Centered image points (y flipped to point up, like the model)
+        const img = new Float64Array(n * 2);
+        let mx = 0;
+        let my = 0;
+        for (let k = 0; k < n; k++) {
+            const p = point(model.indices[k]);
+            img[k * 2] = p.x;
+            img[k * 2 + 1] = -p.y;
+            mx += p.x;
+            my -= p.y;
+        }
+        mx /= n;
+        my /= n;
+
+        // A (2x3) = sum(p X^T) * (sum(X X^T))^-1, with X the centered model points
+        const a = [[0, 0, 0], [0, 0, 0]];
+        for (let k = 0; k < n; k++) {
+            const px = img[k * 2] - mx;
+            const py = img[k * 2 + 1] - my;
+            const X = model.centered[k];
+            for (let c = 0; c < 3; c++) {
+                a[0][c] += px * X[c];
+                a[1][c] += py * X[c];
+            }
+        }
+        const A = [HeadPose._mulVec3(a[0], model.inverseScatter), HeadPose._mulVec3(a[1], model.inverseScatter)];
+
+        const n0 = HeadPose._norm(A[0]);
+        const n1 = HeadPose._norm(A[1]);
+        if (n0 < 1e-9 || n1 < 1e-9) return null;
+
+        // Nearest rotation: orthonormalize the two projected rows, third row by cross product
+        const r1 = A[0].map(v => v / n0);
+        const d = HeadPose._dot(A[1], r1);
+        const r2raw = A[1].map((v, i) => v - d * r1[i]);
+        const r2n = HeadPose._norm(r2raw);
+        if (r2n < 1e-9) return null;
+        const r2 = r2raw.map(v => v / r2n);
+        const r3 = [
+            r1[1] * r2[2] - r1[2] * r2[1],
+            r1[2] * r2[0] - r1[0] * r2[2],
+            r1[0] * r2[1] - r1[1] * r2[0]
+        ];
+        const scale = (n0 + n1) / 2;
+
+        // R = Rz(roll) * Ry(yaw) * Rx(pitch)
+        const toDeg = 180 / Math.PI;
+        const yaw = Math.asin(Math.max(-1, Math.min(1, -r3[0]))) * toDeg;
+        const pitch = Math.atan2(r3[1], r3[2]) * toDeg;
+        const roll = Math.atan2(r2[0], r1[0]) * toDeg;
+
+        // Fit residual with the rigid projection, relative to eye distance
+        let residual = 0;
+        for (let k = 0; k < n; k++) {
+            const X = model.centered[k];
+            const ex = mx + scale * HeadPose._dot(r1, X);
+            const ey = my + scale * HeadPose._dot(r2, X);
+            residual += (img[k * 2] - ex) ** 2 + (img[k * 2 + 1] - ey) ** 2;
+        }
+        const le = point(36);
+        const re = point(45);
+        const eyeDist = Math.hypot(re.x - le.x, re.y - le.y) || 1;
+
+        return { yaw, pitch, roll, scale, error: Math.sqrt(residual / n) / eyeDist };
+    }
+
+    /**
+     * Pose as a compact [yaw, pitch, roll] array (frame packets), or null
+     */
+    static angles(landmarks) {
+        const pose = HeadPose.estimate(landmarks);
+        return pose ? [pose.yaw, pose.pitch, pose.roll] : null;
+    }
+
+    /**
+     * Angle between two poses' facing directions, ignoring roll (degrees)
+     */
+    static angularDistance(a, b) {
+        return Math.hypot(a.yaw - b.yaw, a.pitch - b.pitch);
+    }
+
+    /**
+     * Per-axis median pose of a run of materialized frames (the "straight ahead"
+     * reference for gaze aversion), or null when no frame has a pose
+     */
+    static medianPose(frames) {
+        const posed = frames.filter(f => f.pose);
+        if (posed.length === 0) return null;
+        const median = (key) => {
+            const values = posed.map(f => f.pose[key]).sort((x, y) => x - y);
+            return values[Math.floor(values.length / 2)];
+        };
+        return { yaw: median('yaw'), pitch: median('pitch'), roll: median('roll') };
+    }
+
+    // ── Private Helpers ──
+
+    static _pointReader(landmarks) {
+        if (!landmarks || landmarks.length === 0) return null;
+        if (typeof landmarks[0] === 'number') {
+            if (landmarks.length < FrameStore.LANDMARK_COUNT * 2) return null;
+            return (i) => ({ x: landmarks[i * 2], y: landmarks[i * 2 + 1] });
+        }
+        if (landmarks.length < FrameStore.LANDMARK_COUNT) return null;
+        return (i) => landmarks[i];
+    }
+
+    static _dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static _norm(v) {
+        return Math.sqrt(HeadPose._dot(v, v));
+    }
+
+    // Row vector times symmetric 3x3 matrix
+    static _mulVec3(v, m) {
+        return [0, 1, 2].map(c => v[0] * m[0][c] + v[1] * m[1][c] + v[2] * m[2][c]);
+    }
+
+    static _invert3(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h;
+        const B = -(d * i - f * g);
+        const C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        return [
+            [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+            [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    static _buildModel(points) {
+        const indices = Object.keys(points).map(Number);
+        const mean = [0, 0, 0];
+        indices.forEach(i => { for (let c = 0; c < 3; c++) mean[c] += points[i][c] / indices.length; });
+        const centered = indices.map(i => points[i].map((v, c) => v - mean[c]));
+
+        const scatter = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        centered.forEach(X => {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) scatter[r][c] += X[r] * X[c];
+            }
+        });
+
+        return { indices, centered, inverseScatter: HeadPose._invert3(scatter) };
+    }
+}
+
+// Canonical face (arbitrary units; x right, y up, z toward the camera, nose tip at the origin)
+HeadPose.MODEL_POINTS = {
+    8: [0, -330, -65],          // chin
+    27: [0, 170, -75],          // nasion
+    30: [0, 0, 0],              // nose tip
+    33: [0, -50, -45],          // subnasale
+    36: [-225, 170, -135],      // outer eye corners
+    45: [225, 170, -135],
+    39: [-75, 170, -115],       // inner eye corners
+    42: [75, 170, -115],
+    48: [-150, -150, -125],     // mouth corners
+    54: [150, -150, -125]
+};
+
+HeadPose.MODEL = HeadPose._buildModel(HeadPose.MODEL_POINTS);
+
+// Face box shift per degree of head rotation at the usual framing (160 px box,
+// 90 px between the outer eye corners, turning about the neck ~108 mm behind the
+// nose tip): 1.31 px/deg of yaw, 1.43 of pitch; yaw, which most thresholds read,
+// sets it. The engines' head movement thresholds were tuned in box pixels; they
+// convert through this so a degree counts as much as the box shift it used to produce.
+HeadPose.PX_PER_DEGREE = 1.3;
+
+self.HeadPose = HeadPose;
@@ -0,0 +1,172 @@
+/* ============================================
+   LANDMARK FILTER - Tracking Jitter vs Real Motion
+   Runs a zero-phase One-Euro filter over every
+   landmark coordinate of a run of frames and splits
+   each point into a smoothed track (voluntary
+   motion) and a residual (tremor + landmark
+   regression noise).
+
+   The regression noise of face-api landmarks
+   grows with face size and drops with detection
+   confidence (lighting, blur), so the expected
+   noise per frame comes from a noise model:
+     sigma = (noiseFloor + noisePerEyeDist * eyeDist)
+             * (1 + scoreGain * (1 - detectionScore))
+   Residual power over that noise power is the
+   signal-to-noise ratio a tremor or jitter score
+   should be read against.
+   ============================================ */
+
+class LandmarkFilter {
+    /**
+     * @param {object} [options] - overrides for LandmarkFilter.DEFAULTS
+     */
+    constructor(options = {}) {
+        Object.assign(this, LandmarkFilter.DEFAULTS, options);
+    }
+
+    /**
+     * Filter a run of frames. The analyses run after the scan, so the filter
+     * runs forward then backward (zero phase): the smoothed track has no lag
+     * and slow head motion doesn't leak into the residual.
+     * @param {Array} frames - materialized frames ({ landmarks: [{x, y}], score }), or
+     *                        FaceAlign.alignFrames() copies (noise is then in reference units)
+     * @param {ArrayLike<number>} times - frame times in seconds (FrameStore.relativeTimes)
+     * @returns {object} { smoothed, residual, noise } per frame: Float32Array(2 * points) or null
+     *                   (no landmarks), and the model's noise sigma in px (0 when unknown)
+     */
+    filter(frames, times) {
+        const n = frames.length;
+        const raw = frames.map(f => LandmarkFilter._flatten(f.landmarks));
+        const smoothed = this._pass(this._pass(raw, times, 1), times, -1);
+        const residual = new Array(n).fill(null);
+        const noise = new Float32Array(n);
+
+        for (let i = 0; i < n; i++) {
+            if (!raw[i]) continue;
+            const res = new Float32Array(raw[i].length);
+            for (let k = 0; k < res.length; k++) res[k] = raw[i][k] - smoothed[i][k];
+            residual[i] = res;
+            noise[i] = this.noiseSigma(frames[i].landmarks, frames[i].score, frames[i].alignScale);
+        }
+
+        return { smoothed, residual, noise };
+    }
+
+    /**
+     * Expected landmark regression noise (per coordinate) for one frame
+     * @param {Array} landmarks - [{x, y}]
+     * @param {number} [score] - detection confidence 0..1
+     * @param {number} [unitsPerPixel] - FaceAlign scale when the landmarks are aligned
+     * @returns {number} sigma in the landmarks' units (px when not aligned)
+     */
+    noiseSigma(landmarks, score = 1, unitsPerPixel = 1) {
+        const scale = unitsPerPixel > 0 ? unitsPerPixel : 1;
+        const eyeDist = LandmarkFilter.eyeDistance(landmarks) / scale;
+        const confidence = Math.max(0, Math.min(1, score || 0));
+        return (this.noiseFloor + this.noisePerEyeDist * eyeDist) * (1 + this.scoreGain * (1 - confidence)) * scale;
+    }
+
+    /**
+     * Fit noisePerEyeDist from a recording of a face held still (residual = noise only).
+     * Takes unaligned frames: the model is in pixels.
+     * @returns {number} the calibrated coefficient (also applied to this filter)
+     */
+    calibrate(frames, times) {
+        const { residual } = this.filter(frames, times);
+        let ratioSum = 0;
+        let count = 0;
+        residual.forEach((res, i) => {
+            const eyeDist = LandmarkFilter.eyeDistance(frames[i].landmarks);
+            if (!res || !(eyeDist > 0)) return;
+            const rms = Math.sqrt(res.reduce((s, v) => s + v * v, 0) / res.length);
+            const scoreFactor = 1 + this.scoreGain * (1 - Math.max(0, Math.min(1, frames[i].score || 0)));
+            ratioSum += Math.max(0, rms / scoreFactor - this.noiseFloor) / eyeDist;
+            count++;
+        });
+        if (count > 0) this.noisePerEyeDist = ratioSum / count;
+        return this.noisePerEyeDist;
+    }
+
+    /**
+     * Residual power over expected noise power (1 = indistinguishable from noise)
+     * @param {number} residualRms - px
+     * @param {number} noiseSigma - px
+     */
+    static snr(residualRms, noiseSigma) {
+        if (!(noiseSigma > 0)) return 0;
+        return (residualRms * residualRms) / (noiseSigma * noiseSigma);
+    }
+
+    /**
+     * RMS amplitude left after removing the expected noise power
+     */
+    static excessAmplitude(residualRms, noiseSigma) {
+        return Math.sqrt(Math.max(0, residualRms * residualRms - noiseSigma * noiseSigma));
+    }
+
+    static eyeDistance(landmarks) {
+        if (!landmarks || landmarks.length < FrameStore.LANDMARK_COUNT) return 0;
+        return Math.hypot(landmarks[45].x - landmarks[36].x, landmarks[45].y - landmarks[36].y);
+    }
+
+    // ── Private Methods ──
+
+    // One One-Euro pass over the series in the given direction (1 or -1)
+    _pass(series, times, direction) {
+        const n = series.length;
+        const out = new Array(n).fill(null);
+        let state = null;
+        let lastTime = 0;
+
+        for (let step = 0; step < n; step++) {
+            const i = direction > 0 ? step : n - 1 - step;
+            const x = series[i];
+            if (!x) continue;
+
+            // (Re)start on the first frame, a landmark count change, or a long gap
+            const dt = Math.abs(times[i] - lastTime);
+            if (!state || state.hat.length !== x.length || !(dt > 0) || dt > this.maxGapSec) {
+                state = { hat: Float32Array.from(x), dHat: new Float32Array(x.length) };
+            } else {
+                const aD = LandmarkFilter._alpha(this.dCutoff, dt);
+                for (let k = 0; k < x.length; k++) {
+                    state.dHat[k] += aD * ((x[k] - state.hat[k]) / dt - state.dHat[k]);
+                    const cutoff = this.minCutoff + this.beta * Math.abs(state.dHat[k]);
+                    state.hat[k] += LandmarkFilter._alpha(cutoff, dt) * (x[k] - state.hat[k]);
+                }
+            }
+            lastTime = times[i];
+            out[i] = Float32Array.from(state.hat);
+        }
+        return out;
+    }
+
+    static _flatten(landmarks) {
+        if (!landmarks || landmarks.length < FrameStore.LANDMARK_COUNT) return null;
+        const flat = new Float32Array(landmarks.length * 2);
+        for (let p = 0; p < landmarks.length; p++) {
+            flat[p * 2] = landmarks[p].x;
+            flat[p * 2 + 1] = landmarks[p].y;
+        }
+        return flat;
+    }
+
+    // One-Euro smoothing factor for a cutoff (Hz) and step (s)
+    static _alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
+
+LandmarkFilter.DEFAULTS = {
+    minCutoff: 1.5,             // Hz; below the 4-12 Hz tremor band
+    beta: 0.01,                 // cutoff increase per px/s of landmark speed (follows fast head moves)
+    dCutoff: 1.0,               // Hz, derivative smoothing
+    maxGapSec: 0.5,             // restart the filter after a gap this long
+    noiseFloor: 0.15,           // px
+    noisePerEyeDist: 0.006,     // px of noise per px of outer eye distance (face-api tiny landmarks)
+    scoreGain: 1.0              // noise multiplier growth as detection confidence drops
+};
+
+self.LandmarkFilter = LandmarkFilter;
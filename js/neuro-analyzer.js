@@ -16,39 +16,52 @@
 
 class NeuroAnalyzer {
     constructor() {
-        // Eye landmark indices for face-api.js 68-point model
-        // Left eye: 36-41, Right eye: 42-47
-        this.LEFT_EYE = [36, 37, 38, 39, 40, 41];
-        this.RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+        // Landmark indices for face-api.js 68-point model
         // Jaw: 0-16, Nose: 27-35, Mouth: 48-67
         this.JAW = Array.from({ length: 17 }, (_, i) => i);
         this.MOUTH = Array.from({ length: 20 }, (_, i) => i + 48);
         this.BROW_LEFT = [17, 18, 19, 20, 21];
         this.BROW_RIGHT = [22, 23, 24, 25, 26];
+
+        // Tremor signals and bands (Hz)
+        this.TREMOR_JAW = [5, 6, 7, 8, 9, 10, 11];
+        this.TREMOR_BROW = [...this.BROW_LEFT, ...this.BROW_RIGHT];
+        this.TREMOR_ANALYSIS_BAND = [2, 12];
+        this.PD_BAND = [4, 6];
+        this.ET_BAND = [5, 9];
+
+        // Splits landmark motion into smoothed track + residual (tremor and noise)
+        this.landmarkFilter = new LandmarkFilter();
+        this.minTremorSnr = 2;          // residual power vs noise model before a tremor counts
     }
 
     /**
      * Perform full neuro-psychological analysis on frame history
-     * @param {Array} frameHistory - Array of frame data from ThreatEngine
-     * @param {number} actualFps - Actual camera frame rate
-     * @returns {object} Complete neuro analysis results
+     * @param {Array} frameHistory - Array of frame data (e.g. FrameStore.all() for the full scan)
+     * @param {number} [fallbackFps] - Frame rate assumed only when frames carry no usable timestamps
+     * @param {BlinkDetector} [blinkDetector] - the scan's live detector (DeceptionEngine.blinkDetector());
+     *                                          the frames are run through a new one when omitted
+     * @returns {object} Complete neuro analysis results (contributions: Contributions trace of
+     *                   expressionRange, microTremorScore, gazeStability and psychomotorIndex)
      */
-    analyze(frameHistory, actualFps = 30) {
+    analyze(frameHistory, fallbackFps = 30, blinkDetector = null) {
         if (!frameHistory || frameHistory.length < 10) {
             return this._insufficientData();
         }
 
-        const fps = actualFps || 30;
-        const durationSec = frameHistory.length / fps;
+        // Frame timing comes from per-frame timestamps; the camera loop is irregular
+        const times = FrameStore.relativeTimes(frameHistory, fallbackFps);
+        const durationSec = FrameStore.durationSec(frameHistory, fallbackFps);
+        const fps = Math.round(FrameStore.frameRate(frameHistory, fallbackFps) * 10) / 10;
 
         // Core biometric extractions
-        const blinkAnalysis = this._analyzeBlinkPatterns(frameHistory, fps);
+        const blinkAnalysis = this._analyzeBlinkPatterns(blinkDetector || BlinkDetector.fromFrames(frameHistory, times));
         const expressionRange = this._analyzeExpressionRange(frameHistory);
-        const microTremors = this._analyzeMicroTremors(frameHistory, fps);
+        const microTremors = this._analyzeMicroTremors(FaceAlign.alignFrames(frameHistory), times);
         const expressionDynamics = this._analyzeExpressionDynamics(frameHistory);
         const gazePatterns = this._analyzeGazePatterns(frameHistory);
         const affectCongruence = this._analyzeAffectCongruence(frameHistory);
-        const psychomotorSpeed = this._analyzePsychomotorSpeed(frameHistory, fps);
+        const psychomotorSpeed = this._analyzePsychomotorSpeed(frameHistory, times);
 
         // Condition screening
         const conditions = [];
@@ -70,6 +83,7 @@ class NeuroAnalyzer {
             biometrics: {
                 blinkRate: blinkAnalysis.blinksPerMinute,
                 blinkRegularity: blinkAnalysis.regularity,
+                perclos: blinkAnalysis.perclos,
                 expressionRange: expressionRange.overallRange,
                 microTremorScore: microTremors.tremorScore,
                 tremorFreqEstimate: microTremors.dominantFrequency,
@@ -78,6 +92,12 @@ class NeuroAnalyzer {
                 gazeStability: gazePatterns.stability,
                 affectCongruence: affectCongruence.score
             },
+            contributions: {
+                expressionRange: expressionRange.trace,
+                microTremorScore: microTremors.trace,
+                gazeStability: gazePatterns.trace,
+                psychomotorIndex: psychomotorSpeed.trace
+            },
             conditions,
             disclaimer: 'SCREENING INDICATORS ONLY — NOT A MEDICAL DIAGNOSIS. Consult a qualified healthcare professional for evaluation.'
         };
@@ -85,81 +105,20 @@ class NeuroAnalyzer {
 
     // ── Blink Pattern Analysis ──
     // Normal: 15-24 blinks/min. PD: 3-12. Depression: prolonged blinks.
-    _analyzeBlinkPatterns(frames, fps) {
-        const eyeAspectRatios = [];
-        let blinks = 0;
-        let inBlink = false;
-        let blinkDurations = [];
-        let blinkStart = 0;
-        const blinkIntervals = [];
-        let lastBlinkFrame = 0;
-
-        frames.forEach((frame, i) => {
-            if (!frame.landmarks || frame.landmarks.length < 48) {
-                eyeAspectRatios.push(null);
-                return;
-            }
-
-            const ear = this._computeEAR(frame.landmarks);
-            eyeAspectRatios.push(ear);
-
-            // Blink detection: EAR drops below threshold
-            const threshold = 0.21;
-            if (ear < threshold && !inBlink) {
-                inBlink = true;
-                blinkStart = i;
-            } else if (ear >= threshold && inBlink) {
-                inBlink = false;
-                blinks++;
-                blinkDurations.push((i - blinkStart) / fps * 1000); // ms
-                if (lastBlinkFrame > 0) {
-                    blinkIntervals.push((i - lastBlinkFrame) / fps);
-                }
-                lastBlinkFrame = i;
-            }
-        });
-
-        const durationSec = frames.length / fps;
-        const blinksPerMinute = durationSec > 0 ? (blinks / durationSec) * 60 : 0;
-        const avgBlinkDuration = blinkDurations.length > 0
-            ? blinkDurations.reduce((a, b) => a + b, 0) / blinkDurations.length : 0;
-
-        // Blink regularity: lower variance in intervals = more regular
-        let regularity = 100;
-        if (blinkIntervals.length > 2) {
-            const avgInterval = blinkIntervals.reduce((a, b) => a + b, 0) / blinkIntervals.length;
-            const variance = blinkIntervals.reduce((s, v) => s + Math.pow(v - avgInterval, 2), 0) / blinkIntervals.length;
-            regularity = Math.max(0, Math.min(100, 100 - Math.sqrt(variance) * 30));
-        }
-
+    _analyzeBlinkPatterns(detector) {
+        const summary = detector.summary();
         return {
-            blinksPerMinute: Math.round(blinksPerMinute * 10) / 10,
-            totalBlinks: blinks,
-            avgBlinkDuration: Math.round(avgBlinkDuration),
-            regularity: Math.round(regularity),
-            intervals: blinkIntervals
+            blinksPerMinute: summary.blinksPerMinute,
+            totalBlinks: summary.totalBlinks,
+            avgBlinkDuration: summary.avgDurationMs,
+            regularity: summary.regularity,
+            intervals: summary.intervals,
+            partialBlinks: summary.partialBlinks,
+            longClosures: summary.longClosures,
+            perclos: summary.perclos
         };
     }
 
-    _computeEAR(landmarks) {
-        // Eye Aspect Ratio for both eyes, averaged
-        const leftEAR = this._singleEAR(landmarks, this.LEFT_EYE);
-        const rightEAR = this._singleEAR(landmarks, this.RIGHT_EYE);
-        return (leftEAR + rightEAR) / 2;
-    }
-
-    _singleEAR(landmarks, eyeIndices) {
-        // EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
-        const p = eyeIndices.map(i => landmarks[i]);
-        if (!p[0] || !p[1] || !p[2] || !p[3] || !p[4] || !p[5]) return 0.3;
-
-        const v1 = Math.sqrt(Math.pow(p[1].x - p[5].x, 2) + Math.pow(p[1].y - p[5].y, 2));
-        const v2 = Math.sqrt(Math.pow(p[2].x - p[4].x, 2) + Math.pow(p[2].y - p[4].y, 2));
-        const h = Math.sqrt(Math.pow(p[0].x - p[3].x, 2) + Math.pow(p[0].y - p[3].y, 2));
-
-        return h > 0 ? (v1 + v2) / (2 * h) : 0.3;
-    }
-
     // ── Expression Range Analysis ──
     // Low range = hypomimia (PD), blunted affect (depression/schizophrenia)
     _analyzeExpressionRange(frames) {
@@ -203,6 +162,12 @@ class NeuroAnalyzer {
         // Neutral dominance: how much time spent in neutral
         const neutralDominance = Math.round(averages.neutral * 100);
 
+        const names = { angry: 'anger', disgusted: 'disgust', fearful: 'fear', happy: 'happiness', neutral: 'neutral', sad: 'sadness', surprised: 'surprise' };
+        const trace = Contributions.trace(
+            expressionKeys.map(key => Contributions.part(key, `Range of ${names[key]}`, ranges[key] / 7 * 100)),
+            totalRange / 7 * 100
+        );
+
         return {
             overallRange,
             positiveRange,
@@ -210,83 +175,148 @@ class NeuroAnalyzer {
             neutralDominance,
             ranges,
             peaks,
-            averages
+            averages,
+            trace
         };
     }
 
     // ── Micro-Tremor Analysis ──
-    // PD: 4-6 Hz chin/jaw tremor. ET: 5-8 Hz, action-based.
-    _analyzeMicroTremors(frames, fps) {
-        if (frames.length < 20 || !frames[0].landmarks) {
-            return { tremorScore: 0, dominantFrequency: 0, jawTremor: 0, chinTremor: 0 };
-        }
-
-        // Analyze jaw landmark jitter (chin point = landmark 8)
-        const chinDisplacements = [];
-        const jawDisplacements = [];
-
-        for (let i = 1; i < frames.length; i++) {
-            if (!frames[i].landmarks || !frames[i - 1].landmarks) continue;
-            if (frames[i].landmarks.length < 17 || frames[i - 1].landmarks.length < 17) continue;
-
-            // Chin point displacement
-            const chin = frames[i].landmarks[8];
-            const prevChin = frames[i - 1].landmarks[8];
-            if (chin && prevChin) {
-                chinDisplacements.push(chin.y - prevChin.y);
-            }
-
-            // Jaw contour average displacement
-            let jawSum = 0;
-            let jawCount = 0;
-            for (let j = 5; j <= 11; j++) {
-                if (frames[i].landmarks[j] && frames[i - 1].landmarks[j]) {
-                    jawSum += Math.abs(frames[i].landmarks[j].y - frames[i - 1].landmarks[j].y);
-                    jawCount++;
-                }
-            }
-            if (jawCount > 0) jawDisplacements.push(jawSum / jawCount);
-        }
-
-        // Estimate tremor frequency using zero-crossing method
-        const dominantFrequency = this._estimateFrequency(chinDisplacements, fps);
-
-        // Tremor amplitude (RMS of chin displacements)
-        const rms = chinDisplacements.length > 0
-            ? Math.sqrt(chinDisplacements.reduce((s, v) => s + v * v, 0) / chinDisplacements.length) : 0;
-
-        // Jaw tremor amplitude
-        const jawRms = jawDisplacements.length > 0
-            ? Math.sqrt(jawDisplacements.reduce((s, v) => s + v * v, 0) / jawDisplacements.length) : 0;
-
-        // Tremor score: normalized 0-100
-        const tremorScore = Math.min(100, Math.round(rms * 50 + jawRms * 30));
+    // PD: 4-6 Hz chin/jaw tremor. ET: 5-9 Hz, action-based.
+    // Uses the LandmarkFilter residual (what the smoothed track doesn't explain) and
+    // counts only power above the landmark noise model, so the score isn't tracking noise.
+    // Frames come aligned (FaceAlign), so amplitudes are in reference units and
+    // nodding, swaying or distance to the camera don't reach the residual.
+    _analyzeMicroTremors(frames, times) {
+        if (frames.length < 20 || !frames[0].landmarks) return this._noTremor();
+
+        const { residual, noise } = this.landmarkFilter.filter(frames, times);
+        const chinResiduals = [];
+        const jawResiduals = [];
+        const browResiduals = [];
+        const residualTimes = [];
+        let noisePower = 0;
+
+        const meanY = (res, indices) => indices.reduce((s, j) => s + res[j * 2 + 1], 0) / indices.length;
+        for (let i = 0; i < frames.length; i++) {
+            const res = residual[i];
+            if (!res) continue;
+
+            // Chin point (landmark 8), jaw contour (5-11) mean and brow (17-26) mean, vertical
+            chinResiduals.push(res[8 * 2 + 1]);
+            jawResiduals.push(meanY(res, this.TREMOR_JAW));
+            browResiduals.push(meanY(res, this.TREMOR_BROW));
+            residualTimes.push(times[i]);
+
+            noisePower += noise[i] * noise[i];
+        }
+        if (chinResiduals.length < 20) return this._noTremor();
+
+        const rmsOf = values => Math.sqrt(values.reduce((s, v) => s + v * v, 0) / values.length);
+        const rms = rmsOf(chinResiduals);
+        const jawRms = rmsOf(jawResiduals);
+
+        // Expected noise: per point, and averaged down over the jaw points
+        const noiseSigma = Math.sqrt(noisePower / chinResiduals.length);
+        const jawNoiseSigma = noiseSigma / Math.sqrt(this.TREMOR_JAW.length);
+        const browNoiseSigma = noiseSigma / Math.sqrt(this.TREMOR_BROW.length);
+        // The jaw mean averages noise down, so it usually has the better margin
+        const snr = Math.max(LandmarkFilter.snr(rms, noiseSigma), LandmarkFilter.snr(jawRms, jawNoiseSigma));
+        const chinExcess = LandmarkFilter.excessAmplitude(rms, noiseSigma);
+        const jawExcess = LandmarkFilter.excessAmplitude(jawRms, jawNoiseSigma);
+
+        // Tremor score: normalized 0-100 from amplitude above the noise floor
+        const tremorScore = Math.min(100, Math.round(chinExcess * 50 + jawExcess * 30));
+        const tremorParts = [
+            Contributions.part('chin', 'Chin tremor above noise', chinExcess * 50),
+            Contributions.part('jaw', 'Jaw tremor above noise', jawExcess * 30)
+        ];
+
+        // A frequency read off noise means nothing; require a clear margin over it
+        const detectable = snr >= this.minTremorSnr;
+        const spectrum = this._analyzeTremorSpectrum([
+            { samples: chinResiduals, noiseSigma },
+            { samples: jawResiduals, noiseSigma: jawNoiseSigma },
+            { samples: browResiduals, noiseSigma: browNoiseSigma }
+        ], residualTimes, snr);
 
         return {
             tremorScore,
-            dominantFrequency: Math.round(dominantFrequency * 10) / 10,
+            dominantFrequency: spectrum.peakFrequency,
             chinAmplitude: Math.round(rms * 100) / 100,
             jawAmplitude: Math.round(jawRms * 100) / 100,
-            isPDRange: dominantFrequency >= 3.5 && dominantFrequency <= 6.5,
-            isETRange: dominantFrequency >= 5 && dominantFrequency <= 9
+            noiseFloor: Math.round(noiseSigma * 100) / 100,
+            snr: Math.round(snr * 100) / 100,
+            detectable,
+            pdBandPower: spectrum.pdBandPower,
+            etBandPower: spectrum.etBandPower,
+            pdBandShare: spectrum.pdBandShare,
+            etBandShare: spectrum.etBandShare,
+            spectralConfidence: spectrum.confidence,
+            trace: Contributions.trace(tremorParts, Math.min(100, chinExcess * 50 + jawExcess * 30))
         };
     }
 
-    _estimateFrequency(signal, fps) {
-        if (signal.length < 10) return 0;
-
-        // Zero-crossing frequency estimation
-        let crossings = 0;
-        const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
-        for (let i = 1; i < signal.length; i++) {
-            if ((signal[i - 1] - mean) * (signal[i] - mean) < 0) {
-                crossings++;
+    /**
+     * Welch PSD of the chin, jaw and brow residuals (resampled to a uniform grid,
+     * detrended). Each signal is divided by its expected noise first, so the summed
+     * spectrum weighs them by reliability and white noise sits at a flat level.
+     * @param {Array} signals - [{ samples, noiseSigma }]
+     * @param {number[]} times - sample times in seconds
+     * @param {number} snr - residual-over-noise power ratio of the tremor signals
+     * @returns {object} { peakFrequency, pdBandPower, etBandPower, pdBandShare, etBandShare, confidence }
+     */
+    _analyzeTremorSpectrum(signals, times, snr) {
+        let combined = null;
+        signals.forEach(({ samples, noiseSigma }) => {
+            const { signal, rate } = DSP.resampleUniform(samples, times);
+            const scale = noiseSigma > 0 ? 1 / noiseSigma : 1;
+            const spectrum = DSP.welch(DSP.detrend(signal).map(v => v * scale), rate);
+            if (!spectrum) return;
+            if (!combined) {
+                combined = spectrum;
+            } else {
+                for (let k = 0; k < combined.psd.length; k++) combined.psd[k] += spectrum.psd[k];
             }
-        }
+        });
+        if (!combined) {
+            return { peakFrequency: 0, pdBandPower: 0, etBandPower: 0, pdBandShare: 0, etBandShare: 0, confidence: 0 };
+        }
+
+        // Bands above Nyquist can't be observed at low frame rates
+        const nyquist = combined.frequencies[combined.frequencies.length - 1];
+        const [low, high] = this.TREMOR_ANALYSIS_BAND;
+        const total = DSP.bandPower(combined, low, Math.min(high, nyquist));
+        const pdBandPower = DSP.bandPower(combined, this.PD_BAND[0], Math.min(this.PD_BAND[1], nyquist));
+        const etBandPower = DSP.bandPower(combined, this.ET_BAND[0], Math.min(this.ET_BAND[1], nyquist));
+        const peak = DSP.peak(combined, low, Math.min(high, nyquist));
+
+        // Confidence: a narrow peak over the band's median density, and a residual clear of noise
+        const inBand = [];
+        combined.frequencies.forEach((f, k) => { if (f >= low && f <= high) inBand.push(combined.psd[k]); });
+        inBand.sort((a, b) => a - b);
+        const median = inBand.length > 0 ? inBand[Math.floor(inBand.length / 2)] : 0;
+        const prominence = peak && median > 0 ? peak.density / median : 0;
+        const peakiness = Math.max(0, Math.min(1, (prominence - 2) / 8));
+        const confidence = peakiness * Math.min(1, snr / this.minTremorSnr);
+
+        const round = (v, digits) => Math.round(v * digits) / digits;
+        return {
+            peakFrequency: peak ? round(peak.frequency, 10) : 0,
+            pdBandPower: round(pdBandPower, 100),
+            etBandPower: round(etBandPower, 100),
+            pdBandShare: total > 0 ? round(pdBandPower / total, 100) : 0,
+            etBandShare: total > 0 ? round(etBandPower / total, 100) : 0,
+            confidence: round(confidence, 100)
+        };
+    }
 
-        // Frequency = crossings / (2 * duration_in_seconds)
-        const durationSec = signal.length / fps;
-        return durationSec > 0 ? crossings / (2 * durationSec) : 0;
+    _noTremor() {
+        return {
+            tremorScore: 0, dominantFrequency: 0, chinAmplitude: 0, jawAmplitude: 0,
+            noiseFloor: 0, snr: 0, detectable: false,
+            pdBandPower: 0, etBandPower: 0, pdBandShare: 0, etBandShare: 0, spectralConfidence: 0,
+            trace: []
+        };
     }
 
     // ── Expression Dynamics Analysis ──
@@ -347,41 +377,47 @@ class NeuroAnalyzer {
 
     // ── Gaze Pattern Analysis ──
     // Rapid scanning = hypervigilance (PTSD/anxiety). Drift = avoidance.
+    // Head direction from HeadPose (degrees), so face size and position don't matter;
+    // step, movement and drift scales are the box-pixel ones via HeadPose.PX_PER_DEGREE.
     _analyzeGazePatterns(frames) {
-        if (frames.length < 10) return { stability: 100, scanRate: 0, driftScore: 0 };
+        const posed = frames.filter(f => f.pose);
+        if (posed.length < 10) return { stability: 100, scanRate: 0, driftScore: 0, trace: [] };
 
-        const headPositions = frames.map(f => ({ x: f.box.x + f.box.width / 2, y: f.box.y + f.box.height / 2 }));
         const movements = [];
-
-        for (let i = 1; i < headPositions.length; i++) {
-            const dx = headPositions[i].x - headPositions[i - 1].x;
-            const dy = headPositions[i].y - headPositions[i - 1].y;
-            movements.push(Math.sqrt(dx * dx + dy * dy));
+        for (let i = 1; i < posed.length; i++) {
+            movements.push(HeadPose.angularDistance(posed[i].pose, posed[i - 1].pose));
         }
 
         const avgMovement = movements.reduce((a, b) => a + b, 0) / movements.length;
 
-        // Direction reversals (scanning behavior)
+        // Yaw direction reversals (scanning behavior)
+        const step = 1.5 / HeadPose.PX_PER_DEGREE;
         let reversals = 0;
-        for (let i = 2; i < headPositions.length; i++) {
-            const dx1 = headPositions[i - 1].x - headPositions[i - 2].x;
-            const dx2 = headPositions[i].x - headPositions[i - 1].x;
-            if ((dx1 > 1.5 && dx2 < -1.5) || (dx1 < -1.5 && dx2 > 1.5)) {
+        for (let i = 2; i < posed.length; i++) {
+            const d1 = posed[i - 1].pose.yaw - posed[i - 2].pose.yaw;
+            const d2 = posed[i].pose.yaw - posed[i - 1].pose.yaw;
+            if ((d1 > step && d2 < -step) || (d1 < -step && d2 > step)) {
                 reversals++;
             }
         }
 
-        const scanRate = Math.round((reversals / frames.length) * 100);
-        const stability = Math.max(0, Math.min(100, Math.round(100 - avgMovement * 5 - scanRate)));
+        const scanRate = Math.round((reversals / posed.length) * 100);
+        const movementPenalty = avgMovement * 5 * HeadPose.PX_PER_DEGREE;
+        const stability = Math.max(0, Math.min(100, Math.round(100 - movementPenalty - scanRate)));
+
+        // Lateral drift: overall head direction trend
+        const quarter = Math.max(1, Math.floor(posed.length / 4));
+        const meanYaw = run => run.reduce((s, f) => s + f.pose.yaw, 0) / run.length;
+        const driftDegrees = Math.abs(meanYaw(posed.slice(-quarter)) - meanYaw(posed.slice(0, quarter)));
+        const driftScore = Math.min(100, Math.round(driftDegrees * HeadPose.PX_PER_DEGREE));
 
-        // Lateral drift: overall head position trend
-        const firstQuarter = headPositions.slice(0, Math.floor(headPositions.length / 4));
-        const lastQuarter = headPositions.slice(-Math.floor(headPositions.length / 4));
-        const avgFirst = firstQuarter.reduce((s, p) => s + p.x, 0) / firstQuarter.length;
-        const avgLast = lastQuarter.reduce((s, p) => s + p.x, 0) / lastQuarter.length;
-        const driftScore = Math.min(100, Math.round(Math.abs(avgLast - avgFirst)));
+        const trace = Contributions.trace([
+            Contributions.part('base', 'Steady gaze', 100),
+            Contributions.part('movement', 'Head movement', -movementPenalty),
+            Contributions.part('scanning', 'Scanning side to side', -scanRate)
+        ], Math.max(0, Math.min(100, 100 - movementPenalty - scanRate)));
 
-        return { stability, scanRate, driftScore, avgMovement };
+        return { stability, scanRate, driftScore, avgMovement, trace };
     }
 
     // ── Affect Congruence Analysis ──
@@ -435,27 +471,29 @@ class NeuroAnalyzer {
 
     // ── Psychomotor Speed Analysis ──
     // Slow = depression/PD. Fast/erratic = mania/anxiety.
-    _analyzePsychomotorSpeed(frames, fps) {
-        if (frames.length < 10) return { index: 50, speed: 'normal' };
+    _analyzePsychomotorSpeed(frames, times) {
+        if (frames.length < 10) return { index: 50, speed: 'normal', trace: [] };
 
         // Measure expression transition speed
         const transitionSpeeds = [];
         const expressionKeys = ['angry', 'disgusted', 'fearful', 'happy', 'sad', 'surprised'];
 
         for (let i = 1; i < frames.length; i++) {
+            const dt = times[i] - times[i - 1];
+            if (!(dt > 0)) continue;
             let maxDelta = 0;
             expressionKeys.forEach(key => {
                 maxDelta = Math.max(maxDelta, Math.abs((frames[i].expressions[key] || 0) - (frames[i - 1].expressions[key] || 0)));
             });
-            if (maxDelta > 0.05) transitionSpeeds.push(maxDelta * fps);
+            if (maxDelta > 0.05) transitionSpeeds.push(maxDelta / dt);
         }
 
-        // Head movement speed
+        // Head rotation speed (degrees/s)
         const headSpeeds = [];
         for (let i = 1; i < frames.length; i++) {
-            const dx = frames[i].box.x - frames[i - 1].box.x;
-            const dy = frames[i].box.y - frames[i - 1].box.y;
-            headSpeeds.push(Math.sqrt(dx * dx + dy * dy) * fps);
+            const dt = times[i] - times[i - 1];
+            if (!(dt > 0) || !frames[i].pose || !frames[i - 1].pose) continue;
+            headSpeeds.push(HeadPose.angularDistance(frames[i].pose, frames[i - 1].pose) / dt);
         }
 
         const avgTransitionSpeed = transitionSpeeds.length > 0
@@ -464,7 +502,9 @@ class NeuroAnalyzer {
             ? headSpeeds.reduce((a, b) => a + b, 0) / headSpeeds.length : 0;
 
         // Psychomotor index: 0-100 where 50 = normal, <30 = retarded, >70 = agitated
-        const index = Math.min(100, Math.max(0, Math.round(30 + avgTransitionSpeed * 2 + avgHeadSpeed * 0.3)));
+        // (head speed weighted 0.3 per px/s of box movement, converted to degrees)
+        const headTerm = avgHeadSpeed * 0.3 * HeadPose.PX_PER_DEGREE;
+        const index = Math.min(100, Math.max(0, Math.round(30 + avgTransitionSpeed * 2 + headTerm)));
 
         let speed = 'normal';
         if (index < 25) speed = 'very slow';
@@ -472,7 +512,13 @@ class NeuroAnalyzer {
         else if (index > 75) speed = 'agitated';
         else if (index > 60) speed = 'elevated';
 
-        return { index, speed, avgTransitionSpeed, avgHeadSpeed };
+        const trace = Contributions.trace([
+            Contributions.part('base', 'Resting level', 30),
+            Contributions.part('expressionSpeed', 'Speed of expression changes', avgTransitionSpeed * 2),
+            Contributions.part('headSpeed', 'Speed of head movement', headTerm)
+        ], Math.min(100, Math.max(0, 30 + avgTransitionSpeed * 2 + headTerm)));
+
+        return { index, speed, avgTransitionSpeed, avgHeadSpeed, trace };
     }
 
     // ── Condition Screening Functions ──
@@ -499,11 +545,18 @@ class NeuroAnalyzer {
             indicators.push({ marker: 'Reduced facial expressivity', value: `${exprRange.overallRange}% range`, severity: 'moderate' });
         }
 
-        // Micro-tremor in PD frequency range (4-6 Hz)
-        if (tremors.tremorScore > 20 && tremors.isPDRange) {
+        // Micro-tremor in PD frequency range (4-6 Hz): share of tremor-band power,
+        // weighted by how clearly the spectrum shows a tremor at all
+        const pdEvidence = tremors.pdBandShare * tremors.spectralConfidence;
+        const etEvidence = tremors.etBandShare * tremors.spectralConfidence;
+        if (tremors.tremorScore > 20 && pdEvidence >= 0.3 && tremors.pdBandShare >= tremors.etBandShare) {
             score += 25;
-            indicators.push({ marker: 'Jaw/chin tremor (4-6 Hz)', value: `${tremors.dominantFrequency} Hz`, severity: 'high' });
-        } else if (tremors.tremorScore > 10) {
+            indicators.push({ marker: 'Jaw/chin tremor (4-6 Hz)', value: `${tremors.dominantFrequency} Hz, ${Math.round(tremors.pdBandShare * 100)}% of band power`, severity: 'high' });
+        } else if (tremors.tremorScore > 20 && etEvidence >= 0.3) {
+            // 5-9 Hz dominant: closer to essential tremor than to PD resting tremor
+            score += 8;
+            indicators.push({ marker: 'Facial tremor above PD range (5-9 Hz)', value: `${tremors.dominantFrequency} Hz`, severity: 'low' });
+        } else if (tremors.tremorScore > 10 && tremors.spectralConfidence >= 0.2) {
             score += 8;
             indicators.push({ marker: 'Mild facial tremor detected', value: `${tremors.dominantFrequency} Hz`, severity: 'low' });
         }
@@ -806,6 +859,7 @@ class NeuroAnalyzer {
                 microTremorScore: 0, tremorFreqEstimate: 0, expressionVolatility: 0,
                 psychomotorIndex: 50, gazeStability: 0, affectCongruence: 0
             },
+            contributions: {},
             conditions: [],
             disclaimer: 'INSUFFICIENT DATA — Longer scan required for neuro-psychological analysis.'
         };
@@ -814,7 +868,7 @@ class NeuroAnalyzer {
     /**
      * Deception-focused analysis returning only deception-relevant biometrics
      */
-    analyzeForDeception(frameHistory, fps = 30) {
+    analyzeForDeception(frameHistory, fallbackFps = 30) {
         if (!frameHistory || frameHistory.length < 10) return {
             blinkRate: 0, blinkRegularity: 0, blinkIntervals: [],
             avgBlinkDuration: 0, expressionVolatility: 0, expressionChangeRate: 0,
@@ -822,11 +876,13 @@ class NeuroAnalyzer {
             gazeDrift: 0, scanRate: 0, psychomotorIndex: 50, psychomotorSpeed: 'normal'
         };
 
-        const blinkAnalysis = this._analyzeBlinkPatterns(frameHistory, fps);
+        const times = FrameStore.relativeTimes(frameHistory, fallbackFps);
+        const durationSec = FrameStore.durationSec(frameHistory, fallbackFps);
+        const blinkAnalysis = this._analyzeBlinkPatterns(frameHistory, times, durationSec);
         const expressionDynamics = this._analyzeExpressionDynamics(frameHistory);
         const affectCongruence = this._analyzeAffectCongruence(frameHistory);
         const gazePatterns = this._analyzeGazePatterns(frameHistory);
-        const psychomotor = this._analyzePsychomotorSpeed(frameHistory, fps);
+        const psychomotor = this._analyzePsychomotorSpeed(frameHistory, times);
 
         return {
             blinkRate: blinkAnalysis.blinksPerMinute,
@@ -846,4 +902,4 @@ class NeuroAnalyzer {
     }
 }
 
-window.NeuroAnalyzer = NeuroAnalyzer;
+self.NeuroAnalyzer = NeuroAnalyzer;
@@ -0,0 +1,188 @@
+/* ============================================
+   RESPIRATION ENGINE - Breathing Rate from Motion
+   Breathing lifts the head and shoulders a little
+   with every breath. The vertical position of the
+   face box and nose landmarks (in eye-distance
+   units, so distance to the camera doesn't matter)
+   is band-passed to 0.1-0.6 Hz (6-36 breaths/min)
+   and its spectral peak read as the breathing rate.
+
+   When the scan had audio, the slow modulation of
+   the voice amplitude envelope (phrasing follows
+   the breath) is added as a second source, each
+   source weighted by its own spectral SNR.
+   ============================================ */
+
+class RespirationEngine {
+    constructor(options = {}) {
+        this.minSeconds = options.minSeconds || 10;     // fewer than ~2 slow breaths otherwise
+        this.minConfidence = options.minConfidence || 40;
+    }
+
+    /**
+     * Breathing analysis of one person's scan
+     * @param {Array} frames - materialized frames (FrameStore.all())
+     * @param {object} [envelope] - VoiceStressEngine.breathEnvelope() { rate, samples }
+     * @returns {object|null} { breathsPerMinute, regularity, confidence, reliable, sources, duration }
+     *                        or null when the scan is too short
+     */
+    analyze(frames, envelope) {
+        const sources = [];
+
+        const motion = this._motionSignal(frames);
+        if (motion) sources.push(Object.assign({ name: 'motion' }, motion));
+
+        if (envelope && envelope.samples && envelope.samples.length / envelope.rate >= this.minSeconds) {
+            // Log amplitude: breath modulation is multiplicative on a loud or quiet voice alike
+            const logEnvelope = Array.from(envelope.samples, v => Math.log(v + 1e-4));
+            sources.push({ name: 'audio', signal: logEnvelope, rate: envelope.rate });
+        }
+        if (sources.length === 0) return null;
+
+        // Each source's spectrum normalized to unit power, weighted by its SNR
+        const [low, high] = RespirationEngine.BAND;
+        const analyzed = sources.map(source => {
+            const spectrum = DSP.welch(DSP.detrend(source.signal), source.rate, source.signal.length);
+            const peak = spectrum && DSP.peak(spectrum, low, high);
+            if (!peak) return null;
+            return { name: source.name, source, spectrum, snrDb: RespirationEngine.spectralSnr(spectrum, peak.frequency) };
+        }).filter(Boolean);
+        if (analyzed.length === 0) return null;
+
+        const grid = RespirationEngine._frequencyGrid();
+        const fused = new Float64Array(grid.length);
+        analyzed.forEach(a => {
+            const weight = Math.pow(10, a.snrDb / 10);
+            const total = DSP.bandPower(a.spectrum, RespirationEngine.NOISE_BAND[0], RespirationEngine.NOISE_BAND[1]) || 1;
+            grid.forEach((f, k) => { fused[k] += weight * RespirationEngine._interpolate(a.spectrum, f) / total; });
+        });
+        const fusedSpectrum = { frequencies: grid, psd: fused, resolution: grid[1] - grid[0] };
+        const fusedPeak = DSP.peak(fusedSpectrum, low, high);
+        if (!fusedPeak) return null;
+
+        // The fused grid only interpolates the sources' bins; refine on each source's own
+        // spectrum near the fused peak and average by SNR
+        let weightSum = 0;
+        let frequencySum = 0;
+        analyzed.forEach(a => {
+            const span = 2 * a.spectrum.resolution;
+            const local = DSP.peak(a.spectrum, fusedPeak.frequency - span, fusedPeak.frequency + span);
+            if (!local) return;
+            const weight = Math.pow(10, a.snrDb / 10);
+            weightSum += weight;
+            frequencySum += weight * local.frequency;
+        });
+        const peak = { frequency: weightSum > 0 ? frequencySum / weightSum : fusedPeak.frequency };
+
+        // Regularity from breath-to-breath intervals of the most reliable source
+        const best = analyzed.reduce((a, b) => (b.snrDb > a.snrDb ? b : a));
+        const filtered = DSP.bandpass(best.source.signal, best.source.rate, low, high);
+        const regularity = RespirationEngine.regularity(filtered, best.source.rate, peak.frequency);
+
+        // Confidence: clear spectral peak, and enough whole breaths to trust it
+        const duration = Math.max(...analyzed.map(a => a.source.signal.length / a.source.rate));
+        const snrDb = RespirationEngine.spectralSnr(fusedSpectrum, peak.frequency);
+        const cycles = duration * peak.frequency;
+        const confidence = Math.round(100 *
+            Math.max(0, Math.min(1, (snrDb + 3) / 9)) *
+            Math.min(1, cycles / RespirationEngine.FULL_CONFIDENCE_CYCLES));
+
+        return {
+            breathsPerMinute: Math.round(peak.frequency * 60 * 10) / 10,
+            regularity,
+            confidence,
+            reliable: confidence >= this.minConfidence,
+            sources: analyzed.map(a => a.name),
+            duration: Math.round(duration * 10) / 10
+        };
+    }
+
+    /**
+     * Signal-to-noise ratio (dB): power within 0.05 Hz of the breathing peak and
+     * 0.08 Hz of its harmonic, against the rest of the 0.05-1 Hz band
+     */
+    static spectralSnr(spectrum, peakHz) {
+        let signal = 0;
+        let noise = 0;
+        const [low, high] = RespirationEngine.NOISE_BAND;
+        spectrum.frequencies.forEach((f, k) => {
+            if (f < low || f > high) return;
+            if (Math.abs(f - peakHz) <= 0.05 || Math.abs(f - 2 * peakHz) <= 0.08) {
+                signal += spectrum.psd[k];
+            } else {
+                noise += spectrum.psd[k];
+            }
+        });
+        if (signal <= 0) return -20;
+        if (noise <= 0) return 20;
+        return 10 * Math.log10(signal / noise);
+    }
+
+    /**
+     * Breath-to-breath regularity 0-100 (100 - coefficient of variation in %),
+     * or null with fewer than 3 intervals
+     */
+    static regularity(filtered, rate, breathHz) {
+        const minGap = Math.max(1, Math.floor(rate / breathHz * 0.6));
+        const peaks = [];
+        for (let i = 1; i < filtered.length - 1; i++) {
+            if (filtered[i] <= 0 || filtered[i] < filtered[i - 1] || filtered[i] < filtered[i + 1]) continue;
+            if (peaks.length > 0 && i - peaks[peaks.length - 1] < minGap) {
+                if (filtered[i] > filtered[peaks[peaks.length - 1]]) peaks[peaks.length - 1] = i;
+                continue;
+            }
+            peaks.push(i);
+        }
+        if (peaks.length < 4) return null;
+
+        const intervals = [];
+        for (let i = 1; i < peaks.length; i++) intervals.push((peaks[i] - peaks[i - 1]) / rate);
+        const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        const sd = Math.sqrt(intervals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / intervals.length);
+        return Math.max(0, Math.round(100 - sd / mean * 100));
+    }
+
+    // ── Private Methods ──
+
+    // Vertical face position (mean of box center and nose landmarks) over eye distance, resampled
+    _motionSignal(frames) {
+        const values = [];
+        const times = [];
+        const frameTimes = FrameStore.relativeTimes(frames);
+        frames.forEach((frame, i) => {
+            const lm = frame.landmarks;
+            if (!lm || lm.length < FrameStore.LANDMARK_COUNT) return;
+            const eyeDist = Math.hypot(lm[45].x - lm[36].x, lm[45].y - lm[36].y);
+            if (!(eyeDist > 0)) return;
+            const noseY = RespirationEngine.NOSE_POINTS.reduce((s, p) => s + lm[p].y, 0) / RespirationEngine.NOSE_POINTS.length;
+            const boxY = frame.box.y + frame.box.height / 2;
+            values.push((noseY + boxY) / 2 / eyeDist);
+            times.push(frameTimes[i]);
+        });
+        if (values.length < 2 || times[times.length - 1] - times[0] < this.minSeconds) return null;
+        return DSP.resampleUniform(values, times);
+    }
+
+    static _frequencyGrid() {
+        const [low, high] = RespirationEngine.NOISE_BAND;
+        const step = 0.005;
+        const grid = [];
+        for (let f = low; f <= high + 1e-9; f += step) grid.push(f);
+        return grid;
+    }
+
+    // Linear interpolation of a spectrum's density at frequency f
+    static _interpolate(spectrum, f) {
+        const k = f / spectrum.resolution;
+        const i = Math.floor(k);
+        if (i < 0 || i + 1 >= spectrum.psd.length) return 0;
+        return spectrum.psd[i] + (spectrum.psd[i + 1] - spectrum.psd[i]) * (k - i);
+    }
+}
+
+RespirationEngine.BAND = [0.1, 0.6];            // Hz (6-36 breaths/min)
+RespirationEngine.NOISE_BAND = [0.05, 1.0];     // Hz, reference band for SNR and normalization
+RespirationEngine.NOSE_POINTS = [27, 28, 29, 30, 33];
+RespirationEngine.FULL_CONFIDENCE_CYCLES = 4;   // breaths in the scan for full confidence
+
+self.RespirationEngine = RespirationEngine;
@@ -0,0 +1,368 @@
+/* ============================================
+   RPPG ENGINE - Camera Heart Rate & HRV
+   Remote photoplethysmography: each heartbeat
+   changes skin color very slightly. The mean color
+   of forehead and cheek patches (placed from the
+   68 landmarks) is sampled every frame, the pulse
+   is extracted with POS (Wang et al. 2017, "plane
+   orthogonal to skin"), band-passed, and read
+   out as heart rate (Welch peak), HRV (RMSSD of
+   beat-to-beat intervals) and a signal quality
+   score (spectral SNR, de Haan 2013).
+
+   sampleSkin() needs pixels and runs on the main
+   thread (packets carry its result as packet.skin);
+   the rest is pure and runs in the analysis worker.
+   ============================================ */
+
+class RppgEngine {
+    constructor(options = {}) {
+        this.minSeconds = options.minSeconds || 6;              // shortest scan worth analyzing
+        this.minRate = options.minRate || 8;                    // fps; Nyquist must clear the HR band
+        this.windowSec = options.windowSec || 1.6;              // POS window (about one beat at 40 bpm)
+        this.reliableQuality = options.reliableQuality || 50;   // quality a reading needs to be used
+        this.series = new Map();        // personId -> { times: [], rgb: [] }
+    }
+
+    /**
+     * Collect one frame's skin color for a person
+     * @param {string} personId
+     * @param {object} packet - FrameStore.pack() packet carrying skin: [r, g, b]
+     * @param {number} [timestamp] - frame capture time in ms
+     */
+    processFrame(personId, packet, timestamp) {
+        if (!packet || !packet.skin) return;
+        let series = this.series.get(personId);
+        if (!series) {
+            series = { times: [], rgb: [] };
+            this.series.set(personId, series);
+        }
+        const t = (timestamp !== undefined ? timestamp : packet.t) / 1000;
+        if (series.times.length > 0 && t <= series.times[series.times.length - 1]) return;
+        series.times.push(t);
+        series.rgb.push(packet.skin);
+    }
+
+    /**
+     * Pulse analysis of everything collected for a person
+     * @param {string} personId
+     * @returns {object|null} { heartRate, hrv: { rmssd, beats, timingNoise } | null, quality, snrDb, reliable,
+     *                          duration, waveform } or null when there is too little signal
+     */
+    fullAnalysis(personId) {
+        const series = this.series.get(personId);
+        if (!series || series.times.length < 2) return null;
+
+        const times = series.times;
+        const duration = times[times.length - 1] - times[0];
+        if (duration < this.minSeconds) return null;
+
+        const channels = [0, 1, 2].map(c => DSP.resampleUniform(series.rgb.map(v => v[c]), times));
+        const rate = channels[0].rate;
+        if (rate < this.minRate) return null;
+
+        const pulse = RppgEngine.pos(channels.map(ch => ch.signal), Math.round(this.windowSec * rate));
+        const [low, high] = RppgEngine.HR_BAND;
+
+        // Heart rate: Welch peak of the raw POS signal (8 s segments, ~0.1 Hz bins)
+        const spectrum = DSP.welch(DSP.detrend(pulse), rate, Math.round(rate * 8));
+        if (!spectrum) return null;
+        const peak = DSP.peak(spectrum, low, high);
+        if (!peak) return null;
+        const heartRate = peak.frequency * 60;
+
+        const snrDb = RppgEngine.spectralSnr(spectrum, peak.frequency);
+        const coverage = RppgEngine._coverage(times, 1 / rate);
+        const quality = Math.round(100 * Math.max(0, Math.min(1, (snrDb + 5) / 10)) * coverage);
+
+        // HRV needs beat timing: noise shifts peaks and inflates RMSSD, so only a reliable
+        // signal gets one, and hrv() drops it when the timing noise could explain it.
+        // The band is wider than the HR band to keep the pulse shape.
+        const reliable = quality >= this.reliableQuality;
+        const filtered = DSP.bandpass(pulse, rate, RppgEngine.HRV_BAND[0], RppgEngine.HRV_BAND[1]);
+        const hrv = reliable ? RppgEngine.hrv(filtered, rate, heartRate) : null;
+
+        return {
+            heartRate: Math.round(heartRate),
+            hrv,
+            quality,
+            snrDb: Math.round(snrDb * 10) / 10,
+            reliable,
+            duration: Math.round(duration * 10) / 10,
+            waveform: RppgEngine._waveform(filtered, rate)
+        };
+    }
+
+    clearAll() {
+        this.series.clear();
+    }
+
+    // ── Pulse extraction ──
+
+    /**
+     * POS: per sliding window, normalize each color channel by its mean, project
+     * onto the plane orthogonal to skin tone (S1 = G - B, S2 = G + B - 2R), combine
+     * with alpha = std(S1) / std(S2) to cancel motion/illumination, overlap-add.
+     * @param {Array} rgb - [red[], green[], blue[]] uniformly sampled
+     * @param {number} windowLength - samples per window
+     * @returns {Float64Array} pulse signal
+     */
+    static pos(rgb, windowLength) {
+        const [red, green, blue] = rgb;
+        const n = red.length;
+        const l = Math.max(2, Math.min(n, windowLength));
+        const out = new Float64Array(n);
+        const s1 = new Float64Array(l);
+        const s2 = new Float64Array(l);
+
+        for (let start = 0; start + l <= n; start++) {
+            let mr = 0, mg = 0, mb = 0;
+            for (let i = 0; i < l; i++) {
+                mr += red[start + i];
+                mg += green[start + i];
+                mb += blue[start + i];
+            }
+            if (mr <= 0 || mg <= 0 || mb <= 0) continue;
+            mr /= l; mg /= l; mb /= l;
+
+            for (let i = 0; i < l; i++) {
+                const r = red[start + i] / mr;
+                const g = green[start + i] / mg;
+                const b = blue[start + i] / mb;
+                s1[i] = g - b;
+                s2[i] = g + b - 2 * r;
+            }
+            const sd2 = RppgEngine._std(s2);
+            const alpha = sd2 > 0 ? RppgEngine._std(s1) / sd2 : 0;
+
+            let mean = 0;
+            for (let i = 0; i < l; i++) mean += (s1[i] + alpha * s2[i]) / l;
+            for (let i = 0; i < l; i++) out[start + i] += s1[i] + alpha * s2[i] - mean;
+        }
+        return out;
+    }
+
+    /**
+     * Signal-to-noise ratio (dB) of a pulse spectrum: power within 0.1 Hz of the
+     * heart rate and 0.2 Hz of its first harmonic, against the rest of 0.7-4 Hz
+     */
+    static spectralSnr(spectrum, hrHz) {
+        let signal = 0;
+        let noise = 0;
+        spectrum.frequencies.forEach((f, k) => {
+            if (f < 0.7 || f > 4) return;
+            if (Math.abs(f - hrHz) <= 0.1 || Math.abs(f - 2 * hrHz) <= 0.2) {
+                signal += spectrum.psd[k];
+            } else {
+                noise += spectrum.psd[k];
+            }
+        });
+        if (signal <= 0) return -20;
+        if (noise <= 0) return 20;
+        return 10 * Math.log10(signal / noise);
+    }
+
+    /**
+     * RMSSD (ms) from systolic peaks of the band-passed pulse. Intervals more than
+     * 30% off the spectral heart rate are treated as missed/extra beats and skipped,
+     * and beats within HRV_EDGE_SEC of either end (where the POS overlap-add and the
+     * filter ramp in) are left out. Noise moves every peak on its own, which adds
+     * its RMSSD (timingNoise()) to the true one: the reading is corrected for it, and
+     * dropped unless it is at least MIN_HRV_SNR times that noise.
+     * @returns {object|null} { rmssd, beats, timingNoise } or null with too few clean
+     *                        intervals or timing too noisy to tell HRV apart
+     */
+    static hrv(filtered, rate, heartRate) {
+        const period = rate * 60 / heartRate;
+        const minGap = Math.max(1, Math.floor(period * 0.6));
+        const edge = Math.round(RppgEngine.HRV_EDGE_SEC * rate);
+        const peaks = [];
+
+        for (let i = Math.max(1, edge); i < filtered.length - Math.max(1, edge); i++) {
+            if (filtered[i] <= 0 || filtered[i] < filtered[i - 1] || filtered[i] < filtered[i + 1]) continue;
+            if (peaks.length > 0 && i - peaks[peaks.length - 1].index < minGap) {
+                if (filtered[i] > peaks[peaks.length - 1].value) peaks[peaks.length - 1] = { index: i, value: filtered[i] };
+                continue;
+            }
+            peaks.push({ index: i, value: filtered[i] });
+        }
+
+        // Sub-sample peak times (parabolic), in ms; frame-rate timing alone is too coarse
+        const beatTimes = peaks.map(({ index: i }) => {
+            const a = filtered[i - 1], b = filtered[i], c = filtered[i + 1];
+            const denom = a - 2 * b + c;
+            const offset = denom < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+            return (i + offset) / rate * 1000;
+        });
+
+        const expected = 60000 / heartRate;
+        const intervals = [];
+        for (let i = 1; i < beatTimes.length; i++) {
+            const ibi = beatTimes[i] - beatTimes[i - 1];
+            intervals.push(Math.abs(ibi - expected) <= expected * 0.3 ? ibi : null);
+        }
+
+        const diffs = [];
+        for (let i = 1; i < intervals.length; i++) {
+            if (intervals[i] !== null && intervals[i - 1] !== null) diffs.push(intervals[i] - intervals[i - 1]);
+        }
+        if (diffs.length < RppgEngine.MIN_HRV_DIFFS) return null;
+
+        const measured = Math.sqrt(diffs.reduce((s, d) => s + d * d, 0) / diffs.length);
+        const noise = RppgEngine.timingNoise(filtered, rate, peaks.map(p => p.index), beatTimes, period);
+        if (measured < noise * RppgEngine.MIN_HRV_SNR) return null;
+
+        const rmssd = Math.sqrt(measured * measured - noise * noise);
+        return { rmssd: Math.round(rmssd), beats: peaks.length, timingNoise: Math.round(noise) };
+    }
+
+    /**
+     * RMSSD (ms) that noise alone gives the peak times. Each beat is also timed at
+     * the zero crossing of its upstroke: a real change of heart rate moves the whole
+     * beat, so peak and crossing move together, while noise moves them apart. The
+     * spread of (peak - crossing), less what a longer beat stretches it (the lag
+     * regressed on the beat's interval), is therefore about the per-beat timing
+     * noise; a difference of successive intervals carries three beat times, so the
+     * RMSSD gains sqrt(6) times it. The crossing's own noise counts in too, so this
+     * errs high: noisy timing is never read as HRV.
+     * @param {ArrayLike<number>} filtered - band-passed pulse
+     * @param {number} rate
+     * @param {number[]} peakIndices
+     * @param {number[]} beatTimes - sub-sample peak times, ms
+     * @param {number} period - expected samples per beat
+     * @returns {number} ms (Infinity with too few beats to tell)
+     */
+    static timingNoise(filtered, rate, peakIndices, beatTimes, period) {
+        const beats = [];   // { lag, interval } in ms
+        peakIndices.forEach((peak, k) => {
+            if (k === 0) return;
+            for (let j = peak; j > 0 && j > peak - period / 2; j--) {
+                if (filtered[j - 1] <= 0 && filtered[j] > 0) {
+                    const crossing = j - filtered[j] / (filtered[j] - filtered[j - 1]);
+                    beats.push({ lag: beatTimes[k] - crossing / rate * 1000, interval: beatTimes[k] - beatTimes[k - 1] });
+                    return;
+                }
+            }
+        });
+        if (beats.length < RppgEngine.MIN_HRV_DIFFS) return Infinity;
+
+        // Least-squares lag = a + b * interval; the residual spread is the noise
+        const n = beats.length;
+        const meanLag = beats.reduce((s, b) => s + b.lag, 0) / n;
+        const meanInterval = beats.reduce((s, b) => s + b.interval, 0) / n;
+        let sxx = 0, sxy = 0;
+        beats.forEach(b => {
+            sxx += (b.interval - meanInterval) * (b.interval - meanInterval);
+            sxy += (b.interval - meanInterval) * (b.lag - meanLag);
+        });
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const residual = beats.reduce((s, b) => {
+            const r = b.lag - meanLag - slope * (b.interval - meanInterval);
+            return s + r * r;
+        }, 0);
+        return Math.sqrt(6) * Math.sqrt(residual / (n - 2));
+    }
+
+    // ── Skin sampling (main thread) ──
+
+    /**
+     * Mean skin color of the forehead and both cheeks, each patch drawn down to
+     * a 16x16 tile. Shadowed and specular pixels are left out. Main thread only.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source
+     * @param {Float32Array} landmarks - packet landmarks (flat x, y)
+     * @param {HTMLCanvasElement} canvas - reusable scratch canvas
+     * @returns {number[]|null} [r, g, b] 0..255 (2 decimals), or null
+     */
+    static sampleSkin(source, landmarks, canvas) {
+        const regions = RppgEngine.regions(landmarks);
+        if (!regions) return null;
+
+        const tile = RppgEngine.TILE_SIZE;
+        if (canvas.width !== tile * regions.length) { canvas.width = tile * regions.length; canvas.height = tile; }
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        regions.forEach((r, i) => ctx.drawImage(source, r.x, r.y, r.w, r.h, i * tile, 0, tile, tile));
+        const data = ctx.getImageData(0, 0, canvas.width, tile).data;
+
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            if (luma < 30 || luma > 240) continue;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+            count++;
+        }
+        if (count < data.length / 4 * 0.3) return null;
+
+        const round = v => Math.round(v / count * 100) / 100;
+        return [round(r), round(g), round(b)];
+    }
+
+    /**
+     * Forehead and cheek rectangles from flat 68-point landmarks, scaled by the
+     * outer eye distance; null when the face is too small to carry a pulse
+     * @returns {Array|null} [{ x, y, w, h }]
+     */
+    static regions(landmarks) {
+        if (!landmarks || landmarks.length < FrameStore.LANDMARK_COUNT * 2) return null;
+        const px = i => landmarks[i * 2];
+        const py = i => landmarks[i * 2 + 1];
+        const eyeDist = Math.hypot(px(45) - px(36), py(45) - py(36));
+        if (eyeDist < RppgEngine.MIN_EYE_DISTANCE) return null;
+
+        const browY = Math.min(py(19), py(24));
+        const cheekTop = py(29);
+        const cheekBottom = py(33);
+        const rect = (x0, y0, x1, y1) => ({ x: x0, y: y0, w: x1 - x0, h: y1 - y0 });
+        const regions = [
+            rect(px(20), browY - 0.45 * eyeDist, px(23), browY - 0.15 * eyeDist),
+            rect(px(36) + 0.05 * eyeDist, cheekTop, px(31) - 0.08 * eyeDist, cheekBottom),
+            rect(px(35) + 0.08 * eyeDist, cheekTop, px(45) - 0.05 * eyeDist, cheekBottom)
+        ];
+        return regions.every(r => r.w >= 2 && r.h >= 2) ? regions : null;
+    }
+
+    // ── Helpers ──
+
+    static _std(values) {
+        let mean = 0;
+        for (let i = 0; i < values.length; i++) mean += values[i] / values.length;
+        let sumSq = 0;
+        for (let i = 0; i < values.length; i++) sumSq += (values[i] - mean) * (values[i] - mean);
+        return Math.sqrt(sumSq / values.length);
+    }
+
+    // Share of the scan not lost to gaps (gated or faceless frames) longer than 3 frame steps
+    static _coverage(times, step) {
+        const duration = times[times.length - 1] - times[0];
+        if (duration <= 0) return 0;
+        let lost = 0;
+        for (let i = 1; i < times.length; i++) {
+            const gap = times[i] - times[i - 1];
+            if (gap > step * 3) lost += gap;
+        }
+        return Math.max(0, 1 - lost / duration);
+    }
+
+    // Last WAVEFORM_SEC of the filtered pulse at ~WAVEFORM_RATE, scaled to -1..1 (for the pulse card)
+    static _waveform(filtered, rate) {
+        const stride = Math.max(1, Math.round(rate / RppgEngine.WAVEFORM_RATE));
+        const start = Math.max(0, filtered.length - Math.round(RppgEngine.WAVEFORM_SEC * rate));
+        const points = [];
+        for (let i = start; i < filtered.length; i += stride) points.push(filtered[i]);
+        const peak = points.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+        return points.map(v => peak > 0 ? Math.round(v / peak * 100) / 100 : 0);
+    }
+}
+
+RppgEngine.HR_BAND = [0.7, 3.0];        // Hz (42-180 bpm)
+RppgEngine.HRV_BAND = [0.7, 4.0];       // Hz; 3 Hz rounds off the systolic peak and blurs beat timing
+RppgEngine.MIN_HRV_DIFFS = 5;           // successive clean interval differences for an RMSSD
+RppgEngine.HRV_EDGE_SEC = 2;            // s at each end without beat timing
+RppgEngine.MIN_HRV_SNR = 2;             // RMSSD must be this many times the timing noise
+RppgEngine.MIN_EYE_DISTANCE = 40;       // px; smaller faces have too few skin pixels
+RppgEngine.TILE_SIZE = 16;
+RppgEngine.WAVEFORM_SEC = 10;
+RppgEngine.WAVEFORM_RATE = 15;          // Hz
+
+self.RppgEngine = RppgEngine;
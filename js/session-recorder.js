@@ -0,0 +1,314 @@
+/* ============================================
+   SESSION RECORDER - Scan Recording & Replay
+   Records everything the engines consume during a
+   scan (face frames, audio feature frames, tremor
+   envelope chunks, all timestamped) as a versioned NDJSON
+   file, and replays a recording through fresh
+   engine instances to reproduce the AlphaEye
+   profile without a camera or microphone (face
+   frames through an AnalysisClient, so in the
+   analysis worker, when one is given).
+
+   Format (one JSON object per line):
+   - header: { type:'header', format, version, createdAt, source, personId, audio }
+             (personId: the primary tracked person, set when the scan finishes;
+              audio.frameClockOffsetMs: audio ms + this = face frame time, when known)
+   - face:   { type:'face', personId, t, score, box, expressions, landmarks, pose, quality?, skin? }
+             (pose: [yaw, pitch, roll] degrees from HeadPose)
+             (quality: the FrameQuality assessment the live scan gated on)
+             (skin: [r, g, b] mean skin color from RppgEngine.sampleSkin)
+   - audio:    { type:'audio', t, features, frequency }   (frequency: base64 Float32)
+   - envelope: { type:'envelope', samples }               (200 Hz, base64 Float32)
+   - actionUnits: { type:'actionUnits', personId, rate, start, traces }
+             (per-AU intensity traces from ActionUnits.summarize;
+              replay recomputes them from the face frames)
+   - result:   { type:'result', personId, profile }       (profile at record time)
+
+   Version 1 files stored raw analyser frames and PCM instead:
+   - audio: { type:'audio', t, timeDomain, frequency }    (base64 Float32)
+   - pcm:   { type:'pcm', samples }                       (base64 Float32)
+   They still replay; features are recomputed from the raw audio.
+   ============================================ */
+
+class SessionRecorder {
+    constructor() {
+        this.header = null;
+        this.events = [];
+        this.recording = false;
+        this.voiceStressEngine = null;
+    }
+
+    /**
+     * Begin a new recording
+     * @param {object} [meta] - { source, personId, scanDuration, audio: { sampleRate, fftSize } | null }
+     *                          personId defaults to 'user' until finish() names the primary person
+     */
+    start(meta = {}) {
+        this.header = {
+            type: 'header',
+            format: SessionRecorder.FORMAT,
+            version: SessionRecorder.VERSION,
+            createdAt: new Date().toISOString(),
+            source: meta.source || 'camera',
+            personId: meta.personId || 'user',
+            scanDuration: meta.scanDuration || null,
+            audio: meta.audio || null
+        };
+        this.events = [];
+        this.recording = true;
+    }
+
+    /**
+     * Capture every audio frame and envelope chunk the engine analyzes
+     * @param {VoiceStressEngine} voiceStressEngine
+     */
+    attach(voiceStressEngine) {
+        this.detach();
+        this.voiceStressEngine = voiceStressEngine;
+        voiceStressEngine.onAudioFrame = (frame) => this.recordAudioFrame(frame);
+        voiceStressEngine.onEnvelopeChunk = (samples) => this.recordEnvelopeChunk(samples);
+    }
+
+    detach() {
+        if (!this.voiceStressEngine) return;
+        this.voiceStressEngine.onAudioFrame = null;
+        this.voiceStressEngine.onEnvelopeChunk = null;
+        this.voiceStressEngine = null;
+    }
+
+    /**
+     * Record a face frame exactly as the engines will store it
+     * @param {string} personId
+     * @param {object} detection - face-api detection
+     * @param {number} timestamp - frame capture time in ms
+     */
+    recordFace(personId, detection, timestamp) {
+        if (!this.recording) return;
+        const packet = FrameStore.pack(detection, timestamp);
+        this.events.push({
+            type: 'face',
+            personId,
+            t: packet.t,
+            score: packet.score,
+            box: packet.box,
+            expressions: packet.expressions,
+            landmarks: packet.landmarks ? Array.from(packet.landmarks) : null,
+            pose: packet.pose,
+            quality: packet.quality,
+            skin: packet.skin
+        });
+    }
+
+    recordAudioFrame(frame) {
+        if (!this.recording) return;
+        const f = frame.features;
+        this.events.push({
+            type: 'audio',
+            t: frame.t,
+            features: { rms: f.rms, zcr: f.zcr, speech: f.speech, f0: f.f0 },
+            frequency: SessionRecorder.encodeFloat32(frame.frequency)
+        });
+    }
+
+    recordEnvelopeChunk(samples) {
+        if (!this.recording) return;
+        this.events.push({ type: 'envelope', samples: SessionRecorder.encodeFloat32(samples) });
+    }
+
+    /**
+     * Store a person's action unit traces for the scan
+     * @param {string} personId
+     * @param {object|null} actionUnits - AnalysisPipeline.complete() actionUnits
+     */
+    recordActionUnits(personId, actionUnits) {
+        if (!this.recording || !actionUnits) return;
+        this.events.push({
+            type: 'actionUnits',
+            personId,
+            rate: actionUnits.rate,
+            start: actionUnits.start,
+            traces: actionUnits.traces
+        });
+    }
+
+    /**
+     * Stop recording and store the profile the live scan produced,
+     * so a replay can be checked against it.
+     * @param {object} [profile] - AlphaEye profile
+     * @param {string} [personId] - person the profile belongs to (primary track)
+     */
+    finish(profile, personId) {
+        const engine = this.voiceStressEngine;
+        if (this.recording && this.header.audio && engine && engine.frameClockOffsetMs !== null) {
+            this.header.audio.frameClockOffsetMs = engine.frameClockOffsetMs;
+        }
+        this.detach();
+        if (!this.recording) return;
+        if (personId) this.header.personId = personId;
+        if (profile) {
+            this.events.push({ type: 'result', personId: this.header.personId, profile: JSON.parse(JSON.stringify(profile)) });
+        }
+        this.recording = false;
+    }
+
+    get frameCount() {
+        return this.events.filter(e => e.type === 'face').length;
+    }
+
+    toNDJSON() {
+        return [this.header, ...this.events].map(e => JSON.stringify(e)).join('\n') + '\n';
+    }
+
+    toJSON() {
+        return { header: this.header, events: this.events };
+    }
+
+    /**
+     * Parse a recording from NDJSON or JSON text into decoded events
+     * @param {string} text
+     * @returns {object} { header, events } with typed-array payloads
+     */
+    static parse(text) {
+        const trimmed = (text || '').trim();
+        let header;
+        let events;
+
+        const firstLine = trimmed.split('\n', 1)[0];
+        let first = null;
+        try { first = JSON.parse(firstLine); } catch (e) {}
+
+        if (first && first.type === 'header') {
+            header = first;
+            events = trimmed.split('\n').slice(1).filter(line => line.trim()).map(line => JSON.parse(line));
+        } else {
+            const doc = JSON.parse(trimmed);
+            header = doc.header;
+            events = doc.events || [];
+        }
+
+        if (!header || header.format !== SessionRecorder.FORMAT) {
+            throw new Error('Not a MicroSense session recording');
+        }
+        if (header.version > SessionRecorder.VERSION) {
+            throw new Error('Unsupported recording version ' + header.version);
+        }
+
+        return {
+            header,
+            events: events.map(e => {
+                if (e.type === 'face') {
+                    return { ...e, landmarks: e.landmarks ? new Float32Array(e.landmarks) : null };
+                }
+                if (e.type === 'audio') {
+                    return {
+                        ...e,
+                        timeDomain: e.timeDomain ? SessionRecorder.decodeFloat32(e.timeDomain) : undefined,
+                        frequency: SessionRecorder.decodeFloat32(e.frequency)
+                    };
+                }
+                if (e.type === 'pcm' || e.type === 'envelope') {
+                    return { ...e, samples: SessionRecorder.decodeFloat32(e.samples) };
+                }
+                return e;
+            })
+        };
+    }
+
+    // ── Lossless Float32 <-> base64 ──
+
+    static encodeFloat32(array) {
+        const bytes = new Uint8Array(Float32Array.from(array).buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return btoa(binary);
+    }
+
+    static decodeFloat32(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Float32Array(bytes.buffer);
+    }
+}
+
+SessionRecorder.FORMAT = 'microsense-session';
+SessionRecorder.VERSION = 2;
+
+class SessionReplay {
+    /**
+     * Feed a parsed recording through fresh engine instances. The voice engine
+     * replays on this thread, handing control back every YIELD_EVENTS events.
+     * @param {object} recording - SessionRecorder.parse() result
+     * @param {AnalysisPipeline|AnalysisClient} [analysis] - fresh analysis for the face frames
+     *                                                       (default: an in-thread AnalysisPipeline)
+     * @returns {Promise<object>} { personId, result, profile, expected, differences }
+     */
+    static async run(recording, analysis = new AnalysisPipeline()) {
+        const { header, events } = recording;
+        const personId = header.personId || 'user';
+        const voiceStressEngine = new VoiceStressEngine();
+        if (header.audio) {
+            voiceStressEngine.initOffline(header.audio.sampleRate, header.audio.fftSize);
+            if (typeof header.audio.frameClockOffsetMs === 'number') {
+                voiceStressEngine.anchorFrameClock(0, header.audio.frameClockOffsetMs);
+            }
+        }
+
+        let expected = null;
+        for (let i = 0; i < events.length; i++) {
+            const e = events[i];
+            if (e.type === 'face') {
+                analysis.processFrame(e.personId, e, e.t);
+            } else if (e.type === 'audio') {
+                voiceStressEngine.processAudioFrame(e);
+            } else if (e.type === 'envelope') {
+                voiceStressEngine.processEnvelopeChunk(e.samples);
+            } else if (e.type === 'pcm') {
+                voiceStressEngine.processPcmChunk(e.samples);
+            } else if (e.type === 'result' && e.personId === personId) {
+                expected = e.profile;
+            }
+            if ((i + 1) % SessionReplay.YIELD_EVENTS === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const result = await analysis.complete(personId, voiceStressEngine.fullAnalysis(), voiceStressEngine.breathEnvelope());
+        const profile = JSON.parse(JSON.stringify(result.profile));
+
+        return {
+            personId,
+            result,
+            profile: result.profile,
+            expected,
+            differences: expected ? SessionReplay.compare(expected, profile) : null
+        };
+    }
+
+    /**
+     * Paths at which two profiles differ (the wall-clock timestamp is ignored)
+     * @returns {Array} [{ path, expected, actual }]
+     */
+    static compare(expected, actual, path = '') {
+        const diffs = [];
+        if (expected === actual) return diffs;
+
+        const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+        if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+            diffs.push({ path: path || '(root)', expected, actual });
+            return diffs;
+        }
+
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        keys.forEach(key => {
+            if (!path && key === 'timestamp') return;
+            diffs.push(...SessionReplay.compare(expected[key], actual[key], path ? path + '.' + key : key));
+        });
+        return diffs;
+    }
+}
+
+SessionReplay.YIELD_EVENTS = 500;
+
+window.SessionRecorder = SessionRecorder;
+window.SessionReplay = SessionReplay;
@@ -0,0 +1,237 @@
+/* ============================================
+   SESSION TIMELINE - Every Stream on One Clock
+   Face frames, the audio clock and the UI (chat,
+   avatar speech) each keep time their own way.
+   SessionTimeline holds everything on the session
+   clock - the face frame clock - by anchoring each
+   other clock to it once, and stores two kinds of
+   tracks (SessionTimeline.TRACKS):
+   - series: numeric samples (facial deception
+     score, valence/arousal, voice stress, F0)
+   - events: points or spans (micro-expressions,
+     speech activity, chat messages, avatar speech)
+   Engine results are merged in after the scan;
+   chat and avatar speech are logged as they happen.
+   Charts.renderSessionTimeline() draws the tracks
+   one above the other with a shared cursor.
+   ============================================ */
+
+class SessionTimeline {
+    constructor() {
+        // clock -> ms to add to reach session time; live, frames are stamped with performance.now()
+        this.offsets = { frame: 0, ui: 0 };
+        this.series = {};   // track -> [{ t, value }], t in session ms
+        this.events = {};   // track -> [{ t, end?, label, ... }]
+    }
+
+    /**
+     * Tie a clock to the session clock: `time` on that clock is `at` on the session clock
+     * @param {string} clock - 'audio' (AudioContext time in ms), 'ui' (performance.now()), ...
+     * @param {number} time - ms on that clock
+     * @param {number} at - the same moment in session ms
+     */
+    anchor(clock, time, at) {
+        this.offsets[clock] = at - time;
+    }
+
+    /**
+     * @returns {boolean} whether times on the clock can be placed yet
+     */
+    anchored(clock) {
+        return clock in this.offsets;
+    }
+
+    /**
+     * @param {number} time - ms on the given clock
+     * @param {string} [clock]
+     * @returns {number} session ms
+     * @throws {Error} when the clock was never anchored
+     */
+    toSession(time, clock = 'frame') {
+        if (!this.anchored(clock)) throw new Error(`SessionTimeline: no anchor for the "${clock}" clock`);
+        return time + this.offsets[clock];
+    }
+
+    /**
+     * Add one sample to a series track (non-numeric values are skipped)
+     */
+    sample(track, time, value, clock = 'frame') {
+        if (typeof value !== 'number' || !isFinite(value)) return;
+        const t = this.toSession(time, clock);
+        SessionTimeline._insert(this.series[track] || (this.series[track] = []), { t, value });
+    }
+
+    /**
+     * Add an event to an event track
+     * @param {object} [data] - { label, end?, ... }; end (same clock) makes it a span
+     * @returns {object} the stored entry, e.g. to close() later
+     */
+    event(track, time, data = {}, clock = 'frame') {
+        const entry = Object.assign({}, data, { t: this.toSession(time, clock) });
+        if (typeof data.end === 'number') entry.end = this.toSession(data.end, clock);
+        SessionTimeline._insert(this.events[track] || (this.events[track] = []), entry);
+        return entry;
+    }
+
+    /**
+     * End a span started with event()
+     */
+    close(entry, time, clock = 'frame') {
+        entry.end = Math.max(entry.t, this.toSession(time, clock));
+    }
+
+    // ── Engine Results ──
+
+    /**
+     * Facial deception score per second (DeceptionEngine deceptionTimeline), at the middle of each second
+     */
+    addFace(deceptionTimeline) {
+        (deceptionTimeline || []).forEach(entry => {
+            if (typeof entry.timestamp === 'number') this.sample('face.deception', entry.timestamp + 500, entry.score);
+        });
+    }
+
+    /**
+     * Micro-expressions (DeceptionEngine), as spans of their duration
+     */
+    addMicroExpressions(microExpressions) {
+        (microExpressions || []).forEach(m => {
+            this.event('face.micro', m.timestamp, { end: m.timestamp + (m.durationMs || 0), label: m.type || m.key });
+        });
+    }
+
+    /**
+     * Valence/arousal path (AffectEstimator.trajectory()), each point at the end of its step
+     */
+    addAffect(affect) {
+        if (!affect || typeof affect.start !== 'number') return;
+        affect.points.forEach(p => {
+            this.sample('face.valence', affect.start + p.t * 1000, p.valence);
+            this.sample('face.arousal', affect.start + p.t * 1000, p.arousal);
+        });
+    }
+
+    /**
+     * Voice stress, F0 and speech activity (VoiceStressEngine vsaTimeline, audio clock).
+     * Each entry covers the windowSec before it; runs of speaking entries become one span.
+     * Needs the 'audio' clock anchored.
+     */
+    addVoice(vsaTimeline, windowSec = 1) {
+        let speaking = null;
+        (vsaTimeline || []).forEach(entry => {
+            if (typeof entry.audioTime !== 'number') return;
+            const ms = entry.audioTime * 1000;
+            if (entry.isSpeaking) this.sample('voice.stress', ms, entry.voiceStress, 'audio');
+            if (entry.f0 > 0) this.sample('voice.f0', ms, entry.f0, 'audio');
+            if (entry.isSpeaking) {
+                if (!speaking) speaking = this.event('voice.speech', ms - windowSec * 1000, { label: 'Speaking' }, 'audio');
+                this.close(speaking, ms, 'audio');
+            } else {
+                speaking = null;
+            }
+        });
+    }
+
+    // ── Queries ──
+
+    /**
+     * First and last time on any track (span ends included)
+     * @returns {object|null} { start, end } in session ms, null when empty
+     */
+    range() {
+        let start = Infinity, end = -Infinity;
+        Object.values(this.series).forEach(samples => {
+            if (samples.length === 0) return;
+            start = Math.min(start, samples[0].t);
+            end = Math.max(end, samples[samples.length - 1].t);
+        });
+        Object.values(this.events).forEach(list => list.forEach(e => {
+            start = Math.min(start, e.t);
+            end = Math.max(end, e.end !== undefined ? e.end : e.t);
+        }));
+        return start <= end ? { start, end } : null;
+    }
+
+    /**
+     * Every series' nearest sample to a time, when within maxGapMs of it
+     * @returns {object} { track: value }
+     */
+    valuesAt(t, maxGapMs = SessionTimeline.MAX_GAP_MS) {
+        const values = {};
+        Object.entries(this.series).forEach(([track, samples]) => {
+            const i = SessionTimeline._search(samples, t);
+            const nearest = [samples[i - 1], samples[i]]
+                .filter(Boolean)
+                .reduce((a, b) => (!a || Math.abs(b.t - t) < Math.abs(a.t - t) ? b : a), null);
+            if (nearest && Math.abs(nearest.t - t) <= maxGapMs) values[track] = nearest.value;
+        });
+        return values;
+    }
+
+    /**
+     * Events at a time: spans covering it and points within toleranceMs of it
+     * @returns {Array} [{ track, t, end?, label, ... }]
+     */
+    eventsAt(t, toleranceMs = SessionTimeline.EVENT_TOLERANCE_MS) {
+        const found = [];
+        Object.entries(this.events).forEach(([track, list]) => list.forEach(e => {
+            const end = e.end !== undefined ? e.end : e.t;
+            if (t >= e.t - toleranceMs && t <= end + toleranceMs) found.push(Object.assign({ track }, e));
+        }));
+        return found;
+    }
+
+    toJSON() {
+        return { offsets: this.offsets, series: this.series, events: this.events };
+    }
+
+    /**
+     * @param {object|string} json - toJSON() output (object or JSON text)
+     * @returns {SessionTimeline}
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const timeline = new SessionTimeline();
+        Object.assign(timeline.offsets, data.offsets || {});
+        timeline.series = data.series || {};
+        timeline.events = data.events || {};
+        return timeline;
+    }
+
+    // ── Private Methods ──
+
+    // Keep entries in time order; appends are the common case
+    static _insert(list, entry) {
+        if (list.length === 0 || entry.t >= list[list.length - 1].t) list.push(entry);
+        else list.splice(SessionTimeline._search(list, entry.t), 0, entry);
+    }
+
+    // Index of the first entry at or after t
+    static _search(list, t) {
+        let lo = 0, hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].t < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+}
+
+SessionTimeline.MAX_GAP_MS = 1500;         // a series has no value further than this from a sample
+SessionTimeline.EVENT_TOLERANCE_MS = 250;  // point events count this close to the cursor
+
+// Drawing order and scale of the tracks (series: min..max; digits/unit for readouts)
+SessionTimeline.TRACKS = [
+    { key: 'face.deception', label: 'Deception signs', kind: 'series', min: 0, max: 100, digits: 0, unit: '', color: '#ff6e40' },
+    { key: 'face.valence', label: 'Valence', kind: 'series', min: -1, max: 1, digits: 2, unit: '', color: '#69f0ae' },
+    { key: 'face.arousal', label: 'Arousal', kind: 'series', min: -1, max: 1, digits: 2, unit: '', color: '#ffab40' },
+    { key: 'face.micro', label: 'Micro-expressions', kind: 'events', color: '#ea80fc' },
+    { key: 'voice.stress', label: 'Voice stress', kind: 'series', min: 0, max: 100, digits: 0, unit: '', color: '#ff80ab' },
+    { key: 'voice.f0', label: 'Pitch (F0)', kind: 'series', min: 75, max: 400, digits: 0, unit: ' Hz', color: '#448aff' },
+    { key: 'voice.speech', label: 'Speaking', kind: 'events', color: '#00e5ff' },
+    { key: 'chat', label: 'Chat', kind: 'events', color: '#ffd740' },
+    { key: 'avatar.speech', label: 'Avatar speech', kind: 'events', color: '#7c4dff' }
+];
+
+self.SessionTimeline = SessionTimeline;
@@ -72,24 +72,26 @@ class TherapyEngine {
     const p = alphaEyeProfile.params;
     const state = this.detectState(p);
     const dir = this.getDirection(state);
+    const intervals = alphaEyeProfile.intervals || {};
+    const range = key => (intervals[key] ? ` (likely ${intervals[key].low} to ${intervals[key].high})` : '');
 
     return `You are a compassionate AI therapeutic companion named MicroSense. You are warm, caring, and supportive.
 
 The user just completed a psycho-physiological facial micro-vibration scan. Here are their results:
 
 MENTAL STATE PROFILE:
-- Aggression: ${p.aggression}/100
-- Stress: ${p.stress}/100
-- Tension: ${p.tension}/100
-- Balance: ${p.balance}/100
-- Energy: ${p.energy}/100
-- Charm/Confidence: ${p.charm}/100
-- Self-Regulation: ${p.selfRegulation}/100
-- Neuroticism: ${p.neuroticism}/100
-- Concentration: ${alphaEyeProfile.concentrationIndex}/100
-- Vitality: ${alphaEyeProfile.vitalityIndex > 0 ? '+' : ''}${alphaEyeProfile.vitalityIndex}
-
-STATE OF MIND: ${alphaEyeProfile.stateOfMind.quadrant}
+- Aggression: ${p.aggression}/100${range('aggression')}
+- Stress: ${p.stress}/100${range('stress')}
+- Tension: ${p.tension}/100${range('tension')}
+- Balance: ${p.balance}/100${range('balance')}
+- Energy: ${p.energy}/100${range('energy')}
+- Charm/Confidence: ${p.charm}/100${range('charm')}
+- Self-Regulation: ${p.selfRegulation}/100${range('selfRegulation')}
+- Neuroticism: ${p.neuroticism}/100${range('neuroticism')}
+- Concentration: ${alphaEyeProfile.concentrationIndex}/100${range('concentrationIndex')}
+- Vitality: ${alphaEyeProfile.vitalityIndex > 0 ? '+' : ''}${alphaEyeProfile.vitalityIndex}${range('vitalityIndex')}
+
+${this.buildUncertaintySection(alphaEyeProfile)}${this.buildBaselineSection(alphaEyeProfile)}${this.buildContributionSection(alphaEyeProfile)}STATE OF MIND: ${alphaEyeProfile.stateOfMind.quadrant}
 DOMINANT STATE: ${state}
 EMOTIONAL STABILITY: ${alphaEyeProfile.emotionalVariation.label} (${alphaEyeProfile.emotionalVariation.score}/100)
 
@@ -107,6 +109,87 @@ IMPORTANT RULES:
 - Be genuine and empathetic, not robotic`;
   }
 
+  /**
+   * Caution about parameters whose interval is wide (AlphaEye.isUncertain), or
+   * about the whole scan when it was too short to estimate intervals at all
+   */
+  buildUncertaintySection(alphaEyeProfile) {
+    if (!alphaEyeProfile.intervals) {
+      return `MEASUREMENT CERTAINTY: The scan was too short to tell how precise these numbers are. Treat them as rough, and do not state any of them as fact.
+
+`;
+    }
+    const names = {
+      aggression: 'aggression', stress: 'stress', tension: 'tension', suspect: 'suspect',
+      balance: 'balance', charm: 'charm/confidence', energy: 'energy', selfRegulation: 'self-regulation',
+      inhibition: 'inhibition', neuroticism: 'neuroticism', vitalityIndex: 'vitality', concentrationIndex: 'concentration'
+    };
+    const uncertain = Object.keys(alphaEyeProfile.intervals).filter(key => AlphaEye.isUncertain(alphaEyeProfile, key));
+    if (uncertain.length === 0) return '';
+
+    return `MEASUREMENT CERTAINTY: The readings for ${uncertain.map(key => names[key] || key).join(', ')} varied a lot during the scan.
+Do not make confident statements about these; ask the user how they feel instead.
+
+`;
+  }
+
+  /**
+   * Prompt lines comparing the scan with the user's own norm (AlphaEye.relativeTo),
+   * empty until the personal baseline has enough scans
+   */
+  buildBaselineSection(alphaEyeProfile) {
+    const relative = alphaEyeProfile.relative;
+    if (!relative) return '';
+
+    const names = {
+      aggression: 'Aggression', stress: 'Stress', tension: 'Tension', suspect: 'Suspect',
+      balance: 'Balance', charm: 'Charm/Confidence', energy: 'Energy', selfRegulation: 'Self-Regulation',
+      inhibition: 'Inhibition', neuroticism: 'Neuroticism', vitalityIndex: 'Vitality',
+      concentrationIndex: 'Concentration', voiceStress: 'Voice stress', heartRate: 'Heart rate'
+    };
+    const notable = Object.entries(relative)
+      .filter(([, r]) => Math.abs(r.z) >= 1)
+      .sort((a, b) => Math.abs(b[1].z) - Math.abs(a[1].z))
+      .map(([key, r]) => `- ${names[key] || key}: ${AlphaEye.describeDeviation(r.z).replace('your usual', 'their usual')} (usual ${Math.round(r.mean)})`);
+
+    return `COMPARED WITH THEIR OWN USUAL (${alphaEyeProfile.baseline.scans} past scans):
+${notable.length > 0 ? notable.join('\n') : '- Everything is within their usual range'}
+Their faces differ: treat these personal deviations as more meaningful than the absolute scores above.
+
+`;
+  }
+
+  /**
+   * Prompt lines with what most moved each score (AlphaEye.contributions), so
+   * "why is my stress 72?" can be answered from the scan rather than guessed
+   */
+  buildContributionSection(alphaEyeProfile) {
+    const contributions = alphaEyeProfile.contributions;
+    if (!contributions) return '';
+
+    const names = {
+      aggression: 'Aggression', stress: 'Stress', tension: 'Tension', balance: 'Balance',
+      energy: 'Energy', charm: 'Charm/Confidence', selfRegulation: 'Self-Regulation',
+      neuroticism: 'Neuroticism', concentrationIndex: 'Concentration', vitalityIndex: 'Vitality'
+    };
+    const lines = Object.keys(names).filter(key => contributions[key]).map(key => {
+      const top = Contributions.top(contributions[key], 3)
+        .map(e => `${e.label.toLowerCase()} ${e.points > 0 ? '+' : ''}${Math.round(e.points)}`);
+      return `- ${names[key]}: ${top.length > 0 ? top.join(', ') : 'nothing stood out'}`;
+    });
+
+    const modalities = alphaEyeProfile.fusion && alphaEyeProfile.fusion.modalities;
+    const signals = modalities
+      ? `Signals used: ${Object.entries(modalities).map(([modality, share]) => `${modality} ${Math.round(share * 100)}%`).join(', ')}\n`
+      : '';
+
+    return `WHAT MOVED EACH SCORE (points each sign added or took away):
+${signals}${lines.join('\n')}
+If they ask why a score is what it is, explain it from these signs in plain language, as things the camera noticed rather than facts about them.
+
+`;
+  }
+
   /**
    * Get a quick therapy suggestion based on state
    */
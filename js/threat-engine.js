@@ -5,11 +5,15 @@
    ============================================ */
 
 class ThreatEngine {
-    constructor() {
-        this.frameHistory = new Map(); // personId -> array of frame data
-        this.maxHistoryFrames = 90;    // ~3 seconds at 30fps
+    /**
+     * @param {FrameStore} [frameStore] - Shared frame store (a private one is created if omitted)
+     */
+    constructor(frameStore) {
+        this.frameStore = frameStore || new FrameStore();
+        this.historySeconds = 3;       // analysis window (frame timestamps)
         this.sensitivity = 7;
         this.thresholds = { caution: 35, elevated: 55, critical: 75 };
+        this.landmarkFilter = new LandmarkFilter();
     }
 
     setSensitivity(val) {
@@ -22,9 +26,9 @@ class ThreatEngine {
 
     setMode(mode) {
         if (mode === 'detection') {
-            this.maxHistoryFrames = 150;  // 5 seconds for detection (fast turnover)
+            this.historySeconds = 5;      // detection (fast turnover)
         } else {
-            this.maxHistoryFrames = 900;  // 30 seconds for deception (longer history)
+            this.historySeconds = 30;     // deception (longer history)
         }
     }
 
@@ -32,32 +36,32 @@ class ThreatEngine {
      * Process a single detection frame for a person
      * @param {string} personId - Unique ID for this tracked person
      * @param {object} detection - face-api.js detection with expressions and landmarks
+     * @param {number} [timestamp] - frame capture time in ms
      * @returns {object} Real-time assessment
      */
-    processFrame(personId, detection) {
-        if (!this.frameHistory.has(personId)) {
-            this.frameHistory.set(personId, []);
-        }
-
-        const history = this.frameHistory.get(personId);
-        const frameData = this._extractFrameData(detection);
-        history.push(frameData);
-
-        if (history.length > this.maxHistoryFrames) {
-            history.shift();
-        }
-
+    processFrame(personId, detection, timestamp) {
+        this.frameStore.append(personId, detection, timestamp);
         return this._quickAssess(personId);
     }
 
     /**
      * Perform full analysis after scan period completes
      * @param {string} personId
-     * @returns {object} Complete threat assessment
+     * @returns {object} Complete threat assessment (contributions: Contributions trace per metric)
      */
     fullAnalysis(personId) {
-        const history = this.frameHistory.get(personId);
-        if (!history || history.length < 5) {
+        return this.analyzeFrames(personId, this.frameStore.lastSeconds(personId, this.historySeconds));
+    }
+
+    /**
+     * Full analysis of a given run of frames (AnalysisPipeline also runs it on
+     * windows of the scan to estimate how much the result varies)
+     * @param {string} personId
+     * @param {Array} history - materialized frames, oldest first
+     * @returns {object} Complete threat assessment
+     */
+    analyzeFrames(personId, history) {
+        if (history.length < 5) {
             return this._defaultAssessment();
         }
 
@@ -66,13 +70,23 @@ class ThreatEngine {
         const expressionStability = this._analyzeExpressionStability(history);
         const behavioralPatterns = this._analyzeBehavioralPatterns(history);
 
-        // Core metrics
-        const aggression = this._calculateAggression(expressions, microMovements, behavioralPatterns);
-        const stress = this._calculateStress(expressions, microMovements, expressionStability);
-        const deception = this._calculateDeception(expressions, expressionStability, behavioralPatterns);
-        const tension = this._calculateTension(expressions, microMovements);
-        const badIntent = this._calculateBadIntent(aggression, deception, behavioralPatterns);
-        const stability = this._calculateStability(expressionStability, microMovements);
+        // Core metrics, each with its contribution trace
+        const scores = {};
+        scores.aggression = this._calculateAggression(expressions, microMovements, behavioralPatterns);
+        scores.stress = this._calculateStress(expressions, microMovements, expressionStability);
+        scores.deception = this._calculateDeception(expressions, expressionStability, behavioralPatterns);
+        scores.tension = this._calculateTension(expressions, microMovements);
+        scores.badIntent = this._calculateBadIntent(scores.aggression.value, scores.deception.value, behavioralPatterns);
+        scores.stability = this._calculateStability(expressionStability, microMovements);
+
+        const aggression = scores.aggression.value;
+        const stress = scores.stress.value;
+        const deception = scores.deception.value;
+        const tension = scores.tension.value;
+        const badIntent = scores.badIntent.value;
+        const stability = scores.stability.value;
+        const contributions = {};
+        Object.keys(scores).forEach(key => { contributions[key] = scores[key].contributions; });
 
         // Overall threat score (weighted composite)
         const threatScore = Math.round(
@@ -104,6 +118,7 @@ class ThreatEngine {
                 badIntent: Math.round(badIntent),
                 stability: Math.round(stability)
             },
+            contributions,
             indicators,
             dominantExpression: expressions.dominant,
             framesAnalyzed: history.length,
@@ -112,69 +127,35 @@ class ThreatEngine {
     }
 
     /**
-     * Clear tracking data for a person
+     * Clear tracking data for a person (shared store: clears it for every reader)
      */
     clearPerson(personId) {
-        this.frameHistory.delete(personId);
+        this.frameStore.clearPerson(personId);
     }
 
     /**
      * Clear all tracking data
      */
     clearAll() {
-        this.frameHistory.clear();
+        this.frameStore.clearAll();
     }
 
     // ── Private Methods ──
 
-    _extractFrameData(detection) {
-        const expr = detection.expressions || {};
-        const box = detection.detection ? detection.detection.box : detection.box || {};
-        const landmarks = detection.landmarks;
-
-        // Extract landmark positions for micro-movement analysis
-        let landmarkPositions = null;
-        if (landmarks) {
-            const positions = landmarks.positions || landmarks._positions || [];
-            landmarkPositions = positions.map(p => ({ x: p.x || p._x, y: p.y || p._y }));
-        }
-
-        return {
-            timestamp: Date.now(),
-            expressions: {
-                angry: expr.angry || 0,
-                disgusted: expr.disgusted || 0,
-                fearful: expr.fearful || 0,
-                happy: expr.happy || 0,
-                neutral: expr.neutral || 0,
-                sad: expr.sad || 0,
-                surprised: expr.surprised || 0
-            },
-            box: {
-                x: box.x || box._x || 0,
-                y: box.y || box._y || 0,
-                width: box.width || box._width || 0,
-                height: box.height || box._height || 0
-            },
-            landmarks: landmarkPositions
-        };
-    }
-
     _aggregateExpressions(history) {
-        const sums = { angry: 0, disgusted: 0, fearful: 0, happy: 0, neutral: 0, sad: 0, surprised: 0 };
-        const peaks = { ...sums };
+        const peaks = { angry: 0, disgusted: 0, fearful: 0, happy: 0, neutral: 0, sad: 0, surprised: 0 };
+        const keys = Object.keys(peaks);
 
+        // Averages weigh each frame by its quality; peaks stay unweighted
         history.forEach(frame => {
-            Object.keys(sums).forEach(key => {
-                sums[key] += frame.expressions[key];
+            keys.forEach(key => {
                 peaks[key] = Math.max(peaks[key], frame.expressions[key]);
             });
         });
 
-        const count = history.length;
         const averages = {};
-        Object.keys(sums).forEach(key => {
-            averages[key] = sums[key] / count;
+        keys.forEach(key => {
+            averages[key] = FrameStore.weightedMean(history, f => f.expressions[key]);
         });
 
         // Find dominant expression
@@ -194,40 +175,28 @@ class ThreatEngine {
         if (history.length < 2) return { avgMovement: 0, maxMovement: 0, jitter: 0 };
 
         const movements = [];
-        const landmarkJitters = [];
 
         for (let i = 1; i < history.length; i++) {
             const prev = history[i - 1];
             const curr = history[i];
 
-            // Box position movement (head movement)
-            const dx = curr.box.x - prev.box.x;
-            const dy = curr.box.y - prev.box.y;
-            const movement = Math.sqrt(dx * dx + dy * dy);
-            movements.push(movement);
-
-            // Landmark jitter (micro-tremors in facial features)
-            if (curr.landmarks && prev.landmarks && curr.landmarks.length === prev.landmarks.length) {
-                let totalJitter = 0;
-                const landmarkCount = Math.min(curr.landmarks.length, 68);
-                for (let j = 0; j < landmarkCount; j++) {
-                    if (curr.landmarks[j] && prev.landmarks[j]) {
-                        const ldx = curr.landmarks[j].x - prev.landmarks[j].x;
-                        const ldy = curr.landmarks[j].y - prev.landmarks[j].y;
-                        totalJitter += Math.sqrt(ldx * ldx + ldy * ldy);
-                    }
-                }
-                landmarkJitters.push(totalJitter / landmarkCount);
+            // Head movement in box pixels: HeadPose rotation converted with PX_PER_DEGREE,
+            // the box shift itself when pose is unknown
+            if (curr.pose && prev.pose) {
+                movements.push(HeadPose.angularDistance(curr.pose, prev.pose) * HeadPose.PX_PER_DEGREE);
+            } else {
+                const dx = curr.box.x - prev.box.x;
+                const dy = curr.box.y - prev.box.y;
+                movements.push(Math.sqrt(dx * dx + dy * dy));
             }
         }
 
         const avgMovement = movements.reduce((a, b) => a + b, 0) / movements.length;
         const maxMovement = Math.max(...movements);
 
-        // Jitter = rapid small involuntary movements (indicator of stress/nervousness)
-        const avgJitter = landmarkJitters.length > 0
-            ? landmarkJitters.reduce((a, b) => a + b, 0) / landmarkJitters.length
-            : 0;
+        // Jitter = rapid small involuntary movements (indicator of stress/nervousness):
+        // landmark motion the smoothed track doesn't explain, less what tracking noise alone gives
+        const { jitter, jitterSnr } = this._measureJitter(history);
 
         // Movement variance (erratic movement indicator)
         const movementVariance = movements.reduce((sum, m) => sum + Math.pow(m - avgMovement, 2), 0) / movements.length;
@@ -235,12 +204,41 @@ class ThreatEngine {
         return {
             avgMovement,
             maxMovement,
-            jitter: avgJitter,
+            jitter,
+            jitterSnr,
             variance: movementVariance,
             erratic: movementVariance > avgMovement * 2
         };
     }
 
+    // Mean per-landmark residual (aligned reference units) over the LandmarkFilter noise
+    // expectation. A 2D Gaussian of sigma per coordinate has mean magnitude sigma * sqrt(pi / 2).
+    _measureJitter(history) {
+        const aligned = FaceAlign.alignFrames(history);
+        const { residual, noise } = this.landmarkFilter.filter(aligned, FrameStore.relativeTimes(history));
+        let rawSum = 0;
+        let noiseSum = 0;
+        let count = 0;
+
+        residual.forEach((res, i) => {
+            if (!res) return;
+            const points = Math.min(res.length / 2, 68);
+            let total = 0;
+            for (let j = 0; j < points; j++) total += Math.hypot(res[j * 2], res[j * 2 + 1]);
+            rawSum += total / points;
+            noiseSum += noise[i] * Math.sqrt(Math.PI / 2);
+            count++;
+        });
+        if (count === 0) return { jitter: 0, jitterSnr: 0 };
+
+        const raw = rawSum / count;
+        const expected = noiseSum / count;
+        return {
+            jitter: Math.max(0, raw - expected),
+            jitterSnr: expected > 0 ? (raw / expected) ** 2 : 0
+        };
+    }
+
     _analyzeExpressionStability(history) {
         if (history.length < 3) return { stability: 100, rapidChanges: 0 };
 
@@ -278,23 +276,26 @@ class ThreatEngine {
     _analyzeBehavioralPatterns(history) {
         if (history.length < 10) return { gazeDrift: 0, headShake: 0, tensionBuild: false };
 
-        // Analyze gaze drift (looking away frequently = potential deception)
+        // Analyze gaze drift (looking away frequently = potential deception): yaw swings.
+        // Thresholds are the box-pixel ones (15 px swing, 2 px step) in degrees.
+        const swingDeg = 15 / HeadPose.PX_PER_DEGREE;
+        const stepDeg = 2 / HeadPose.PX_PER_DEGREE;
         let gazeDrifts = 0;
         const windowSize = 5;
 
         for (let i = windowSize; i < history.length; i++) {
-            const window = history.slice(i - windowSize, i);
-            const xPositions = window.map(f => f.box.x);
-            const range = Math.max(...xPositions) - Math.min(...xPositions);
-            if (range > 15) gazeDrifts++;
+            const yaws = history.slice(i - windowSize, i).filter(f => f.pose).map(f => f.pose.yaw);
+            if (yaws.length > 1 && Math.max(...yaws) - Math.min(...yaws) > swingDeg) gazeDrifts++;
         }
 
-        // Analyze head shaking / nodding patterns
+        // Analyze head shaking patterns (yaw direction reversals)
         let headShakes = 0;
         for (let i = 2; i < history.length; i++) {
-            const dx1 = history[i - 1].box.x - history[i - 2].box.x;
-            const dx2 = history[i].box.x - history[i - 1].box.x;
-            if ((dx1 > 2 && dx2 < -2) || (dx1 < -2 && dx2 > 2)) {
+            const [a, b, c] = [history[i - 2].pose, history[i - 1].pose, history[i].pose];
+            if (!a || !b || !c) continue;
+            const d1 = b.yaw - a.yaw;
+            const d2 = c.yaw - b.yaw;
+            if ((d1 > stepDeg && d2 < -stepDeg) || (d1 < -stepDeg && d2 > stepDeg)) {
                 headShakes++;
             }
         }
@@ -332,78 +333,94 @@ class ThreatEngine {
         };
     }
 
-    _calculateAggression(expressions, movements, patterns) {
-        const base = (
-            expressions.averages.angry * 100 * 1.8 +
-            expressions.averages.disgusted * 100 * 0.6 +
-            expressions.peaks.angry * 100 * 0.8
-        );
-
-        const movementFactor = movements.erratic ? 15 : 0;
-        const tensionFactor = patterns.tensionBuild ? 12 : 0;
-        const sensitivityMultiplier = this.sensitivity / 7;
+    // Each _calculate* returns { value, contributions }: the score, and the points
+    // its sub-features added (after the sensitivity multiplier)
 
-        return Math.min(100, (base + movementFactor + tensionFactor) * sensitivityMultiplier);
+    _calculateAggression(expressions, movements, patterns) {
+        const P = Contributions.part;
+        const parts = [
+            P('angry', 'Anger (average)', expressions.averages.angry * 100 * 1.8),
+            P('disgusted', 'Disgust (average)', expressions.averages.disgusted * 100 * 0.6),
+            P('angryPeak', 'Anger (peak)', expressions.peaks.angry * 100 * 0.8),
+            P('erratic', 'Erratic head movement', movements.erratic ? 15 : 0),
+            P('tensionBuild', 'Building tension', patterns.tensionBuild ? 12 : 0)
+        ];
+        return this._score(parts, this.sensitivity / 7);
     }
 
     _calculateStress(expressions, movements, stability) {
-        const base = (
-            expressions.averages.fearful * 100 * 1.2 +
-            expressions.averages.surprised * 100 * 0.4 +
-            expressions.averages.sad * 100 * 0.5
-        );
-
-        const jitterFactor = Math.min(30, movements.jitter * 10);
-        const instabilityFactor = (100 - stability.stability) * 0.3;
-        const sensitivityMultiplier = this.sensitivity / 7;
-
-        return Math.min(100, (base + jitterFactor + instabilityFactor) * sensitivityMultiplier);
+        const P = Contributions.part;
+        const parts = [
+            P('fearful', 'Fear (average)', expressions.averages.fearful * 100 * 1.2),
+            P('surprised', 'Surprise (average)', expressions.averages.surprised * 100 * 0.4),
+            P('sad', 'Sadness (average)', expressions.averages.sad * 100 * 0.5),
+            P('jitter', 'Micro-movement jitter', Math.min(30, movements.jitter * 10)),
+            P('instability', 'Expression instability', (100 - stability.stability) * 0.3)
+        ];
+        return this._score(parts, this.sensitivity / 7);
     }
 
     _calculateDeception(expressions, stability, patterns) {
-        // Deception indicators: expression instability, gaze aversion, suppression
-        const instability = stability.rapidChanges * 3;
-        const gazeAversion = patterns.gazeDrift * 100;
-        const suppression = patterns.suppressionScore * 200;
-
-        // Micro-expression flashes (brief non-neutral expressions during neutral face)
-        const microExprFlash = stability.changeRate * 80;
-
-        const base = instability + gazeAversion + suppression + microExprFlash;
-        const sensitivityMultiplier = this.sensitivity / 7;
-
-        return Math.min(100, base * sensitivityMultiplier);
+        // Deception indicators: expression instability, gaze aversion, suppression,
+        // and micro-expression flashes (brief non-neutral expressions during neutral face)
+        const P = Contributions.part;
+        const parts = [
+            P('rapidChanges', 'Rapid expression changes', stability.rapidChanges * 3),
+            P('gazeDrift', 'Gaze drift', patterns.gazeDrift * 100),
+            P('suppression', 'Expression suppression', patterns.suppressionScore * 200),
+            P('microFlashes', 'Micro-expression flashes', stability.changeRate * 80)
+        ];
+        return this._score(parts, this.sensitivity / 7);
     }
 
     _calculateTension(expressions, movements) {
-        const base = (
-            expressions.averages.angry * 100 * 0.8 +
-            expressions.averages.disgusted * 100 * 0.6 +
-            expressions.averages.fearful * 100 * 0.5 +
-            (100 - expressions.averages.happy * 100) * 0.1
-        );
-
-        const movementTension = movements.jitter * 15;
-        const sensitivityMultiplier = this.sensitivity / 7;
-
-        return Math.min(100, (base + movementTension) * sensitivityMultiplier);
+        const P = Contributions.part;
+        const parts = [
+            P('angry', 'Anger (average)', expressions.averages.angry * 100 * 0.8),
+            P('disgusted', 'Disgust (average)', expressions.averages.disgusted * 100 * 0.6),
+            P('fearful', 'Fear (average)', expressions.averages.fearful * 100 * 0.5),
+            P('unhappy', 'Little happiness', (100 - expressions.averages.happy * 100) * 0.1),
+            P('jitter', 'Micro-movement jitter', movements.jitter * 15)
+        ];
+        return this._score(parts, this.sensitivity / 7);
     }
 
     _calculateBadIntent(aggression, deception, patterns) {
         // Bad intent = combination of aggression + deception + escalation
-        const base = aggression * 0.4 + deception * 0.3;
-        const escalation = patterns.tensionBuild ? 15 : 0;
-        const agitation = patterns.patterns.agitation ? 10 : 0;
-        const suppression = patterns.patterns.suppressing ? 12 : 0;
-
-        return Math.min(100, base + escalation + agitation + suppression);
+        const P = Contributions.part;
+        const parts = [
+            P('aggression', 'Aggression', aggression * 0.4),
+            P('deception', 'Deception signals', deception * 0.3),
+            P('escalation', 'Escalating tension', patterns.tensionBuild ? 15 : 0),
+            P('agitation', 'Agitation (head shakes)', patterns.patterns.agitation ? 10 : 0),
+            P('suppression', 'Suppressed expressions', patterns.patterns.suppressing ? 12 : 0)
+        ];
+        return this._score(parts, 1);
     }
 
     _calculateStability(expressionStability, movements) {
+        const P = Contributions.part;
         const exprStability = expressionStability.stability;
         const movementStability = Math.max(0, 100 - movements.avgMovement * 5 - movements.jitter * 20);
+        const value = exprStability * 0.6 + movementStability * 0.4;
+
+        // A still head gives the full 40 points; movement and jitter take theirs away until none are left
+        const parts = [P('expression', 'Steady expression', exprStability * 0.6)];
+        if (movementStability > 0) {
+            parts.push(
+                P('still', 'Still head', 40),
+                P('movement', 'Head movement', -movements.avgMovement * 5 * 0.4),
+                P('jitter', 'Micro-movement jitter', -movements.jitter * 20 * 0.4)
+            );
+        }
+        return { value, contributions: Contributions.trace(parts, value) };
+    }
 
-        return (exprStability * 0.6 + movementStability * 0.4);
+    // Sum of parts times the multiplier, capped at 100 (the same order of operations as a plain formula)
+    _score(parts, multiplier) {
+        const sum = parts.reduce((s, p) => s + p.points, 0);
+        const value = Math.min(100, sum * multiplier);
+        return { value, contributions: Contributions.trace(Contributions.scaled(parts, multiplier), value) };
     }
 
     _getThreatLevel(score) {
@@ -451,10 +468,9 @@ class ThreatEngine {
     }
 
     _quickAssess(personId) {
-        const history = this.frameHistory.get(personId);
-        if (!history || history.length < 2) return { level: 'safe', score: 0 };
+        if (this.frameStore.count(personId) < 2) return { level: 'safe', score: 0 };
 
-        const recent = history.slice(-10);
+        const recent = this.frameStore.last(personId, 10);
         const avgAngry = recent.reduce((s, f) => s + f.expressions.angry, 0) / recent.length;
         const avgDisgusted = recent.reduce((s, f) => s + f.expressions.disgusted, 0) / recent.length;
         const avgFearful = recent.reduce((s, f) => s + f.expressions.fearful, 0) / recent.length;
@@ -471,6 +487,7 @@ class ThreatEngine {
             threatScore: 0,
             threatLevel: 'safe',
             metrics: { aggression: 0, stress: 0, deception: 0, tension: 0, badIntent: 0, stability: 100 },
+            contributions: {},
             indicators: [{ label: 'INSUFFICIENT DATA', color: 'yellow' }],
             dominantExpression: 'neutral',
             framesAnalyzed: 0,
@@ -479,4 +496,4 @@ class ThreatEngine {
     }
 }
 
-window.ThreatEngine = ThreatEngine;
+self.ThreatEngine = ThreatEngine;
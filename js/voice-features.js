@@ -0,0 +1,226 @@
+/* ============================================
+   VOICE FEATURES - Per-Block Voice Feature Extraction
+   RMS, zero-crossing rate, voice activity, F0
+   (normalized autocorrelation, computed by FFT)
+   and the 200 Hz amplitude envelope used for
+   micro-tremor analysis.
+
+   Loaded twice: as a page script (VoiceStressEngine
+   uses VoiceFeatureExtractor for offline, replay and
+   fallback paths) and as an AudioWorklet module
+   after dsp.js, where VoiceFeatureProcessor owns
+   the sample stream off the main thread and posts
+   compact feature frames:
+   { t, features: { rms, zcr, speech, f0 }, envelope }.
+   ============================================ */
+
+class VoiceFeatureExtractor {
+    /**
+     * @param {number} sampleRate
+     * @param {object} [options] - { fftSize, vadThreshold, f0Min, f0Max }
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.fftSize = options.fftSize || 2048;
+        this.vadThreshold = options.vadThreshold || 0.015;
+        this.f0Min = options.f0Min || 75;
+        this.f0Max = options.f0Max || 400;
+
+        // Most recent fftSize samples (analysis window)
+        this.windowRing = new Float32Array(this.fftSize);
+        this.windowPos = 0;
+
+        // Amplitude envelope: rectified ~5ms centered moving average, decimated to ENVELOPE_RATE
+        this.decimation = Math.max(1, Math.floor(sampleRate / VoiceFeatureExtractor.ENVELOPE_RATE));
+        this.halfWindow = Math.floor(sampleRate / 200);
+        this.envRing = new Float32Array(this.halfWindow * 2 + 1);
+        this.envPos = 0;
+        this.envSum = 0;
+        this.sampleCount = 0;
+
+        // Autocorrelation scratch (zero-padded to avoid circular wrap), reused every frame
+        this.acfReal = null;
+        this.acfImag = null;
+        this.energyPrefix = null;
+    }
+
+    /**
+     * Push raw PCM through the analysis window and envelope follower
+     * @param {Float32Array} samples
+     * @param {number[]} [sink] - array that receives new envelope samples
+     * @returns {number[]} sink
+     */
+    pushSamples(samples, sink = []) {
+        const envLength = this.envRing.length;
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            this.windowRing[this.windowPos] = x;
+            this.windowPos = (this.windowPos + 1) % this.fftSize;
+
+            const a = Math.abs(x);
+            this.envSum += a - this.envRing[this.envPos];
+            this.envRing[this.envPos] = a;
+            this.envPos = (this.envPos + 1) % envLength;
+            this.sampleCount++;
+
+            // Window centered on sample (count - 1 - halfWindow) is now complete
+            const center = this.sampleCount - 1 - this.halfWindow;
+            if (center >= 0 && center % this.decimation === 0) {
+                sink.push(Math.max(0, this.envSum) / Math.min(this.sampleCount, envLength));
+            }
+        }
+        return sink;
+    }
+
+    /**
+     * Copy the most recent fftSize samples, oldest first
+     */
+    latestWindow(target) {
+        const tail = this.fftSize - this.windowPos;
+        target.set(this.windowRing.subarray(this.windowPos), 0);
+        target.set(this.windowRing.subarray(0, this.windowPos), tail);
+        return target;
+    }
+
+    /**
+     * Features of one analysis window
+     * @param {Float32Array} timeDomain
+     * @returns {object} { rms, zcr, speech, f0 } (f0 = -1 when unvoiced)
+     */
+    analyze(timeDomain) {
+        const rms = VoiceFeatureExtractor.rms(timeDomain);
+        const zcr = VoiceFeatureExtractor.zeroCrossingRate(timeDomain);
+        const speech = this.isSpeech(rms, zcr);
+        return { rms, zcr, speech, f0: speech ? this.trackF0(timeDomain) : -1 };
+    }
+
+    // Speech: moderate RMS + ZCR in speech range
+    isSpeech(rms, zcr) {
+        return rms >= this.vadThreshold && zcr > 0.02 && zcr < 0.5;
+    }
+
+    /**
+     * Fundamental frequency by normalized autocorrelation of a Hann-windowed frame.
+     * The autocorrelation comes from the power spectrum (Wiener-Khinchin), so a
+     * frame costs two FFTs instead of a multiply-add per sample and lag; this runs
+     * on the audio thread.
+     * @returns {number} F0 in Hz, or -1
+     */
+    trackF0(timeDomain) {
+        const size = timeDomain.length;
+        const n = DSP.nextPowerOf2(size * 2);
+        if (!this.acfReal || this.acfReal.length !== n) {
+            this.acfReal = new Float64Array(n);
+            this.acfImag = new Float64Array(n);
+            this.energyPrefix = new Float64Array(size + 1);
+        }
+        const real = this.acfReal;
+        const imag = this.acfImag;
+        real.fill(0);
+        imag.fill(0);
+
+        // Prefix sums of squares give each lag's normalization energies
+        const energyPrefix = this.energyPrefix;
+        for (let i = 0; i < size; i++) {
+            real[i] = timeDomain[i] * 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+            energyPrefix[i + 1] = energyPrefix[i] + real[i] * real[i];
+        }
+        if (energyPrefix[size] < 0.001) return -1;
+
+        DSP.fft(real, imag);
+        for (let i = 0; i < n; i++) {
+            real[i] = real[i] * real[i] + imag[i] * imag[i];
+            imag[i] = 0;
+        }
+        DSP.ifft(real, imag);   // real[lag] = sum of windowed[j] * windowed[j + lag]
+
+        const minLag = Math.floor(this.sampleRate / this.f0Max);
+        const maxLag = Math.ceil(this.sampleRate / this.f0Min);
+
+        const normalized = (lag) => {
+            const denom = Math.sqrt(energyPrefix[size - lag] * (energyPrefix[size] - energyPrefix[lag]));
+            return denom < 0.001 ? null : real[lag] / denom;
+        };
+
+        let bestLag = -1;
+        let bestVal = -1;
+        for (let lag = minLag; lag <= maxLag && lag < size; lag++) {
+            const norm = normalized(lag);
+            if (norm !== null && norm > bestVal && norm > 0.4) {
+                bestVal = norm;
+                bestLag = lag;
+            }
+        }
+
+        if (bestLag <= 0) return -1;
+
+        // Parabolic interpolation for sub-sample accuracy
+        if (bestLag > minLag && bestLag < maxLag - 1) {
+            const y1 = normalized(bestLag - 1) || 0;
+            const y2 = normalized(bestLag) || 0;
+            const y3 = normalized(bestLag + 1) || 0;
+            const a = (y1 + y3 - 2 * y2) / 2;
+            if (a !== 0) {
+                const offset = -(y3 - y1) / (2 * a * 2);
+                bestLag += offset;
+            }
+        }
+
+        const f0 = this.sampleRate / bestLag;
+        return (f0 >= this.f0Min && f0 <= this.f0Max) ? f0 : -1;
+    }
+
+    static rms(buffer) {
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+        return Math.sqrt(sum / buffer.length);
+    }
+
+    static zeroCrossingRate(buffer) {
+        let crossings = 0;
+        for (let i = 1; i < buffer.length; i++) {
+            if ((buffer[i] >= 0) !== (buffer[i - 1] >= 0)) crossings++;
+        }
+        return crossings / buffer.length;
+    }
+}
+
+VoiceFeatureExtractor.ENVELOPE_RATE = 200;   // Hz, ample for the 8-12 Hz tremor band
+VoiceFeatureExtractor.PROCESSOR_NAME = 'voice-feature-processor';
+
+if (typeof registerProcessor === 'function') {
+    // ── AudioWorklet side ──
+
+    class VoiceFeatureProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            const opts = (options && options.processorOptions) || {};
+            this.extractor = new VoiceFeatureExtractor(sampleRate, opts);
+            this.hopSize = opts.hopSize || this.extractor.fftSize;
+            this.window = new Float32Array(this.extractor.fftSize);
+            this.envelope = [];
+            this.pending = 0;
+        }
+
+        process(inputs) {
+            const channel = inputs[0] && inputs[0][0];
+            if (!channel) return true;
+
+            this.extractor.pushSamples(channel, this.envelope);
+            this.pending += channel.length;
+
+            if (this.pending >= this.hopSize) {
+                this.pending -= this.hopSize;
+                const features = this.extractor.analyze(this.extractor.latestWindow(this.window));
+                const envelope = Float32Array.from(this.envelope);
+                this.envelope = [];
+                this.port.postMessage({ t: currentTime, features, envelope }, [envelope.buffer]);
+            }
+            return true;
+        }
+    }
+
+    registerProcessor(VoiceFeatureExtractor.PROCESSOR_NAME, VoiceFeatureProcessor);
+} else {
+    self.VoiceFeatureExtractor = VoiceFeatureExtractor;
+}
@@ -14,23 +14,38 @@ class VoiceStressEngine {
         this.analyserNode = null;
         this.sourceNode = null;
         this.muteGain = null;
-        this.scriptProcessor = null;
+        this.workletNode = null;            // AudioWorklet feature extractor (preferred)
+        this.scriptProcessor = null;        // deprecated fallback when AudioWorklet is unavailable
 
         // Buffers
         this.fftSize = 2048;
+        this.smoothingTimeConstant = 0.3;
         this.timeDomainBuffer = null;
         this.frequencyBuffer = null;
 
-        // Ring buffer for tremor analysis (2 seconds at 48kHz)
-        this.ringBuffer = null;
-        this.ringBufferSize = 96000;
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
+        // Per-block features (RMS, ZCR, VAD, F0, envelope); runs in the worklet when available
+        this.featureExtractor = null;
+        this.latestFeatures = null;         // last feature frame posted by the worklet
+
+        // Amplitude envelope ring for tremor analysis (2 seconds at 200 Hz)
+        this.envelopeBuffer = null;
+        this.envelopeBufferSize = 2 * VoiceFeatureExtractor.ENVELOPE_RATE;
+        this.envelopeWritePos = 0;
+        this.envelopeFilled = false;
+
+        // Whole-scan envelope decimated to 10 Hz for breath detection (RespirationEngine)
+        this.breathSamples = [];
+        this.breathBlockSum = 0;
+        this.breathBlockCount = 0;
 
         // State
         this.isActive = false;
         this.sampleRate = 48000;
 
+        // Observers (SessionRecorder): called with every analyzed frame / envelope chunk
+        this.onAudioFrame = null;
+        this.onEnvelopeChunk = null;
+
         // Voice activity detection
         this.isSpeechActive = false;
         this.speechFrameCount = 0;
@@ -38,15 +53,25 @@ class VoiceStressEngine {
         this.totalFrameCount = 0;
         this.silencePauses = 0;
         this.inSilencePause = false;
-        this.pauseDurations = [];
+        this.pauseDurations = [];          // seconds
         this.currentPauseStart = 0;
+        this.speechPower = 0;              // summed RMS^2 of speech frames (for the SNR)
+        this.silencePower = 0;             // ... and of silent frames, the noise floor
+
+        // Audio clock (audioContext.currentTime, seconds)
+        this.frameClockOffsetMs = null;    // audio ms + this = face frame time (anchorFrameClock())
+        this.clockStart = null;
+        this.lastFrameTime = null;
+        this.analyzedTime = 0;             // seconds of audio covered by processed frames
+        this.speechTime = 0;               // seconds of those classified as speech
+        this.MAX_FRAME_GAP = 0.25;         // a frame never accounts for more than this
 
         // F0 tracking
         this.f0History = [];
         this.f0Baseline = null;
         this.baselineF0Values = [];
         this.baselineEstablished = false;
-        this.BASELINE_SPEECH_FRAMES = 150; // ~5 seconds of speech at 30fps
+        this.BASELINE_SPEECH_SECONDS = 5;  // seconds of speech used as the baseline
 
         // Jitter/shimmer
         this.pitchPeriods = [];
@@ -61,7 +86,8 @@ class VoiceStressEngine {
 
         // Timeline for report
         this.vsaTimeline = [];
-        this.timelineWindowFrames = 30; // 1-second windows
+        this.timelineWindowSeconds = 1;
+        this.nextTimelineTime = 1;
 
         // Configuration
         this.F0_MIN = 75;
@@ -74,6 +100,20 @@ class VoiceStressEngine {
     // ── Setup / Teardown ──
 
     async initAudioContext(stream) {
+        await this._initGraph(context => context.createMediaStreamSource(stream), 'initAudioContext');
+    }
+
+    async initFromMediaElement(videoElement) {
+        await this._initGraph(context => context.createMediaElementSource(videoElement), 'initFromMediaElement');
+    }
+
+    /**
+     * Build the capture graph: source → analyser (spectrum for polling) and
+     * source → AudioWorklet feature extractor → muted output. The worklet
+     * keeps sample processing off the main thread; ScriptProcessor is only
+     * used where AudioWorklet is unavailable.
+     */
+    async _initGraph(createSource, caller) {
         this.destroy();
 
         try {
@@ -82,93 +122,105 @@ class VoiceStressEngine {
 
             this.analyserNode = this.audioContext.createAnalyser();
             this.analyserNode.fftSize = this.fftSize;
-            this.analyserNode.smoothingTimeConstant = 0.3;
+            this.analyserNode.smoothingTimeConstant = this.smoothingTimeConstant;
 
-            this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+            this.sourceNode = createSource(this.audioContext);
 
-            // Mute output to prevent feedback (GainNode with gain 0)
+            // Mute output to prevent feedback / audible playback (GainNode with gain 0)
             this.muteGain = this.audioContext.createGain();
             this.muteGain.gain.value = 0;
 
-            // ScriptProcessor for ring buffer accumulation
-            this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
-            this.scriptProcessor.onaudioprocess = (e) => {
-                const input = e.inputBuffer.getChannelData(0);
-                this._fillRingBuffer(input);
-            };
+            this._allocateBuffers();
 
-            // Connect: source → analyser → scriptProcessor → muteGain → destination
+            const processor = await this._createWorkletNode() || this._createScriptProcessor();
+
+            // Connect: source → analyser, source → processor → muteGain → destination
             this.sourceNode.connect(this.analyserNode);
-            this.analyserNode.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.muteGain);
+            this.sourceNode.connect(processor);
+            processor.connect(this.muteGain);
             this.muteGain.connect(this.audioContext.destination);
 
-            this._allocateBuffers();
             this.isActive = true;
         } catch (err) {
-            console.error('VSA initAudioContext failed:', err);
+            console.error('VSA ' + caller + ' failed:', err);
             this.destroy();
             throw err;
         }
     }
 
-    async initFromMediaElement(videoElement) {
-        this.destroy();
-
+    async _createWorkletNode() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return null;
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.sampleRate = this.audioContext.sampleRate;
-
-            this.analyserNode = this.audioContext.createAnalyser();
-            this.analyserNode.fftSize = this.fftSize;
-            this.analyserNode.smoothingTimeConstant = 0.3;
-
-            this.sourceNode = this.audioContext.createMediaElementSource(videoElement);
-
-            // Mute output so user doesn't hear audio playback
-            this.muteGain = this.audioContext.createGain();
-            this.muteGain.gain.value = 0;
+            for (const url of VoiceStressEngine.WORKLET_MODULES) await this.audioContext.audioWorklet.addModule(url);
+        } catch (err) {
+            console.warn('VSA AudioWorklet unavailable, using ScriptProcessor:', err);
+            return null;
+        }
 
-            this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
-            this.scriptProcessor.onaudioprocess = (e) => {
-                const input = e.inputBuffer.getChannelData(0);
-                this._fillRingBuffer(input);
-            };
+        this.workletNode = new AudioWorkletNode(this.audioContext, VoiceFeatureExtractor.PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 1,
+            processorOptions: {
+                fftSize: this.fftSize,
+                vadThreshold: this.VAD_THRESHOLD,
+                f0Min: this.F0_MIN,
+                f0Max: this.F0_MAX
+            }
+        });
+        this.workletNode.port.onmessage = (e) => {
+            this.latestFeatures = e.data.features;
+            this.processEnvelopeChunk(e.data.envelope);
+        };
+        return this.workletNode;
+    }
 
-            this.sourceNode.connect(this.analyserNode);
-            this.analyserNode.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.muteGain);
-            this.muteGain.connect(this.audioContext.destination);
+    _createScriptProcessor() {
+        this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+        this.scriptProcessor.onaudioprocess = (e) => {
+            this.processPcmChunk(e.inputBuffer.getChannelData(0));
+        };
+        return this.scriptProcessor;
+    }
 
-            this._allocateBuffers();
-            this.isActive = true;
-        } catch (err) {
-            console.error('VSA initFromMediaElement failed:', err);
-            this.destroy();
-            throw err;
-        }
+    /**
+     * Prepare buffers without any audio graph, for feeding recorded frames
+     * through processAudioFrame(frame) / processPcmChunk(samples).
+     * @param {number} sampleRate - sample rate of the recorded audio
+     * @param {number} [fftSize] - analyser FFT size used when recording
+     */
+    initOffline(sampleRate, fftSize) {
+        this.destroy();
+        this.sampleRate = sampleRate;
+        if (fftSize) this.fftSize = fftSize;
+        this._allocateBuffers();
+        this.isActive = true;
     }
 
     _allocateBuffers() {
         this.timeDomainBuffer = new Float32Array(this.fftSize);
-        this.frequencyBuffer = new Float32Array(this.analyserNode.frequencyBinCount);
-        this.ringBuffer = new Float32Array(this.ringBufferSize);
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
-    }
-
-    _fillRingBuffer(samples) {
-        for (let i = 0; i < samples.length; i++) {
-            this.ringBuffer[this.ringBufferWritePos] = samples[i];
-            this.ringBufferWritePos++;
-            if (this.ringBufferWritePos >= this.ringBufferSize) {
-                this.ringBufferWritePos = 0;
-                this.ringBufferFilled = true;
-            }
-        }
+        this.frequencyBuffer = new Float32Array(this.fftSize / 2);
+        this.featureExtractor = this._createFeatureExtractor();
+        this.latestFeatures = null;
+        this.envelopeBuffer = new Float32Array(this.envelopeBufferSize);
+        this.envelopeWritePos = 0;
+        this.envelopeFilled = false;
+    }
+
+    _createFeatureExtractor() {
+        return new VoiceFeatureExtractor(this.sampleRate, {
+            fftSize: this.fftSize,
+            vadThreshold: this.VAD_THRESHOLD,
+            f0Min: this.F0_MIN,
+            f0Max: this.F0_MAX
+        });
     }
 
     destroy() {
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            try { this.workletNode.disconnect(); } catch (e) {}
+        }
         if (this.scriptProcessor) {
             this.scriptProcessor.onaudioprocess = null;
             try { this.scriptProcessor.disconnect(); } catch (e) {}
@@ -190,6 +242,7 @@ class VoiceStressEngine {
         this.analyserNode = null;
         this.sourceNode = null;
         this.muteGain = null;
+        this.workletNode = null;
         this.scriptProcessor = null;
         this.isActive = false;
     }
@@ -212,44 +265,134 @@ class VoiceStressEngine {
         this.inSilencePause = false;
         this.pauseDurations = [];
         this.currentPauseStart = 0;
+        this.speechPower = 0;
+        this.silencePower = 0;
+        this.frameClockOffsetMs = null;
+        this.clockStart = null;
+        this.lastFrameTime = null;
+        this.analyzedTime = 0;
+        this.speechTime = 0;
+        this.nextTimelineTime = this.timelineWindowSeconds;
         this.isSpeechActive = false;
-        if (this.ringBuffer) this.ringBuffer.fill(0);
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
+        if (this.envelopeBuffer) this.envelopeBuffer.fill(0);
+        this.envelopeWritePos = 0;
+        this.envelopeFilled = false;
+        this.breathSamples = [];
+        this.breathBlockSum = 0;
+        this.breathBlockCount = 0;
+        if (this.featureExtractor) this.featureExtractor = this._createFeatureExtractor();
+        this.latestFeatures = null;
     }
 
     // ── Real-time Processing ──
 
-    processAudioFrame() {
-        if (!this.isActive || !this.analyserNode) return;
+    /**
+     * Feed raw PCM through the main-thread feature extractor (ScriptProcessor
+     * fallback, offline analysis and v1 recordings)
+     * @param {Float32Array} samples
+     */
+    processPcmChunk(samples) {
+        if (!this.featureExtractor) return;
+        this.processEnvelopeChunk(this.featureExtractor.pushSamples(samples));
+    }
+
+    /**
+     * Append amplitude-envelope samples (200 Hz) for tremor and breath analysis
+     * @param {ArrayLike<number>} envelope
+     */
+    processEnvelopeChunk(envelope) {
+        if (!this.envelopeBuffer || envelope.length === 0) return;
+        const block = VoiceFeatureExtractor.ENVELOPE_RATE / VoiceStressEngine.BREATH_ENVELOPE_RATE;
+        for (let i = 0; i < envelope.length; i++) {
+            this.envelopeBuffer[this.envelopeWritePos] = envelope[i];
+            this.envelopeWritePos++;
+            if (this.envelopeWritePos >= this.envelopeBufferSize) {
+                this.envelopeWritePos = 0;
+                this.envelopeFilled = true;
+            }
+
+            this.breathBlockSum += envelope[i];
+            this.breathBlockCount++;
+            if (this.breathBlockCount >= block) {
+                if (this.breathSamples.length < VoiceStressEngine.BREATH_ENVELOPE_MAX) {
+                    this.breathSamples.push(this.breathBlockSum / this.breathBlockCount);
+                }
+                this.breathBlockSum = 0;
+                this.breathBlockCount = 0;
+            }
+        }
+        if (this.onEnvelopeChunk) this.onEnvelopeChunk(envelope);
+    }
+
+    /**
+     * Analyze the current audio frame. A recorded frame can be passed
+     * instead to replay a session without an audio graph.
+     * @param {object} [frame] - { t, frequency, features } or { t, frequency, timeDomain },
+     *                           t in audio-clock seconds
+     */
+    processAudioFrame(frame) {
+        if (!this.isActive) return;
+        if (!frame && !this.analyserNode) return;
+        if (!frame && this.workletNode && !this.latestFeatures) return; // worklet not producing yet
 
         this.totalFrameCount++;
 
-        // Get audio data
-        this.analyserNode.getFloatTimeDomainData(this.timeDomainBuffer);
-        this.analyserNode.getFloatFrequencyData(this.frequencyBuffer);
+        // Get audio data and per-frame features
+        let now;
+        let features;
+        if (frame) {
+            now = frame.t;
+            this.frequencyBuffer.set(frame.frequency);
+            if (frame.features) {
+                features = frame.features;
+            } else {
+                this.timeDomainBuffer.set(frame.timeDomain);
+                features = this.featureExtractor.analyze(this.timeDomainBuffer);
+            }
+        } else {
+            now = this.audioContext.currentTime;
+            this.analyserNode.getFloatFrequencyData(this.frequencyBuffer);
+            if (this.workletNode) {
+                features = this.latestFeatures;
+            } else {
+                this.analyserNode.getFloatTimeDomainData(this.timeDomainBuffer);
+                features = this.featureExtractor.analyze(this.timeDomainBuffer);
+            }
+        }
+        if (this.onAudioFrame) {
+            this.onAudioFrame({ t: now, features, frequency: this.frequencyBuffer });
+        }
+
+        // Frame timing from the audio clock; calls arrive at an irregular rate
+        if (this.clockStart === null) this.clockStart = now;
+        const dt = this.lastFrameTime === null ? 0 : Math.min(this.MAX_FRAME_GAP, Math.max(0, now - this.lastFrameTime));
+        this.lastFrameTime = now;
+        this.analyzedTime += dt;
+        const elapsed = now - this.clockStart;
 
         // Voice activity detection
-        this.isSpeechActive = this._detectVoiceActivity();
+        this.isSpeechActive = features.speech;
 
         if (this.isSpeechActive) {
             this.speechFrameCount++;
+            this.speechTime += dt;
+            this.speechPower += features.rms * features.rms;
 
             // Track silence pauses
             if (this.inSilencePause) {
                 this.inSilencePause = false;
-                this.pauseDurations.push(this.totalFrameCount - this.currentPauseStart);
+                this.pauseDurations.push(elapsed - this.currentPauseStart);
             }
 
             // F0 tracking
-            const f0 = this._trackFundamentalFrequency();
+            const f0 = features.f0;
             if (f0 > 0) {
-                this.f0History.push({ time: this.totalFrameCount, f0, amplitude: this._computeRMS(this.timeDomainBuffer) });
+                this.f0History.push({ time: elapsed, f0, amplitude: features.rms });
 
                 // Baseline establishment
                 if (!this.baselineEstablished) {
                     this.baselineF0Values.push(f0);
-                    if (this.baselineF0Values.length >= this.BASELINE_SPEECH_FRAMES) {
+                    if (this.speechTime >= this.BASELINE_SPEECH_SECONDS && this.baselineF0Values.length >= 10) {
                         this._establishBaseline();
                     }
                 }
@@ -260,7 +403,7 @@ class VoiceStressEngine {
                 if (this.pitchPeriods.length > 300) this.pitchPeriods.shift();
 
                 // Shimmer: track amplitudes
-                this.cycleAmplitudes.push(this._computeRMS(this.timeDomainBuffer));
+                this.cycleAmplitudes.push(features.rms);
                 if (this.cycleAmplitudes.length > 300) this.cycleAmplitudes.shift();
             }
 
@@ -270,37 +413,41 @@ class VoiceStressEngine {
             if (this.spectralHistory.length > 900) this.spectralHistory.shift();
 
             // Establish spectral baseline
-            if (!this.spectralBaseline && this.spectralHistory.length >= this.BASELINE_SPEECH_FRAMES) {
-                const baseSamples = this.spectralHistory.slice(0, this.BASELINE_SPEECH_FRAMES);
+            if (!this.spectralBaseline && this.speechTime >= this.BASELINE_SPEECH_SECONDS && this.spectralHistory.length >= 10) {
+                const baseSamples = this.spectralHistory.slice();
                 this.spectralBaseline = {
                     centroid: baseSamples.reduce((s, sp) => s + sp.centroid, 0) / baseSamples.length,
-                    hammarberg: baseSamples.reduce((s, sp) => s + sp.hammarberg, 0) / baseSamples.length
+                    hammarberg: baseSamples.reduce((s, sp) => s + sp.hammarberg, 0) / baseSamples.length,
+                    sampleCount: baseSamples.length
                 };
             }
         } else {
             // Track silence
             this.silenceFrameCount++;
+            this.silencePower += features.rms * features.rms;
             if (!this.inSilencePause && this.speechFrameCount > 0) {
                 this.inSilencePause = true;
-                this.currentPauseStart = this.totalFrameCount;
+                this.currentPauseStart = elapsed;
                 this.silencePauses++;
             }
         }
 
         // Micro-tremor analysis (runs regardless of VAD, needs continuous buffer)
-        if (this.ringBufferFilled || this.ringBufferWritePos > this.sampleRate) {
+        if (this.envelopeFilled || this.envelopeWritePos > VoiceFeatureExtractor.ENVELOPE_RATE) {
             const tremor = this._analyzeMicroTremor();
             if (tremor) {
-                this.tremorHistory.push({ time: this.totalFrameCount, ...tremor });
+                this.tremorHistory.push({ time: elapsed, ...tremor });
                 if (this.tremorHistory.length > 300) this.tremorHistory.shift();
             }
         }
 
-        // Build timeline entry every ~1 second
-        if (this.totalFrameCount % this.timelineWindowFrames === 0) {
+        // Build timeline entry every second of audio time
+        if (elapsed >= this.nextTimelineTime) {
+            this.nextTimelineTime = (Math.floor(elapsed / this.timelineWindowSeconds) + 1) * this.timelineWindowSeconds;
             const assess = this._quickAssess();
             this.vsaTimeline.push({
-                timeSeconds: Math.round(this.totalFrameCount / 30),
+                timeSeconds: Math.round(elapsed),
+                audioTime: now,     // audio-clock seconds, to line the entry up with other streams
                 voiceStress: assess.voiceStress,
                 f0: assess.currentF0,
                 isSpeaking: assess.isSpeaking
@@ -308,6 +455,96 @@ class VoiceStressEngine {
         }
     }
 
+    // ── Offline File Analysis ──
+
+    /**
+     * Decode an audio (or video) file and analyze its soundtrack offline.
+     * No microphone or live audio graph is needed.
+     * @param {Blob|ArrayBuffer} file - WAV/OGG/WebM/MP3 data
+     * @param {object} [options] - { sampleRate = 48000, hopSeconds }
+     * @returns {Promise<object>} fullAnalysis() result
+     */
+    async analyzeFile(file, options = {}) {
+        const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        // decodeAudioData resamples to the context rate, so results match a 48 kHz live context
+        const context = new OfflineContext(1, 1, options.sampleRate || 48000);
+        const audioBuffer = await context.decodeAudioData(data);
+        return this.analyzeBuffer(audioBuffer, options);
+    }
+
+    /**
+     * Analyze a decoded AudioBuffer by walking it in fixed hops through the
+     * same per-frame code paths the live analyser uses. Runs synchronously,
+     * much faster than real time. Replaces this engine's state and tears
+     * down any live audio graph.
+     * @param {AudioBuffer} audioBuffer - anything with sampleRate, length, numberOfChannels, getChannelData()
+     * @param {object} [options] - { hopSeconds = 1/30 } (hops above MAX_FRAME_GAP are counted as MAX_FRAME_GAP)
+     * @returns {object} fullAnalysis() result
+     */
+    analyzeBuffer(audioBuffer, options = {}) {
+        const samples = this._mixToMono(audioBuffer);
+        this.initOffline(audioBuffer.sampleRate, this.fftSize);
+        this.clearAll();
+
+        const hop = Math.max(1, Math.round((options.hopSeconds || 1 / 30) * this.sampleRate));
+        const timeDomain = new Float32Array(this.fftSize);
+        const frequency = new Float32Array(this.fftSize / 2);
+        const smoothed = new Float64Array(this.fftSize / 2);
+        let fed = 0;
+
+        for (let end = hop; end <= samples.length; end += hop) {
+            // Raw PCM since the previous hop feeds the tremor ring buffer
+            this.processPcmChunk(samples.subarray(fed, end));
+            fed = end;
+
+            // Most recent fftSize samples, zero-filled before the start of the file
+            const start = end - this.fftSize;
+            timeDomain.fill(0);
+            timeDomain.set(samples.subarray(Math.max(0, start), end), Math.max(0, -start));
+            this._emulateAnalyserSpectrum(timeDomain, smoothed, frequency);
+
+            this.processAudioFrame({ t: end / this.sampleRate, timeDomain, frequency });
+        }
+
+        return this.fullAnalysis();
+    }
+
+    _mixToMono(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels || 1;
+        if (channels === 1) return audioBuffer.getChannelData(0);
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels;
+        }
+        return mono;
+    }
+
+    /**
+     * AnalyserNode.getFloatFrequencyData() equivalent: Blackman window,
+     * FFT magnitude / N, exponential smoothing over frames, then dB.
+     * @param {Float32Array} timeDomain - fftSize samples
+     * @param {Float64Array} smoothed - smoothing state carried between frames
+     * @param {Float32Array} out - fftSize / 2 dB values
+     */
+    _emulateAnalyserSpectrum(timeDomain, smoothed, out) {
+        const N = timeDomain.length;
+        const windowed = new Float32Array(N);
+        for (let i = 0; i < N; i++) {
+            const a = 2 * Math.PI * i / N;
+            windowed[i] = timeDomain[i] * (0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a));
+        }
+
+        const mag = DSP.fftMagnitude(windowed);
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < out.length; k++) {
+            smoothed[k] = tau * smoothed[k] + (1 - tau) * mag[k] / N;
+            out[k] = 20 * Math.log10(smoothed[k]);
+        }
+    }
+
     // ── Quick Real-time Assessment ──
 
     _quickAssess() {
@@ -320,7 +557,8 @@ class VoiceStressEngine {
         let f0DeviationPercent = 0;
         let currentF0 = 0;
         if (this.f0History.length > 0) {
-            const recentF0 = this.f0History.slice(-30).map(h => h.f0);
+            const lastTime = this.f0History[this.f0History.length - 1].time;
+            const recentF0 = this.f0History.filter(h => h.time > lastTime - 1).map(h => h.f0);
             currentF0 = recentF0[recentF0.length - 1] || 0;
 
             if (this.baselineEstablished && this.f0Baseline) {
@@ -411,90 +649,6 @@ class VoiceStressEngine {
 
     // ── Core Analysis Methods ──
 
-    _detectVoiceActivity() {
-        const rms = this._computeRMS(this.timeDomainBuffer);
-        if (rms < this.VAD_THRESHOLD) return false;
-
-        // Secondary: zero-crossing rate (speech typically 0.05-0.3)
-        let zcr = 0;
-        for (let i = 1; i < this.timeDomainBuffer.length; i++) {
-            if ((this.timeDomainBuffer[i] >= 0) !== (this.timeDomainBuffer[i - 1] >= 0)) zcr++;
-        }
-        const zcrRate = zcr / this.timeDomainBuffer.length;
-
-        // Speech: moderate RMS + ZCR in speech range
-        return rms >= this.VAD_THRESHOLD && zcrRate > 0.02 && zcrRate < 0.5;
-    }
-
-    _trackFundamentalFrequency() {
-        // Apply Hann window
-        const windowed = this._hannWindow(this.timeDomainBuffer);
-
-        // Autocorrelation
-        const size = windowed.length;
-        const minLag = Math.floor(this.sampleRate / this.F0_MAX);
-        const maxLag = Math.ceil(this.sampleRate / this.F0_MIN);
-
-        // Compute energy for normalization
-        let energy = 0;
-        for (let i = 0; i < size; i++) energy += windowed[i] * windowed[i];
-        if (energy < 0.001) return -1;
-
-        // Autocorrelation for candidate lags
-        let bestLag = -1;
-        let bestVal = -1;
-
-        for (let lag = minLag; lag <= maxLag && lag < size; lag++) {
-            let correlation = 0;
-            let energy1 = 0;
-            let energy2 = 0;
-            for (let j = 0; j < size - lag; j++) {
-                correlation += windowed[j] * windowed[j + lag];
-                energy1 += windowed[j] * windowed[j];
-                energy2 += windowed[j + lag] * windowed[j + lag];
-            }
-
-            // Normalized autocorrelation
-            const denom = Math.sqrt(energy1 * energy2);
-            if (denom < 0.001) continue;
-            const norm = correlation / denom;
-
-            if (norm > bestVal && norm > 0.4) {
-                bestVal = norm;
-                bestLag = lag;
-            }
-        }
-
-        if (bestLag <= 0) return -1;
-
-        // Parabolic interpolation for sub-sample accuracy
-        if (bestLag > minLag && bestLag < maxLag - 1) {
-            const y1 = this._normalizedCorrelation(windowed, bestLag - 1);
-            const y2 = this._normalizedCorrelation(windowed, bestLag);
-            const y3 = this._normalizedCorrelation(windowed, bestLag + 1);
-            const a = (y1 + y3 - 2 * y2) / 2;
-            if (a !== 0) {
-                const offset = -(y3 - y1) / (2 * a * 2);
-                bestLag += offset;
-            }
-        }
-
-        const f0 = this.sampleRate / bestLag;
-        return (f0 >= this.F0_MIN && f0 <= this.F0_MAX) ? f0 : -1;
-    }
-
-    _normalizedCorrelation(buffer, lag) {
-        const size = buffer.length;
-        let correlation = 0, e1 = 0, e2 = 0;
-        for (let j = 0; j < size - lag; j++) {
-            correlation += buffer[j] * buffer[j + lag];
-            e1 += buffer[j] * buffer[j];
-            e2 += buffer[j + lag] * buffer[j + lag];
-        }
-        const denom = Math.sqrt(e1 * e2);
-        return denom > 0 ? correlation / denom : 0;
-    }
-
     _computeJitter() {
         const periods = this.pitchPeriods;
         if (periods.length < 2) return { absoluteJitter: 0, relativeJitter: 0 };
@@ -574,55 +728,28 @@ class VoiceStressEngine {
     }
 
     _analyzeMicroTremor() {
-        // Need at least 1 second of data
-        const availableSamples = this.ringBufferFilled ? this.ringBufferSize : this.ringBufferWritePos;
-        const analysisLength = Math.min(availableSamples, this.sampleRate * 2); // Use up to 2 seconds
-        if (analysisLength < this.sampleRate) return null;
-
-        // Extract the most recent data from ring buffer
-        const data = new Float32Array(analysisLength);
-        let readPos = this.ringBufferFilled ?
-            (this.ringBufferWritePos - analysisLength + this.ringBufferSize) % this.ringBufferSize :
-            0;
-        for (let i = 0; i < analysisLength; i++) {
-            data[i] = this.ringBuffer[readPos % this.ringBufferSize];
-            readPos++;
-        }
-
-        // Extract amplitude envelope: rectify + smooth
-        const smoothWindow = Math.floor(this.sampleRate / 200); // ~5ms window
-        const envelope = new Float32Array(analysisLength);
-        for (let i = 0; i < analysisLength; i++) {
-            let sum = 0;
-            let count = 0;
-            const start = Math.max(0, i - smoothWindow);
-            const end = Math.min(analysisLength, i + smoothWindow + 1);
-            for (let j = start; j < end; j++) {
-                sum += Math.abs(data[j]);
-                count++;
-            }
-            envelope[i] = sum / count;
-        }
+        // Need at least 1 second of envelope (use up to 2 seconds)
+        const targetRate = VoiceFeatureExtractor.ENVELOPE_RATE;
+        const dsLen = this.envelopeFilled ? this.envelopeBufferSize : this.envelopeWritePos;
+        if (dsLen < targetRate) return null;
 
-        // Remove DC offset
-        const envMean = envelope.reduce((a, b) => a + b, 0) / envelope.length;
-        for (let i = 0; i < envelope.length; i++) envelope[i] -= envMean;
-
-        // Downsample envelope to ~200 Hz for efficient FFT of low frequencies
-        const targetRate = 200;
-        const decimation = Math.floor(this.sampleRate / targetRate);
-        const dsLen = Math.floor(envelope.length / decimation);
+        // Most recent envelope samples, oldest first
         const downsampled = new Float32Array(dsLen);
+        const readStart = this.envelopeFilled ? this.envelopeWritePos : 0;
         for (let i = 0; i < dsLen; i++) {
-            downsampled[i] = envelope[i * decimation];
+            downsampled[i] = this.envelopeBuffer[(readStart + i) % this.envelopeBufferSize];
         }
 
+        // Remove DC offset
+        const envMean = downsampled.reduce((a, b) => a + b, 0) / dsLen;
+        for (let i = 0; i < dsLen; i++) downsampled[i] -= envMean;
+
         // FFT of downsampled envelope
-        const fftLen = this._nextPowerOf2(dsLen);
+        const fftLen = DSP.nextPowerOf2(dsLen);
         const padded = new Float32Array(fftLen);
         for (let i = 0; i < dsLen; i++) padded[i] = downsampled[i];
 
-        const spectrum = this._fftMagnitude(padded);
+        const spectrum = DSP.fftMagnitude(padded);
         const binRes = targetRate / fftLen;
 
         // Analyze 8-12 Hz band
@@ -667,17 +794,38 @@ class VoiceStressEngine {
 
     // ── Full Post-Scan Analysis ──
 
+    /**
+     * Amplitude envelope of the whole scan at BREATH_ENVELOPE_RATE, for RespirationEngine
+     * @returns {object|null} { rate, samples: Float32Array } or null before any audio
+     */
+    breathEnvelope() {
+        if (this.breathSamples.length === 0) return null;
+        return {
+            rate: VoiceStressEngine.BREATH_ENVELOPE_RATE,
+            samples: Float32Array.from(this.breathSamples)
+        };
+    }
+
+    /**
+     * Tie the audio clock to the face frame clock, so the timeline can be lined up
+     * with face frames (fullAnalysis().frameClockOffsetMs). clearAll() unties it.
+     * @param {number} audioTime - audio-clock seconds
+     * @param {number} frameTime - the same moment on the frame clock, ms
+     */
+    anchorFrameClock(audioTime, frameTime) {
+        this.frameClockOffsetMs = frameTime - audioTime * 1000;
+    }
+
     fullAnalysis() {
-        const speechRatio = this.totalFrameCount > 0
-            ? Math.round((this.speechFrameCount / this.totalFrameCount) * 100) : 0;
+        const speechRatio = this.analyzedTime > 0
+            ? Math.round((this.speechTime / this.analyzedTime) * 100) : 0;
 
         if (this.speechFrameCount < 10) {
             return this._defaultFullResult(speechRatio);
         }
 
-        const fps = 30;
-        const totalDuration = this.totalFrameCount / fps;
-        const speechDuration = this.speechFrameCount / fps;
+        const totalDuration = this._elapsedSeconds();
+        const speechDuration = this.speechTime;
 
         // F0 analysis
         const allF0 = this.f0History.map(h => h.f0);
@@ -688,7 +836,7 @@ class VoiceStressEngine {
         let f0DeviationPercent = 0;
         if (this.baselineEstablished && this.f0Baseline) {
             // Analysis mean = mean of post-baseline F0 values
-            const postBaseline = this.f0History.slice(this.BASELINE_SPEECH_FRAMES);
+            const postBaseline = this.f0History.slice(this.baselineF0Values.length);
             if (postBaseline.length > 0) {
                 const analysisMean = postBaseline.reduce((s, h) => s + h.f0, 0) / postBaseline.length;
                 f0DeviationPercent = Math.abs((analysisMean - this.f0Baseline.meanF0) / this.f0Baseline.meanF0 * 100);
@@ -733,8 +881,8 @@ class VoiceStressEngine {
         let centroidShift = 0;
         let hammarbergShift = 0;
         let spectralAssessment = 'Insufficient data';
-        if (this.spectralBaseline && this.spectralHistory.length > this.BASELINE_SPEECH_FRAMES) {
-            const postBaseline = this.spectralHistory.slice(this.BASELINE_SPEECH_FRAMES);
+        if (this.spectralBaseline && this.spectralHistory.length > this.spectralBaseline.sampleCount) {
+            const postBaseline = this.spectralHistory.slice(this.spectralBaseline.sampleCount);
             const analysisCentroid = postBaseline.reduce((s, sp) => s + sp.centroid, 0) / postBaseline.length;
             const analysisHammarberg = postBaseline.reduce((s, sp) => s + sp.hammarberg, 0) / postBaseline.length;
             centroidShift = Math.round(analysisCentroid - this.spectralBaseline.centroid);
@@ -745,7 +893,7 @@ class VoiceStressEngine {
 
         // Speech metrics
         const avgPauseDuration = this.pauseDurations.length > 0
-            ? Math.round(this.pauseDurations.reduce((a, b) => a + b, 0) / this.pauseDurations.length / fps * 100) / 100
+            ? Math.round(this.pauseDurations.reduce((a, b) => a + b, 0) / this.pauseDurations.length * 100) / 100
             : 0;
 
         // Composite voice stress score
@@ -762,8 +910,20 @@ class VoiceStressEngine {
             shimmerScoreVal * 0.10
         ));
 
+        const P = Contributions.part;
+        const stressParts = [
+            P('f0', 'Pitch (F0) deviation from baseline', f0Score * 0.30),
+            P('tremor', 'Vocal micro-tremor', tremorScore * 0.25),
+            P('jitter', 'Pitch jitter', jitterScore * 0.20),
+            P('spectral', 'Spectral shift', spectralScore * 0.15),
+            P('shimmer', 'Amplitude shimmer', shimmerScoreVal * 0.10)
+        ];
+        const contributions = {
+            voiceStressScore: Contributions.trace(stressParts, Math.min(100, stressParts.reduce((s, p) => s + p.points, 0)))
+        };
+
         const confidenceLevel = Math.min(100, Math.round(
-            (this.speechFrameCount / 300) * 50 +
+            (this.speechTime / 10) * 50 +
             (this.baselineEstablished ? 40 : 0) +
             (this.tremorHistory.length > 10 ? 10 : 0)
         ));
@@ -776,6 +936,7 @@ class VoiceStressEngine {
 
         return {
             voiceStressScore,
+            contributions,
             confidenceLevel,
             baselineEstablished: this.baselineEstablished,
 
@@ -817,26 +978,42 @@ class VoiceStressEngine {
                 totalSpeechDuration: Math.round(speechDuration * 10) / 10,
                 totalDuration: Math.round(totalDuration * 10) / 10,
                 silencePauses: this.silencePauses,
-                avgPauseDuration
+                avgPauseDuration,
+                snrDb: this._snrDb()
             },
 
             vsaTimeline: this.vsaTimeline,
+            frameClockOffsetMs: this.frameClockOffsetMs,
             indicators,
             overallAssessment
         };
     }
 
+    // Speech power over the noise floor of the silent frames, in dB (null without both)
+    _snrDb() {
+        if (this.speechFrameCount === 0 || this.silenceFrameCount === 0) return null;
+        const noise = this.silencePower / this.silenceFrameCount;
+        if (noise <= 0) return null;
+        return Math.round(10 * Math.log10((this.speechPower / this.speechFrameCount) / noise) * 10) / 10;
+    }
+
+    _elapsedSeconds() {
+        return this.clockStart !== null && this.lastFrameTime !== null ? this.lastFrameTime - this.clockStart : 0;
+    }
+
     _defaultFullResult(speechRatio) {
         return {
             voiceStressScore: 0,
+            contributions: {},
             confidenceLevel: 0,
             baselineEstablished: false,
             fundamentalFrequency: { baselineMean: null, baselineSD: null, analysisMean: 0, analysisSD: 0, deviationPercent: 0, range: 0, assessment: 'Insufficient speech data' },
             microTremor: { avgEnergy: 0, peakEnergy: 0, avgPeakFreq: 0, tremorScore: 0, assessment: 'Insufficient data' },
             voiceQuality: { jitter: 0, shimmer: 0, shimmerDB: 0, jitterAssessment: 'No data', shimmerAssessment: 'No data' },
             spectralAnalysis: { baselineCentroid: null, centroidShift: 0, hammarbergShift: 0, assessment: 'Insufficient data' },
-            speechMetrics: { speechRatio, totalSpeechDuration: 0, totalDuration: this.totalFrameCount / 30, silencePauses: 0, avgPauseDuration: 0 },
+            speechMetrics: { speechRatio, totalSpeechDuration: 0, totalDuration: Math.round(this._elapsedSeconds() * 10) / 10, silencePauses: 0, avgPauseDuration: 0, snrDb: this._snrDb() },
             vsaTimeline: [],
+            frameClockOffsetMs: this.frameClockOffsetMs,
             indicators: [{ label: 'INSUFFICIENT SPEECH', color: 'yellow' }],
             overallAssessment: 'Insufficient speech detected for voice stress analysis. Ensure the subject speaks clearly into the microphone.'
         };
@@ -883,73 +1060,12 @@ class VoiceStressEngine {
 
         return `Voice analysis indicates low stress levels (${voiceStress}%). Vocal patterns remain close to baseline with normal tremor and pitch variation. Voice biometrics are consistent with truthful baseline behavior.`;
     }
+}
 
-    // ── Utility Methods ──
-
-    _computeRMS(buffer) {
-        let sum = 0;
-        for (let i = 0; i < buffer.length; i++) {
-            sum += buffer[i] * buffer[i];
-        }
-        return Math.sqrt(sum / buffer.length);
-    }
-
-    _hannWindow(buffer) {
-        const windowed = new Float32Array(buffer.length);
-        for (let i = 0; i < buffer.length; i++) {
-            windowed[i] = buffer[i] * 0.5 * (1 - Math.cos(2 * Math.PI * i / (buffer.length - 1)));
-        }
-        return windowed;
-    }
-
-    _nextPowerOf2(n) {
-        let p = 1;
-        while (p < n) p <<= 1;
-        return p;
-    }
-
-    _fftMagnitude(buffer) {
-        // Cooley-Tukey radix-2 FFT, returns magnitude spectrum
-        const N = buffer.length;
-        const real = new Float32Array(N);
-        const imag = new Float32Array(N);
+// AudioWorklet module (same file provides VoiceFeatureExtractor to the page)
+VoiceStressEngine.WORKLET_MODULES = ['js/dsp.js', 'js/voice-features.js'];   // in load order
 
-        // Bit-reversal permutation
-        for (let i = 0; i < N; i++) {
-            let j = 0;
-            let x = i;
-            for (let k = 0; k < Math.log2(N); k++) {
-                j = (j << 1) | (x & 1);
-                x >>= 1;
-            }
-            real[j] = buffer[i];
-        }
-
-        // FFT butterfly
-        for (let size = 2; size <= N; size *= 2) {
-            const halfSize = size / 2;
-            const angle = -2 * Math.PI / size;
-            for (let i = 0; i < N; i += size) {
-                for (let j = 0; j < halfSize; j++) {
-                    const cos = Math.cos(angle * j);
-                    const sin = Math.sin(angle * j);
-                    const tReal = real[i + j + halfSize] * cos - imag[i + j + halfSize] * sin;
-                    const tImag = real[i + j + halfSize] * sin + imag[i + j + halfSize] * cos;
-                    real[i + j + halfSize] = real[i + j] - tReal;
-                    imag[i + j + halfSize] = imag[i + j] - tImag;
-                    real[i + j] += tReal;
-                    imag[i + j] += tImag;
-                }
-            }
-        }
-
-        // Magnitude spectrum (first half)
-        const mag = new Float32Array(N / 2);
-        for (let i = 0; i < N / 2; i++) {
-            mag[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
-        }
-        return mag;
-    }
-}
+VoiceStressEngine.BREATH_ENVELOPE_RATE = 10;                // Hz (breathing is below 0.6 Hz)
+VoiceStressEngine.BREATH_ENVELOPE_MAX = 10 * 60 * 10;       // 10 minutes
 
 window.VoiceStressEngine = VoiceStressEngine;
@@ -1,11 +1,18 @@
-const CACHE_NAME = 'microsense-v4';
+const CACHE_NAME = 'microsense-v27';
 const ASSETS = [
   '/', '/index.html', '/manifest.json',
-  '/js/app.js', '/js/alpha-eye.js', '/js/charts.js',
-  '/js/avatar.js', '/js/ollama.js', '/js/therapy.js',
-  '/js/camera.js', '/js/threat-engine.js',
-  '/js/deception-engine.js', '/js/neuro-analyzer.js',
-  '/js/voice-stress-engine.js'
+  '/js/app.js', '/js/alpha-eye-model.js', '/js/alpha-eye.js',
+  '/js/baseline-store.js', '/js/charts.js', '/js/avatar.js',
+  '/js/ollama.js', '/js/therapy.js', '/js/camera.js',
+  '/js/dsp.js', '/js/contributions.js', '/js/head-pose.js',
+  '/js/frame-store.js', '/js/face-align.js', '/js/blink-detector.js',
+  '/js/action-units.js', '/js/landmark-filter.js', '/js/frame-quality.js',
+  '/js/face-tracker.js', '/js/threat-engine.js', '/js/fusion-engine.js',
+  '/js/deception-engine.js', '/js/neuro-analyzer.js', '/js/rppg-engine.js',
+  '/js/respiration-engine.js', '/js/fatigue-engine.js', '/js/affect-estimator.js',
+  '/js/voice-features.js', '/js/voice-stress-engine.js', '/js/analysis-pipeline.js',
+  '/js/analysis-client.js', '/js/analysis-worker.js', '/js/session-recorder.js',
+  '/js/session-timeline.js'
 ];
 
 self.addEventListener('install', e => {